@@ -1,12 +1,94 @@
-const path = require('path');
-
-const CONFIGS_DIR = path.join(__dirname, 'configs');
-const TEMPLATES_DIR = path.join(__dirname, 'templates');
-
-const SUPPORTED_STACKS = ['react', 'nextjs', 'node', 'react-native', 'python-django', 'python-fastapi'];
+const { CONFIGS_DIR, TEMPLATES_DIR, STACKS, SUPPORTED_STACKS } = require('./lib/constants');
+const errors = require('./lib/errors');
+const { loadConfig, SCHEMA_PATH } = require('./lib/config');
+const { detectStack } = require('./lib/detect');
+const { discoverWorkspaces } = require('./lib/workspaces');
+const { init } = require('./lib/init');
+const { CI_PROVIDERS } = require('./lib/ci');
+const { checkCoverage, runCoverage } = require('./lib/coverage');
+const { scan } = require('./lib/scan');
+const { HOOK_TYPES, HOOK_ACTIONS, DEFAULT_HOOK_ACTIONS, installHook, uninstallHook, runHook } = require('./lib/hook');
+const { doctor } = require('./lib/doctor');
+const { collectReport } = require('./lib/collect');
+const {
+  FORMATS,
+  renderHtmlReport,
+  renderJsonReport,
+  renderSarifReport,
+  renderJunitReport,
+  renderMarkdownReport,
+} = require('./lib/formats');
+const { exportReport } = require('./lib/export');
+const { trends, computeTrends, readHistory } = require('./lib/history');
+const { generateLgpdReport } = require('./lib/lgpd-report');
+const { generateComplianceReport } = require('./lib/compliance-report');
+const { FRAMEWORKS } = require('./lib/frameworks');
+const { scanPii, writePiiReport, PII_CATEGORIES } = require('./lib/pii');
+const { generateInventory, INVENTORY_FORMATS } = require('./lib/inventory');
+const { DEFAULT_POLICY: DEFAULT_LICENSE_POLICY, scanLicenses, writeLicenseReport } = require('./lib/licenses');
+const { SBOM_FORMATS, generateSbom, renderCycloneDx, renderSpdx, exportSbom } = require('./lib/sbom');
+const { SECRET_RULES, scanSecrets, writeSecretsReport } = require('./lib/secrets');
+const { PR_PROVIDERS, renderPrComment, postPrComment } = require('./lib/pr-comment');
+const { updateAdvisories } = require('./lib/osv');
+const { update } = require('./lib/update');
 
 module.exports = {
   CONFIGS_DIR,
   TEMPLATES_DIR,
+  STACKS,
   SUPPORTED_STACKS,
+  SCHEMA_PATH,
+  EXPORT_FORMATS: Object.keys(FORMATS),
+
+  loadConfig,
+  detectStack,
+  discoverWorkspaces,
+  CI_PROVIDERS: Object.keys(CI_PROVIDERS),
+  init,
+  scan,
+  checkCoverage,
+  runCoverage,
+  HOOK_TYPES,
+  HOOK_ACTIONS,
+  DEFAULT_HOOK_ACTIONS,
+  installHook,
+  uninstallHook,
+  runHook,
+  doctor,
+  collectReport,
+  renderHtmlReport,
+  renderJsonReport,
+  renderSarifReport,
+  renderJunitReport,
+  renderMarkdownReport,
+  exportReport,
+  trends,
+  computeTrends,
+  readHistory,
+  generateLgpdReport,
+  FRAMEWORKS,
+  generateComplianceReport,
+  PII_CATEGORIES,
+  scanPii,
+  writePiiReport,
+  INVENTORY_FORMATS,
+  generateInventory,
+  DEFAULT_LICENSE_POLICY,
+  scanLicenses,
+  writeLicenseReport,
+  SBOM_FORMATS,
+  generateSbom,
+  renderCycloneDx,
+  renderSpdx,
+  exportSbom,
+  SECRET_RULES,
+  scanSecrets,
+  writeSecretsReport,
+  PR_PROVIDERS,
+  renderPrComment,
+  postPrComment,
+  updateAdvisories,
+  update,
+
+  ...errors,
 };
@@ -0,0 +1,251 @@
+const fs = require('fs');
+const path = require('path');
+
+const { STACKS } = require('./constants');
+const { detectPackageManager } = require('./node-deps');
+const { ensureDir, copyTemplate, loadStackConfig } = require('./utils');
+
+const CI_PROVIDERS = {
+  github: { label: 'GitHub Actions workflow', file: '.github/workflows/sonarqube.yml' },
+  gitlab: { label: 'GitLab CI pipeline', file: '.gitlab-ci.yml' },
+  bitbucket: { label: 'Bitbucket Pipelines', file: 'bitbucket-pipelines.yml' },
+  azure: { label: 'Azure Pipelines', file: 'azure-pipelines.yml' },
+};
+
+const DEFAULT_NODE_VERSION = '18';
+const DEFAULT_PYTHON_VERSION = '3.11';
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// A sonar property of the stack's extra properties (e.g. the coverage report path).
+function stackProperty(stackConfig, key) {
+  const line = (stackConfig.sonar.extraProperties || '').split('\n').find(l => l.startsWith(`${key}=`));
+  return line ? line.slice(key.length + 1).trim() : null;
+}
+
+// Runs `command` in `dir` without changing the directory of the next commands.
+function inDir(dir, command) {
+  return dir === '.' ? command : `(cd ${dir} && ${command})`;
+}
+
+// ─── Toolchain detection ────────────────────────────────────
+
+const JS_INSTALL = {
+  'npm': ['npm ci'],
+  'pnpm': ['corepack enable', 'pnpm install --frozen-lockfile'],
+  'yarn': ['yarn install --frozen-lockfile'],
+  'yarn-berry': ['corepack enable', 'yarn install --immutable'],
+  'bun': ['npm install -g bun', 'bun install --frozen-lockfile'],
+};
+const JS_EXEC = { 'npm': 'npx', 'pnpm': 'pnpm exec', 'yarn': 'yarn', 'yarn-berry': 'yarn', 'bun': 'bunx' };
+
+// Install and coverage commands of a JavaScript project: the package manager
+// comes from the lockfile (in `dir`, or the workspace root) and the runner from
+// the dependencies, so the lcov report lands where sonar-project.properties expects it.
+function jsToolchain(cwd, dir, reportPath) {
+  const manager = detectPackageManager(path.join(cwd, dir)) || detectPackageManager(cwd);
+  const root = manager && !fs.existsSync(path.join(cwd, dir, manager.lockfile)) ? '.' : dir;
+  const id = manager ? manager.id : 'npm';
+  const pkg = readJson(path.join(cwd, dir, 'package.json')) || {};
+  const deps = { ...pkg.dependencies, ...pkg.devDependencies };
+  const coverageDir = path.posix.dirname(reportPath);
+
+  let runner = null;
+  let test = null;
+  if (deps.vitest) {
+    runner = 'vitest';
+    test = `${JS_EXEC[id]} vitest run --coverage.enabled --coverage.reporter=lcov --coverage.reportsDirectory=${coverageDir}`;
+  } else if (deps.jest || deps['jest-expo']) {
+    runner = 'jest';
+    test = `${JS_EXEC[id]} jest --ci --coverage --coverageReporters=lcov --coverageDirectory=${coverageDir}`;
+  } else if (deps['react-scripts']) {
+    runner = 'jest';
+    test = `${JS_EXEC[id]} react-scripts test --watchAll=false --coverage --coverageReporters=lcov --coverageDirectory=${coverageDir}`;
+  } else if (pkg.scripts?.test && !/no test specified/.test(pkg.scripts.test)) {
+    test = `${id === 'yarn-berry' ? 'yarn' : id} test`;
+  }
+
+  return {
+    dir,
+    packageManager: id,
+    install: { dir: root, commands: manager ? JS_INSTALL[id] : ['npm install'] },
+    runner,
+    test,
+    note: !runner && (test
+      ? `${dir}: no Jest or Vitest dependency, make "${test}" write ${reportPath}`
+      : `${dir}: no test runner found, add Jest or Vitest to get coverage into ${reportPath}`),
+  };
+}
+
+// Install and pytest commands of a Python project, for the tool its lockfile
+// or manifest belongs to.
+function pyToolchain(cwd, dir, reportPath) {
+  const has = file => fs.existsSync(path.join(cwd, dir, file));
+  const pytest = prefix => `${prefix}pytest --cov=. --cov-report=xml:${reportPath}`;
+  let install;
+  let prefix = '';
+  if (has('poetry.lock')) {
+    install = ['pip install poetry', 'poetry install', 'poetry run pip install pytest pytest-cov'];
+    prefix = 'poetry run ';
+  } else if (has('uv.lock')) {
+    install = ['pip install uv', 'uv sync', 'uv pip install pytest pytest-cov'];
+    prefix = 'uv run ';
+  } else if (has('Pipfile')) {
+    install = ['pip install pipenv', 'pipenv install --dev', 'pipenv run pip install pytest pytest-cov'];
+    prefix = 'pipenv run ';
+  } else {
+    const requirements = ['requirements.txt', 'requirements-dev.txt'].filter(has);
+    install = [
+      requirements.length > 0 ? `pip install ${requirements.map(f => `-r ${f}`).join(' ')}` : has('pyproject.toml') || has('setup.py') ? 'pip install -e .' : null,
+      'pip install pytest pytest-cov',
+    ].filter(Boolean);
+  }
+  return { dir, install: { dir, commands: install }, runner: 'pytest', test: pytest(prefix), note: null };
+}
+
+// The test command of the project in `dir` and the tools behind it;
+// `reportPath` is relative to `dir`.
+function projectToolchain(cwd, dir, lang, reportPath) {
+  return lang === 'js' ? jsToolchain(cwd, dir, reportPath) : pyToolchain(cwd, dir, reportPath);
+}
+
+// What the CI has to set up, install and run for the stack or the modules:
+// one job per language, with the commands for every module of that language.
+function ciPlan(cwd, { stack, modules }) {
+  const projects = (modules || [{ path: '.', stack }]).map(mod => {
+    const stackConfig = loadStackConfig(mod.stack);
+    const lang = STACKS[mod.stack].lang;
+    const reportPath = stackProperty(stackConfig, lang === 'js' ? 'sonar.javascript.lcov.reportPaths' : 'sonar.python.coverage.reportPaths')
+      || (lang === 'js' ? 'coverage/lcov.info' : 'coverage.xml');
+    const toolchain = projectToolchain(cwd, mod.path, lang, reportPath);
+    return {
+      ...toolchain,
+      lang,
+      nodeVersion: stackConfig.nodeVersion,
+      pythonVersion: stackProperty(stackConfig, 'sonar.python.version'),
+      coverage: mod.path === '.' ? reportPath : path.posix.join(mod.path, reportPath),
+    };
+  });
+
+  const jobs = [];
+  for (const lang of ['js', 'py']) {
+    const list = projects.filter(p => p.lang === lang);
+    if (list.length === 0) continue;
+    const install = [];
+    for (const { dir, commands } of list.map(p => p.install)) {
+      for (const command of commands.map(c => inDir(dir, c))) {
+        if (!install.includes(command)) install.push(command);
+      }
+    }
+    const tested = list.filter(p => p.test);
+    jobs.push({
+      lang,
+      install,
+      test: tested.map(p => inDir(p.dir, p.test)),
+      coverage: tested.map(p => p.coverage),
+    });
+  }
+
+  return {
+    node: projects.map(p => p.nodeVersion).find(Boolean) || (jobs.some(j => j.lang === 'js') ? DEFAULT_NODE_VERSION : null),
+    python: jobs.some(j => j.lang === 'py') ? projects.map(p => p.pythonVersion).find(Boolean) || DEFAULT_PYTHON_VERSION : null,
+    jobs,
+    projects: projects.map(({ dir, lang, packageManager, runner, coverage }) => ({ dir, lang, packageManager, runner, coverage })),
+    notes: projects.map(p => p.note).filter(Boolean),
+  };
+}
+
+// ─── Providers ──────────────────────────────────────────────
+
+const LANG_LABELS = { js: 'JavaScript', py: 'Python' };
+
+// A YAML `run`/`script` value at `indent`: inline for one command, a block otherwise.
+function runBlock(commands, indent) {
+  if (commands.length === 1) return ` ${commands[0]}`;
+  return ` |\n${commands.map(c => `${' '.repeat(indent + 2)}${c}`).join('\n')}`;
+}
+
+function listBlock(items, indent) {
+  return items.map(item => `\n${' '.repeat(indent)}- ${item}`).join('');
+}
+
+function githubSteps(plan) {
+  const steps = [];
+  if (plan.node) steps.push(`- name: Setup Node.js\n  uses: actions/setup-node@v4\n  with:\n    node-version: '${plan.node}'`);
+  if (plan.python) steps.push(`- name: Setup Python\n  uses: actions/setup-python@v5\n  with:\n    python-version: '${plan.python}'`);
+  for (const job of plan.jobs) {
+    const label = plan.jobs.length > 1 ? ` (${LANG_LABELS[job.lang]})` : '';
+    steps.push(`- name: Install dependencies${label}\n  run:${runBlock(job.install, 2)}`);
+    if (job.test.length > 0) steps.push(`- name: Run tests with coverage${label}\n  run:${runBlock(job.test, 2)}`);
+  }
+  return steps.map(step => `\n${step.split('\n').map(l => `      ${l}`).join('\n')}\n`).join('');
+}
+
+function azureSteps(plan) {
+  const steps = [];
+  if (plan.node) steps.push(`- task: UseNode@1\n  inputs:\n    version: '${plan.node}.x'\n  displayName: Setup Node.js`);
+  if (plan.python) steps.push(`- task: UsePythonVersion@0\n  inputs:\n    versionSpec: '${plan.python}'\n  displayName: Setup Python`);
+  for (const job of plan.jobs) {
+    const label = plan.jobs.length > 1 ? ` (${LANG_LABELS[job.lang]})` : '';
+    steps.push(`- script:${runBlock(job.install, 2)}\n  displayName: Install dependencies${label}`);
+    if (job.test.length > 0) steps.push(`- script:${runBlock(job.test, 2)}\n  displayName: Run tests with coverage${label}`);
+  }
+  return steps.map(step => `\n${step.split('\n').map(l => `  ${l}`).join('\n')}\n`).join('');
+}
+
+const image = (plan, lang) => (lang === 'js' ? `node:${plan.node}` : `python:${plan.python}`);
+
+// Tests run in the language's image and hand the coverage reports to the scanner job.
+function gitlabJobs(plan) {
+  return plan.jobs.filter(job => job.test.length > 0).map(job => [
+    '',
+    `test:${job.lang}:`,
+    '  stage: test',
+    `  image: ${image(plan, job.lang)}`,
+    `  script:${listBlock([...job.install, ...job.test], 4)}`,
+    '  artifacts:',
+    '    when: always',
+    `    paths:${listBlock(job.coverage, 6)}`,
+    '',
+  ].join('\n')).join('');
+}
+
+function bitbucketSteps(plan) {
+  return plan.jobs.filter(job => job.test.length > 0).map(job => [
+    '',
+    `    - step: &test-${job.lang}`,
+    `        name: Run ${LANG_LABELS[job.lang]} tests with coverage`,
+    `        image: ${image(plan, job.lang)}`,
+    `        script:${listBlock([...job.install, ...job.test], 10)}`,
+    `        artifacts:${listBlock(job.coverage, 10)}`,
+  ].join('\n')).join('');
+}
+
+function bitbucketPipeline(plan) {
+  const anchors = plan.jobs.filter(job => job.test.length > 0).map(job => `test-${job.lang}`);
+  return listBlock([...anchors, 'sonarqube'].map(anchor => `step: *${anchor}`), 6);
+}
+
+const RENDERERS = {
+  github: plan => ({ STEPS: githubSteps(plan) }),
+  gitlab: plan => ({ JOBS: gitlabJobs(plan), NODE_VERSION: plan.node || DEFAULT_NODE_VERSION }),
+  bitbucket: plan => ({ STEPS: bitbucketSteps(plan), PIPELINE: bitbucketPipeline(plan) }),
+  azure: plan => ({ STEPS: azureSteps(plan) }),
+};
+
+// Writes the CI configuration of `provider` for the stack or the modules.
+function writeCiConfig(cwd, provider, { stack, modules }) {
+  const plan = ciPlan(cwd, { stack, modules });
+  const file = CI_PROVIDERS[provider].file;
+  ensureDir(path.dirname(path.join(cwd, file)));
+  copyTemplate(`ci/${provider}.yml.tpl`, path.join(cwd, file), RENDERERS[provider](plan));
+  return { provider, file, plan };
+}
+
+module.exports = { CI_PROVIDERS, projectToolchain, ciPlan, writeCiConfig };
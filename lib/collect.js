@@ -0,0 +1,259 @@
+const { execSync } = require('child_process');
+const path = require('path');
+
+const { loadConfig, resolveProjectKey, resolveSonarUrl, resolveLgpdRuleset, resolveHistoryFile } = require('./config');
+const { SonarQubeError } = require('./errors');
+const { parseFrameworks, evaluateFrameworks } = require('./frameworks');
+const { resolveHealthModel, healthMetricKeys, computeHealth } = require('./health');
+const { loadRuleset, runCustomRules, evaluateLgpd } = require('./lgpd');
+const { scanLicenses } = require('./licenses');
+const { scanSecrets } = require('./secrets');
+const { snapshotFromReport, readHistory, computeTrends } = require('./history');
+const { OSV_CACHE_DIR, SEVERITIES, resolveAdvisoriesDir, openAdvisories } = require('./osv');
+const { readSonarProperties, getSonarModules, dependencyDirs } = require('./properties');
+const { auditNode } = require('./node-deps');
+const { auditPython } = require('./python-deps');
+const { getSonarToken, sonarApiFetch, sonarApiFetchPaged } = require('./sonar');
+const { noop } = require('./utils');
+
+const MEASURE_KEYS = [
+  'bugs', 'vulnerabilities', 'code_smells', 'security_hotspots', 'coverage', 'duplicated_lines_density',
+  'ncloc', 'sqale_index', 'sqale_debt_ratio', 'security_rating', 'reliability_rating', 'sqale_rating',
+  'alert_status', 'complexity', 'cognitive_complexity', 'duplicated_blocks', 'duplicated_files', 'files',
+  'functions', 'classes', 'statements',
+  'new_bugs', 'new_vulnerabilities', 'new_code_smells', 'new_security_hotspots', 'new_violations',
+];
+
+const MODULE_MEASURE_KEYS = [
+  'bugs', 'vulnerabilities', 'code_smells', 'security_hotspots', 'coverage', 'duplicated_lines_density',
+  'ncloc', 'reliability_rating', 'security_rating', 'sqale_rating',
+];
+
+function collectSonarData({ projectKey, token, sonarUrl, extraMetricKeys = [] }) {
+  const metricKeys = [...new Set([...MEASURE_KEYS, ...extraMetricKeys])];
+  const qualityGate = sonarApiFetch(`/api/qualitygates/project_status?projectKey=${encodeURIComponent(projectKey)}`, token, sonarUrl);
+  const measures = sonarApiFetch(
+    `/api/measures/component?component=${encodeURIComponent(projectKey)}&metricKeys=${metricKeys.join(',')}`,
+    token, sonarUrl
+  );
+  const issues = sonarApiFetchPaged({
+    endpoint: `/api/issues/search?componentKeys=${encodeURIComponent(projectKey)}&s=SEVERITY&asc=false&statuses=OPEN,CONFIRMED,REOPENED`,
+    token,
+    sonarUrl,
+    itemsKey: 'issues',
+    pageSize: 500,
+    maxItems: 5000,
+  });
+  const hotspots = sonarApiFetchPaged({
+    endpoint: `/api/hotspots/search?projectKey=${encodeURIComponent(projectKey)}`,
+    token,
+    sonarUrl,
+    itemsKey: 'hotspots',
+    pageSize: 500,
+    maxItems: 5000,
+  });
+
+  if (!measures || !measures.component) {
+    throw new SonarQubeError('Could not fetch project data. Is SonarQube running?', { code: 'QC_SONARQUBE_UNREACHABLE' });
+  }
+
+  const metrics = {};
+  // New code measures carry their value in the period (`periods` before SonarQube 8.1)
+  for (const m of measures.component.measures || []) {
+    metrics[m.metric] = m.value ?? m.period?.value ?? m.periods?.[0]?.value;
+  }
+
+  return {
+    projectName: measures.component.name || projectKey,
+    qualityGate: {
+      status: qualityGate?.projectStatus?.status || 'UNKNOWN',
+      conditions: qualityGate?.projectStatus?.conditions || [],
+    },
+    metrics,
+    issues: issues?.issues || [],
+    hotspots: hotspots?.hotspots || [],
+  };
+}
+
+// SonarQube flattens scanner modules into directories, so per-module numbers
+// come from the directory component at each module's base dir.
+function collectModules({ projectKey, token, sonarUrl, modules, issues }) {
+  return modules.map(mod => {
+    const measures = sonarApiFetch(
+      `/api/measures/component?component=${encodeURIComponent(`${projectKey}:${mod.path}`)}&metricKeys=${MODULE_MEASURE_KEYS.join(',')}`,
+      token, sonarUrl
+    );
+    const metrics = {};
+    for (const m of measures?.component?.measures || []) {
+      metrics[m.metric] = m.value;
+    }
+    const prefix = `${projectKey}:${mod.path}/`;
+    const issueCount = issues.filter(i => (i.component || '').startsWith(prefix)).length;
+    return { ...mod, metrics, issues: issueCount };
+  });
+}
+
+// Dependency audit of the root and each module, with the package manager of
+// each lockfile (npm, pnpm, yarn, bun) and, for Python, the OSV snapshot and
+// PyPI. `audits` tells which locations were checked, so zero vulnerabilities
+// can be told apart from no audit at all.
+function collectDependencies(cwd, modules = [], { advisoriesDir, offline = false } = {}) {
+  const vulnerabilities = { critical: 0, high: 0, moderate: 0, low: 0, info: 0, total: 0 };
+  const counts = { dependencies: 0, devDependencies: 0 };
+  const outdated = [];
+  const advisories = [];
+  const audits = [];
+
+  const pypi = openAdvisories(advisoriesDir || OSV_CACHE_DIR, 'PyPI');
+
+  for (const dir of dependencyDirs(cwd, modules)) {
+    const location = path.normalize(dir);
+    const results = [
+      auditNode(path.join(cwd, dir), { offline, location, root: cwd }),
+      auditPython(path.join(cwd, dir), { advisories: pypi, offline, location }),
+    ];
+
+    for (const result of results.filter(Boolean)) {
+      if (result.audit) audits.push(result.audit);
+      advisories.push(...result.findings);
+      outdated.push(...result.outdated);
+      counts.dependencies += result.counts.dependencies;
+      counts.devDependencies += result.counts.devDependencies;
+      for (const finding of result.findings) {
+        vulnerabilities[SEVERITIES.includes(finding.severity) ? finding.severity : 'moderate']++;
+        vulnerabilities.total++;
+      }
+    }
+  }
+
+  return { counts, vulnerabilities, outdated, advisories, audits };
+}
+
+function collectGitInfo(cwd) {
+  const git = { branch: '', commitCount: '', lastCommit: '', contributors: [] };
+  try {
+    git.branch = execSync('git rev-parse --abbrev-ref HEAD', { cwd, encoding: 'utf8' }).trim();
+    git.commitCount = execSync('git rev-list --count HEAD', { cwd, encoding: 'utf8' }).trim();
+    git.lastCommit = execSync('git log -1 --format="%h - %s (%ar)"', { cwd, encoding: 'utf8' }).trim();
+    const contribRaw = execSync('git shortlog -sn --no-merges HEAD | head -10', { cwd, encoding: 'utf8' }).trim();
+    git.contributors = contribRaw.split('\n').map(l => {
+      const match = l.trim().match(/^(\d+)\s+(.+)$/);
+      return match ? { commits: match[1], name: match[2] } : null;
+    }).filter(Boolean);
+  } catch {}
+  return git;
+}
+
+// Gathers everything the export renders (SonarQube data, dependency audit,
+// dependency licenses, committed secrets, git history, LGPD checks, framework scores and the health score) into one
+// plain object.
+async function collectReport({ cwd = process.cwd(), sonarUrl, token, since, frameworks, log = noop } = {}) {
+  const { file: configFile, config } = loadConfig(cwd);
+  const healthModel = resolveHealthModel(config, configFile);
+  const ruleset = loadRuleset(resolveLgpdRuleset(cwd, config));
+  const selectedFrameworks = parseFrameworks(frameworks || config.frameworks || []);
+  const projectKey = resolveProjectKey(cwd, config);
+  sonarUrl = sonarUrl || resolveSonarUrl(config);
+  token = token || getSonarToken(cwd, sonarUrl);
+
+  if (!token) {
+    throw new SonarQubeError('No SonarQube token found.', {
+      code: 'QC_SONARQUBE_NO_TOKEN',
+      hint: 'Run "quality-config scan" first or save token to .sonar-token',
+    });
+  }
+
+  log(`  Project: ${projectKey}`);
+  log(`  Server: ${sonarUrl}\n`);
+
+  log('  [..] Fetching SonarQube data...');
+  const sonar = collectSonarData({ projectKey, token, sonarUrl, extraMetricKeys: healthMetricKeys(healthModel) });
+
+  const sonarModules = getSonarModules(readSonarProperties(cwd));
+  const modules = collectModules({ projectKey, token, sonarUrl, modules: sonarModules, issues: sonar.issues });
+
+  log('  [..] Analyzing dependencies...');
+  const dependencies = collectDependencies(cwd, sonarModules, {
+    advisoriesDir: resolveAdvisoriesDir(cwd, config),
+    offline: config.dependencies?.offline === true,
+  });
+  for (const audit of dependencies.audits.filter(a => !a.audited)) {
+    log(`  [warn] ${audit.ecosystem} dependencies in ${audit.location} not audited: ${audit.reason}`);
+  }
+
+  log('  [..] Checking dependency licenses...');
+  const licenses = scanLicenses({ cwd });
+
+  log('  [..] Scanning for secrets...');
+  const secrets = scanSecrets({ cwd });
+
+  log('  [..] Reading git history...');
+  const git = collectGitInfo(cwd);
+
+  log('  [..] Evaluating LGPD compliance...');
+  const customIssues = runCustomRules(cwd, ruleset, projectKey);
+  const lgpd = evaluateLgpd({ ruleset, issues: [...sonar.issues, ...customIssues], vulnerabilities: dependencies.vulnerabilities });
+
+  const health = computeHealth({ metrics: sonar.metrics, lgpd, dependencies, hotspots: sonar.hotspots }, healthModel);
+
+  // Technical debt
+  const debtMinutes = parseInt(sonar.metrics.sqale_index || '0');
+  const debt = {
+    minutes: debtMinutes,
+    hours: Math.round(debtMinutes / 60 * 10) / 10,
+    days: Math.round(debtMinutes / 480 * 10) / 10,
+  };
+
+  // Issues grouped
+  const issuesByType = {};
+  const issuesBySeverity = {};
+  const issuesByFile = {};
+  for (const issue of sonar.issues) {
+    const t = issue.type || 'UNKNOWN';
+    const s = issue.severity || 'UNKNOWN';
+    const file = (issue.component || '').replace(`${projectKey}:`, '');
+    issuesByType[t] = (issuesByType[t] || 0) + 1;
+    issuesBySeverity[s] = (issuesBySeverity[s] || 0) + 1;
+    issuesByFile[file] = (issuesByFile[file] || 0) + 1;
+  }
+  const topFiles = Object.entries(issuesByFile)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 15)
+    .map(([file, count]) => ({ file, count }));
+
+  // Hotspot categories
+  const hotspotsByCategory = {};
+  for (const h of sonar.hotspots) {
+    const cat = h.securityCategory || 'other';
+    hotspotsByCategory[cat] = (hotspotsByCategory[cat] || 0) + 1;
+  }
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    project: { key: projectKey, name: config.projectName || sonar.projectName, sonarUrl },
+    qualityGate: sonar.qualityGate,
+    metrics: sonar.metrics,
+    modules,
+    issues: sonar.issues,
+    issuesByType,
+    issuesBySeverity,
+    topFiles,
+    hotspots: sonar.hotspots,
+    hotspotsByCategory,
+    dependencies,
+    licenses,
+    secrets,
+    git,
+    lgpd,
+    frameworks: evaluateFrameworks({ ruleset, lgpd, frameworks: selectedFrameworks }),
+    debt,
+    health,
+  };
+
+  // Trends compare this report with the recorded history; export appends it
+  const history = readHistory(resolveHistoryFile(cwd, config));
+  report.trends = computeTrends([...history, snapshotFromReport(report, cwd)], { since: since || config.history?.since, cwd });
+  return report;
+}
+
+module.exports = { collectReport, collectSonarData };
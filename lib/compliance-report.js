@@ -0,0 +1,127 @@
+const fs = require('fs');
+const path = require('path');
+
+const { loadConfig, resolveProjectKey, resolveLgpdRuleset } = require('./config');
+const { collectReport } = require('./collect');
+const { SonarQubeError } = require('./errors');
+const { parseFrameworks, evaluateFrameworks } = require('./frameworks');
+const { loadRuleset } = require('./lgpd');
+const { linkCheck } = require('./lgpd-report');
+const { noop, ensureDir } = require('./utils');
+
+const STATUS_LABELS = { pass: 'pass', fail: '**fail**', unverified: 'not verified' };
+
+function summarize(framework) {
+  const count = status => framework.controls.filter(c => c.status === status).length;
+  return {
+    score: framework.score,
+    controls: { total: framework.controls.length, passed: count('pass'), failed: count('fail'), unverified: count('unverified') },
+  };
+}
+
+function renderMarkdown({ framework, project, date, sonarUrl, summary }) {
+  const { controls } = summary;
+  const checkById = Object.fromEntries(framework.checks.map(c => [c.id, c]));
+  const failing = framework.checks.filter(c => c.passed === false);
+
+  const evidence = failing.flatMap(check => check.evidence.map(e => {
+    const controls = check.controls.join(', ');
+    return `| ${controls} | ${check.label} | [${e.component}${e.line ? `:${e.line}` : ''}](${e.url}) | ${e.rule} | ${(e.message || '').replace(/\|/g, '\\|')} |`;
+  }));
+
+  return `# ${framework.name} Compliance Report
+**Framework**: ${framework.title}
+**Date**: ${date}
+**Project**: ${project}
+**SonarQube**: ${sonarUrl || 'not available'}
+
+---
+
+## 1. Summary
+
+**Score**: ${summary.score === null ? 'not verified' : `${summary.score}%`} (${framework.passed}/${framework.total} checks passed)
+
+| Controls | Passed | Failing | Not verified |
+|---|---|---|---|
+| ${controls.total} | ${controls.passed} | ${controls.failed} | ${controls.unverified} |
+
+Only controls that the ruleset maps to automated checks are listed. Organizational controls need their own assessment.
+
+## 2. Controls
+
+| Control | Requirement | Checks | Status |
+|---|---|---|---|
+${framework.controls.map(c => `| ${c.id} | ${c.title} | ${c.checks.map(id => checkById[id].label).join(', ')} | ${STATUS_LABELS[c.status]} |`).join('\n')}
+
+## 3. Evidence
+
+${evidence.length > 0 ? `| Control | Check | Location | Rule | Description |
+|---|---|---|---|---|
+${evidence.join('\n')}` : framework.score === null ? 'Run "quality-config scan" so the checks can be verified.' : 'No open issues behind the mapped checks.'}
+
+---
+
+**Generated by**: @olympio/quality-config
+`;
+}
+
+// Per-framework report: the ruleset checks mapped to each control, their
+// status and the issues behind the failing ones.
+async function generateComplianceReport({ cwd = process.cwd(), sonarUrl, token, frameworks, log = noop } = {}) {
+  const { config } = loadConfig(cwd);
+  const projectKey = resolveProjectKey(cwd, config);
+  const selected = parseFrameworks(frameworks || config.frameworks || ['lgpd']);
+  const ruleset = loadRuleset(resolveLgpdRuleset(cwd, config));
+
+  let report = null;
+  try {
+    report = await collectReport({ cwd, sonarUrl, token, frameworks: selected, log });
+  } catch (err) {
+    if (!(err instanceof SonarQubeError)) throw err;
+    log(`  [warn] ${err.message} Controls will be marked as not verified.`);
+  }
+  const results = report ? report.frameworks : evaluateFrameworks({ ruleset, lgpd: null, frameworks: selected });
+
+  const reportDir = path.join(cwd, 'reports', 'compliance');
+  ensureDir(reportDir);
+
+  const now = new Date();
+  const dateStr = now.toISOString().replace(/[:.]/g, '-').slice(0, 19);
+  const project = config.projectName || report?.project.name || projectKey;
+
+  const reports = results.map(result => {
+    const framework = {
+      ...result,
+      checks: result.checks.map(check => ({
+        ...(report ? linkCheck(check, { sonarUrl: report.project.sonarUrl, projectKey, ruleset }) : { id: check.id, label: check.label, evidence: [] }),
+        weight: check.weight,
+        controls: check.controls,
+      })),
+    };
+    const summary = summarize(framework);
+    const file = path.join(reportDir, `${framework.id}_report_${dateStr}.md`);
+    const jsonFile = file.replace(/\.md$/, '.json');
+
+    fs.writeFileSync(file, renderMarkdown({
+      framework,
+      project,
+      date: now.toLocaleDateString('pt-BR') + ' ' + now.toLocaleTimeString('pt-BR'),
+      sonarUrl: report?.project.sonarUrl,
+      summary,
+    }), 'utf8');
+    fs.writeFileSync(jsonFile, JSON.stringify({
+      generatedAt: now.toISOString(),
+      project: { key: projectKey, name: project },
+      framework: { id: framework.id, name: framework.name, title: framework.title },
+      summary,
+      controls: framework.controls,
+      checks: framework.checks,
+    }, null, 2) + '\n', 'utf8');
+
+    return { framework: framework.id, name: framework.name, file, jsonFile, summary };
+  });
+
+  return { reports };
+}
+
+module.exports = { generateComplianceReport };
@@ -0,0 +1,153 @@
+const fs = require('fs');
+const path = require('path');
+
+const { DEFAULT_SONAR_URL, ROOT_DIR, SONARCLOUD_URL } = require('./constants');
+const { ConfigError } = require('./errors');
+const { validate } = require('./schema');
+
+const CONFIG_FILES = ['.qualityconfigrc.json', '.qualityconfigrc'];
+const PACKAGE_KEY = 'quality-config';
+const SCHEMA_PATH = path.join(ROOT_DIR, 'schema', 'qualityconfigrc.schema.json');
+
+const DEFAULT_LGPD_RULESET = '.sonarqube-lgpd-rules.json';
+const DEFAULT_LGPD_ANSWERS = '.quality-config/lgpd-answers.json';
+const DEFAULT_LGPD_INVENTORY = '.quality-config/lgpd-inventory.json';
+const DEFAULT_REPORT_TEMPLATE_DIR = '.quality-config/report-template';
+const DEFAULT_HISTORY_FILE = '.quality-config/history.jsonl';
+
+function readJsonFile(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new ConfigError(`${path.basename(file)} is not valid JSON: ${err.message}`, { file });
+  }
+}
+
+// Reads a JSON file the project maintains next to the config (LGPD answers,
+// inventory details), validated against a bundled schema. Null when missing.
+function loadDataFile(file, schemaPath, description) {
+  if (!fs.existsSync(file)) return null;
+
+  const data = readJsonFile(file);
+  const errors = validate(JSON.parse(fs.readFileSync(schemaPath, 'utf8')), data);
+  if (errors.length > 0) {
+    throw new ConfigError(`Invalid ${description} in ${path.relative(process.cwd(), file) || file}`, { file, errors });
+  }
+  delete data.$schema;
+  return data;
+}
+
+function findConfig(cwd) {
+  for (const name of CONFIG_FILES) {
+    const file = path.join(cwd, name);
+    if (fs.existsSync(file)) return { file, config: readJsonFile(file) };
+  }
+
+  const pkgFile = path.join(cwd, 'package.json');
+  if (fs.existsSync(pkgFile)) {
+    try {
+      const pkg = JSON.parse(fs.readFileSync(pkgFile, 'utf8'));
+      if (pkg[PACKAGE_KEY]) return { file: pkgFile, config: pkg[PACKAGE_KEY] };
+    } catch {}
+  }
+
+  return { file: null, config: {} };
+}
+
+// Loads and validates the project config. Returns `{ file, config }`, with an
+// empty config (and file null) when the project has none.
+function loadConfig(cwd = process.cwd()) {
+  const found = findConfig(cwd);
+  if (!found.file) return found;
+
+  const schema = JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+  const errors = validate(schema, found.config);
+  if (errors.length > 0) {
+    throw new ConfigError(`Invalid configuration in ${path.relative(cwd, found.file) || found.file}`, { file: found.file, errors });
+  }
+  return found;
+}
+
+function resolveProjectKey(cwd, config = {}) {
+  if (config.projectKey) return config.projectKey;
+
+  const propsPath = path.join(cwd, 'sonar-project.properties');
+  if (fs.existsSync(propsPath)) {
+    const match = fs.readFileSync(propsPath, 'utf8').match(/sonar\.projectKey\s*=\s*(.+)/);
+    if (match) return match[1].trim();
+  }
+  return path.basename(cwd);
+}
+
+// The SonarCloud organization; setting one makes SonarCloud the default server.
+function resolveSonarOrganization(config = {}) {
+  return process.env.SONAR_ORGANIZATION || config.sonar?.organization || null;
+}
+
+// The server URL, checked once here so a missing scheme fails as a config error.
+// Returns origin + path without a trailing slash, so endpoints append cleanly.
+function resolveSonarUrl(config = {}) {
+  const sonarUrl = process.env.SONAR_HOST_URL || config.sonar?.hostUrl || (resolveSonarOrganization(config) ? SONARCLOUD_URL : DEFAULT_SONAR_URL);
+  let url = null;
+  try {
+    url = new URL(sonarUrl);
+  } catch {}
+  if (!url || !['http:', 'https:'].includes(url.protocol)) {
+    const source = process.env.SONAR_HOST_URL ? 'SONAR_HOST_URL' : 'sonar.hostUrl';
+    throw new ConfigError(`Invalid SonarQube URL "${sonarUrl}" in ${source}`, {
+      errors: ['Use an absolute http(s) URL, e.g. https://sonarqube.example.com'],
+    });
+  }
+  return url.origin + url.pathname.replace(/\/+$/, '');
+}
+
+function resolveLgpdRuleset(cwd, config = {}) {
+  return path.join(cwd, config.lgpd?.ruleset || DEFAULT_LGPD_RULESET);
+}
+
+function resolveLgpdAnswers(cwd, config = {}) {
+  return path.join(cwd, config.lgpd?.answers || DEFAULT_LGPD_ANSWERS);
+}
+
+function resolveLgpdInventory(cwd, config = {}) {
+  return path.join(cwd, config.lgpd?.inventory || DEFAULT_LGPD_INVENTORY);
+}
+
+function resolveReportTemplateDir(cwd, config = {}) {
+  return path.join(cwd, config.report?.template || DEFAULT_REPORT_TEMPLATE_DIR);
+}
+
+function resolveHistoryFile(cwd, config = {}) {
+  return path.join(cwd, config.history?.file || DEFAULT_HISTORY_FILE);
+}
+
+function writeConfig(cwd, config) {
+  const file = path.join(cwd, CONFIG_FILES[0]);
+  const content = {
+    $schema: './node_modules/@olympio/quality-config/schema/qualityconfigrc.schema.json',
+    ...config,
+  };
+  fs.writeFileSync(file, JSON.stringify(content, null, 2) + '\n', 'utf8');
+  return file;
+}
+
+module.exports = {
+  CONFIG_FILES,
+  SCHEMA_PATH,
+  DEFAULT_LGPD_RULESET,
+  DEFAULT_LGPD_ANSWERS,
+  DEFAULT_LGPD_INVENTORY,
+  DEFAULT_REPORT_TEMPLATE_DIR,
+  DEFAULT_HISTORY_FILE,
+  loadConfig,
+  loadDataFile,
+  resolveProjectKey,
+  resolveSonarOrganization,
+  resolveSonarUrl,
+  resolveLgpdRuleset,
+  resolveLgpdAnswers,
+  resolveLgpdInventory,
+  resolveReportTemplateDir,
+  resolveHistoryFile,
+  writeConfig,
+};
@@ -0,0 +1,40 @@
+const os = require('os');
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const CONFIGS_DIR = path.join(ROOT_DIR, 'configs');
+const TEMPLATES_DIR = path.join(ROOT_DIR, 'templates');
+
+// Per-user cache shared by all projects (advisory snapshots, registry lookups).
+const CACHE_DIR = path.join(process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache'), 'quality-config');
+
+const DEFAULT_SONAR_URL = 'http://localhost:9000';
+const SONARCLOUD_URL = 'https://sonarcloud.io';
+
+const STACKS = {
+  'react':          { lang: 'js', label: 'React (Vite/CRA)' },
+  'nextjs':         { lang: 'js', label: 'Next.js' },
+  'node':           { lang: 'js', label: 'Node.js (Express/Fastify)' },
+  'react-native':   { lang: 'js', label: 'React Native' },
+  'python-django':  { lang: 'py', label: 'Python (Django)' },
+  'python-fastapi': { lang: 'py', label: 'Python (FastAPI)' },
+};
+
+const SUPPORTED_STACKS = Object.keys(STACKS);
+
+const REPORT_SECTIONS = [
+  'health', 'trends', 'gate', 'overview', 'security', 'lgpd', 'compliance',
+  'deps', 'licenses', 'architecture', 'debt', 'hotfiles', 'issues', 'git', 'recommendations',
+];
+
+module.exports = {
+  ROOT_DIR,
+  CONFIGS_DIR,
+  TEMPLATES_DIR,
+  CACHE_DIR,
+  DEFAULT_SONAR_URL,
+  SONARCLOUD_URL,
+  STACKS,
+  SUPPORTED_STACKS,
+  REPORT_SECTIONS,
+};
@@ -0,0 +1,216 @@
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const { projectToolchain } = require('./ci');
+const { readSonarProperties, getSonarModules } = require('./properties');
+const { SKIPPED_DIRS, listSourceFiles, noop } = require('./utils');
+
+const REPORT_PROPERTIES = {
+  js: 'sonar.javascript.lcov.reportPaths',
+  py: 'sonar.python.coverage.reportPaths',
+};
+
+const SOURCE_EXTENSIONS = {
+  js: ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs'],
+  py: ['.py'],
+};
+
+// Where the runners write reports that are not the configured path
+// (e.g. one per workspace package); only these directories are skipped.
+const REPORT_SKIPPED_DIRS = new Set([...SKIPPED_DIRS].filter(dir => dir !== 'coverage'));
+const MAX_REPORT_DEPTH = 6;
+
+const toPosix = file => file.split(path.sep).join('/');
+
+// ─── Reports ────────────────────────────────────────────────
+
+// The coverage reports sonar-project.properties points at: one per language and
+// module (modules inherit the root properties), with the module's sources.
+function coverageTargets(cwd) {
+  const props = readSonarProperties(cwd);
+  const modules = getSonarModules(props);
+  const scopes = modules.length > 0 ? modules.map(m => ({ dir: m.path, prefix: `${m.name}.` })) : [{ dir: '.', prefix: '' }];
+
+  const targets = [];
+  for (const { dir, prefix } of scopes) {
+    for (const [lang, key] of Object.entries(REPORT_PROPERTIES)) {
+      const value = props[`${prefix}${key}`] || props[key];
+      if (!value) continue;
+      const sources = (props[`${prefix}sonar.sources`] || props['sonar.sources'] || '.').split(',').map(s => s.trim()).filter(Boolean);
+      for (const report of value.split(',').map(s => s.trim()).filter(Boolean)) {
+        targets.push({ dir, lang, report, file: path.posix.join(dir, report), sources });
+      }
+    }
+  }
+  return targets;
+}
+
+function newestSource(cwd, target) {
+  let newest = null;
+  for (const src of target.sources) {
+    const base = path.join(cwd, target.dir, src);
+    for (const file of listSourceFiles(base, { extensions: SOURCE_EXTENSIONS[target.lang] })) {
+      const mtime = fs.statSync(path.join(base, file)).mtimeMs;
+      if (!newest || mtime > newest.mtime) newest = { file: path.posix.join(target.dir, src, file), mtime };
+    }
+  }
+  return newest;
+}
+
+// Whether each configured report exists and is newer than the sources it
+// covers; a stale report gives Sonar the coverage of older code.
+function checkCoverage({ cwd = process.cwd() } = {}) {
+  return coverageTargets(cwd).map(target => {
+    const file = path.join(cwd, target.file);
+    const exists = fs.existsSync(file);
+    const updated = exists ? fs.statSync(file).mtimeMs : null;
+    const source = exists ? newestSource(cwd, target) : null;
+    return {
+      dir: target.dir,
+      lang: target.lang,
+      file: target.file,
+      exists,
+      updatedAt: updated && new Date(updated).toISOString(),
+      stale: Boolean(source && source.mtime > updated),
+      newestSource: source?.file || null,
+    };
+  });
+}
+
+// Coverage reports written under `dir` since `since`.
+function freshReports(cwd, dir, lang, since) {
+  const found = [];
+  const isReport = name => (lang === 'js' ? name === 'lcov.info' : /^(coverage|cobertura).*\.xml$/.test(name));
+  function walk(rel, depth) {
+    let entries;
+    try {
+      entries = fs.readdirSync(path.join(cwd, rel), { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries) {
+      const child = path.posix.join(rel, entry.name);
+      if (entry.isDirectory()) {
+        if (depth < MAX_REPORT_DEPTH && !REPORT_SKIPPED_DIRS.has(entry.name)) walk(child, depth + 1);
+      } else if (isReport(entry.name) && fs.statSync(path.join(cwd, child)).mtimeMs >= since) {
+        found.push(child);
+      }
+    }
+  }
+  walk(dir, 0);
+  return found.sort();
+}
+
+// A report's source path, relative to `baseDir`. Runners write absolute paths
+// (which don't exist in the scanner container) or paths relative to their own root.
+function relativeSource(cwd, source, roots, baseDir) {
+  const absolute = path.isAbsolute(source)
+    ? source
+    : roots.map(root => path.resolve(cwd, root, source)).find(file => fs.existsSync(file)) || path.resolve(cwd, roots[0], source);
+  return toPosix(path.relative(path.join(cwd, baseDir), absolute));
+}
+
+function mergeLcov(cwd, reports, baseDir) {
+  return reports.map(report => {
+    // The runner's root: the directory holding coverage/, or the report's own
+    const roots = [path.dirname(path.dirname(report)), path.dirname(report), '.'];
+    return fs.readFileSync(path.join(cwd, report), 'utf8')
+      .replace(/^SF:(.*)$/gm, (_, source) => `SF:${relativeSource(cwd, source.trim(), roots, baseDir)}`)
+      .trimEnd();
+  }).join('\n') + '\n';
+}
+
+function mergeCobertura(cwd, reports, baseDir) {
+  const packages = [];
+  let valid = 0;
+  let covered = 0;
+  for (const report of reports) {
+    const xml = fs.readFileSync(path.join(cwd, report), 'utf8');
+    const sources = [...xml.matchAll(/<source>([^<]*)<\/source>/g)].map(m => m[1].trim());
+    const roots = [...sources, path.dirname(report), '.'];
+    for (const [block] of xml.matchAll(/<package\b[\s\S]*?<\/package>/g)) {
+      packages.push(block.replace(/(<class\b[^>]*\bfilename=")([^"]*)(")/g, (_, open, file, close) => `${open}${relativeSource(cwd, file, roots, baseDir)}${close}`));
+    }
+    valid += Number(/lines-valid="(\d+)"/.exec(xml)?.[1] || 0);
+    covered += Number(/lines-covered="(\d+)"/.exec(xml)?.[1] || 0);
+  }
+  const rate = valid > 0 ? (covered / valid).toFixed(4) : '0';
+  return [
+    '<?xml version="1.0" ?>',
+    `<coverage version="quality-config" timestamp="${Date.now()}" lines-valid="${valid}" lines-covered="${covered}" line-rate="${rate}" branches-valid="0" branches-covered="0" branch-rate="0" complexity="0">`,
+    '  <sources>',
+    '    <source>.</source>',
+    '  </sources>',
+    '  <packages>',
+    ...packages.map(block => `    ${block}`),
+    '  </packages>',
+    '</coverage>',
+    '',
+  ].join('\n');
+}
+
+// Combines `reports` (lcov or Cobertura XML) into the configured report of
+// `target`, with source paths relative to its module.
+function mergeReports(cwd, target, reports) {
+  const content = target.lang === 'js' ? mergeLcov(cwd, reports, target.dir) : mergeCobertura(cwd, reports, target.dir);
+  fs.mkdirSync(path.dirname(path.join(cwd, target.file)), { recursive: true });
+  fs.writeFileSync(path.join(cwd, target.file), content, 'utf8');
+}
+
+// ─── Test runs ──────────────────────────────────────────────
+
+function run(command, cwd, stdio) {
+  const result = spawnSync(command, { cwd, shell: true, stdio });
+  return result.status === 0;
+}
+
+// Runs the tests with coverage (`coverage.command`, or the runner detected for
+// each module) and leaves one report at each path sonar-project.properties reads,
+// merging the reports a run wrote per package.
+function runCoverage({ cwd = process.cwd(), config = {}, log = noop, stdio = 'ignore' } = {}) {
+  const targets = coverageTargets(cwd);
+  const since = Date.now() - 1000;
+  const runs = [];
+
+  if (config.coverage?.command) {
+    log(`  [..] Running ${config.coverage.command}...`);
+    runs.push({ dir: '.', command: config.coverage.command, ok: run(config.coverage.command, cwd, stdio) });
+  } else {
+    const seen = new Set();
+    for (const target of targets) {
+      if (seen.has(`${target.dir}\0${target.lang}`)) continue;
+      seen.add(`${target.dir}\0${target.lang}`);
+      const toolchain = projectToolchain(cwd, target.dir, target.lang, target.report);
+      if (!toolchain.test) {
+        log(`  [warn] ${toolchain.note}`);
+        runs.push({ dir: target.dir, command: null, ok: false });
+        continue;
+      }
+      log(`  [..] Running tests in ${target.dir}: ${toolchain.test}`);
+      runs.push({ dir: target.dir, command: toolchain.test, ok: run(toolchain.test, path.join(cwd, target.dir), stdio) });
+    }
+  }
+  for (const r of runs.filter(r => r.command && !r.ok)) {
+    log(`  [warn] Tests failed in ${r.dir}: ${r.command}`);
+  }
+
+  const reports = [];
+  const merged = new Set();
+  for (const target of targets) {
+    // With several report paths, the first one receives the merged report
+    if (merged.has(`${target.dir}\0${target.lang}`)) continue;
+    // Reports of nested modules belong to those modules
+    const nested = targets.filter(t => t.dir !== target.dir && (target.dir === '.' || t.dir.startsWith(`${target.dir}/`)));
+    const fresh = freshReports(cwd, target.dir, target.lang, since)
+      .filter(file => !nested.some(t => file.startsWith(`${t.dir}/`)));
+    if (fresh.length === 0) continue;
+    mergeReports(cwd, target, fresh);
+    merged.add(`${target.dir}\0${target.lang}`);
+    reports.push({ file: target.file, merged: fresh });
+    log(`  [ok] Coverage report ${target.file}${fresh.length > 1 || fresh[0] !== target.file ? ` (merged from ${fresh.length} report(s))` : ''}`);
+  }
+  return { runs, reports };
+}
+
+module.exports = { coverageTargets, checkCoverage, runCoverage };
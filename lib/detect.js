@@ -0,0 +1,114 @@
+const fs = require('fs');
+const path = require('path');
+
+const { STACKS } = require('./constants');
+
+const JS_LOCKFILES = ['package-lock.json', 'yarn.lock', 'pnpm-lock.yaml', 'bun.lock', 'bun.lockb'];
+const PY_MANIFESTS = ['requirements.txt', 'requirements-dev.txt', 'pyproject.toml', 'Pipfile', 'Pipfile.lock', 'poetry.lock', 'uv.lock', 'setup.py'];
+const FASTAPI_ENTRYPOINTS = ['main.py', 'app.py', 'app/main.py', 'src/main.py', 'src/app/main.py'];
+const NODE_FRAMEWORKS = ['express', 'fastify', '@nestjs/core', 'koa', '@hapi/hapi'];
+
+// A margin below this between the two best candidates is reported as ambiguous.
+const AMBIGUITY_MARGIN = 2;
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function readText(file) {
+  try {
+    return fs.readFileSync(file, 'utf8');
+  } catch {
+    return '';
+  }
+}
+
+function findFile(cwd, candidates) {
+  return candidates.find(f => fs.existsSync(path.join(cwd, f))) || null;
+}
+
+function confidenceFor(score) {
+  if (score >= 5) return 'high';
+  if (score >= 3) return 'medium';
+  return 'low';
+}
+
+// Inspects package.json, lockfiles, Python manifests and framework config
+// files and scores every known stack. Returns the best match (or null) along
+// with the reasons behind each candidate's score.
+function detectStack(cwd = process.cwd()) {
+  const scores = {};
+  const add = (stack, points, reason) => {
+    if (!scores[stack]) scores[stack] = { stack, score: 0, reasons: [] };
+    scores[stack].score += points;
+    scores[stack].reasons.push(reason);
+  };
+
+  // ── JavaScript / TypeScript ──
+  const pkg = readJson(path.join(cwd, 'package.json'));
+  if (pkg) {
+    const deps = { ...pkg.dependencies, ...pkg.devDependencies };
+    const has = name => Object.prototype.hasOwnProperty.call(deps, name);
+    const lockfile = findFile(cwd, JS_LOCKFILES);
+
+    const nextConfig = findFile(cwd, ['next.config.js', 'next.config.mjs', 'next.config.cjs', 'next.config.ts']);
+    if (nextConfig) add('nextjs', 3, `${nextConfig} found`);
+    if (has('next')) add('nextjs', 3, '"next" in package.json');
+
+    if (has('react-native')) add('react-native', 3, '"react-native" in package.json');
+    if (has('expo')) add('react-native', 2, '"expo" in package.json');
+    const metroConfig = findFile(cwd, ['metro.config.js', 'metro.config.cjs']);
+    if (metroConfig) add('react-native', 2, `${metroConfig} found`);
+
+    if (has('react') && !has('next') && !has('react-native')) {
+      add('react', 2, '"react" in package.json');
+      if (has('react-scripts')) add('react', 3, '"react-scripts" in package.json');
+      const viteConfig = findFile(cwd, ['vite.config.js', 'vite.config.mjs', 'vite.config.ts']);
+      if (viteConfig) add('react', 1, `${viteConfig} found`);
+    }
+
+    for (const framework of NODE_FRAMEWORKS) {
+      if (has(framework)) add('node', 3, `"${framework}" in package.json`);
+    }
+    if (!has('react') && !has('next') && !has('react-native')) {
+      add('node', 1, `package.json${lockfile ? ` and ${lockfile}` : ''} without a frontend framework`);
+    }
+  }
+
+  // ── Python ──
+  const pyManifests = PY_MANIFESTS.filter(f => fs.existsSync(path.join(cwd, f)));
+  const pyText = pyManifests.map(f => readText(path.join(cwd, f))).join('\n');
+
+  if (fs.existsSync(path.join(cwd, 'manage.py'))) add('python-django', 3, 'manage.py found');
+  if (/\bdjango\b/i.test(pyText)) {
+    add('python-django', 3, `django declared in ${pyManifests.join(', ')}`);
+  }
+
+  if (/\bfastapi\b/i.test(pyText)) {
+    add('python-fastapi', 3, `fastapi declared in ${pyManifests.join(', ')}`);
+  }
+  const fastapiEntry = FASTAPI_ENTRYPOINTS.find(f => /^\s*(from|import)\s+fastapi\b/m.test(readText(path.join(cwd, f))));
+  if (fastapiEntry) add('python-fastapi', 2, `fastapi imported in ${fastapiEntry}`);
+
+  const candidates = Object.values(scores)
+    .filter(c => STACKS[c.stack])
+    .sort((a, b) => b.score - a.score)
+    .map(c => ({ ...c, confidence: confidenceFor(c.score) }));
+
+  const [best, runnerUp] = candidates;
+  const ambiguous = Boolean(best && runnerUp && best.score - runnerUp.score < AMBIGUITY_MARGIN);
+
+  return {
+    stack: best && !ambiguous ? best.stack : null,
+    confidence: best && !ambiguous ? best.confidence : null,
+    reasons: best && !ambiguous ? best.reasons : [],
+    ambiguous,
+    candidates,
+  };
+}
+
+module.exports = { detectStack };
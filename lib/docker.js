@@ -0,0 +1,52 @@
+const { execFileSync, execSync, spawnSync } = require('child_process');
+
+const { noop } = require('./utils');
+
+function dockerAvailable() {
+  try {
+    execSync('docker info', { stdio: 'ignore' });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function sonarQubeRunning(cwd) {
+  try {
+    const result = execSync(
+      `docker compose -f docker-compose.sonar.yml ps --status running 2>/dev/null`,
+      { cwd, encoding: 'utf8' }
+    );
+    return result.includes('sonarqube');
+  } catch {
+    return false;
+  }
+}
+
+function startSonarQube(cwd, { stdio = 'ignore' } = {}) {
+  execSync('docker compose -f docker-compose.sonar.yml up -d sonarqube', { cwd, stdio });
+}
+
+function waitForSonarQube({ sonarUrl = 'http://localhost:9000', maxRetries = 60, log = noop } = {}) {
+  for (let i = 0; i < maxRetries; i++) {
+    try {
+      const result = execFileSync('curl', ['-sf', `${sonarUrl}/api/system/status`], {
+        encoding: 'utf8',
+        stdio: ['pipe', 'pipe', 'ignore'],
+      });
+      if (result.includes('"UP"')) return true;
+    } catch {}
+    if (i % 6 === 0 && i > 0) {
+      log(`  still waiting (${i * 5}s)...`);
+    }
+    spawnSync('sleep', ['5']);
+  }
+  return false;
+}
+
+module.exports = {
+  dockerAvailable,
+  sonarQubeRunning,
+  startSonarQube,
+  waitForSonarQube,
+};
@@ -0,0 +1,166 @@
+const fs = require('fs');
+const path = require('path');
+
+const { CI_PROVIDERS } = require('./ci');
+const { loadConfig, resolveLgpdRuleset, resolveSonarUrl } = require('./config');
+const { checkCoverage } = require('./coverage');
+const { dockerAvailable } = require('./docker');
+const { ConfigError } = require('./errors');
+const { resolveHealthModel } = require('./health');
+const { HOOK_TYPES } = require('./hook');
+const { loadRuleset } = require('./lgpd');
+const { resolveAdvisoriesDir } = require('./osv');
+const { scanSecrets } = require('./secrets');
+const { isLocalSonarUrl, sonarServerStatus } = require('./sonar');
+
+// Each check is { id, label, status, message, issue } where status is 'ok',
+// 'missing', 'invalid' or 'warn', and `issue` tells whether it counts against the setup.
+async function doctor({ cwd = process.cwd() } = {}) {
+  const checks = [];
+  const add = (id, label, status, { message, issue = status !== 'ok' } = {}) => {
+    checks.push({ id, label, status, message, issue });
+  };
+
+  // Project config
+  let config = {};
+  try {
+    const loaded = loadConfig(cwd);
+    config = loaded.config;
+    resolveHealthModel(config, loaded.file);
+    if (loaded.file) {
+      add('config', `Project config (${path.relative(cwd, loaded.file)})`, 'ok');
+    } else {
+      add('config', 'No project config (.qualityconfigrc.json), using defaults', 'warn', { issue: false });
+    }
+  } catch (err) {
+    if (!(err instanceof ConfigError)) throw err;
+    add('config', err.message, 'invalid', { message: err.errors.join('\n         ') || undefined });
+  }
+
+  let sonarUrl = null;
+  try {
+    sonarUrl = resolveSonarUrl(config);
+  } catch (err) {
+    if (!(err instanceof ConfigError)) throw err;
+    add('sonar-url', err.message, 'invalid', { message: err.errors.join('\n         ') || undefined });
+  }
+  // A remote server (or a local one run without compose) needs no Docker
+  const useDocker = config.sonar?.docker !== false && isLocalSonarUrl(sonarUrl);
+  // The configured CI provider, or whichever pipeline file the project has
+  const ci = config.workflow === false || config.ci === 'none' ? null
+    : CI_PROVIDERS[config.ci] || Object.values(CI_PROVIDERS).find(p => fs.existsSync(path.join(cwd, p.file))) || CI_PROVIDERS.github;
+  const files = [
+    { id: 'sonar-config', file: 'sonar-project.properties', label: 'SonarQube config' },
+    useDocker && { id: 'docker-compose', file: 'docker-compose.sonar.yml', label: 'Docker Compose (SonarQube)' },
+    ci && { id: 'workflow', file: ci.file, label: ci.label },
+    config.lgpd?.enabled !== false && { id: 'lgpd-rules', file: path.relative(cwd, resolveLgpdRuleset(cwd, config)), label: 'LGPD rules' },
+  ].filter(Boolean);
+
+  for (const check of files) {
+    const exists = fs.existsSync(path.join(cwd, check.file));
+    add(check.id, `${check.label} (${check.file})`, exists ? 'ok' : 'missing');
+  }
+
+  // The LGPD ruleset is data the reports depend on, so validate it too
+  const lgpdRules = checks.find(c => c.id === 'lgpd-rules');
+  if (lgpdRules?.status === 'ok') {
+    try {
+      loadRuleset(path.join(cwd, files.find(f => f.id === 'lgpd-rules').file));
+    } catch (err) {
+      if (!(err instanceof ConfigError)) throw err;
+      Object.assign(lgpdRules, { status: 'invalid', issue: true, label: err.message, message: (err.errors || []).join('\n         ') || undefined });
+    }
+  }
+
+  // Python dependencies are audited against a local OSV snapshot
+  const pythonProject = String(config.stack || '').startsWith('python')
+    || ['pyproject.toml', 'requirements.txt', 'Pipfile'].some(f => fs.existsSync(path.join(cwd, f)));
+  if (pythonProject) {
+    const snapshot = path.join(resolveAdvisoriesDir(cwd, config), 'PyPI');
+    if (fs.existsSync(snapshot)) {
+      const age = Math.floor((Date.now() - fs.statSync(snapshot).mtimeMs) / 86400000);
+      add('advisories', `PyPI advisory snapshot (${age === 0 ? 'updated today' : `${age} day(s) old`})`, age > 30 ? 'warn' : 'ok', {
+        message: age > 30 ? 'Refresh it with: quality-config advisories update' : undefined,
+        issue: false,
+      });
+    } else {
+      add('advisories', 'PyPI advisory snapshot (run: quality-config advisories update)', 'warn', {
+        message: 'Python dependencies are reported as not audited without it.',
+        issue: false,
+      });
+    }
+  }
+
+  // Check git hooks
+  const hooks = HOOK_TYPES.map(type => {
+    const hookPath = path.join(cwd, '.git', 'hooks', type);
+    return { type, content: fs.existsSync(hookPath) ? fs.readFileSync(hookPath, 'utf8') : null };
+  });
+  const installed = hooks.filter(h => h.content?.includes('quality-config')).map(h => h.type);
+  if (installed.length > 0) {
+    add('git-hooks', `git hooks (${installed.join(', ')})`, 'ok');
+  } else if (hooks.some(h => h.content)) {
+    add('git-hooks', `git hooks exist (${hooks.filter(h => h.content).map(h => h.type).join(', ')}) but are not from quality-config`, 'warn', { issue: false });
+  } else {
+    add('git-hooks', 'git hooks (run: quality-config hook install)', 'missing');
+  }
+
+  // Check Docker (not needed when the local SonarQube is disabled)
+  if (useDocker) {
+    if (dockerAvailable()) {
+      add('docker', 'Docker', 'ok');
+    } else {
+      add('docker', 'Docker is not running', 'missing');
+    }
+  } else if (sonarUrl) {
+    const status = sonarServerStatus(sonarUrl);
+    add('sonar-server', `SonarQube at ${sonarUrl}${status === 'UP' ? '' : status ? ` (${status})` : ' is not reachable'}`, status === 'UP' ? 'ok' : 'warn');
+  }
+
+  // Check for hardcoded tokens
+  const sonarProps = path.join(cwd, 'sonar-project.properties');
+  if (fs.existsSync(sonarProps)) {
+    const content = fs.readFileSync(sonarProps, 'utf8');
+    if (content.match(/sonar\.(login|token)\s*=\s*\S+/)) {
+      add('hardcoded-token', 'sonar-project.properties contains a hardcoded token!', 'warn', {
+        message: 'Use SONAR_TOKEN environment variable instead.',
+        issue: true,
+      });
+    }
+  }
+
+  // Coverage reports Sonar reads: missing ones show as 0%, stale ones as old coverage
+  for (const report of checkCoverage({ cwd })) {
+    if (!report.exists) {
+      add('coverage', `Coverage report (${report.file})`, 'missing', {
+        message: 'Sonar reports 0% coverage without it. Run: quality-config scan --with-coverage',
+      });
+    } else if (report.stale) {
+      add('coverage', `Coverage report (${report.file}) is older than ${report.newestSource}`, 'warn', {
+        message: 'Run the tests again, or: quality-config scan --with-coverage',
+      });
+    } else {
+      add('coverage', `Coverage report (${report.file})`, 'ok');
+    }
+  }
+
+  // Credentials committed anywhere else in the working tree
+  try {
+    const { summary } = scanSecrets({ cwd });
+    if (summary.new > 0) {
+      add('secrets', `${summary.new} secret(s) found in the working tree`, 'warn', {
+        message: 'Run "quality-config secrets" to list them; revoke them or accept them with --update-baseline.',
+        issue: true,
+      });
+    } else {
+      add('secrets', 'No secrets in the working tree', 'ok');
+    }
+  } catch (err) {
+    add('secrets', `Secret scan failed: ${err.message}`, 'warn', { issue: false });
+  }
+
+  const issues = checks.filter(c => c.issue).length;
+  return { ok: issues === 0, issues, checks };
+}
+
+module.exports = { doctor };
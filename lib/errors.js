@@ -0,0 +1,104 @@
+// Every error thrown by the programmatic API extends QualityConfigError and
+// carries a stable `code`, so callers can branch without parsing messages.
+
+class QualityConfigError extends Error {
+  constructor(message, { code = 'QC_ERROR', hint, cause } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    if (hint) this.hint = hint;
+    if (cause) this.cause = cause;
+  }
+}
+
+class ConfigError extends QualityConfigError {
+  constructor(message, { file, errors = [] } = {}) {
+    super(message, { code: 'QC_INVALID_CONFIG' });
+    this.file = file;
+    this.errors = errors;
+  }
+}
+
+class UnknownStackError extends QualityConfigError {
+  constructor(stack, supported) {
+    super(`Unknown stack "${stack}". Supported: ${supported.join(', ')}`, { code: 'QC_UNKNOWN_STACK' });
+    this.stack = stack;
+    this.supported = supported;
+  }
+}
+
+class StackDetectionError extends QualityConfigError {
+  constructor(detection) {
+    const names = detection.candidates.map(c => c.stack);
+    const message = detection.ambiguous
+      ? `Could not choose a stack automatically (candidates: ${names.join(', ')}).`
+      : 'Could not detect the project stack.';
+    super(message, {
+      code: detection.ambiguous ? 'QC_STACK_AMBIGUOUS' : 'QC_STACK_UNDETECTED',
+      hint: 'Pass --stack explicitly.',
+    });
+    this.candidates = detection.candidates;
+  }
+}
+
+class MissingConfigError extends QualityConfigError {
+  constructor(file, hint = 'Run "quality-config init" first.') {
+    super(`${file} not found.`, { code: 'QC_MISSING_CONFIG', hint });
+    this.file = file;
+  }
+}
+
+class DockerUnavailableError extends QualityConfigError {
+  constructor() {
+    super('Docker is not running.', { code: 'QC_DOCKER_UNAVAILABLE', hint: 'Start Docker Desktop and try again.' });
+  }
+}
+
+class SonarQubeError extends QualityConfigError {
+  constructor(message, { code = 'QC_SONARQUBE', hint, cause } = {}) {
+    super(message, { code, hint, cause });
+  }
+}
+
+class ScanFailedError extends QualityConfigError {
+  constructor(status) {
+    super('Scan failed.', { code: 'QC_SCAN_FAILED' });
+    this.status = status;
+  }
+}
+
+class QualityGateError extends QualityConfigError {
+  constructor(qualityGate) {
+    super('Quality gate failed.', { code: 'QC_QUALITY_GATE_FAILED', hint: 'Fix the failing conditions or skip the check with --no-gate.' });
+    this.status = qualityGate.status;
+    this.conditions = qualityGate.conditions.filter(c => c.status === 'ERROR');
+  }
+}
+
+class NotGitRepositoryError extends QualityConfigError {
+  constructor(cwd) {
+    super('Not a git repository.', { code: 'QC_NOT_GIT_REPOSITORY' });
+    this.cwd = cwd;
+  }
+}
+
+class TemplateError extends QualityConfigError {
+  constructor(message, template) {
+    super(`${template}: ${message}`, { code: 'QC_TEMPLATE_ERROR' });
+    this.template = template;
+  }
+}
+
+module.exports = {
+  QualityConfigError,
+  ConfigError,
+  UnknownStackError,
+  StackDetectionError,
+  MissingConfigError,
+  DockerUnavailableError,
+  SonarQubeError,
+  ScanFailedError,
+  QualityGateError,
+  NotGitRepositoryError,
+  TemplateError,
+};
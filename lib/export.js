@@ -0,0 +1,133 @@
+const { execSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const { collectReport } = require('./collect');
+const { loadConfig, resolveReportTemplateDir } = require('./config');
+const { REPORT_SECTIONS } = require('./constants');
+const { QualityConfigError } = require('./errors');
+const { FORMATS } = require('./formats');
+const { snapshotFromReport, recordSnapshot } = require('./history');
+const { generateSbom, writeSbom } = require('./sbom');
+const { noop, ensureDir } = require('./utils');
+
+// Compares the report scores against the configured minimums.
+function evaluateThresholds(report, thresholds = {}) {
+  const scores = { health: report.health.score, lgpd: report.lgpd.score };
+  for (const framework of report.frameworks || []) {
+    if (framework.id !== 'lgpd') scores[framework.id] = framework.score;
+  }
+  return Object.entries(thresholds)
+    .filter(([key, min]) => typeof scores[key] === 'number' && scores[key] < min)
+    .map(([key, min]) => ({ metric: key, score: scores[key], threshold: min }));
+}
+
+function parseFormats(formats) {
+  const list = (Array.isArray(formats) ? formats : String(formats).split(','))
+    .map(f => f.trim().toLowerCase())
+    .filter(Boolean);
+  const unknown = list.filter(f => !FORMATS[f]);
+  if (unknown.length > 0) {
+    throw new QualityConfigError(`Unknown export format "${unknown.join(', ')}". Supported: ${Object.keys(FORMATS).join(', ')}`, {
+      code: 'QC_UNKNOWN_FORMAT',
+    });
+  }
+  return [...new Set(list)];
+}
+
+function parseSections(sections) {
+  const list = (Array.isArray(sections) ? sections : String(sections).split(','))
+    .map(s => s.trim().toLowerCase())
+    .filter(Boolean);
+  const unknown = list.filter(s => !REPORT_SECTIONS.includes(s));
+  if (unknown.length > 0) {
+    throw new QualityConfigError(`Unknown report section "${unknown.join(', ')}". Supported: ${REPORT_SECTIONS.join(', ')}`, {
+      code: 'QC_UNKNOWN_SECTION',
+    });
+  }
+  return [...new Set(list)];
+}
+
+const LOGO_TYPES = { '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.gif': 'image/gif', '.svg': 'image/svg+xml', '.webp': 'image/webp' };
+
+// Local logos are inlined as data URIs so the HTML report stays a single file.
+function loadBranding(cwd, branding = {}) {
+  if (!branding.logo || /^(https?|data):/.test(branding.logo)) return branding;
+
+  const file = path.resolve(cwd, branding.logo);
+  if (!fs.existsSync(file)) {
+    throw new QualityConfigError(`Logo not found: ${branding.logo}`, {
+      code: 'QC_LOGO_NOT_FOUND',
+      hint: 'Set report.branding.logo to a path relative to the project root or an http(s) URL.',
+    });
+  }
+  const type = LOGO_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream';
+  return { ...branding, logo: `data:${type};base64,${fs.readFileSync(file).toString('base64')}` };
+}
+
+async function exportReport({ cwd = process.cwd(), sonarUrl, token, formats, sections, frameworks, since, minHealth, sbom, open = false, log = noop } = {}) {
+  const { config } = loadConfig(cwd);
+  const thresholds = { ...config.thresholds };
+  if (minHealth !== undefined) {
+    thresholds.health = parseFloat(minHealth);
+    if (Number.isNaN(thresholds.health) || thresholds.health < 0 || thresholds.health > 100) {
+      throw new QualityConfigError(`Invalid minimum health score "${minHealth}". Use a number from 0 to 100.`, {
+        code: 'QC_INVALID_THRESHOLD',
+      });
+    }
+  }
+  const selectedFormats = parseFormats(formats || config.report?.formats || ['html']);
+  const selectedSections = parseSections(sections || config.report?.sections || REPORT_SECTIONS);
+  const branding = loadBranding(cwd, config.report?.branding);
+  const report = await collectReport({ cwd, sonarUrl, token, since, frameworks, log });
+  recordSnapshot(cwd, config, snapshotFromReport(report, cwd));
+
+  log('  [..] Generating report...\n');
+  const reportDir = path.join(cwd, 'reports');
+  ensureDir(reportDir);
+  const dateSlug = report.generatedAt.slice(0, 10);
+  const renderOptions = {
+    sections: selectedSections,
+    templateDir: resolveReportTemplateDir(cwd, config),
+    locale: config.report?.locale,
+    branding,
+  };
+
+  // The SBOM is written next to the report and linked from the HTML one as
+  // data URIs, so the report stays a single file
+  const sbomFiles = [];
+  if (sbom ?? config.sbom?.attach === true) {
+    log('  [..] Generating SBOM...');
+    const bom = generateSbom({ cwd, dev: config.sbom?.dev === true, log });
+    sbomFiles.push(...writeSbom(cwd, bom, {
+      formats: config.sbom?.formats,
+      dir: reportDir,
+      basename: `quality-report-${report.project.key}-${dateSlug}`,
+    }));
+    report.sbom = { ...bom.summary, sources: bom.sources, files: sbomFiles.map(f => path.basename(f.file)) };
+    renderOptions.sbom = sbomFiles.map(f => ({
+      format: f.format,
+      name: path.basename(f.file),
+      href: `data:application/json;base64,${fs.readFileSync(f.file).toString('base64')}`,
+    }));
+  }
+
+  const files = selectedFormats.map(format => {
+    const { extension, render } = FORMATS[format];
+    const file = path.join(reportDir, `quality-report-${report.project.key}-${dateSlug}.${extension}`);
+    fs.writeFileSync(file, render(report, renderOptions), 'utf8');
+    return { format, file };
+  }).concat(sbomFiles);
+
+  const htmlFile = files.find(f => f.format === 'html')?.file;
+  if (open && htmlFile) {
+    try {
+      const openCmd = process.platform === 'darwin' ? 'open' : process.platform === 'win32' ? 'start' : 'xdg-open';
+      execSync(`${openCmd} "${htmlFile}"`, { stdio: 'ignore' });
+    } catch {}
+  }
+
+  return { files, report, violations: evaluateThresholds(report, thresholds) };
+}
+
+module.exports = { exportReport, evaluateThresholds };
@@ -0,0 +1,347 @@
+const fs = require('fs');
+const path = require('path');
+
+const { REPORT_SECTIONS, TEMPLATES_DIR } = require('../constants');
+const { parse, render } = require('../template');
+
+const BUILTIN_TEMPLATE_DIR = path.join(TEMPLATES_DIR, 'report');
+
+const SECTION_TITLES = {
+  health: 'Project Health Score',
+  trends: 'Trends',
+  gate: 'Quality Gate',
+  overview: 'Code Quality Overview',
+  security: 'Security Analysis',
+  lgpd: 'LGPD Compliance',
+  compliance: 'Compliance Frameworks',
+  deps: 'Dependencies & Vulnerabilities',
+  licenses: 'Dependency Licenses',
+  architecture: 'Code Architecture',
+  debt: 'Technical Debt',
+  hotfiles: 'Critical Files',
+  issues: 'Detailed Issues',
+  git: 'Repository Activity',
+  recommendations: 'Recommendations',
+};
+
+const DEFAULT_BRANDING = {
+  title: 'Project Report',
+  subtitle: 'Project Quality, Security & Compliance Report',
+  footer: 'This report is auto-generated from SonarQube analysis, dependency audit, and git history.',
+  primaryColor: '#1a1a2e',
+  accentColor: '#0f3460',
+};
+
+const SEVERITY_COLORS = {
+  BLOCKER: '#d4333f', CRITICAL: '#d4333f', MAJOR: '#ed7d20',
+  MINOR: '#eabe06', INFO: '#2d9fd9',
+};
+const VULN_COLORS = { critical: '#d4333f', high: '#ed7d20', moderate: '#eabe06', low: '#2d9fd9', info: '#888' };
+const SEVERITY_BAR_COLORS = { BLOCKER: '#d4333f', CRITICAL: '#e05555', MAJOR: '#ed7d20', MINOR: '#eabe06', INFO: '#2d9fd9' };
+const TYPE_LABELS = {
+  BUG: 'Bug', VULNERABILITY: 'Vulnerability', CODE_SMELL: 'Code Smell',
+  SECURITY_HOTSPOT: 'Hotspot',
+};
+const RATING_LABELS = { '1.0': 'A', '2.0': 'B', '3.0': 'C', '4.0': 'D', '5.0': 'E' };
+const RATING_COLORS = { 'A': '#2ea44f', 'B': '#84bb4c', 'C': '#eabe06', 'D': '#ed7d20', 'E': '#d4333f' };
+const TREND_COLORS = { improved: '#2ea44f', worsened: '#d4333f' };
+const SPARKLINE = { width: 120, height: 24 };
+
+function severity(label) {
+  return { label, color: SEVERITY_COLORS[label] || '#888' };
+}
+
+function rating(value) {
+  const letter = RATING_LABELS[value] || value || '-';
+  return { letter, color: RATING_COLORS[letter] || '#888' };
+}
+
+function score(value) {
+  const color = value >= 80 ? '#2ea44f' : value >= 60 ? '#eabe06' : value >= 40 ? '#ed7d20' : '#d4333f';
+  return { value, color };
+}
+
+function percent(value) {
+  return value ? value + '%' : 'N/A';
+}
+
+// SVG polyline points for a sparkline, scaled to SPARKLINE.
+function sparklinePoints(series) {
+  const values = series.length > 1 ? series : [series[0], series[0]];
+  const min = Math.min(...values);
+  const range = Math.max(...values) - min;
+  const step = SPARKLINE.width / (values.length - 1);
+  return values.map((v, i) => {
+    const y = range ? SPARKLINE.height - 2 - ((v - min) / range) * (SPARKLINE.height - 4) : SPARKLINE.height / 2;
+    return `${Math.round(i * step * 10) / 10},${Math.round(y * 10) / 10}`;
+  }).join(' ');
+}
+
+// Files in the project's template dir shadow the bundled ones with the same
+// name, so a project can override a single section or just the stylesheet.
+function createTemplateLoader(templateDir) {
+  const cache = {};
+  return name => {
+    const file = path.extname(name) ? name : `${name}.html`;
+    if (!cache[file]) {
+      const custom = templateDir && path.join(templateDir, file);
+      const source = custom && fs.existsSync(custom) ? custom : path.join(BUILTIN_TEMPLATE_DIR, file);
+      cache[file] = parse(fs.readFileSync(source, 'utf8'), file);
+    }
+    return cache[file];
+  };
+}
+
+// Pre-formats the report data model so the templates stay logic-less.
+function buildView(report, { locale, sectionNumber, sbom = [] }) {
+  const projectKey = report.project.key;
+  const metrics = report.metrics;
+  const issues = report.issues;
+  const { issuesBySeverity } = report;
+  const vulns = report.dependencies.vulnerabilities;
+  const lgpd = report.lgpd;
+  const gateStatus = report.qualityGate.status;
+  const topFile = report.topFiles[0];
+  const secrets = report.secrets ? report.secrets.summary.new : 0;
+  const generatedAt = new Date(report.generatedAt);
+  const formatDate = date => new Date(date).toLocaleDateString(locale);
+  const formatNumber = value => Number(value || 0).toLocaleString(locale);
+  const location = item => `${(item.component || '').replace(`${projectKey}:`, '')}:${item.line || ''}`;
+
+  return {
+    date: generatedAt.toLocaleDateString(locale) + ' ' + generatedAt.toLocaleTimeString(locale),
+    project: report.project,
+    health: {
+      score: score(report.health.score),
+      components: report.health.breakdown.map(c => ({
+        label: c.label,
+        value: c.missing ? 'n/a' : c.value,
+        score: c.score === null ? '-' : c.score,
+        color: c.score === null ? '#888' : score(c.score).color,
+        share: `${c.share}%`,
+        points: c.points,
+      })),
+      skipped: report.health.breakdown.filter(c => c.missing && c.score === null).map(c => c.label).join(', '),
+      defaulted: report.health.breakdown.filter(c => c.missing && c.score !== null).map(c => `${c.label} (${c.score})`).join(', '),
+    },
+    trends: report.trends && {
+      since: report.trends.since,
+      from: formatDate(report.trends.from),
+      to: formatDate(report.trends.to),
+      snapshots: report.trends.snapshots,
+      sparkline: SPARKLINE,
+      metrics: report.trends.metrics.map(m => ({
+        label: m.label,
+        from: m.from.toLocaleString(locale),
+        to: m.to.toLocaleString(locale),
+        delta: (m.delta > 0 ? '+' : '') + m.delta.toLocaleString(locale),
+        color: TREND_COLORS[m.trend] || '#888',
+        points: sparklinePoints(m.series),
+      })),
+    },
+    gate: {
+      passed: gateStatus === 'OK',
+      label: gateStatus === 'OK' ? 'PASSED' : gateStatus === 'ERROR' ? 'FAILED' : gateStatus,
+      color: gateStatus === 'OK' ? '#2ea44f' : gateStatus === 'ERROR' ? '#d4333f' : '#888',
+      conditions: report.qualityGate.conditions.map(c => ({
+        ok: c.status === 'OK',
+        color: c.status === 'OK' ? '#2ea44f' : '#d4333f',
+        metric: c.metricKey,
+        value: c.actualValue || '-',
+        comparator: c.comparator || '',
+        threshold: c.errorThreshold || '',
+        status: c.status,
+      })),
+    },
+    overview: {
+      bugs: metrics.bugs || '0',
+      vulnerabilities: metrics.vulnerabilities || '0',
+      codeSmells: metrics.code_smells || '0',
+      hotspots: metrics.security_hotspots || '0',
+      coverage: percent(metrics.coverage),
+      duplications: percent(metrics.duplicated_lines_density),
+      modules: (report.modules || []).map(m => ({
+        path: m.path,
+        loc: formatNumber(m.metrics.ncloc),
+        bugs: m.metrics.bugs || '0',
+        vulnerabilities: m.metrics.vulnerabilities || '0',
+        codeSmells: m.metrics.code_smells || '0',
+        hotspots: m.metrics.security_hotspots || '0',
+        coverage: percent(m.metrics.coverage),
+        duplications: percent(m.metrics.duplicated_lines_density),
+        reliability: rating(m.metrics.reliability_rating),
+        security: rating(m.metrics.security_rating),
+        maintainability: rating(m.metrics.sqale_rating),
+        issues: m.issues,
+      })),
+      severities: ['BLOCKER', 'CRITICAL', 'MAJOR', 'MINOR', 'INFO']
+        .filter(sev => issuesBySeverity[sev])
+        .map(sev => ({
+          severity: sev,
+          count: issuesBySeverity[sev],
+          color: SEVERITY_BAR_COLORS[sev],
+          width: Math.max((issuesBySeverity[sev] / issues.length) * 100, 5),
+        })),
+      types: Object.entries(report.issuesByType).map(([type, count]) => ({ label: TYPE_LABELS[type] || type, count })),
+    },
+    security: {
+      categories: Object.entries(report.hotspotsByCategory)
+        .sort((a, b) => b[1] - a[1])
+        .map(([category, count]) => ({ category, count })),
+      codeVulnerabilities: metrics.vulnerabilities || '0',
+      dependencyVulnerabilities: vulns.total,
+      hotspots: report.hotspots.map(h => ({
+        risk: severity(h.vulnerabilityProbability || 'MEDIUM'),
+        category: h.securityCategory || '',
+        message: h.message || '',
+        location: location(h),
+        status: h.status || '',
+      })),
+      secrets: report.secrets && {
+        ...report.secrets.summary,
+        color: report.secrets.summary.new > 0 ? '#d4333f' : '#2ea44f',
+        findings: report.secrets.findings.filter(f => !f.baselined).slice(0, 50).map(f => ({
+          ...f,
+          risk: { label: f.severity.toUpperCase(), color: VULN_COLORS[f.severity === 'medium' ? 'moderate' : f.severity] },
+        })),
+      },
+    },
+    lgpd: {
+      score: score(lgpd.score),
+      passed: lgpd.passed,
+      total: lgpd.checks.length,
+      checks: lgpd.checks.map(c => ({ label: c.label, pass: c.check })),
+      issueCount: lgpd.issues.length,
+      issues: lgpd.issues.slice(0, 50).map(i => ({
+        article: i.lgpdArticle || '',
+        rule: i.lgpdName || i.rule || '',
+        message: i.message || '',
+        location: location(i),
+      })),
+    },
+    compliance: (report.frameworks || []).map(f => ({
+      name: f.name,
+      title: f.title,
+      score: score(f.score),
+      passed: f.passed,
+      total: f.total,
+      controls: f.controls.map(c => ({
+        id: c.id,
+        title: c.title,
+        pass: c.status === 'pass',
+        checks: c.checks.map(id => f.checks.find(k => k.id === id).label).join(', '),
+        evidence: c.checks.reduce((sum, id) => sum + f.checks.find(k => k.id === id).evidence.length, 0),
+      })),
+    })),
+    deps: {
+      dependencies: report.dependencies.counts.dependencies,
+      devDependencies: report.dependencies.counts.devDependencies,
+      vulns,
+      criticalColor: vulns.critical > 0 ? '#d4333f' : '#2ea44f',
+      highColor: vulns.high > 0 ? '#ed7d20' : '#2ea44f',
+      outdatedCount: report.dependencies.outdated.length,
+      outdated: report.dependencies.outdated.slice(0, 30),
+      advisoryCount: (report.dependencies.advisories || []).length,
+      advisories: (report.dependencies.advisories || []).slice(0, 50).map(a => ({
+        ...a,
+        color: VULN_COLORS[a.severity] || '#888',
+        fixed: a.fixed || '-',
+      })),
+      unaudited: (report.dependencies.audits || []).filter(a => !a.audited)
+        .map(a => ({ label: `${a.ecosystem} (${a.location})`, reason: a.reason })),
+      sbom: report.sbom && {
+        ...report.sbom,
+        downloads: sbom.map(d => ({ ...d, label: d.format === 'cyclonedx' ? 'CycloneDX' : 'SPDX' })),
+      },
+    },
+    licenses: report.licenses && {
+      ...report.licenses.summary,
+      deniedColor: report.licenses.summary.denied > 0 ? '#d4333f' : '#2ea44f',
+      violations: report.licenses.violations.map(p => ({ ...p, license: p.license || p.declared || 'unknown' })),
+      unknownPackages: report.licenses.packages.filter(p => p.status === 'unknown').slice(0, 30)
+        .map(p => ({ ...p, declared: p.declared || '-' })),
+      licenses: report.licenses.summary.licenses.slice(0, 20),
+      notes: report.licenses.sources.filter(s => s.reason),
+    },
+    architecture: {
+      loc: formatNumber(metrics.ncloc),
+      files: metrics.files || '-',
+      functions: metrics.functions || '-',
+      classes: metrics.classes || '-',
+      statements: metrics.statements || '-',
+      complexity: metrics.complexity || '-',
+      cognitiveComplexity: metrics.cognitive_complexity || '-',
+      duplicatedBlocks: metrics.duplicated_blocks || '-',
+    },
+    debt: {
+      days: report.debt.days,
+      hours: report.debt.hours,
+      ratio: metrics.sqale_debt_ratio ? metrics.sqale_debt_ratio + '%' : '-',
+      rating: rating(metrics.sqale_rating),
+    },
+    hotfiles: report.topFiles.map(f => ({
+      file: f.file,
+      count: f.count,
+      width: Math.min(Math.round((f.count / issues.length) * 100) * 3, 100),
+    })),
+    issues: {
+      shown: Math.min(issues.length, 100),
+      total: issues.length,
+      list: issues.slice(0, 100).map(issue => ({
+        severity: severity(issue.severity),
+        type: TYPE_LABELS[issue.type] || issue.type,
+        message: issue.message || '',
+        location: location(issue),
+      })),
+    },
+    git: {
+      branch: report.git.branch,
+      commits: report.git.commitCount,
+      lastCommit: report.git.lastCommit,
+      contributors: report.git.contributors,
+    },
+    recommendations: {
+      criticalDeps: vulns.critical,
+      highDeps: vulns.high,
+      blockerIssues: issuesBySeverity.BLOCKER || 0,
+      criticalIssues: issuesBySeverity.CRITICAL || 0,
+      hotspots: report.hotspots.length,
+      secrets,
+      lgpdIssues: lgpd.issues.length,
+      noCritical: vulns.critical === 0 && vulns.high === 0 && !issuesBySeverity.BLOCKER && !issuesBySeverity.CRITICAL
+        && report.hotspots.length === 0 && secrets === 0 && lgpd.issues.length === 0,
+      noCoverage: !metrics.coverage || metrics.coverage === '0.0',
+      duplication: parseFloat(metrics.duplicated_lines_density || '0') > 5 ? metrics.duplicated_lines_density : false,
+      debtDays: report.debt.days > 10 ? report.debt.days : false,
+      refactor: topFile && topFile.count > 20 ? topFile : false,
+      failedLgpdChecks: lgpd.checks.filter(c => !c.check),
+      lgpdPassed: lgpd.checks.every(c => c.check),
+      lgpdSection: sectionNumber('lgpd'),
+    },
+  };
+}
+
+function renderHtmlReport(report, options = {}) {
+  const locale = options.locale || 'pt-BR';
+  const brand = { ...DEFAULT_BRANDING, ...options.branding };
+  const load = createTemplateLoader(options.templateDir);
+
+  // The compliance section only makes sense when frameworks were selected,
+  // the licenses one when some dependencies were found
+  const selected = [...new Set(options.sections || REPORT_SECTIONS)]
+    .filter(id => SECTION_TITLES[id])
+    .filter(id => id !== 'compliance' || (report.frameworks || []).length > 0)
+    .filter(id => id !== 'licenses' || (report.licenses?.sources || []).length > 0);
+  const sectionNumber = id => selected.indexOf(id) + 1;
+  const view = { ...buildView(report, { locale, sectionNumber, sbom: options.sbom }), lang: locale, brand };
+
+  const sections = selected.map((id, i) => ({
+    id,
+    title: SECTION_TITLES[id],
+    html: render(load(`sections/${id}`), { ...view, number: i + 1 }, load).trim(),
+  }));
+
+  return render(load('layout'), { ...view, sections }, load);
+}
+
+module.exports = { renderHtmlReport };
@@ -0,0 +1,22 @@
+const { renderHtmlReport } = require('./html');
+const { renderJsonReport } = require('./json');
+const { renderJunitReport } = require('./junit');
+const { renderMarkdownReport } = require('./markdown');
+const { renderSarifReport } = require('./sarif');
+
+const FORMATS = {
+  html:  { extension: 'html', render: renderHtmlReport },
+  json:  { extension: 'json', render: renderJsonReport },
+  sarif: { extension: 'sarif', render: renderSarifReport },
+  junit: { extension: 'junit.xml', render: renderJunitReport },
+  md:    { extension: 'md', render: renderMarkdownReport },
+};
+
+module.exports = {
+  FORMATS,
+  renderHtmlReport,
+  renderJsonReport,
+  renderJunitReport,
+  renderMarkdownReport,
+  renderSarifReport,
+};
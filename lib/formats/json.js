@@ -0,0 +1,5 @@
+function renderJsonReport(report) {
+  return JSON.stringify(report, null, 2) + '\n';
+}
+
+module.exports = { renderJsonReport };
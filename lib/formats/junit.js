@@ -0,0 +1,83 @@
+const { formatCondition } = require('../gate');
+const { escapeHtml } = require('../utils');
+
+function testcase(classname, name, failure) {
+  const open = `    <testcase classname="${escapeHtml(classname)}" name="${escapeHtml(name)}"`;
+  if (!failure) return `${open}/>`;
+  return `${open}>\n      <failure message="${escapeHtml(failure)}"/>\n    </testcase>`;
+}
+
+function suite(name, cases) {
+  const failures = cases.filter(c => c.failure).length;
+  return [
+    `  <testsuite name="${escapeHtml(name)}" tests="${cases.length}" failures="${failures}">`,
+    ...cases.map(c => testcase(name, c.name, c.failure)),
+    '  </testsuite>',
+  ].join('\n');
+}
+
+// Quality gate conditions, LGPD checks, framework controls, dependency audit,
+// license violations, committed secrets and blocker/critical issues as JUnit
+// test cases, so CI test tabs show what failed.
+function renderJunitReport(report) {
+  const projectKey = report.project.key;
+  const vulns = report.dependencies.vulnerabilities;
+
+  const gateCases = report.qualityGate.conditions.length > 0
+    ? report.qualityGate.conditions.map(c => ({
+      name: c.metricKey,
+      failure: c.status === 'ERROR' ? formatCondition(c) : null,
+    }))
+    : [{ name: 'status', failure: report.qualityGate.status === 'ERROR' ? 'Quality gate failed' : null }];
+
+  const lgpdCases = report.lgpd.checks.map(c => ({ name: c.label, failure: c.check ? null : `Failed: ${c.label}` }));
+
+  const depCases = ['critical', 'high'].map(sev => ({
+    name: `No ${sev} dependency vulnerabilities`,
+    failure: vulns[sev] > 0 ? `${vulns[sev]} ${sev} vulnerabilities` : null,
+  }));
+
+  const blocking = report.issues.filter(i => i.severity === 'BLOCKER' || i.severity === 'CRITICAL');
+  const issueCases = blocking.length > 0
+    ? blocking.map(i => {
+      const file = (i.component || '').replace(`${projectKey}:`, '');
+      return { name: `${file}:${i.line || ''} ${i.rule}`, failure: `${i.severity}: ${i.message || i.rule}` };
+    })
+    : [{ name: 'No blocker or critical issues', failure: null }];
+
+  const frameworkSuites = (report.frameworks || []).map(f => suite(`${f.name} Compliance`, f.controls.map(c => ({
+    name: [c.id, c.title].filter(Boolean).join(' '),
+    failure: c.status === 'fail' ? `Failed: ${c.checks.map(id => f.checks.find(k => k.id === id)).filter(k => !k.check).map(k => k.label).join(', ')}` : null,
+  }))));
+
+  const licenseCases = report.licenses && report.licenses.sources.length > 0
+    ? report.licenses.violations.length > 0
+      ? report.licenses.violations.map(p => ({ name: `${p.name}@${p.version}`, failure: `${p.license || 'unknown license'}: ${p.reason}` }))
+      : [{ name: 'All dependency licenses allowed', failure: null }]
+    : [];
+
+  const freshSecrets = (report.secrets?.findings || []).filter(f => !f.baselined);
+  const secretCases = report.secrets
+    ? freshSecrets.length > 0
+      ? freshSecrets.map(f => ({ name: `${f.file}:${f.line} ${f.rule}`, failure: `${f.severity}: ${f.description} (${f.secret})` }))
+      : [{ name: 'No committed secrets', failure: null }]
+    : [];
+
+  const suites = [
+    suite('Quality Gate', gateCases),
+    suite('LGPD Compliance', lgpdCases),
+    ...frameworkSuites,
+    suite('Dependencies', depCases),
+    ...(licenseCases.length > 0 ? [suite('Licenses', licenseCases)] : []),
+    ...(secretCases.length > 0 ? [suite('Secrets', secretCases)] : []),
+    suite('SonarQube Issues', issueCases),
+  ];
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="quality-config ${escapeHtml(projectKey)}">
+${suites.join('\n')}
+</testsuites>
+`;
+}
+
+module.exports = { renderJunitReport };
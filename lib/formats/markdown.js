@@ -0,0 +1,130 @@
+const { formatCondition } = require('../gate');
+
+function escapeMd(str) {
+  return String(str ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+function gateLabel(status) {
+  if (status === 'OK') return 'PASSED';
+  if (status === 'ERROR') return 'FAILED';
+  return status;
+}
+
+// Compact summary meant for PR comments and CI job summaries.
+function renderMarkdownReport(report) {
+  const m = report.metrics;
+  const vulns = report.dependencies.vulnerabilities;
+  const projectKey = report.project.key;
+  const lines = [];
+
+  lines.push(`## Quality report: ${escapeMd(report.project.name)}`);
+  lines.push('');
+  lines.push(`**Health score:** ${report.health.score}% · **Quality gate:** ${gateLabel(report.qualityGate.status)} · **LGPD:** ${report.lgpd.score}% (${report.lgpd.passed}/${report.lgpd.checks.length})`);
+  lines.push('');
+
+  const failing = report.qualityGate.conditions.filter(c => c.status === 'ERROR');
+  if (failing.length > 0) {
+    lines.push('### Failing quality gate conditions');
+    lines.push('');
+    for (const c of failing) {
+      lines.push(`- ${formatCondition(c)}`);
+    }
+    lines.push('');
+  }
+
+  lines.push('### Metrics');
+  lines.push('');
+  lines.push('| Bugs | Vulnerabilities | Code Smells | Hotspots | Coverage | Duplications |');
+  lines.push('|---|---|---|---|---|---|');
+  lines.push(`| ${m.bugs || 0} | ${m.vulnerabilities || 0} | ${m.code_smells || 0} | ${m.security_hotspots || 0} | ${m.coverage ? m.coverage + '%' : 'N/A'} | ${m.duplicated_lines_density ? m.duplicated_lines_density + '%' : 'N/A'} |`);
+  lines.push('');
+
+  const failedChecks = report.lgpd.checks.filter(c => !c.check);
+  if (failedChecks.length > 0) {
+    lines.push('### LGPD checks failing');
+    lines.push('');
+    for (const c of failedChecks) lines.push(`- ${escapeMd(c.label)}`);
+    lines.push('');
+  }
+
+  for (const f of report.frameworks || []) {
+    lines.push(`### ${f.name}: ${f.score}% (${f.passed}/${f.total})`);
+    lines.push('');
+    lines.push('| Control | Requirement | Status | Issues |');
+    lines.push('|---|---|---|---|');
+    for (const c of f.controls) {
+      const issues = c.checks.reduce((sum, id) => sum + f.checks.find(k => k.id === id).evidence.length, 0);
+      lines.push(`| ${escapeMd(c.id)} | ${escapeMd(c.title)} | ${c.status === 'pass' ? 'pass' : '**fail**'} | ${issues} |`);
+    }
+    lines.push('');
+  }
+
+  lines.push('### Dependencies');
+  lines.push('');
+  lines.push(`Critical: **${vulns.critical}** · High: **${vulns.high}** · Moderate: ${vulns.moderate} · Low: ${vulns.low} · Outdated: ${report.dependencies.outdated.length}`);
+  lines.push('');
+  for (const a of (report.dependencies.audits || []).filter(a => !a.audited)) {
+    lines.push(`> ${a.ecosystem} dependencies in \`${a.location}\` not audited: ${a.reason}`);
+    lines.push('');
+  }
+  const advisories = report.dependencies.advisories || [];
+  if (advisories.length > 0) {
+    lines.push('| Package | Version | Advisory | Severity | Fixed in |');
+    lines.push('|---|---|---|---|---|');
+    for (const a of advisories.slice(0, 20)) {
+      lines.push(`| ${a.name} | ${a.version} | [${a.id}](${a.url}) | ${a.severity} | ${a.fixed || '-'} |`);
+    }
+    lines.push('');
+  }
+
+  if (report.licenses && report.licenses.sources.length > 0) {
+    const { summary, violations } = report.licenses;
+    lines.push('### Licenses');
+    lines.push('');
+    lines.push(`Packages: ${summary.total} · Denied: **${summary.denied}** · Unknown: ${summary.unknown} · ${summary.licenses.slice(0, 5).map(l => `${escapeMd(l.license)} ${l.packages}`).join(', ')}`);
+    lines.push('');
+    if (violations.length > 0) {
+      lines.push('| Package | Version | License | Reason |');
+      lines.push('|---|---|---|---|');
+      for (const p of violations.slice(0, 20)) {
+        lines.push(`| ${p.name} | ${p.version} | ${escapeMd(p.license || p.declared || 'unknown')} | ${p.reason} |`);
+      }
+      lines.push('');
+    }
+  }
+
+  if (report.secrets) {
+    const { summary, findings } = report.secrets;
+    lines.push('### Secrets');
+    lines.push('');
+    lines.push(`New: **${summary.new}** · Critical: ${summary.critical} · High: ${summary.high} · Medium: ${summary.medium} · Accepted: ${summary.baselined}`);
+    lines.push('');
+    const fresh = findings.filter(f => !f.baselined);
+    if (fresh.length > 0) {
+      lines.push('| Severity | Secret | File | Value |');
+      lines.push('|---|---|---|---|');
+      for (const f of fresh.slice(0, 20)) {
+        lines.push(`| ${f.severity} | ${escapeMd(f.description)} | \`${f.file}:${f.line}\` | \`${f.secret}\` |`);
+      }
+      lines.push('');
+    }
+  }
+
+  const top = report.issues.slice(0, 10);
+  if (top.length > 0) {
+    lines.push(`### Top issues (${top.length} of ${report.issues.length})`);
+    lines.push('');
+    lines.push('| Severity | Type | Description | File |');
+    lines.push('|---|---|---|---|');
+    for (const i of top) {
+      const file = (i.component || '').replace(`${projectKey}:`, '');
+      lines.push(`| ${i.severity} | ${i.type} | ${escapeMd(i.message)} | \`${escapeMd(file)}:${i.line || ''}\` |`);
+    }
+    lines.push('');
+  }
+
+  lines.push(`<sub>Generated by @olympio/quality-config · ${report.generatedAt}</sub>`);
+  return lines.join('\n') + '\n';
+}
+
+module.exports = { renderMarkdownReport };
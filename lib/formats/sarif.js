@@ -0,0 +1,118 @@
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const INFORMATION_URI = 'https://github.com/olympio-startup/quality-config';
+
+const LEVELS = {
+  BLOCKER: 'error', CRITICAL: 'error', MAJOR: 'warning', MINOR: 'note', INFO: 'note',
+};
+
+function componentPath(component, projectKey) {
+  return (component || '').replace(`${projectKey}:`, '');
+}
+
+function region(item) {
+  const range = item.textRange;
+  if (range) {
+    return {
+      startLine: range.startLine,
+      endLine: range.endLine,
+      startColumn: range.startOffset + 1,
+      endColumn: range.endOffset + 1,
+    };
+  }
+  return item.line ? { startLine: item.line } : undefined;
+}
+
+function location(item, projectKey) {
+  return {
+    physicalLocation: {
+      artifactLocation: { uri: componentPath(item.component, projectKey), uriBaseId: '%SRCROOT%' },
+      region: region(item),
+    },
+  };
+}
+
+// SonarQube issues, hotspots and committed secrets as a SARIF 2.1.0 log
+// (GitHub code scanning). LGPD-mapped rules carry the article in their properties.
+function renderSarifReport(report) {
+  const projectKey = report.project.key;
+  const lgpdByRule = {};
+  for (const issue of report.lgpd.issues) {
+    lgpdByRule[issue.rule] = issue.lgpdArticle;
+  }
+
+  const rules = new Map();
+  const addRule = (id, props) => {
+    if (!rules.has(id)) rules.set(id, { id, ...props });
+  };
+
+  const results = [];
+  for (const issue of report.issues) {
+    addRule(issue.rule, {
+      shortDescription: { text: issue.rule },
+      helpUri: `${report.project.sonarUrl}/coding_rules?open=${encodeURIComponent(issue.rule)}`,
+      properties: {
+        tags: ['sonarqube', (issue.type || '').toLowerCase()].concat(lgpdByRule[issue.rule] ? ['lgpd'] : []),
+        ...(lgpdByRule[issue.rule] ? { lgpdArticle: lgpdByRule[issue.rule] } : {}),
+      },
+    });
+    results.push({
+      ruleId: issue.rule,
+      level: LEVELS[issue.severity] || 'warning',
+      message: { text: issue.message || issue.rule },
+      locations: [location(issue, projectKey)],
+      partialFingerprints: { 'sonarIssueKey/v1': issue.key },
+      properties: { severity: issue.severity, type: issue.type },
+    });
+  }
+
+  for (const hotspot of report.hotspots) {
+    const ruleId = hotspot.ruleKey || `hotspot:${hotspot.securityCategory || 'other'}`;
+    addRule(ruleId, {
+      shortDescription: { text: `Security hotspot (${hotspot.securityCategory || 'other'})` },
+      properties: { tags: ['sonarqube', 'security-hotspot'] },
+    });
+    results.push({
+      ruleId,
+      level: hotspot.vulnerabilityProbability === 'HIGH' ? 'error' : 'warning',
+      message: { text: hotspot.message || ruleId },
+      locations: [location(hotspot, projectKey)],
+      partialFingerprints: { 'sonarHotspotKey/v1': hotspot.key },
+      properties: { status: hotspot.status, vulnerabilityProbability: hotspot.vulnerabilityProbability },
+    });
+  }
+
+  for (const secret of (report.secrets?.findings || []).filter(f => !f.baselined)) {
+    const ruleId = `secret:${secret.rule}`;
+    addRule(ruleId, {
+      shortDescription: { text: secret.rule === 'high-entropy-string' ? 'High-entropy secret' : secret.description },
+      properties: { tags: ['secrets', 'security'] },
+    });
+    results.push({
+      ruleId,
+      level: secret.severity === 'medium' ? 'warning' : 'error',
+      message: { text: `${secret.description} (${secret.secret})` },
+      locations: [location({ component: secret.file, line: secret.line }, projectKey)],
+      partialFingerprints: { 'secretFingerprint/v1': secret.fingerprint },
+      properties: { severity: secret.severity },
+    });
+  }
+
+  const log = {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: '@olympio/quality-config',
+          informationUri: INFORMATION_URI,
+          rules: [...rules.values()],
+        },
+      },
+      automationDetails: { id: `quality-config/${projectKey}/` },
+      results,
+    }],
+  };
+  return JSON.stringify(log, null, 2) + '\n';
+}
+
+module.exports = { renderSarifReport };
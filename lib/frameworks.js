@@ -0,0 +1,68 @@
+const { QualityConfigError } = require('./errors');
+
+// Regulations and standards a ruleset check can map to. Checks name the
+// controls of each one in `frameworks`; LGPD also reads the check `article`.
+const FRAMEWORKS = {
+  lgpd: { name: 'LGPD', title: 'Lei Geral de Proteção de Dados (Lei 13.709/2018)' },
+  gdpr: { name: 'GDPR', title: 'General Data Protection Regulation (EU 2016/679)' },
+  hipaa: { name: 'HIPAA', title: 'HIPAA Security Rule (45 CFR Part 164)' },
+  asvs: { name: 'OWASP ASVS', title: 'OWASP Application Security Verification Standard 4.0' },
+  iso27001: { name: 'ISO 27001', title: 'ISO/IEC 27001:2022 Annex A' },
+  'pci-dss': { name: 'PCI DSS', title: 'Payment Card Industry Data Security Standard 4.0' },
+};
+
+function parseFrameworks(frameworks) {
+  const list = (Array.isArray(frameworks) ? frameworks : String(frameworks).split(','))
+    .map(f => f.trim().toLowerCase())
+    .filter(Boolean);
+  const unknown = list.filter(f => !FRAMEWORKS[f]);
+  if (unknown.length > 0) {
+    throw new QualityConfigError(`Unknown framework "${unknown.join(', ')}". Supported: ${Object.keys(FRAMEWORKS).join(', ')}`, {
+      code: 'QC_UNKNOWN_FRAMEWORK',
+    });
+  }
+  return [...new Set(list)];
+}
+
+// Scores each framework on the ruleset checks mapped to it and groups them by
+// control. Without LGPD results (no SonarQube data) the score is null and the
+// controls are not verified.
+function evaluateFrameworks({ ruleset, lgpd, frameworks }) {
+  const results = Object.fromEntries((lgpd?.checks || []).map(c => [c.id, c]));
+
+  return frameworks.map(id => {
+    const titles = id === 'lgpd' ? { ...ruleset.articles, ...ruleset.controls?.lgpd } : ruleset.controls?.[id] || {};
+    const checks = ruleset.checks
+      .filter(c => (c.frameworks?.[id] || []).length > 0)
+      .map(c => ({ ...(results[c.id] || { id: c.id, label: c.label || c.id }), weight: c.weight, controls: c.frameworks[id] }));
+
+    const controls = [];
+    for (const check of checks) {
+      for (const control of check.controls) {
+        let entry = controls.find(c => c.id === control);
+        if (!entry) {
+          entry = { id: control, title: titles[control] || '', checks: [] };
+          controls.push(entry);
+        }
+        entry.checks.push(check.id);
+      }
+    }
+    const status = ids => (!lgpd ? 'unverified' : ids.every(c => checks.find(k => k.id === c).check) ? 'pass' : 'fail');
+
+    const totalWeight = checks.reduce((sum, c) => sum + c.weight, 0);
+    const passedWeight = checks.filter(c => c.check).reduce((sum, c) => sum + c.weight, 0);
+    return {
+      id,
+      ...FRAMEWORKS[id],
+      score: !lgpd ? null : totalWeight ? Math.round((passedWeight / totalWeight) * 100) : 100,
+      passed: checks.filter(c => c.check).length,
+      total: checks.length,
+      controls: controls
+        .sort((a, b) => a.id.localeCompare(b.id, 'en', { numeric: true }))
+        .map(c => ({ ...c, status: status(c.checks) })),
+      checks,
+    };
+  });
+}
+
+module.exports = { FRAMEWORKS, parseFrameworks, evaluateFrameworks };
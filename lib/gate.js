@@ -0,0 +1,78 @@
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const { SonarQubeError } = require('./errors');
+const { sonarApiFetch } = require('./sonar');
+const { noop } = require('./utils');
+
+const COMPARATORS = { GT: '>', LT: '<', EQ: '=', NE: '!=' };
+
+// The scanner writes .scannerwork/report-task.txt once the report is uploaded;
+// it holds the id of the server-side (Compute Engine) task to wait for.
+function readReportTask(cwd) {
+  const file = path.join(cwd, '.scannerwork', 'report-task.txt');
+  if (!fs.existsSync(file)) return null;
+
+  const task = {};
+  for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+    const idx = line.indexOf('=');
+    if (idx > 0) task[line.slice(0, idx).trim()] = line.slice(idx + 1).trim();
+  }
+  return task;
+}
+
+function waitForAnalysis({ taskId, token, sonarUrl, timeoutSeconds = 300, intervalSeconds = 2, log = noop }) {
+  const deadline = Date.now() + timeoutSeconds * 1000;
+  let lastStatus = null;
+
+  while (Date.now() < deadline) {
+    const response = sonarApiFetch(`/api/ce/task?id=${encodeURIComponent(taskId)}`, token, sonarUrl);
+    const task = response?.task;
+    if (task) {
+      if (task.status === 'SUCCESS') return task;
+      if (task.status === 'FAILED' || task.status === 'CANCELED') {
+        throw new SonarQubeError(`Server-side analysis ${task.status.toLowerCase()}.`, {
+          code: 'QC_ANALYSIS_FAILED',
+          hint: task.errorMessage || `See ${sonarUrl}/project/background_tasks?id=${encodeURIComponent(task.componentKey || '')}`,
+        });
+      }
+      if (task.status !== lastStatus) {
+        log(`  [..] Analysis ${task.status.toLowerCase().replace('_', ' ')}...`);
+        lastStatus = task.status;
+      }
+    }
+    spawnSync('sleep', [String(intervalSeconds)]);
+  }
+
+  throw new SonarQubeError(`Server-side analysis did not finish within ${timeoutSeconds}s.`, {
+    code: 'QC_ANALYSIS_TIMEOUT',
+    hint: `Check ${sonarUrl}/admin/background_tasks`,
+  });
+}
+
+function fetchQualityGate({ analysisId, projectKey, token, sonarUrl }) {
+  const query = analysisId
+    ? `analysisId=${encodeURIComponent(analysisId)}`
+    : `projectKey=${encodeURIComponent(projectKey)}`;
+  const response = sonarApiFetch(`/api/qualitygates/project_status?${query}`, token, sonarUrl);
+  if (!response?.projectStatus) {
+    throw new SonarQubeError('Could not fetch quality gate status.', { code: 'QC_QUALITY_GATE_UNAVAILABLE' });
+  }
+  return {
+    status: response.projectStatus.status,
+    conditions: response.projectStatus.conditions || [],
+  };
+}
+
+function formatCondition(condition) {
+  const comparator = COMPARATORS[condition.comparator] || condition.comparator || '';
+  return `${condition.metricKey}: ${condition.actualValue ?? '-'} (must not be ${comparator} ${condition.errorThreshold})`;
+}
+
+module.exports = {
+  readReportTask,
+  waitForAnalysis,
+  fetchQualityGate,
+  formatCondition,
+};
@@ -0,0 +1,128 @@
+const { execSync } = require('child_process');
+
+const { NotGitRepositoryError, QualityConfigError } = require('./errors');
+
+// Revisions that are safe to put on a git command line.
+const REF_PATTERN = /^[\w.@{}^~:/][\w./@{}^~:-]*$/;
+
+function git(command, cwd) {
+  return execSync(`git ${command}`, { cwd, encoding: 'utf8', stdio: ['pipe', 'pipe', 'ignore'], maxBuffer: 1024 * 1024 * 1024 });
+}
+
+function isGitRepository(cwd) {
+  try {
+    return git('rev-parse --is-inside-work-tree', cwd).trim() === 'true';
+  } catch {
+    return false;
+  }
+}
+
+// Added lines of a `git diff -U0` / `git log -p -U0` output, by file.
+function addedLines(patch) {
+  const lines = [];
+  let file = null;
+  let next = 0;
+  for (const text of patch.split('\n')) {
+    if (text.startsWith('+++ ')) {
+      file = text === '+++ /dev/null' ? null : text.slice(4).replace(/^b\//, '').replace(/^"(.*)"$/, '$1');
+    } else if (text.startsWith('@@')) {
+      next = Number((/\+(\d+)/.exec(text) || [])[1] || 0);
+    } else if (file && text.startsWith('+')) {
+      lines.push({ file, line: next++, text: text.slice(1) });
+    }
+  }
+  return lines;
+}
+
+// The remote-tracking branch of the current branch ("origin/main"), or null.
+function upstreamRef(cwd) {
+  try {
+    return git('rev-parse --abbrev-ref --symbolic-full-name @{upstream}', cwd).trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+// The checked-out branch, or null on a detached HEAD (or outside a repository).
+function currentBranch(cwd) {
+  try {
+    const branch = git('rev-parse --abbrev-ref HEAD', cwd).trim();
+    return branch && branch !== 'HEAD' ? branch : null;
+  } catch {
+    return null;
+  }
+}
+
+// The branch `ref` names on the server side: a local branch as is, a
+// remote-tracking one without its remote ("origin/main" -> "main"). null for
+// tags, commits and other revisions.
+function branchName(cwd, ref) {
+  let full = '';
+  try {
+    if (REF_PATTERN.test(ref)) full = git(`rev-parse --verify --quiet --symbolic-full-name ${ref}`, cwd).trim();
+  } catch {}
+  if (full.startsWith('refs/heads/')) return full.slice('refs/heads/'.length);
+  if (!full.startsWith('refs/remotes/')) return null;
+
+  const tracking = full.slice('refs/remotes/'.length);
+  const remote = git('remote', cwd).split('\n').filter(Boolean).find(name => tracking.startsWith(`${name}/`));
+  const branch = remote && tracking.slice(remote.length + 1);
+  return branch && branch !== 'HEAD' ? branch : null;
+}
+
+// Files changed between the merge base of `ref` (default: the upstream of the
+// current branch) and the working tree, with the line ranges each change added.
+// Untracked files count as added in full, flagged `untracked`.
+function changedSince(cwd, ref) {
+  if (!isGitRepository(cwd)) throw new NotGitRepositoryError(cwd);
+
+  const base = ref || upstreamRef(cwd);
+  if (!base) {
+    throw new QualityConfigError('The current branch has no upstream to compare with.', {
+      code: 'QC_NO_UPSTREAM',
+      hint: 'Pass the base explicitly, e.g. --changed-since origin/main',
+    });
+  }
+  let mergeBase = null;
+  try {
+    if (REF_PATTERN.test(base)) mergeBase = git(`merge-base ${base} HEAD`, cwd).trim();
+  } catch {}
+  if (!mergeBase) {
+    throw new QualityConfigError(`Unknown git revision "${base}".`, { code: 'QC_INVALID_REF' });
+  }
+
+  const files = new Map();
+  const patch = git(`diff -U0 --no-color --no-ext-diff --no-renames ${mergeBase}`, cwd);
+  let current = null;
+  for (const text of patch.split('\n')) {
+    if (text.startsWith('--- ')) {
+      current = { added: text === '--- /dev/null', lines: [] };
+    } else if (text.startsWith('+++ ') && text !== '+++ /dev/null') {
+      files.set(text.slice(4).replace(/^b\//, '').replace(/^"(.*)"$/, '$1'), current);
+    } else if (text.startsWith('@@')) {
+      const [, start, count = '1'] = /\+(\d+)(?:,(\d+))?/.exec(text) || [];
+      if (Number(count) > 0) current.lines.push([Number(start), Number(start) + Number(count) - 1]);
+    }
+  }
+  for (const file of git('ls-files -z --others --exclude-standard', cwd).split('\0').filter(Boolean)) {
+    files.set(file, { added: true, untracked: true, lines: [] });
+  }
+
+  return {
+    ref: base,
+    base: mergeBase,
+    branch: git('rev-parse --abbrev-ref HEAD', cwd).trim(),
+    files: [...files].map(([file, change]) => ({ file, ...change })).sort((a, b) => a.file.localeCompare(b.file)),
+  };
+}
+
+// Whether `line` of `file` was added by the changes (any line of a new file;
+// `line` undefined means a file-level finding, which only new files own).
+function onChangedLine(changes, file, line) {
+  const change = changes.files.find(f => f.file === file);
+  if (!change) return false;
+  if (change.added) return true;
+  return line !== undefined && change.lines.some(([start, end]) => line >= start && line <= end);
+}
+
+module.exports = { git, isGitRepository, addedLines, upstreamRef, currentBranch, branchName, changedSince, onChangedLine };
@@ -0,0 +1,126 @@
+const { ConfigError } = require('./errors');
+
+// Built-in components of the health score. Each one turns its input into a
+// 0-100 score: `linear` interpolates between `worst` and `best`, `ladder`
+// takes the score of the most severe dependency vulnerability level present.
+// Components with weight 0 are available but off unless configured.
+const HEALTH_METRICS = {
+  reliability: { label: 'Reliability', kind: 'linear', metric: 'reliability_rating', best: 1, worst: 5, weight: 20, format: 'rating' },
+  security: { label: 'Security', kind: 'linear', metric: 'security_rating', best: 1, worst: 5, weight: 25, format: 'rating' },
+  maintainability: { label: 'Maintainability', kind: 'linear', metric: 'sqale_rating', best: 1, worst: 5, weight: 15, format: 'rating' },
+  lgpd: { label: 'LGPD', kind: 'linear', best: 100, worst: 0, weight: 25, format: 'percent' },
+  dependencies: { label: 'Dependencies', kind: 'ladder', levels: { critical: 0, high: 30, moderate: 60 }, weight: 15 },
+  coverage: { label: 'Coverage', kind: 'linear', metric: 'coverage', best: 80, worst: 0, weight: 0, format: 'percent' },
+  duplication: { label: 'Duplication', kind: 'linear', metric: 'duplicated_lines_density', best: 3, worst: 20, weight: 0, format: 'percent' },
+  hotspots: { label: 'Hotspot review', kind: 'linear', metric: 'security_hotspots_reviewed', best: 100, worst: 0, weight: 0, format: 'percent' },
+  outdated: { label: 'Outdated dependencies', kind: 'linear', best: 0, worst: 20, weight: 0 },
+};
+
+// Missing inputs are left out and their weight spread over the rest, unless
+// `health.missing` asks for a fixed score instead.
+const MISSING_SCORES = { skip: null, neutral: 50, zero: 0 };
+
+const RATING_LETTERS = { 1: 'A', 2: 'B', 3: 'C', 4: 'D', 5: 'E' };
+
+function resolveHealthModel(config = {}, file) {
+  const configured = config.health?.metrics || {};
+  const errors = [];
+  const components = [];
+
+  for (const key of new Set([...Object.keys(HEALTH_METRICS), ...Object.keys(configured)])) {
+    const def = { label: key, kind: 'linear', ...HEALTH_METRICS[key], ...configured[key] };
+    if (!HEALTH_METRICS[key] && (!def.metric || typeof def.best !== 'number' || typeof def.worst !== 'number')) {
+      errors.push(`health.metrics.${key}: custom metrics need "metric", "best" and "worst"`);
+      continue;
+    }
+    if (def.kind === 'linear' && def.best === def.worst) {
+      errors.push(`health.metrics.${key}: "best" and "worst" must differ`);
+      continue;
+    }
+    if (configured[key]?.levels) def.levels = { ...HEALTH_METRICS[key]?.levels, ...configured[key].levels };
+    if (def.weight > 0) components.push({ key, ...def });
+  }
+
+  if (errors.length > 0) {
+    throw new ConfigError(`Invalid health score model in ${file || 'the project config'}.`, { file, errors });
+  }
+  return { components, missing: config.health?.missing || 'skip' };
+}
+
+// SonarQube metric keys the model needs beyond the ones always collected.
+function healthMetricKeys(model) {
+  return model.components.map(c => c.metric).filter(Boolean);
+}
+
+function inputValue(component, { metrics, lgpd, dependencies, hotspots }) {
+  switch (component.key) {
+    case 'lgpd':
+      return lgpd.score;
+    case 'outdated':
+      return dependencies.outdated.length;
+    case 'hotspots':
+      if (metrics.security_hotspots_reviewed !== undefined) return Number(metrics.security_hotspots_reviewed);
+      if (hotspots.length > 0) return Math.round(hotspots.filter(h => h.status === 'REVIEWED').length / hotspots.length * 1000) / 10;
+      return metrics.security_hotspots === '0' ? 100 : null;
+    default: {
+      const value = metrics[component.metric];
+      return value === undefined || value === '' ? null : Number(value);
+    }
+  }
+}
+
+function scoreComponent(component, data) {
+  if (component.kind === 'ladder') {
+    const vulns = data.dependencies.vulnerabilities;
+    const audits = data.dependencies.audits || [];
+    // Zero vulnerabilities only counts when something was actually audited
+    if (audits.length > 0 && !audits.some(a => a.audited)) return { value: 'not audited', score: null };
+    const level = Object.keys(component.levels).find(l => vulns[l] > 0);
+    return { value: level ? `${vulns[level]} ${level}` : 'no known vulnerabilities', score: level ? component.levels[level] : 100 };
+  }
+
+  const value = inputValue(component, data);
+  if (value === null || Number.isNaN(value)) return { value: null, score: null };
+
+  const ratio = (value - component.worst) / (component.best - component.worst);
+  const score = Math.round(Math.min(Math.max(ratio, 0), 1) * 100);
+  if (component.format === 'rating') return { value: RATING_LETTERS[Math.round(value)] || String(value), score };
+  if (component.format === 'percent') return { value: `${value}%`, score };
+  return { value: String(value), score };
+}
+
+// Weighted average of the component scores, with a breakdown explaining
+// where every point came from.
+function computeHealth(data, model = resolveHealthModel()) {
+  const fallback = MISSING_SCORES[model.missing];
+  const breakdown = model.components.map(component => {
+    const { value, score } = scoreComponent(component, data);
+    const missing = score === null;
+    return {
+      key: component.key,
+      label: component.label,
+      value,
+      score: missing ? fallback : score,
+      weight: component.weight,
+      missing,
+    };
+  });
+
+  const counted = breakdown.filter(c => c.score !== null);
+  const totalWeight = counted.reduce((sum, c) => sum + c.weight, 0);
+  for (const c of breakdown) {
+    c.share = c.score === null || !totalWeight ? 0 : Math.round(c.weight / totalWeight * 1000) / 10;
+    c.points = c.score === null || !totalWeight ? 0 : Math.round(c.score * c.weight / totalWeight * 10) / 10;
+  }
+  const score = totalWeight ? Math.round(counted.reduce((sum, c) => sum + c.score * c.weight, 0) / totalWeight) : 0;
+
+  return {
+    score,
+    weights: Object.fromEntries(breakdown.map(c => [c.key, c.weight])),
+    components: Object.fromEntries(breakdown.map(c => [c.key, c.score])),
+    breakdown,
+    missing: breakdown.filter(c => c.missing).map(c => c.key),
+  };
+}
+
+module.exports = { HEALTH_METRICS, resolveHealthModel, healthMetricKeys, computeHealth };
@@ -0,0 +1,261 @@
+const { execFileSync, execSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const { loadConfig, resolveProjectKey, resolveSonarUrl, resolveHistoryFile } = require('./config');
+const { QualityConfigError, SonarQubeError } = require('./errors');
+const { getSonarToken, sonarApiFetch } = require('./sonar');
+const { noop, ensureDir } = require('./utils');
+
+// `better` is the direction that counts as an improvement (null: neutral).
+const TREND_METRICS = [
+  { key: 'health', label: 'Health score', better: 'up' },
+  { key: 'lgpd', label: 'LGPD score', better: 'up' },
+  { key: 'bugs', label: 'Bugs', better: 'down' },
+  { key: 'vulnerabilities', label: 'Vulnerabilities', better: 'down' },
+  { key: 'security_hotspots', label: 'Security hotspots', better: 'down' },
+  { key: 'code_smells', label: 'Code smells', better: 'down' },
+  { key: 'coverage', label: 'Coverage (%)', better: 'up' },
+  { key: 'duplicated_lines_density', label: 'Duplications (%)', better: 'down' },
+  { key: 'sqale_index', label: 'Technical debt (min)', better: 'down' },
+  { key: 'ncloc', label: 'Lines of code', better: null },
+];
+
+// Metrics SonarQube itself keeps history for (health and LGPD are ours).
+const SONAR_METRICS = TREND_METRICS.map(m => m.key).filter(key => key !== 'health' && key !== 'lgpd');
+
+const SPARK_CHARS = '▁▂▃▄▅▆▇█';
+
+function pickMetrics(metrics = {}) {
+  const picked = {};
+  for (const key of SONAR_METRICS) {
+    if (metrics[key] !== undefined && metrics[key] !== '') picked[key] = Number(metrics[key]);
+  }
+  return picked;
+}
+
+function gitCommit(cwd) {
+  try {
+    return execSync('git rev-parse --short HEAD', { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+  } catch {
+    return '';
+  }
+}
+
+function snapshotFromReport(report, cwd) {
+  return {
+    date: report.generatedAt,
+    source: 'export',
+    branch: report.git.branch,
+    commit: gitCommit(cwd),
+    qualityGate: report.qualityGate.status,
+    metrics: { health: report.health.score, lgpd: report.lgpd.score, ...pickMetrics(report.metrics) },
+    lgpdChecks: Object.fromEntries(report.lgpd.checks.map(c => [c.id, c.check])),
+  };
+}
+
+// Used by scan, which has no report: only the SonarQube measures are recorded.
+function fetchSnapshot({ cwd, projectKey, token, sonarUrl, qualityGate }) {
+  const measures = sonarApiFetch(
+    `/api/measures/component?component=${encodeURIComponent(projectKey)}&metricKeys=${SONAR_METRICS.join(',')}`,
+    token, sonarUrl
+  );
+  if (!measures?.component) return null;
+
+  const metrics = {};
+  for (const m of measures.component.measures || []) {
+    metrics[m.metric] = m.value;
+  }
+  let branch = '';
+  try {
+    branch = execSync('git rev-parse --abbrev-ref HEAD', { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+  } catch {}
+
+  return {
+    date: new Date().toISOString(),
+    source: 'scan',
+    branch,
+    commit: gitCommit(cwd),
+    qualityGate: qualityGate?.status || null,
+    metrics: pickMetrics(metrics),
+  };
+}
+
+// Malformed lines (e.g. left over from a merge conflict) are skipped.
+function readHistory(file) {
+  if (!fs.existsSync(file)) return [];
+
+  const snapshots = [];
+  for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const snapshot = JSON.parse(line);
+      if (snapshot.date && snapshot.metrics) snapshots.push(snapshot);
+    } catch {}
+  }
+  return snapshots.sort((a, b) => new Date(a.date) - new Date(b.date));
+}
+
+function recordSnapshot(cwd, config, snapshot) {
+  if (!snapshot || config.history?.enabled === false) return null;
+
+  const file = resolveHistoryFile(cwd, config);
+  ensureDir(path.dirname(file));
+  fs.appendFileSync(file, JSON.stringify(snapshot) + '\n', 'utf8');
+  return snapshot;
+}
+
+function resolveSince(since, cwd) {
+  if (!since || since === 'last') return { label: 'last snapshot', date: null };
+
+  if (since === 'release') {
+    try {
+      const tag = execSync('git describe --tags --abbrev=0', { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+      // Tag names come from remotes and may hold shell syntax
+      const date = execFileSync('git', ['log', '-1', '--format=%cI', tag], { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+      return { label: `release ${tag}`, date: new Date(date) };
+    } catch {
+      throw new QualityConfigError('No release tag found.', {
+        code: 'QC_NO_RELEASE',
+        hint: 'Tag a release with "git tag", or use --since last or --since <N>d.',
+      });
+    }
+  }
+
+  const days = String(since).match(/^(\d+)d$/);
+  if (days) {
+    return { label: `${days[1]} days`, date: new Date(Date.now() - Number(days[1]) * 86400000) };
+  }
+
+  const date = new Date(since);
+  if (Number.isNaN(date.getTime())) {
+    throw new QualityConfigError(`Invalid --since value "${since}".`, {
+      code: 'QC_INVALID_SINCE',
+      hint: 'Use last, release, a number of days (e.g. 30d) or a date (YYYY-MM-DD).',
+    });
+  }
+  return { label: `${since}`, date };
+}
+
+// Compares the latest snapshot with a baseline: the previous snapshot by
+// default, otherwise the last snapshot taken before the `since` cutoff.
+function computeTrends(history, { since, cwd = process.cwd() } = {}) {
+  if (history.length < 2) return null;
+
+  const cutoff = resolveSince(since, cwd);
+  const latest = history[history.length - 1];
+  let start = history.length - 2;
+  if (cutoff.date) {
+    const before = history.filter(s => new Date(s.date) <= cutoff.date);
+    start = Math.min(Math.max(before.length - 1, 0), history.length - 2);
+  }
+  const window = history.slice(start);
+
+  const metrics = TREND_METRICS.map(metric => {
+    const series = window.map(s => s.metrics[metric.key]).filter(v => typeof v === 'number');
+    if (series.length === 0) return null;
+
+    const from = series[0];
+    const to = series[series.length - 1];
+    const delta = Math.round((to - from) * 100) / 100;
+    let trend = 'unchanged';
+    if (delta !== 0 && metric.better) {
+      trend = (delta > 0) === (metric.better === 'up') ? 'improved' : 'worsened';
+    } else if (delta !== 0) {
+      trend = 'changed';
+    }
+    return { ...metric, from, to, delta, trend, series };
+  }).filter(Boolean);
+
+  return {
+    since: cutoff.label,
+    from: window[0].date,
+    to: latest.date,
+    snapshots: window.length,
+    metrics,
+  };
+}
+
+function sparkline(series) {
+  const min = Math.min(...series);
+  const max = Math.max(...series);
+  return series.map(v => SPARK_CHARS[max === min ? 3 : Math.round(((v - min) / (max - min)) * (SPARK_CHARS.length - 1))]).join('');
+}
+
+// Imports analyses SonarQube recorded before local tracking started, so
+// running it again never duplicates snapshots.
+function backfillHistory({ file, projectKey, token, sonarUrl, log = noop }) {
+  const history = readHistory(file);
+  const until = history.length > 0 ? new Date(history[0].date) : null;
+  const byDate = {};
+  const pageSize = 1000;
+
+  log('  [..] Fetching SonarQube measure history...');
+  for (let page = 1; ; page++) {
+    const response = sonarApiFetch(
+      `/api/measures/search_history?component=${encodeURIComponent(projectKey)}&metrics=${SONAR_METRICS.join(',')}&p=${page}&ps=${pageSize}`,
+      token, sonarUrl
+    );
+    if (!response) {
+      throw new SonarQubeError('Could not fetch the measure history. Is SonarQube running?', { code: 'QC_SONARQUBE_UNREACHABLE' });
+    }
+
+    for (const measure of response.measures || []) {
+      for (const point of measure.history || []) {
+        if (point.value === undefined) continue;
+        byDate[point.date] = byDate[point.date] || {};
+        byDate[point.date][measure.metric] = point.value;
+      }
+    }
+    if (page * pageSize >= (response.paging?.total || 0)) break;
+  }
+
+  const added = Object.entries(byDate)
+    .map(([date, metrics]) => ({ date: new Date(date).toISOString(), source: 'sonarqube', metrics: pickMetrics(metrics) }))
+    .filter(s => !until || new Date(s.date) < until);
+
+  if (added.length > 0) {
+    const merged = [...added, ...history].sort((a, b) => new Date(a.date) - new Date(b.date));
+    ensureDir(path.dirname(file));
+    fs.writeFileSync(file, merged.map(s => JSON.stringify(s)).join('\n') + '\n', 'utf8');
+  }
+  return added.length;
+}
+
+async function trends({ cwd = process.cwd(), since, backfill = false, sonarUrl, token, log = noop } = {}) {
+  const { config } = loadConfig(cwd);
+  const file = resolveHistoryFile(cwd, config);
+
+  let backfilled = 0;
+  if (backfill) {
+    sonarUrl = sonarUrl || resolveSonarUrl(config);
+    token = token || getSonarToken(cwd, sonarUrl);
+    if (!token) {
+      throw new SonarQubeError('No SonarQube token found.', {
+        code: 'QC_SONARQUBE_NO_TOKEN',
+        hint: 'Run "quality-config scan" first or save token to .sonar-token',
+      });
+    }
+    backfilled = backfillHistory({ file, projectKey: resolveProjectKey(cwd, config), token, sonarUrl, log });
+  }
+
+  const history = readHistory(file);
+  return {
+    file,
+    snapshots: history.length,
+    backfilled,
+    trends: computeTrends(history, { since: since || config.history?.since, cwd }),
+  };
+}
+
+module.exports = {
+  TREND_METRICS,
+  snapshotFromReport,
+  fetchSnapshot,
+  readHistory,
+  recordSnapshot,
+  resolveSince,
+  computeTrends,
+  sparkline,
+  trends,
+};
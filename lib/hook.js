@@ -0,0 +1,315 @@
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const { loadConfig } = require('./config');
+const { NotGitRepositoryError, QualityConfigError, QualityGateError } = require('./errors');
+const { formatCondition } = require('./gate');
+const { git, upstreamRef } = require('./git');
+const { PII_CATEGORIES, scanPii } = require('./pii');
+const { scan } = require('./scan');
+const { scanSecrets } = require('./secrets');
+const { noop } = require('./utils');
+
+const HOOK_TYPES = ['pre-commit', 'pre-push', 'commit-msg'];
+
+// What each hook runs unless `hook.actions` says otherwise: fast checks of
+// the staged files on commit, the full SonarQube scan on push. Commit message
+// conventions differ between teams, so commit-msg checks nothing by default.
+const DEFAULT_HOOK_ACTIONS = {
+  'pre-commit': ['secrets', 'pii', 'lint'],
+  'pre-push': ['scan'],
+  'commit-msg': [],
+};
+
+const HOOK_MARKER = '@olympio/quality-config';
+
+const CONVENTIONAL_COMMIT = '^(build|chore|ci|docs|feat|fix|perf|refactor|revert|style|test)(\\([\\w ./-]+\\))?!?: \\S';
+
+// Linters run on the staged files with their extensions. For each file, the
+// first linter that is installed wins. `stdin` are the arguments that lint
+// the content piped in as the given file.
+const LINTERS = [
+  { name: 'ESLint', extensions: ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx'], command: cwd => localBin(cwd, 'eslint'), stdin: file => ['--stdin', '--stdin-filename', file] },
+  { name: 'Ruff', extensions: ['.py'], command: () => onPath('ruff') && ['ruff', 'check'], stdin: file => ['--stdin-filename', file, '-'] },
+  { name: 'Flake8', extensions: ['.py'], command: () => onPath('flake8') && ['flake8'], stdin: file => ['--stdin-display-name', file, '-'] },
+];
+
+function localBin(cwd, name) {
+  const bin = path.join(cwd, 'node_modules', '.bin', name);
+  return fs.existsSync(bin) ? [bin] : null;
+}
+
+function onPath(command) {
+  return !spawnSync(command, ['--version'], { stdio: 'ignore' }).error;
+}
+
+function stagedFiles(cwd) {
+  return git('diff --cached --name-only --diff-filter=ACMR -z', cwd).split('\0').filter(Boolean);
+}
+
+// Staged files whose working tree copy differs from what will be committed.
+function unstagedFiles(cwd) {
+  return git('diff --name-only -z', cwd).split('\0').filter(Boolean);
+}
+
+// The content of a file in the index, which is what the commit will hold.
+function stagedContent(cwd, file) {
+  return spawnSync('git', ['show', `:${file}`], { cwd, encoding: 'utf8', maxBuffer: 64 * 1024 * 1024 }).stdout || '';
+}
+
+function hasCommit(cwd, sha) {
+  return spawnSync('git', ['cat-file', '-e', `${sha}^{commit}`], { cwd, stdio: 'ignore' }).status === 0;
+}
+
+// Commits being pushed, from the "<local ref> <local sha> <remote ref> <remote sha>"
+// lines git writes to the pre-push hook: everything not already on the remote.
+// New branches, and remote commits missing locally, fall back to the remote-tracking branches.
+function pushedRange(input, cwd) {
+  if (!input.trim()) return 'HEAD --not --remotes';
+  const zero = /^0+$/;
+  const refs = input.split('\n').map(l => l.trim().split(/\s+/)).filter(r => r.length === 4 && !zero.test(r[1]));
+  if (refs.length === 0) return null;
+  const known = refs.map(r => r[3]).filter(sha => !zero.test(sha) && hasCommit(cwd, sha));
+  const remotes = known.length < refs.length ? ['--remotes'] : [];
+  return [...refs.map(r => r[1]), '--not', ...remotes, ...known].join(' ');
+}
+
+// ─── Actions ────────────────────────────────────────────────
+
+// Each action returns { ok, message, skipped }.
+const ACTIONS = {
+  secrets: {
+    description: 'Secret scan',
+    hooks: ['pre-commit', 'pre-push'],
+    run({ cwd, type, input, log }) {
+      let result;
+      if (type === 'pre-push') {
+        const range = pushedRange(input(), cwd);
+        if (!range) return { ok: true, skipped: true, message: 'nothing pushed' };
+        result = scanSecrets({ cwd, mode: 'history', range, log });
+      } else {
+        result = scanSecrets({ cwd, mode: 'staged', log });
+      }
+      for (const f of result.findings.filter(f => !f.baselined)) {
+        log(`  [fail] ${f.file}:${f.line}${f.commit ? ` (${f.commit})` : ''}: ${f.description} ${f.secret}`);
+      }
+      return result.ok
+        ? { ok: true, message: 'no new secrets' }
+        : { ok: false, message: `${result.summary.new} secret(s) found (accept reviewed ones with: quality-config secrets --update-baseline)` };
+    },
+  },
+
+  // Literal personal data (CPFs, emails, card numbers…) fails; new fields of
+  // sensitive categories only warn, they belong in the data inventory.
+  pii: {
+    description: 'Personal data',
+    hooks: ['pre-commit'],
+    run({ cwd, staged, log }) {
+      const files = staged();
+      if (files.length === 0) return { ok: true, skipped: true, message: 'no staged files' };
+      const result = scanPii({ cwd, files, read: file => stagedContent(cwd, file) });
+      const labels = Object.fromEntries(PII_CATEGORIES.map(c => [c.id, c.label]));
+      const literals = result.findings.filter(f => f.kind === 'literal');
+      for (const f of literals) {
+        log(`  [fail] ${f.file}:${f.line}: ${labels[f.category]} value ${f.name}`);
+      }
+      for (const c of result.inventory.filter(c => c.sensitivity === 'sensitive' && c.fields.length > 0)) {
+        log(`  [warn] ${c.label}: ${c.fields.join(', ')} (${c.legalReference})`);
+      }
+      return literals.length === 0
+        ? { ok: true, message: `${result.files} source file(s) checked` }
+        : { ok: false, message: `${literals.length} personal data value(s) hardcoded` };
+    },
+  },
+
+  // Files with unstaged edits are linted from the index, one at a time.
+  lint: {
+    description: 'Lint',
+    hooks: ['pre-commit'],
+    run({ cwd, staged, unstaged, log }) {
+      const files = staged();
+      const modified = new Set(unstaged());
+      const linted = new Set();
+      const passed = [];
+      const failed = [];
+      for (const linter of LINTERS) {
+        const targets = files.filter(f => linter.extensions.includes(path.extname(f)) && !linted.has(f));
+        const command = targets.length > 0 && linter.command(cwd);
+        if (!command) continue;
+        targets.forEach(f => linted.add(f));
+        log(`  [..] ${linter.name} on ${targets.length} staged file(s)...`);
+        const clean = targets.filter(f => !modified.has(f));
+        const statuses = clean.length > 0 ? [spawnSync(command[0], [...command.slice(1), ...clean], { cwd, stdio: 'inherit' }).status] : [];
+        for (const file of targets.filter(f => modified.has(f))) {
+          const args = [...command.slice(1), ...linter.stdin(file)];
+          statuses.push(spawnSync(command[0], args, { cwd, input: stagedContent(cwd, file), stdio: ['pipe', 'inherit', 'inherit'] }).status);
+        }
+        (statuses.every(status => status === 0) ? passed : failed).push(linter.name);
+      }
+      if (passed.length + failed.length === 0) return { ok: true, skipped: true, message: 'no linter installed for the staged files' };
+      return failed.length === 0
+        ? { ok: true, message: `${passed.join(', ')} passed` }
+        : { ok: false, message: `${failed.join(', ')} reported problems` };
+    },
+  },
+
+  scan: {
+    description: 'SonarQube scan',
+    hooks: ['pre-commit', 'pre-push'],
+    async run({ cwd, config, log }) {
+      const gate = config.hook?.gate !== false;
+      // With hook.incremental, only the commits not pushed yet (unless the branch has no upstream)
+      const incremental = config.hook?.incremental === true;
+      const changedSince = incremental ? upstreamRef(cwd) : null;
+      if (incremental && !changedSince) log('  [..] No upstream branch: scanning the whole project');
+      try {
+        await scan({ cwd, gate, changedSince: changedSince || undefined, log, stdio: 'inherit' });
+      } catch (err) {
+        if (!(err instanceof QualityGateError)) throw err;
+        for (const condition of err.conditions) log(`  [fail] ${formatCondition(condition)}`);
+        return { ok: false, message: 'quality gate failed' };
+      }
+      return { ok: true, message: gate ? 'scan and quality gate passed' : 'scan passed' };
+    },
+  },
+
+  conventional: {
+    description: 'Commit message',
+    hooks: ['commit-msg'],
+    run({ cwd, config, args }) {
+      const file = path.resolve(cwd, args[0] || path.join('.git', 'COMMIT_EDITMSG'));
+      const subject = fs.readFileSync(file, 'utf8').split('\n').find(l => l.trim() && !l.startsWith('#')) || '';
+      if (/^(Merge|Revert|fixup!|squash!|amend!) /.test(subject)) return { ok: true, skipped: true, message: 'generated message' };
+      const pattern = new RegExp(config.hook?.commitPattern || CONVENTIONAL_COMMIT);
+      return pattern.test(subject)
+        ? { ok: true, message: 'follows the commit convention' }
+        : { ok: false, message: `"${subject}" doesn't match ${pattern.source}` };
+    },
+  },
+};
+
+const HOOK_ACTIONS = Object.keys(ACTIONS);
+
+function resolveActions(config, type) {
+  if (!HOOK_TYPES.includes(type)) {
+    throw new QualityConfigError(`Unknown hook "${type}". Supported: ${HOOK_TYPES.join(', ')}`, { code: 'QC_UNKNOWN_HOOK' });
+  }
+  const actions = config.hook?.actions?.[type] || DEFAULT_HOOK_ACTIONS[type];
+  for (const action of actions) {
+    if (!ACTIONS[action]?.hooks.includes(type)) {
+      const supported = HOOK_ACTIONS.filter(a => ACTIONS[a].hooks.includes(type));
+      throw new QualityConfigError(`Action "${action}" can't run in the ${type} hook.`, {
+        code: 'QC_INVALID_HOOK_ACTION',
+        hint: `Actions for ${type}: ${supported.join(', ')}`,
+      });
+    }
+  }
+  return actions;
+}
+
+function parseHookTypes(types) {
+  const list = typeof types === 'string' ? types.split(',').map(t => t.trim()).filter(Boolean) : types;
+  for (const type of list) resolveActions({}, type);
+  return [...new Set(list)];
+}
+
+// ─── Install ────────────────────────────────────────────────
+
+function hookScript(type, { blocking = true } = {}) {
+  const action = type === 'pre-push' ? 'Push' : 'Commit';
+  const onFailure = blocking
+    ? `  echo "[blocked] ${action} blocked: ${type} checks failed."
+  echo "Skip with: git ${type === 'pre-push' ? 'push' : 'commit'} --no-verify"
+  exit 1`
+    : `  echo "[warn] ${type} checks failed (hook is non-blocking, continuing anyway)."`;
+
+  return `#!/bin/sh
+# ${HOOK_MARKER} ${type} hook
+npx quality-config hook run ${type} "$@"
+EXIT_CODE=$?
+if [ $EXIT_CODE -ne 0 ]; then
+  echo ""
+${onFailure}
+fi
+`;
+}
+
+function hooksDir(cwd) {
+  const dir = path.join(cwd, '.git', 'hooks');
+  if (!fs.existsSync(dir)) {
+    throw new NotGitRepositoryError(cwd);
+  }
+  return dir;
+}
+
+async function installHook({ cwd = process.cwd(), types = ['pre-push'] } = {}) {
+  const dir = hooksDir(cwd);
+  const { config } = loadConfig(cwd);
+  const hooks = parseHookTypes(types).map(type => {
+    const actions = resolveActions(config, type);
+    if (actions.length === 0) {
+      throw new QualityConfigError(`The ${type} hook has no actions.`, {
+        code: 'QC_NO_HOOK_ACTIONS',
+        hint: `Set hook.actions["${type}"] in the config, e.g. ${JSON.stringify(HOOK_ACTIONS.filter(a => ACTIONS[a].hooks.includes(type)))}`,
+      });
+    }
+    const hookPath = path.join(dir, type);
+    fs.writeFileSync(hookPath, hookScript(type, config.hook), { mode: 0o755 });
+    return { hook: type, path: hookPath, actions };
+  });
+  return { hooks, gate: config.hook?.gate !== false, blocking: config.hook?.blocking !== false };
+}
+
+// Removes the hooks quality-config installed; hooks written by other tools are left alone.
+async function uninstallHook({ cwd = process.cwd(), types = HOOK_TYPES } = {}) {
+  const dir = path.join(cwd, '.git', 'hooks');
+  const hooks = parseHookTypes(types).map(type => {
+    const hookPath = path.join(dir, type);
+    const installed = fs.existsSync(hookPath) && fs.readFileSync(hookPath, 'utf8').includes('quality-config');
+    if (installed) fs.unlinkSync(hookPath);
+    return { hook: type, path: hookPath, removed: installed };
+  });
+  return { hooks };
+}
+
+// ─── Run ────────────────────────────────────────────────────
+
+// Runs the actions of a hook; `args` are the arguments git passed to it.
+// A failing action doesn't stop the next ones, so one commit shows every problem.
+async function runHook({ cwd = process.cwd(), type, args = [], log = noop } = {}) {
+  const { config } = loadConfig(cwd);
+  const actions = resolveActions(config, type);
+
+  let files;
+  let modified;
+  let stdin;
+  const context = {
+    cwd,
+    config,
+    type,
+    args,
+    log,
+    staged: () => (files = files || stagedFiles(cwd)),
+    unstaged: () => (modified = modified || unstagedFiles(cwd)),
+    input: () => (stdin = stdin ?? (process.stdin.isTTY ? '' : fs.readFileSync(0, 'utf8'))),
+  };
+
+  const results = [];
+  for (const action of actions) {
+    const { description } = ACTIONS[action];
+    log(`  [..] ${description}...`);
+    let result;
+    try {
+      result = await ACTIONS[action].run(context);
+    } catch (err) {
+      if (!(err instanceof QualityConfigError)) throw err;
+      result = { ok: false, message: err.message };
+    }
+    log(`  [${result.skipped ? 'skip' : result.ok ? 'ok' : 'fail'}] ${description}: ${result.message}`);
+    results.push({ action, description, ...result });
+  }
+  return { hook: type, actions: results, ok: results.every(r => r.ok) };
+}
+
+module.exports = { HOOK_TYPES, HOOK_ACTIONS, DEFAULT_HOOK_ACTIONS, installHook, uninstallHook, runHook };
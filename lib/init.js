@@ -0,0 +1,197 @@
+const fs = require('fs');
+const path = require('path');
+
+const { CI_PROVIDERS, writeCiConfig } = require('./ci');
+const { CONFIGS_DIR, STACKS, SUPPORTED_STACKS } = require('./constants');
+const { loadConfig, writeConfig, DEFAULT_LGPD_RULESET } = require('./config');
+const { detectStack } = require('./detect');
+const { QualityConfigError, StackDetectionError, UnknownStackError } = require('./errors');
+const { ensureDir, copyTemplate, loadStackConfig } = require('./utils');
+const { discoverWorkspaces } = require('./workspaces');
+
+const GITIGNORE_ENTRIES = '\n# Quality & SonarQube\n.scannerwork/\n.sonar-token\nreports/\n';
+
+// Keeps only the comma-separated directories that exist under `baseDir`, since
+// the scanner aborts on missing sources/tests folders inside a module.
+function existingDirs(baseDir, list) {
+  return (list || '').split(',').map(s => s.trim()).filter(d => d && fs.existsSync(path.join(baseDir, d))).join(',');
+}
+
+function buildModuleProperties(cwd, modules) {
+  return modules.map(mod => {
+    const { sonar } = loadStackConfig(mod.stack);
+    const baseDir = path.join(cwd, mod.path);
+    const lines = [
+      `# ── ${mod.path} (${STACKS[mod.stack].label}) ──`,
+      `${mod.name}.sonar.projectBaseDir=${mod.path}`,
+      `${mod.name}.sonar.projectName=${mod.path}`,
+      `${mod.name}.sonar.sources=${existingDirs(baseDir, sonar.sources) || '.'}`,
+    ];
+    const tests = existingDirs(baseDir, sonar.tests);
+    if (tests) {
+      lines.push(`${mod.name}.sonar.tests=${tests}`);
+      lines.push(`${mod.name}.sonar.test.inclusions=${sonar.testInclusions || ''}`);
+    }
+    lines.push(`${mod.name}.sonar.exclusions=${sonar.exclusions}`);
+    for (const line of (sonar.extraProperties || '').split('\n')) {
+      if (line.startsWith('sonar.')) lines.push(`${mod.name}.${line}`);
+    }
+    return lines.join('\n');
+  }).join('\n\n');
+}
+
+// The project ruleset extends the bundled ones, so rule updates arrive with the
+// package and the file only holds the project's own rules and overrides.
+function lgpdRuleset(langs, file) {
+  const schema = path.posix.relative(path.posix.dirname(file), 'node_modules/@olympio/quality-config/schema/lgpd-ruleset.schema.json');
+  const bundled = [...new Set(langs)].map(lang => lang === 'py' ? '@olympio/quality-config/lgpd-python' : '@olympio/quality-config/lgpd-js');
+  const ruleset = {
+    $schema: schema.startsWith('.') ? schema : `./${schema}`,
+    extends: bundled.length === 1 ? bundled[0] : bundled,
+    rules: [],
+    custom_rules: [],
+    checks: [],
+  };
+  return JSON.stringify(ruleset, null, 2) + '\n';
+}
+
+async function init({
+  cwd = process.cwd(),
+  stack,
+  projectKey,
+  projectName,
+  workspaces,
+  ci,
+  skipWorkflow,
+  skipDocker,
+  skipLgpd,
+} = {}) {
+  // Explicit options win over the project config file
+  const { file: configFile, config } = loadConfig(cwd);
+  stack = stack || config.stack;
+  workspaces = workspaces ?? config.workspaces ?? false;
+  // --skip-workflow and `workflow: false` predate the other CI providers
+  ci = ci || (skipWorkflow || config.workflow === false ? 'none' : config.ci || 'github');
+  skipDocker = skipDocker ?? config.sonar?.docker === false;
+  skipLgpd = skipLgpd ?? config.lgpd?.enabled === false;
+
+  if (stack && !STACKS[stack]) {
+    throw new UnknownStackError(stack, SUPPORTED_STACKS);
+  }
+  if (ci !== 'none' && !CI_PROVIDERS[ci]) {
+    throw new QualityConfigError(`Unknown CI provider "${ci}".`, {
+      code: 'QC_UNKNOWN_CI',
+      hint: `Supported: ${Object.keys(CI_PROVIDERS).join(', ')}, none`,
+    });
+  }
+
+  const key = projectKey || config.projectKey || path.basename(cwd);
+  const name = projectName || config.projectName || path.basename(cwd);
+  const files = [];
+  let detection = null;
+  let modules = null;
+  let skipped = [];
+  let langs;
+
+  if (workspaces) {
+    const discovered = discoverWorkspaces(cwd, { fallbackStack: stack });
+    modules = discovered.modules;
+    skipped = discovered.skipped;
+    if (modules.length === 0) {
+      throw new QualityConfigError('No workspaces or Python subprojects found.', {
+        code: 'QC_NO_WORKSPACES',
+        hint: 'Declare "workspaces" in package.json or pnpm-workspace.yaml, or run init without --workspaces.',
+      });
+    }
+
+    copyTemplate('sonar-project-modules.properties.tpl', path.join(cwd, 'sonar-project.properties'), {
+      PROJECT_KEY: key,
+      PROJECT_NAME: name,
+      MODULES: modules.map(m => m.name).join(','),
+      SOURCE_ENCODING: 'UTF-8',
+      MODULE_PROPERTIES: buildModuleProperties(cwd, modules),
+    });
+    langs = [...new Set(modules.map(m => STACKS[m.stack].lang))];
+  } else {
+    if (!stack) {
+      detection = detectStack(cwd);
+      if (!detection.stack) {
+        throw new StackDetectionError(detection);
+      }
+      stack = detection.stack;
+    }
+
+    const stackConfig = loadStackConfig(stack);
+    copyTemplate('sonar-project.properties.tpl', path.join(cwd, 'sonar-project.properties'), {
+      PROJECT_KEY: key,
+      PROJECT_NAME: name,
+      SOURCES: stackConfig.sonar.sources,
+      TESTS: stackConfig.sonar.tests || '',
+      TEST_INCLUSIONS: stackConfig.sonar.testInclusions || '',
+      EXCLUSIONS: stackConfig.sonar.exclusions,
+      SOURCE_ENCODING: 'UTF-8',
+      EXTRA_PROPERTIES: stackConfig.sonar.extraProperties || '',
+    });
+    langs = [stackConfig.lang];
+  }
+  files.push({ path: 'sonar-project.properties', action: 'created' });
+
+  // docker-compose
+  if (!skipDocker) {
+    fs.copyFileSync(
+      path.join(CONFIGS_DIR, 'docker-compose.sonar.yml'),
+      path.join(cwd, 'docker-compose.sonar.yml')
+    );
+    files.push({ path: 'docker-compose.sonar.yml', action: 'created' });
+  }
+
+  // CI pipeline
+  let pipeline = null;
+  if (ci !== 'none') {
+    pipeline = writeCiConfig(cwd, ci, { stack, modules });
+    files.push({ path: pipeline.file, action: 'created' });
+  }
+
+  // LGPD rules
+  if (!skipLgpd) {
+    const ruleset = config.lgpd?.ruleset || DEFAULT_LGPD_RULESET;
+    ensureDir(path.dirname(path.join(cwd, ruleset)));
+    fs.writeFileSync(path.join(cwd, ruleset), lgpdRuleset(langs, ruleset), 'utf8');
+    files.push({ path: ruleset, action: 'created' });
+  }
+
+  // .gitignore
+  const gitignorePath = path.join(cwd, '.gitignore');
+  if (fs.existsSync(gitignorePath)) {
+    const current = fs.readFileSync(gitignorePath, 'utf8');
+    if (!current.includes('.scannerwork')) {
+      fs.appendFileSync(gitignorePath, GITIGNORE_ENTRIES);
+      files.push({ path: '.gitignore', action: 'updated' });
+    }
+  } else {
+    fs.writeFileSync(gitignorePath, GITIGNORE_ENTRIES);
+    files.push({ path: '.gitignore', action: 'created' });
+  }
+
+  // Project config, so later commands don't need the same flags again
+  if (!configFile) {
+    writeConfig(cwd, {
+      ...(modules ? { projectKey: key, workspaces: true } : { stack, projectKey: key }),
+      ...(ci !== 'github' ? { ci } : {}),
+    });
+    files.push({ path: '.qualityconfigrc.json', action: 'created' });
+  }
+
+  return {
+    stack: modules ? null : stack,
+    label: modules ? null : STACKS[stack].label,
+    projectKey: key,
+    detection,
+    modules,
+    skipped,
+    ci: pipeline && { provider: pipeline.provider, file: pipeline.file, projects: pipeline.plan.projects, notes: pipeline.plan.notes },
+    files,
+  };
+}
+
+module.exports = { init };
@@ -0,0 +1,324 @@
+const fs = require('fs');
+const path = require('path');
+
+const { ROOT_DIR, TEMPLATES_DIR } = require('./constants');
+const { loadConfig, loadDataFile, resolveLgpdInventory } = require('./config');
+const { QualityConfigError } = require('./errors');
+const { scanPii } = require('./pii');
+const { render } = require('./template');
+const { noop, ensureDir, listSourceFiles } = require('./utils');
+
+const INVENTORY_SCHEMA_PATH = path.join(ROOT_DIR, 'schema', 'lgpd-inventory.schema.json');
+const INVENTORY_FORMATS = ['json', 'md', 'html'];
+const CODE_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.py'];
+
+// Third-party services that receive data, recognized by the packages the
+// code imports (an entry ending in "/" matches a whole npm scope) or the
+// hosts it calls. More specific entries come first.
+const PROCESSORS = [
+  { id: 'stripe', name: 'Stripe', purpose: 'payment', packages: ['stripe', '@stripe/'], hosts: ['stripe.com'] },
+  { id: 'mercadopago', name: 'Mercado Pago', purpose: 'payment', packages: ['mercadopago', '@mercadopago/'], hosts: ['mercadopago.com'] },
+  { id: 'pagarme', name: 'Pagar.me', purpose: 'payment', packages: ['pagarme', '@pagarme/'], hosts: ['pagar.me'] },
+  { id: 'paypal', name: 'PayPal', purpose: 'payment', packages: ['@paypal/', 'paypalrestsdk'], hosts: ['paypal.com'] },
+  { id: 'sendgrid', name: 'SendGrid', purpose: 'email', packages: ['@sendgrid/', 'sendgrid'], hosts: ['sendgrid.com'] },
+  { id: 'mailgun', name: 'Mailgun', purpose: 'email', packages: ['mailgun.js', 'mailgun-js'], hosts: ['mailgun.net'] },
+  { id: 'postmark', name: 'Postmark', purpose: 'email', packages: ['postmark', 'postmarker'], hosts: ['postmarkapp.com'] },
+  { id: 'resend', name: 'Resend', purpose: 'email', packages: ['resend'], hosts: ['resend.com'] },
+  { id: 'mailchimp', name: 'Mailchimp', purpose: 'email', packages: ['@mailchimp/', 'mailchimp_marketing', 'mailchimp_transactional'], hosts: ['mailchimp.com', 'mandrillapp.com'] },
+  { id: 'aws-ses', name: 'Amazon SES', purpose: 'email', packages: ['@aws-sdk/client-ses', '@aws-sdk/client-sesv2'], hosts: [] },
+  { id: 'smtp', name: 'SMTP server', purpose: 'email', packages: ['nodemailer', 'smtplib', 'django.core.mail'], hosts: [] },
+  { id: 'twilio', name: 'Twilio', purpose: 'sms', packages: ['twilio'], hosts: ['twilio.com'] },
+  { id: 'zenvia', name: 'Zenvia', purpose: 'sms', packages: ['@zenvia/'], hosts: ['zenvia.com'] },
+  { id: 'segment', name: 'Segment', purpose: 'analytics', packages: ['@segment/', 'analytics-node'], hosts: ['segment.io', 'segment.com'] },
+  { id: 'mixpanel', name: 'Mixpanel', purpose: 'analytics', packages: ['mixpanel', 'mixpanel-browser'], hosts: ['mixpanel.com'] },
+  { id: 'posthog', name: 'PostHog', purpose: 'analytics', packages: ['posthog', 'posthog-js', 'posthog-node'], hosts: ['posthog.com'] },
+  { id: 'amplitude', name: 'Amplitude', purpose: 'analytics', packages: ['@amplitude/', 'amplitude', 'amplitude-js'], hosts: ['amplitude.com'] },
+  { id: 'google-analytics', name: 'Google Analytics', purpose: 'analytics', packages: ['react-ga', 'react-ga4', 'ga-4-react', 'universal-analytics', '@next/third-parties/google'], hosts: ['google-analytics.com', 'analytics.google.com'] },
+  { id: 'firebase', name: 'Firebase', purpose: 'cloud', packages: ['firebase', 'firebase-admin', 'firebase_admin', '@react-native-firebase/'], hosts: ['firebaseio.com', 'firebaseapp.com'] },
+  { id: 'supabase', name: 'Supabase', purpose: 'cloud', packages: ['@supabase/', 'supabase'], hosts: ['supabase.co'] },
+  { id: 'aws', name: 'Amazon Web Services', purpose: 'cloud', packages: ['@aws-sdk/', 'aws-sdk', 'boto3'], hosts: ['amazonaws.com'] },
+  { id: 'sentry', name: 'Sentry', purpose: 'monitoring', packages: ['@sentry/', 'sentry_sdk', 'raven'], hosts: ['sentry.io'] },
+  { id: 'datadog', name: 'Datadog', purpose: 'monitoring', packages: ['@datadog/', 'dd-trace', 'datadog', 'ddtrace'], hosts: ['datadoghq.com'] },
+  { id: 'hubspot', name: 'HubSpot', purpose: 'crm', packages: ['@hubspot/', 'hubspot'], hosts: ['hubapi.com'] },
+  { id: 'intercom', name: 'Intercom', purpose: 'support', packages: ['intercom-client', '@intercom/'], hosts: ['intercom.io'] },
+  { id: 'auth0', name: 'Auth0', purpose: 'authentication', packages: ['auth0', '@auth0/'], hosts: ['auth0.com'] },
+  { id: 'openai', name: 'OpenAI', purpose: 'ai', packages: ['openai'], hosts: ['openai.com'] },
+];
+
+// Legal bases that Art. 11 does not accept for sensitive data.
+const NOT_FOR_SENSITIVE = ['legitimate-interest', 'credit-protection'];
+
+const LOCAL_HOSTS = /^(localhost|127\.0\.0\.1|0\.0\.0\.0|\[::1\])$|(^|\.)(example\.(com|org|net)|local|internal)$/;
+
+// ─── Code analysis ───
+
+function importedModules(source, ext) {
+  const modules = new Set();
+  const patterns = ext === '.py'
+    ? [/^\s*import\s+([\w.]+)/gm, /^\s*from\s+([\w.]+)\s+import\b/gm]
+    : [/\brequire\(\s*['"]([^'"]+)['"]\s*\)/g, /\bfrom\s+['"]([^'"]+)['"]/g, /\bimport\s*\(?\s*['"]([^'"]+)['"]/g];
+  for (const pattern of patterns) {
+    for (const match of source.matchAll(pattern)) modules.add(match[1]);
+  }
+  return [...modules].filter(m => !m.startsWith('.'));
+}
+
+function processorForModule(name) {
+  return PROCESSORS.find(p => p.packages.some(pkg =>
+    pkg.endsWith('/') ? name.startsWith(pkg) : name === pkg || name.startsWith(`${pkg}/`) || name.startsWith(`${pkg}.`)));
+}
+
+function processorForHost(host) {
+  return PROCESSORS.find(p => p.hosts.some(h => host === h || host.endsWith(`.${h}`)));
+}
+
+// Outbound HTTP calls with a literal URL: fetch, axios, got, ky, node's
+// http(s).request, requests, httpx and urllib.
+const HTTP_CALL = /\b(?:fetch|axios(?:\.\w+)?|got(?:\.\w+)?|ky(?:\.\w+)?|https?\.(?:request|get)|requests\.\w+|httpx\.\w+|urlopen|\w*[cC]lient\.(?:get|post|put|patch|delete|request))\s*\(\s*f?[`'"](https?:\/\/[^`'"\s]+)/g;
+
+function outboundHosts(source) {
+  const hosts = [];
+  source.split('\n').forEach((line, i) => {
+    for (const match of line.matchAll(HTTP_CALL)) {
+      const host = match[1].replace(/^https?:\/\//, '').split(/[/:?#]/)[0].toLowerCase();
+      if (host && !host.includes('${') && !host.includes('{') && !LOCAL_HOSTS.test(host)) hosts.push({ host, line: i + 1 });
+    }
+  });
+  return hosts;
+}
+
+function joinRoute(prefix, route) {
+  return `/${[prefix, route].map(p => (p || '').replace(/^\/+|\/+$/g, '')).filter(Boolean).join('/')}`;
+}
+
+// Next.js route handlers are defined by their path on disk.
+function nextRoute(file) {
+  const pages = file.match(/(?:^|\/)pages\/(api\/.+)\.(?:js|jsx|ts|tsx)$/);
+  if (pages) return joinRoute('', pages[1].replace(/\/index$/, ''));
+  const app = file.match(/(?:^|\/)app\/(.*?)\/?route\.(?:js|ts)$/);
+  if (app) return joinRoute('', app[1].split('/').filter(s => !/^\(.*\)$/.test(s)).join('/'));
+  return null;
+}
+
+// API route handlers: Express/Fastify/Koa routers, NestJS controllers,
+// Next.js API routes, FastAPI/Flask decorators and Django urlpatterns.
+function detectRoutes(file, source) {
+  const routes = [];
+  const add = (method, route, line) => routes.push({ method: method.toUpperCase(), path: route, file, line });
+
+  const next = nextRoute(file);
+  if (next) {
+    const methods = [...source.matchAll(/export\s+(?:async\s+)?(?:function|const)\s+(GET|POST|PUT|PATCH|DELETE)\b/g)].map(m => m[1]);
+    for (const method of methods.length > 0 ? methods : ['ANY']) add(method, next, 1);
+  }
+
+  let prefix = '';
+  source.split('\n').forEach((line, i) => {
+    const controller = line.match(/@Controller\(\s*['"`]([^'"`]*)['"`]/);
+    if (controller) prefix = controller[1];
+
+    const nest = line.match(/@(Get|Post|Put|Patch|Delete)\(\s*(?:['"`]([^'"`]*)['"`])?\s*\)/);
+    const router = line.match(/\b(?:app|router|server|fastify|api|\w+Router)\.(get|post|put|patch|delete|all)\(\s*['"`]([^'"`]+)['"`]/);
+    const decorator = line.match(/^\s*@\w+\.(get|post|put|patch|delete|route|api_route)\(\s*['"]([^'"]+)['"]/);
+    const django = line.match(/\b(?:re_)?path\(\s*r?['"]([^'"]*)['"]\s*,/);
+
+    if (nest) add(nest[1], joinRoute(prefix, nest[2]), i + 1);
+    else if (router) add(router[1] === 'all' ? 'ANY' : router[1], router[2], i + 1);
+    else if (decorator) add(['route', 'api_route'].includes(decorator[1]) ? 'ANY' : decorator[1], decorator[2], i + 1);
+    else if (django && path.basename(file) === 'urls.py') add('ANY', joinRoute('', django[1]), i + 1);
+  });
+  return routes;
+}
+
+function analyzeCode(cwd, files) {
+  const routes = [];
+  const processors = {};
+  const use = (processor, file, line, via) => {
+    processors[processor.id] = processors[processor.id] || { ...processor, uses: [] };
+    processors[processor.id].uses.push({ file, line, via });
+  };
+
+  for (const file of files) {
+    const source = fs.readFileSync(path.join(cwd, file), 'utf8');
+    routes.push(...detectRoutes(file, source));
+
+    for (const name of importedModules(source, path.extname(file))) {
+      const processor = processorForModule(name);
+      if (processor) use(processor, file, null, `import ${name}`);
+    }
+    for (const { host, line } of outboundHosts(source)) {
+      const processor = processorForHost(host) || { id: host, name: host, purpose: 'unknown', packages: [], hosts: [host] };
+      use(processor, file, line, `HTTP ${host}`);
+    }
+  }
+
+  return {
+    routes,
+    processors: Object.values(processors).map(({ id, name, purpose, uses }) => ({
+      id,
+      name,
+      purpose,
+      files: [...new Set(uses.map(u => u.file))].sort(),
+      via: [...new Set(uses.map(u => u.via))].sort(),
+    })),
+  };
+}
+
+// ─── Record of processing activities ───
+
+function detailsTemplate(categories, existing, file) {
+  const details = {
+    $schema: path.relative(path.dirname(file), INVENTORY_SCHEMA_PATH),
+    controller: existing?.controller || { name: '', dpo: '', contact: '' },
+    categories: { ...existing?.categories },
+  };
+  for (const category of categories) {
+    if (!details.categories[category.id]) {
+      details.categories[category.id] = { purpose: '', legalBasis: '', subjects: '', retention: '', notes: '' };
+    }
+  }
+  return details;
+}
+
+// A processor receives a category when the category shows up in a file that
+// uses the processor; routes collect the categories their file handles.
+function buildRopa({ project, pii, code, details }) {
+  const categories = pii.inventory.map(category => {
+    const files = new Set(category.files);
+    const answer = details.categories[category.id] || {};
+    return {
+      id: category.id,
+      label: category.label,
+      sensitivity: category.sensitivity,
+      legalReference: category.legalReference,
+      fields: category.fields,
+      storage: category.locations
+        .filter(l => l.kind === 'schema')
+        .map(l => ({ model: l.model, field: l.name, file: l.file, line: l.line }))
+        .sort((a, b) => a.model.localeCompare(b.model) || a.field.localeCompare(b.field)),
+      collection: code.routes.filter(r => files.has(r.file)).map(({ method, path: route, file, line }) => ({ method, path: route, file, line })),
+      processors: code.processors
+        .filter(p => p.files.some(f => files.has(f)))
+        .map(p => ({ id: p.id, name: p.name, purpose: p.purpose })),
+      purpose: answer.purpose || '',
+      legalBasis: answer.legalBasis || '',
+      subjects: answer.subjects || '',
+      retention: answer.retention || '',
+      notes: answer.notes || '',
+    };
+  });
+
+  const undecided = categories.filter(c => !c.legalBasis).map(c => c.label);
+  const warnings = [
+    ...(undecided.length > 0 ? [`No legal basis recorded for: ${undecided.join(', ')}`] : []),
+    ...categories
+      .filter(c => c.sensitivity === 'sensitive' && NOT_FOR_SENSITIVE.includes(c.legalBasis))
+      .map(c => `${c.label}: "${c.legalBasis}" is not a legal basis for sensitive data (Art. 11)`),
+    ...code.processors.filter(p => p.purpose === 'unknown').map(p => `${p.name}: unknown external recipient, review what it receives`),
+  ];
+
+  return {
+    project,
+    controller: details.controller,
+    categories,
+    processors: code.processors,
+    routes: code.routes.length,
+    warnings,
+  };
+}
+
+function renderMarkdown(ropa) {
+  const list = (items, fn) => (items.length > 0 ? items.map(fn).join('<br>') : '-');
+  const rows = ropa.categories.map(c => `| ${c.label} | ${c.sensitivity} (${c.legalReference}) | ${list(c.storage, s => `${s.model}.${s.field}`)} | ${list(c.collection, r => `${r.method} ${r.path}`)} | ${list(c.processors, p => p.name)} | ${c.legalBasis || '**to fill in**'} | ${c.purpose || '-'} | ${c.retention || '-'} |`);
+  const processors = ropa.processors.map(p => `| ${p.name} | ${p.purpose} | ${p.via.join(', ')} | ${p.files.map(f => `\`${f}\``).join(', ')} |`);
+  const { controller } = ropa;
+
+  return `# Record of Processing Activities
+**Project**: ${ropa.project}
+**Controller**: ${controller.name || '-'}
+**DPO**: ${controller.dpo || '-'}${controller.contact ? ` (${controller.contact})` : ''}
+
+Generated from the code: data categories from models and identifiers, collection points from API routes, recipients from SDK imports and outbound HTTP calls. Legal basis, purpose, subjects and retention come from the inventory details file.
+
+## Data categories
+
+| Category | Sensitivity | Stored in | Collected by | Shared with | Legal basis | Purpose | Retention |
+|---|---|---|---|---|---|---|---|
+${rows.join('\n')}
+
+## External processors
+
+| Processor | Purpose | Detected by | Files |
+|---|---|---|---|
+${processors.join('\n') || '| - | - | - | - |'}
+
+## Review
+
+${ropa.warnings.length > 0 ? ropa.warnings.map(w => `- ${w}`).join('\n') : 'Nothing to review.'}
+
+---
+
+**Generated by**: @olympio/quality-config
+`;
+}
+
+function renderHtml(ropa) {
+  const template = fs.readFileSync(path.join(TEMPLATES_DIR, 'inventory', 'ropa.html'), 'utf8');
+  return render(template, {
+    ...ropa,
+    categories: ropa.categories.map(c => ({ ...c, sensitive: c.sensitivity === 'sensitive' })),
+    processors: ropa.processors.map(p => ({ ...p, via: p.via.join(', '), files: p.files.join(', ') })),
+  });
+}
+
+const RENDERERS = {
+  json: ropa => JSON.stringify(ropa, null, 2) + '\n',
+  md: renderMarkdown,
+  html: renderHtml,
+};
+
+function parseFormats(formats) {
+  const list = String(formats).split(',').map(f => f.trim().toLowerCase()).filter(Boolean);
+  const unknown = list.filter(f => !INVENTORY_FORMATS.includes(f));
+  if (unknown.length > 0) {
+    throw new QualityConfigError(`Unknown inventory format "${unknown.join(', ')}". Supported: ${INVENTORY_FORMATS.join(', ')}`, {
+      code: 'QC_UNKNOWN_FORMAT',
+    });
+  }
+  return [...new Set(list)];
+}
+
+async function generateInventory({ cwd = process.cwd(), formats = 'json,md', exclude, log = noop } = {}) {
+  const { config } = loadConfig(cwd);
+  const formatList = parseFormats(formats);
+  const detailsFile = resolveLgpdInventory(cwd, config);
+  const existing = loadDataFile(detailsFile, INVENTORY_SCHEMA_PATH, 'inventory details');
+
+  const pii = scanPii({ cwd, exclude, log });
+  log('  [..] Looking for API routes, SDKs and outbound calls...');
+  const files = listSourceFiles(cwd, { extensions: CODE_EXTENSIONS, exclude: exclude || config.pii?.exclude || [] });
+  const code = analyzeCode(cwd, files);
+
+  // New categories are added to the details file, existing answers are kept.
+  const details = detailsTemplate(pii.inventory, existing, detailsFile);
+  const added = pii.inventory.filter(c => !existing?.categories?.[c.id]).map(c => c.id);
+  if (!existing || added.length > 0) {
+    ensureDir(path.dirname(detailsFile));
+    fs.writeFileSync(detailsFile, JSON.stringify(details, null, 2) + '\n', 'utf8');
+  }
+
+  const ropa = buildRopa({ project: pii.project, pii, code, details });
+
+  const reportDir = path.join(cwd, 'reports', 'lgpd');
+  ensureDir(reportDir);
+  const dateStr = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+  const outputs = formatList.map(format => {
+    const file = path.join(reportDir, `ropa_${dateStr}.${format}`);
+    fs.writeFileSync(file, RENDERERS[format](ropa), 'utf8');
+    return { format, file };
+  });
+
+  return { files: outputs, detailsFile, added, ropa };
+}
+
+module.exports = { PROCESSORS, INVENTORY_FORMATS, detectRoutes, generateInventory };
@@ -0,0 +1,215 @@
+const fs = require('fs');
+const path = require('path');
+
+const { ROOT_DIR } = require('./constants');
+const { loadConfig, loadDataFile, resolveProjectKey, resolveLgpdRuleset, resolveLgpdAnswers } = require('./config');
+const { collectReport } = require('./collect');
+const { SonarQubeError } = require('./errors');
+const { loadRuleset, buildChecklist, isAttested } = require('./lgpd');
+const { noop, ensureDir } = require('./utils');
+
+const ANSWERS_SCHEMA_PATH = path.join(ROOT_DIR, 'schema', 'lgpd-answers.schema.json');
+
+const STATUS_LABELS = {
+  pass: 'verified',
+  fail: 'failing',
+  unverified: 'not verified (no SonarQube data)',
+  yes: 'attested',
+  partial: 'partially attested',
+  'n/a': 'not applicable',
+  no: 'not implemented',
+  pending: 'pending attestation',
+};
+
+// Starting point for the answers file: one pending entry per manual item.
+function answersTemplate(checklist, file) {
+  const answers = { $schema: path.relative(path.dirname(file), ANSWERS_SCHEMA_PATH) };
+  for (const item of checklist.flatMap(s => s.items).filter(i => i.type === 'manual')) {
+    answers[item.id] = { question: item.label, status: 'pending', note: '', evidence: [], answeredBy: '', date: '' };
+  }
+  return answers;
+}
+
+function issueLink(sonarUrl, projectKey, issueKey) {
+  return `${sonarUrl}/project/issues?id=${encodeURIComponent(projectKey)}&open=${encodeURIComponent(issueKey)}`;
+}
+
+function rulesLink(sonarUrl, projectKey, rules) {
+  return `${sonarUrl}/project/issues?id=${encodeURIComponent(projectKey)}&resolved=false&rules=${rules.map(encodeURIComponent).join(',')}`;
+}
+
+function summarize(checklist) {
+  const items = checklist.flatMap(s => s.items);
+  const auto = items.filter(i => i.type === 'auto');
+  const manual = items.filter(i => i.type === 'manual');
+  return {
+    automated: {
+      total: auto.length,
+      passed: auto.filter(i => i.status === 'pass').length,
+      failed: auto.filter(i => i.status === 'fail').length,
+      unverified: auto.filter(i => i.status === 'unverified').length,
+    },
+    manual: {
+      total: manual.length,
+      attested: manual.filter(isAttested).length,
+      pending: manual.filter(i => !isAttested(i)).length,
+    },
+  };
+}
+
+// Evidence is sorted so two reports of the same code diff cleanly. Matches of
+// custom rules only exist locally, so they link to the file instead (reports
+// live two levels below the project root).
+function linkCheck(check, { sonarUrl, projectKey, ruleset }) {
+  const custom = new Set(ruleset.custom_rules.map(r => r.key));
+  const byLocation = (a, b) => a.component.localeCompare(b.component) || (a.line || 0) - (b.line || 0) || a.key.localeCompare(b.key);
+  const sonarRules = check.rules.filter(rule => !custom.has(rule));
+  return {
+    id: check.id,
+    label: check.label,
+    article: check.article,
+    passed: check.check,
+    rules: check.rules,
+    rulesUrl: sonarRules.length > 0 ? rulesLink(sonarUrl, projectKey, sonarRules) : null,
+    evidence: check.evidence
+      .map(e => {
+        const component = (e.component || '').replace(`${projectKey}:`, '');
+        const url = e.custom ? `../../${component}${e.line ? `#L${e.line}` : ''}` : issueLink(sonarUrl, projectKey, e.key);
+        return { ...e, component, url };
+      })
+      .sort(byLocation),
+  };
+}
+
+function withEvidenceLinks(checklist, options) {
+  return checklist.map(section => ({
+    ...section,
+    items: section.items.map(item => (item.type === 'auto' ? { ...item, checks: item.checks.map(c => linkCheck(c, options)) } : item)),
+  }));
+}
+
+function renderItem(item) {
+  const lines = [`- [${item.status === 'pass' || isAttested(item) ? 'x' : ' '}] ${item.label} — _${STATUS_LABELS[item.status] || item.status}_`];
+
+  if (item.type === 'auto') {
+    // Without SonarQube data the checks carry no result or evidence
+    for (const check of item.checks) {
+      const rules = check.rulesUrl ? ` ([rules](${check.rulesUrl}))` : '';
+      const result = item.status === 'unverified' ? 'not verified' : check.passed ? 'ok' : 'FAIL';
+      lines.push(`  - ${result}: ${check.label}${rules}`);
+      for (const e of check.evidence || []) {
+        lines.push(`    - [${e.component}${e.line ? `:${e.line}` : ''}](${e.url}) ${e.rule} — ${e.message || ''}`.trimEnd());
+      }
+    }
+    return lines;
+  }
+
+  const attestedBy = [item.answeredBy, item.date].filter(Boolean).join(', ');
+  if (attestedBy) lines.push(`  - Answered by: ${attestedBy}`);
+  if (item.note) lines.push(`  - Note: ${item.note}`);
+  for (const evidence of item.evidence) lines.push(`  - Evidence: ${evidence}`);
+  return lines;
+}
+
+function renderMarkdown({ project, date, sonarUrl, answersFile, checklist, summary }) {
+  const items = checklist.flatMap(s => s.items);
+  const failing = items.filter(i => i.status === 'fail');
+  const unverified = items.filter(i => i.status === 'unverified');
+  const missing = items.filter(i => i.status === 'no');
+  const pending = items.filter(i => i.status === 'pending');
+  const { automated, manual } = summary;
+
+  const recommendations = [
+    ...failing.map(i => `Fix the open issues behind "${i.label}".`),
+    ...(unverified.length > 0 ? ['Run "quality-config scan" so the automated checks can be verified.'] : []),
+    ...missing.map(i => `Implement "${i.label}".`),
+    ...(pending.length > 0 ? [`Answer the ${pending.length} pending item(s) in ${answersFile}: ${pending.map(i => i.id).join(', ')}.`] : []),
+  ];
+
+  return `# LGPD Compliance Report
+**Date**: ${date}
+**Project**: ${project}
+**SonarQube**: ${sonarUrl || 'not available'}
+
+---
+
+## 1. Executive Summary
+
+| | Total | Done | Open |
+|---|---|---|---|
+| Automated checks | ${automated.total} | ${automated.passed} | ${automated.failed + automated.unverified} |
+| Manual attestations | ${manual.total} | ${manual.attested} | ${manual.pending} |
+
+Automated items are verified from SonarQube issues matched against the LGPD ruleset.
+Manual items come from \`${answersFile}\`.
+
+## 2. Compliance Checklist
+${checklist.map(section => `
+### ${section.title}
+${section.items.flatMap(renderItem).join('\n')}
+`).join('')}
+## 3. Recommendations
+
+${recommendations.length > 0 ? recommendations.map((r, i) => `${i + 1}. ${r}`).join('\n') : 'No open items.'}
+
+---
+
+**Generated by**: @olympio/quality-config
+`;
+}
+
+async function generateLgpdReport({ cwd = process.cwd(), sonarUrl, token, log = noop } = {}) {
+  const { config } = loadConfig(cwd);
+  const projectKey = resolveProjectKey(cwd, config);
+  const answersFile = resolveLgpdAnswers(cwd, config);
+  const answers = loadDataFile(answersFile, ANSWERS_SCHEMA_PATH, 'LGPD answers');
+  const ruleset = loadRuleset(resolveLgpdRuleset(cwd, config));
+
+  // Without SonarQube the report is still useful for the manual items.
+  let report = null;
+  try {
+    report = await collectReport({ cwd, sonarUrl, token, log });
+  } catch (err) {
+    if (!(err instanceof SonarQubeError)) throw err;
+    log(`  [warn] ${err.message} Automated checks will be marked as not verified.`);
+  }
+
+  let checklist = buildChecklist({ lgpd: report?.lgpd, ruleset, answers: answers || {} });
+  if (report) checklist = withEvidenceLinks(checklist, { sonarUrl: report.project.sonarUrl, projectKey, ruleset });
+
+  let answersCreated = false;
+  if (!answers) {
+    ensureDir(path.dirname(answersFile));
+    fs.writeFileSync(answersFile, JSON.stringify(answersTemplate(checklist, answersFile), null, 2) + '\n', 'utf8');
+    answersCreated = true;
+  }
+
+  const reportDir = path.join(cwd, 'reports', 'lgpd');
+  ensureDir(reportDir);
+
+  const now = new Date();
+  const dateStr = now.toISOString().replace(/[:.]/g, '-').slice(0, 19);
+  const file = path.join(reportDir, `compliance_report_${dateStr}.md`);
+  const jsonFile = file.replace(/\.md$/, '.json');
+  const project = config.projectName || report?.project.name || projectKey;
+  const summary = summarize(checklist);
+
+  fs.writeFileSync(file, renderMarkdown({
+    project,
+    date: now.toLocaleDateString('pt-BR') + ' ' + now.toLocaleTimeString('pt-BR'),
+    sonarUrl: report?.project.sonarUrl,
+    answersFile: path.relative(cwd, answersFile),
+    checklist,
+    summary,
+  }), 'utf8');
+  fs.writeFileSync(jsonFile, JSON.stringify({
+    generatedAt: now.toISOString(),
+    project: { key: projectKey, name: project },
+    summary,
+    checklist,
+  }, null, 2) + '\n', 'utf8');
+
+  return { file, jsonFile, answersFile, answersCreated, summary, checklist };
+}
+
+module.exports = { generateLgpdReport, linkCheck };
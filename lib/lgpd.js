@@ -0,0 +1,326 @@
+const fs = require('fs');
+const path = require('path');
+
+const { CONFIGS_DIR, ROOT_DIR } = require('./constants');
+const { loadDataFile } = require('./config');
+const { ConfigError } = require('./errors');
+const { globToRegex, listSourceFiles } = require('./utils');
+
+const RULESET_SCHEMA_PATH = path.join(ROOT_DIR, 'schema', 'lgpd-ruleset.schema.json');
+
+// Rulesets shipped with the package, usable in "extends".
+const BUNDLED_RULESETS = {
+  '@olympio/quality-config/lgpd-base': 'lgpd-base.json',
+  '@olympio/quality-config/lgpd-js': 'lgpd-rules-js.json',
+  '@olympio/quality-config/lgpd-python': 'lgpd-rules-python.json',
+};
+const BASE_RULESET = '@olympio/quality-config/lgpd-base';
+
+const CUSTOM_RULE_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.py'];
+
+// Items of the compliance report. An item is verified automatically when a
+// ruleset check points at it (`item`), otherwise it is attested in the answers
+// file. `aliases` match the entries of `lgpd_compliance_checklist`.
+const LGPD_CHECKLIST = [
+  {
+    title: 'Legal Basis (Art. 7 LGPD)',
+    items: [
+      { id: 'consent-documented', label: 'Documented consent', aliases: ['Explicit consent'] },
+      { id: 'purpose-defined', label: 'Specific purpose defined' },
+      { id: 'necessity-justified', label: 'Justified necessity' },
+      { id: 'transparency', label: 'Transparency implemented' },
+    ],
+  },
+  {
+    title: 'Security (Art. 46 LGPD)',
+    items: [
+      { id: 'encryption-in-transit', label: 'Encryption in transit (HTTPS)', aliases: ['Secure transmission (HTTPS)'] },
+      { id: 'encryption-at-rest', label: 'Encryption at rest', aliases: ['Encryption of sensitive data', 'Secure storage'] },
+      { id: 'secrets', label: 'No hardcoded secrets' },
+      { id: 'logging', label: 'Logs without personal data', aliases: ['Logs without PII'] },
+      { id: 'injection', label: 'Protection against injection and XSS' },
+      { id: 'dependencies', label: 'No known critical/high dependency vulnerabilities' },
+      { id: 'access-control', label: 'Access control (RLS/RBAC)', aliases: ['Access control'] },
+      { id: 'strong-authentication', label: 'Strong authentication' },
+      { id: 'audit-logging', label: 'Audit logging' },
+      { id: 'backups', label: 'Regular backups', aliases: ['Backup and recovery'] },
+    ],
+  },
+  {
+    title: 'Data Subject Rights (Art. 18 LGPD)',
+    items: [
+      { id: 'data-access', label: 'Data access implemented', aliases: ['Data access'] },
+      { id: 'data-correction', label: 'Data correction implemented' },
+      { id: 'data-deletion', label: 'Data deletion implemented', aliases: ['Right to be forgotten'] },
+      { id: 'data-portability', label: 'Data portability implemented', aliases: ['Data portability'] },
+      { id: 'consent-revocation', label: 'Consent revocation implemented' },
+    ],
+  },
+  {
+    title: 'Governance',
+    items: [
+      { id: 'dpo-designated', label: 'DPO designated' },
+      { id: 'data-inventory', label: 'Data inventory maintained' },
+      { id: 'privacy-policy', label: 'Privacy policy updated' },
+      { id: 'retention-policy', label: 'Retention policies defined' },
+      { id: 'incident-response', label: 'Incident response plan' },
+    ],
+  },
+];
+
+const ANSWERED = ['yes', 'partial', 'n/a'];
+
+function slugify(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+function ruleSuffix(rule = '') {
+  return rule.includes(':') ? rule.split(':').pop() : rule;
+}
+
+function ruleRepo(rule = '') {
+  return rule.includes(':') ? rule.split(':')[0] : rule;
+}
+
+function byKey(items = [], key) {
+  return Object.fromEntries(items.map(item => [item[key], item]));
+}
+
+// Later rulesets override earlier ones: rules and custom rules by key,
+// checks by id (field by field), articles and controls by name; checklists
+// add up.
+function mergeRulesets(base, ruleset) {
+  const checklist = { ...base.lgpd_compliance_checklist };
+  for (const [group, entries] of Object.entries(ruleset.lgpd_compliance_checklist || {})) {
+    checklist[group] = [...new Set([...(checklist[group] || []), ...entries])];
+  }
+  const checks = byKey(base.checks, 'id');
+  for (const check of ruleset.checks || []) {
+    const frameworks = { ...checks[check.id]?.frameworks, ...check.frameworks };
+    checks[check.id] = { ...checks[check.id], ...check, frameworks };
+  }
+  const controls = { ...base.controls };
+  for (const [framework, titles] of Object.entries(ruleset.controls || {})) {
+    controls[framework] = { ...controls[framework], ...titles };
+  }
+
+  return {
+    name: ruleset.name || base.name,
+    description: ruleset.description || base.description,
+    articles: { ...base.articles, ...ruleset.articles },
+    controls,
+    rules: Object.values({ ...byKey(base.rules, 'key'), ...byKey(ruleset.rules, 'key') }),
+    custom_rules: Object.values({ ...byKey(base.custom_rules, 'key'), ...byKey(ruleset.custom_rules, 'key') }),
+    checks: Object.values(checks),
+    lgpd_compliance_checklist: checklist,
+  };
+}
+
+function resolveExtends(name, from) {
+  if (BUNDLED_RULESETS[name]) return path.join(CONFIGS_DIR, 'lgpd', BUNDLED_RULESETS[name]);
+  if (name.startsWith('.') || path.isAbsolute(name)) return path.resolve(path.dirname(from), name);
+  throw new ConfigError(`Cannot resolve "extends": "${name}" in ${path.basename(from)}`, {
+    file: from,
+    errors: [`use ${Object.keys(BUNDLED_RULESETS).join(', ')} or a path relative to the ruleset`],
+  });
+}
+
+function loadRulesetFile(file, seen) {
+  if (seen.includes(file)) {
+    throw new ConfigError(`Circular "extends" in LGPD rulesets: ${[...seen, file].map(f => path.basename(f)).join(' -> ')}`, { file });
+  }
+  const ruleset = loadDataFile(file, RULESET_SCHEMA_PATH, 'LGPD ruleset');
+  if (!ruleset) throw new ConfigError(`LGPD ruleset not found: ${file}`, { file });
+
+  // Rulesets written before checks were configurable keep the bundled ones.
+  const parents = ruleset.extends ? [].concat(ruleset.extends) : ruleset.checks ? [] : [BASE_RULESET];
+  let merged = {};
+  for (const parent of parents) {
+    merged = mergeRulesets(merged, loadRulesetFile(resolveExtends(parent, file), [...seen, file]));
+  }
+  return mergeRulesets(merged, ruleset);
+}
+
+function ruleMatches(patterns, rule) {
+  return patterns.some(p => (p.includes(':') ? p === rule : ruleSuffix(rule) === p));
+}
+
+// Loads the project ruleset with everything it extends. Rules that no check
+// covers get a check of their own, so every rule counts towards the score.
+function loadRuleset(file) {
+  const ruleset = fs.existsSync(file)
+    ? loadRulesetFile(file, [])
+    : loadRulesetFile(resolveExtends(BASE_RULESET, file), []);
+
+  for (const rule of ruleset.custom_rules) {
+    try {
+      new RegExp(rule.pattern, rule.flags);
+    } catch (err) {
+      throw new ConfigError(`Invalid pattern in custom rule ${rule.key}: ${err.message}`, { file });
+    }
+  }
+
+  const checks = ruleset.checks.map(check => ({ weight: 1, rules: [], repositories: [], ...check }));
+  const checksById = byKey(checks, 'id');
+  for (const rule of [...ruleset.rules, ...ruleset.custom_rules]) {
+    if (rule.check && !checksById[rule.check]) {
+      throw new ConfigError(`Rule ${rule.key} refers to unknown check "${rule.check}"`, { file });
+    }
+    if (rule.check) {
+      checksById[rule.check].rules.push(rule.key);
+    } else if (!checks.some(c => ruleMatches(c.rules, rule.key) || c.repositories.includes(ruleRepo(rule.key)))) {
+      const check = { id: rule.key, label: rule.name || rule.key, article: rule.lgpd_article, frameworks: rule.frameworks, weight: 1, rules: [rule.key], repositories: [] };
+      checks.push(check);
+      checksById[check.id] = check;
+    }
+  }
+
+  // The LGPD article is the check's control in the LGPD framework
+  for (const check of checks) {
+    const lgpd = [...new Set([check.article, ...(check.frameworks?.lgpd || [])].filter(Boolean))];
+    check.frameworks = { ...check.frameworks, lgpd };
+  }
+
+  return { ...ruleset, checks: checks.filter(c => c.enabled !== false) };
+}
+
+// Runs the ruleset's regex rules over the project sources and reports the
+// matches in the shape of SonarQube issues.
+function runCustomRules(cwd, ruleset, projectKey) {
+  const issues = [];
+  for (const rule of ruleset.custom_rules || []) {
+    const pattern = new RegExp(rule.pattern, rule.flags);
+    const include = (rule.files || []).map(globToRegex);
+    const files = listSourceFiles(cwd, { extensions: include.length > 0 ? null : CUSTOM_RULE_EXTENSIONS, exclude: rule.exclude })
+      .filter(file => include.length === 0 || include.some(re => re.test(file)));
+
+    for (const file of files) {
+      fs.readFileSync(path.join(cwd, file), 'utf8').split('\n').forEach((line, i) => {
+        if (!pattern.test(line)) return;
+        issues.push({
+          key: `${rule.key}:${file}:${i + 1}`,
+          rule: rule.key,
+          severity: rule.severity || 'MAJOR',
+          type: 'VULNERABILITY',
+          component: `${projectKey}:${file}`,
+          line: i + 1,
+          message: rule.message || rule.name || rule.key,
+          custom: true,
+        });
+      });
+    }
+  }
+  return issues;
+}
+
+// A check fails while any of its rules has open issues (or, for dependency
+// checks, while the audit finds vulnerabilities of its severity). The score
+// is the weighted share of passing checks.
+function evaluateLgpd({ ruleset, issues, vulnerabilities = {} }) {
+  const rules = [...ruleset.rules, ...ruleset.custom_rules];
+  const findRule = key => rules.find(r => r.key === key) || rules.find(r => ruleSuffix(r.key) === ruleSuffix(key));
+  const article = key => (key && ruleset.articles[key] ? `${key} - ${ruleset.articles[key]}` : key);
+
+  // Cross-reference LGPD rules with actual issues
+  const lgpdIssues = [];
+  for (const issue of issues) {
+    const rule = findRule(issue.rule || '');
+    if (rule) lgpdIssues.push({ ...issue, lgpdArticle: article(rule.lgpd_article), lgpdName: rule.name });
+  }
+
+  const checks = ruleset.checks.map(def => {
+    const base = { id: def.id, label: def.label || def.id, article: article(def.article), weight: def.weight, item: def.item, frameworks: def.frameworks };
+    if (def.dependencies) {
+      return { ...base, check: !vulnerabilities[def.dependencies], rules: [], evidence: [] };
+    }
+    const evidence = issues.filter(i => ruleMatches(def.rules, i.rule || '') || def.repositories.includes(ruleRepo(i.rule)));
+    return {
+      ...base,
+      check: evidence.length === 0,
+      rules: rules.map(r => r.key).filter(key => ruleMatches(def.rules, key) || def.repositories.includes(ruleRepo(key))),
+      evidence: evidence.map(i => ({ key: i.key, rule: i.rule, component: i.component, line: i.line, message: i.message, ...(i.custom && { custom: true }) })),
+    };
+  });
+  const passed = checks.filter(c => c.check).length;
+  const totalWeight = checks.reduce((sum, c) => sum + c.weight, 0);
+  const passedWeight = checks.filter(c => c.check).reduce((sum, c) => sum + c.weight, 0);
+  const score = totalWeight ? Math.round((passedWeight / totalWeight) * 100) : 100;
+
+  return { checks, passed, score, issues: lgpdIssues };
+}
+
+// Manual items come from LGPD_CHECKLIST plus any `lgpd_compliance_checklist`
+// entry of the ruleset that no built-in item covers.
+function checklistSections(ruleset = {}) {
+  const known = new Set();
+  for (const item of LGPD_CHECKLIST.flatMap(s => s.items)) {
+    for (const name of [item.label, ...(item.aliases || [])]) known.add(name.toLowerCase());
+  }
+  const extra = Object.values(ruleset.lgpd_compliance_checklist || {})
+    .flat()
+    .filter(name => typeof name === 'string' && !known.has(name.toLowerCase()))
+    .map(name => ({ id: slugify(name), label: name }));
+
+  const sections = [...LGPD_CHECKLIST];
+  if (extra.length > 0) sections.push({ title: 'Ruleset checklist', items: extra });
+  return sections;
+}
+
+// Resolves every checklist item to a status: items that ruleset checks point
+// at from the LGPD checks (or `unverified` without SonarQube data), the others
+// from answers. Checks tied to no known item get a section of their own.
+function buildChecklist({ lgpd, ruleset, answers = {} }) {
+  const results = Object.fromEntries((lgpd?.checks || []).map(c => [c.id, c]));
+  const checksFor = id => ruleset.checks
+    .filter(c => c.item === id)
+    .map(c => results[c.id] || { id: c.id, label: c.label || c.id, item: c.item });
+  const automated = (item, checks) => ({
+    id: item.id,
+    label: item.label,
+    type: 'auto',
+    status: !lgpd ? 'unverified' : checks.every(c => c.check) ? 'pass' : 'fail',
+    checks,
+  });
+
+  const sections = checklistSections(ruleset);
+  const itemIds = new Set(sections.flatMap(s => s.items.map(i => i.id)));
+  const loose = ruleset.checks.filter(c => !itemIds.has(c.item));
+  if (loose.length > 0) {
+    sections.push({ title: 'Ruleset checks', items: loose.map(c => ({ id: c.id, label: c.label || c.id, check: c.id })) });
+  }
+
+  return sections.map(section => ({
+    title: section.title,
+    items: section.items.map(item => {
+      if (item.check) return automated(item, [results[item.check] || { id: item.check, label: item.label }]);
+      const checks = checksFor(item.id);
+      if (checks.length > 0) return automated(item, checks);
+      const answer = answers[item.id] || {};
+      return {
+        id: item.id,
+        label: item.label,
+        type: 'manual',
+        status: answer.status || 'pending',
+        note: answer.note || '',
+        evidence: [].concat(answer.evidence || []),
+        answeredBy: answer.answeredBy || '',
+        date: answer.date || '',
+      };
+    }),
+  }));
+}
+
+function isAttested(item) {
+  return item.type === 'manual' && ANSWERED.includes(item.status);
+}
+
+module.exports = {
+  LGPD_CHECKLIST,
+  BUNDLED_RULESETS,
+  loadRuleset,
+  runCustomRules,
+  evaluateLgpd,
+  checklistSections,
+  buildChecklist,
+  isAttested,
+};
@@ -0,0 +1,505 @@
+const fs = require('fs');
+const path = require('path');
+
+const { loadConfig, resolveProjectKey } = require('./config');
+const { normalizePypiName } = require('./osv');
+const { readSonarProperties, getSonarModules, dependencyDirs } = require('./properties');
+const { readPythonDependencies } = require('./python-deps');
+const { pypiLicenses } = require('./registry');
+const { noop, ensureDir } = require('./utils');
+
+// Strong copyleft and non-commercial licenses are denied unless the config
+// says otherwise. Patterns are SPDX ids with * wildcards.
+const DEFAULT_POLICY = {
+  allow: [],
+  deny: ['GPL-*', 'AGPL-*', 'SSPL-*', 'CC-BY-NC-*'],
+  unknown: 'warn',
+  dev: false,
+  exceptions: [],
+};
+
+// ─── SPDX ───────────────────────────────────────────────────
+
+// Common non-SPDX spellings, including the trove classifiers of Python
+// packages, keyed in lowercase.
+const LICENSE_ALIASES = {
+  'mit license': 'MIT',
+  'the mit license': 'MIT',
+  'mit/x11': 'MIT',
+  'expat': 'MIT',
+  'isc license': 'ISC',
+  'isc license (iscl)': 'ISC',
+  'apache': 'Apache-2.0',
+  'apache 2': 'Apache-2.0',
+  'apache 2.0': 'Apache-2.0',
+  'apache-2': 'Apache-2.0',
+  'apache license 2.0': 'Apache-2.0',
+  'apache license, version 2.0': 'Apache-2.0',
+  'apache license version 2.0': 'Apache-2.0',
+  'apache software license': 'Apache-2.0',
+  'apache software license 2.0': 'Apache-2.0',
+  'bsd': 'BSD-3-Clause',
+  'bsd license': 'BSD-3-Clause',
+  'new bsd': 'BSD-3-Clause',
+  'new bsd license': 'BSD-3-Clause',
+  '3-clause bsd': 'BSD-3-Clause',
+  'bsd-3': 'BSD-3-Clause',
+  'simplified bsd': 'BSD-2-Clause',
+  '2-clause bsd': 'BSD-2-Clause',
+  'bsd-2': 'BSD-2-Clause',
+  'mozilla public license 2.0 (mpl 2.0)': 'MPL-2.0',
+  'mpl 2.0': 'MPL-2.0',
+  'python software foundation license': 'PSF-2.0',
+  'psf': 'PSF-2.0',
+  'psf license': 'PSF-2.0',
+  'the unlicense (unlicense)': 'Unlicense',
+  'public domain': 'LicenseRef-Public-Domain',
+  'proprietary': 'LicenseRef-Proprietary',
+  'commercial': 'LicenseRef-Proprietary',
+  'other/proprietary license': 'LicenseRef-Proprietary',
+  'gpl': 'GPL-1.0-or-later',
+  'gnu general public license (gpl)': 'GPL-1.0-or-later',
+  'gplv2': 'GPL-2.0-only',
+  'gnu general public license v2 (gplv2)': 'GPL-2.0-only',
+  'gplv2+': 'GPL-2.0-or-later',
+  'gnu general public license v2 or later (gplv2+)': 'GPL-2.0-or-later',
+  'gplv3': 'GPL-3.0-only',
+  'gnu general public license v3 (gplv3)': 'GPL-3.0-only',
+  'gplv3+': 'GPL-3.0-or-later',
+  'gnu general public license v3 or later (gplv3+)': 'GPL-3.0-or-later',
+  'lgpl': 'LGPL-2.0-or-later',
+  'gnu library or lesser general public license (lgpl)': 'LGPL-2.0-or-later',
+  'lgplv2': 'LGPL-2.0-only',
+  'gnu lesser general public license v2 (lgplv2)': 'LGPL-2.0-only',
+  'gnu lesser general public license v2 or later (lgplv2+)': 'LGPL-2.0-or-later',
+  'lgplv3': 'LGPL-3.0-only',
+  'gnu lesser general public license v3 (lgplv3)': 'LGPL-3.0-only',
+  'gnu lesser general public license v3 or later (lgplv3+)': 'LGPL-3.0-or-later',
+  'agplv3': 'AGPL-3.0-only',
+  'gnu affero general public license v3': 'AGPL-3.0-only',
+  'gnu affero general public license v3 or later (agplv3+)': 'AGPL-3.0-or-later',
+};
+
+// License texts recognized when a package declares no license.
+const LICENSE_TEXTS = [
+  [/GNU AFFERO GENERAL PUBLIC LICENSE/i, 'AGPL-3.0-only'],
+  [/GNU LESSER GENERAL PUBLIC LICENSE/i, 'LGPL-3.0-only'],
+  [/GNU GENERAL PUBLIC LICENSE\s+Version 3/i, 'GPL-3.0-only'],
+  [/GNU GENERAL PUBLIC LICENSE\s+Version 2/i, 'GPL-2.0-only'],
+  [/Apache License,?\s+Version 2\.0/i, 'Apache-2.0'],
+  [/Mozilla Public License,?\s+(version|v\.?)\s*2\.0/i, 'MPL-2.0'],
+  [/Permission is hereby granted, free of charge/i, 'MIT'],
+  [/Permission to use, copy, modify, and\/or distribute this software for any purpose/i, 'ISC'],
+  [/Neither the name of/i, 'BSD-3-Clause'],
+  [/Redistribution and use in source and binary forms/i, 'BSD-2-Clause'],
+  [/This is free and unencumbered software released into the public domain/i, 'Unlicense'],
+];
+
+function licenseFromText(text) {
+  const match = LICENSE_TEXTS.find(([pattern]) => pattern.test(text));
+  return match ? match[1] : null;
+}
+
+// SPDX ids, with the deprecated GPL-2.0 / GPL-2.0+ forms spelled out.
+function normalizeId(id) {
+  const alias = LICENSE_ALIASES[id.toLowerCase()];
+  if (alias) return alias;
+  const gnu = /^(A|L)?GPL-(\d\.\d)(\+)?$/i.exec(id);
+  if (gnu) return `${(gnu[1] || '').toUpperCase()}GPL-${gnu[2]}-${gnu[3] ? 'or-later' : 'only'}`;
+  return id;
+}
+
+function tokenize(expression) {
+  return expression.replace(/[()]/g, ' $& ').trim().split(/\s+/).filter(Boolean);
+}
+
+// Parses an SPDX expression into a tree of { op: 'OR'|'AND', args } and
+// { id, exception } leaves. WITH binds tighter than AND, AND than OR.
+function parseExpression(expression) {
+  const tokens = tokenize(expression);
+  let pos = 0;
+  const peek = () => (tokens[pos] || '').toUpperCase();
+
+  const parseLeaf = () => {
+    if (tokens[pos] === '(') {
+      pos++;
+      const node = parseOr();
+      if (tokens[pos++] !== ')') throw new Error('unbalanced parentheses');
+      return node;
+    }
+    const id = tokens[pos++];
+    if (!id || ['AND', 'OR', 'WITH', ')'].includes(id.toUpperCase())) throw new Error(`unexpected "${id || 'end'}"`);
+    if (peek() === 'WITH') {
+      pos++;
+      return { id: normalizeId(id), exception: tokens[pos++] };
+    }
+    return { id: normalizeId(id) };
+  };
+  const parseBinary = (op, next) => () => {
+    const args = [next()];
+    while (peek() === op) {
+      pos++;
+      args.push(next());
+    }
+    return args.length === 1 ? args[0] : { op, args };
+  };
+  const parseAnd = parseBinary('AND', parseLeaf);
+  const parseOr = parseBinary('OR', parseAnd);
+
+  const tree = parseOr();
+  if (pos < tokens.length) throw new Error(`unexpected "${tokens[pos]}"`);
+  return tree;
+}
+
+function formatExpression(node, parent) {
+  if (node.id) return node.exception ? `${node.id} WITH ${node.exception}` : node.id;
+  const text = node.args.map(arg => formatExpression(arg, node.op)).join(` ${node.op} `);
+  return parent && parent !== node.op ? `(${text})` : text;
+}
+
+// A declared license (SPDX expression or free text) as a normalized SPDX
+// expression, or null when it can't be read.
+function normalizeLicense(declared) {
+  const text = String(declared || '').trim();
+  if (!text || /^(UNKNOWN|NONE|NOASSERTION)$/i.test(text)) return null;
+  if (/^SEE LICEN[CS]E IN /i.test(text)) return null;
+  if (LICENSE_ALIASES[text.toLowerCase()]) return LICENSE_ALIASES[text.toLowerCase()];
+  if (text.includes('\n') || text.length > 100) return licenseFromText(text);
+  try {
+    return formatExpression(parseExpression(text));
+  } catch {
+    return null;
+  }
+}
+
+// ─── Policy ─────────────────────────────────────────────────
+
+function resolvePolicy(config, overrides = {}) {
+  return { ...DEFAULT_POLICY, ...config.licenses, ...overrides };
+}
+
+function matches(pattern, value) {
+  const regex = new RegExp(`^${pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`, 'i');
+  return regex.test(value);
+}
+
+// allowed, denied or unknown. An allowed license wins over a denied pattern,
+// so `allow` can carve out e.g. "GPL-2.0-only WITH Classpath-exception-2.0".
+function evaluateNode(node, policy) {
+  if (node.id) {
+    const full = node.exception ? `${node.id} WITH ${node.exception}` : node.id;
+    // Custom references and npm's UNLICENSED (proprietary) need a human look
+    if (/^(LicenseRef-|UNLICENSED$)/i.test(node.id) && !policy.allow.some(p => matches(p, full))) return 'unknown';
+    if (policy.allow.some(p => matches(p, full))) return 'allowed';
+    if (policy.deny.some(p => matches(p, full) || matches(p, node.id))) return 'denied';
+    return policy.allow.length > 0 ? 'denied' : 'allowed';
+  }
+  const results = node.args.map(arg => evaluateNode(arg, policy));
+  // OR: any acceptable choice will do; AND: every part must be acceptable
+  const order = node.op === 'OR' ? ['allowed', 'unknown', 'denied'] : ['denied', 'unknown', 'allowed'];
+  return order.find(status => results.includes(status));
+}
+
+function evaluatePackage(pkg, policy) {
+  if (policy.exceptions.some(e => e === pkg.name || e === `${pkg.name}@${pkg.version}`)) {
+    return { status: 'excepted', reason: 'listed in licenses.exceptions' };
+  }
+  if (!pkg.license) return { status: 'unknown', reason: pkg.declared ? `unrecognized license "${pkg.declared.slice(0, 60)}"` : 'no license declared' };
+  const status = evaluateNode(parseExpression(pkg.license), policy);
+  if (status === 'denied') {
+    return { status, reason: policy.allow.length > 0 ? 'not in licenses.allow' : 'matches licenses.deny' };
+  }
+  return { status, reason: status === 'unknown' ? 'custom or proprietary license' : undefined };
+}
+
+// ─── Packages ───────────────────────────────────────────────
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function listDir(dir) {
+  try {
+    return fs.readdirSync(dir);
+  } catch {
+    return [];
+  }
+}
+
+function declaredNodeLicense(pkg) {
+  const license = pkg.license || pkg.licenses;
+  if (Array.isArray(license)) return license.map(l => (typeof l === 'string' ? l : l.type)).filter(Boolean).join(' OR ');
+  return typeof license === 'object' && license ? license.type : license;
+}
+
+function licenseFile(dir) {
+  const file = listDir(dir).find(f => /^(LICEN[CS]E|COPYING)(\.|$)/i.test(f));
+  try {
+    return file ? licenseFromText(fs.readFileSync(path.join(dir, file), 'utf8').slice(0, 4000)) : null;
+  } catch {
+    return null;
+  }
+}
+
+// Installed packages of a node_modules tree (npm, yarn and bun layouts, and
+// pnpm's .pnpm store), or the licenses recorded in package-lock.json.
+function nodePackages(dir) {
+  const root = readJson(path.join(dir, 'package.json'));
+  if (!root) return null;
+  const lock = readJson(path.join(dir, 'package-lock.json'))?.packages || {};
+  const devOnly = name => name in (root.devDependencies || {}) && !(name in (root.dependencies || {}));
+  const packages = new Map();
+  const visited = new Set();
+
+  const addPackage = pkgDir => {
+    let real;
+    try {
+      real = fs.realpathSync(pkgDir);
+    } catch {
+      return;
+    }
+    if (visited.has(real)) return;
+    visited.add(real);
+
+    const pkg = readJson(path.join(real, 'package.json'));
+    if (pkg?.name && pkg.version && !packages.has(`${pkg.name}@${pkg.version}`)) {
+      const relative = path.relative(dir, pkgDir).split(path.sep).join('/');
+      const declared = declaredNodeLicense(pkg);
+      const fromFile = declared ? null : licenseFile(real);
+      packages.set(`${pkg.name}@${pkg.version}`, {
+        ecosystem: 'npm',
+        name: pkg.name,
+        version: pkg.version,
+        declared: declared || null,
+        license: declared ? normalizeLicense(declared) : fromFile,
+        source: declared ? 'package.json' : fromFile ? 'license file' : 'package.json',
+        dev: lock[relative] ? lock[relative].dev === true : devOnly(pkg.name),
+      });
+    }
+    visit(path.join(real, 'node_modules'));
+  };
+
+  const visit = modulesDir => {
+    for (const entry of listDir(modulesDir)) {
+      if (entry === '.pnpm') {
+        for (const id of listDir(path.join(modulesDir, entry))) visit(path.join(modulesDir, entry, id, 'node_modules'));
+      } else if (entry.startsWith('@')) {
+        for (const sub of listDir(path.join(modulesDir, entry))) addPackage(path.join(modulesDir, entry, sub));
+      } else if (!entry.startsWith('.')) {
+        addPackage(path.join(modulesDir, entry));
+      }
+    }
+  };
+
+  if (fs.existsSync(path.join(dir, 'node_modules'))) {
+    visit(path.join(dir, 'node_modules'));
+    return { source: 'node_modules', packages: [...packages.values()] };
+  }
+  const locked = Object.entries(lock).filter(([key, info]) => key.includes('node_modules/') && info.version && !info.link);
+  if (locked.length > 0) {
+    return {
+      source: 'package-lock.json',
+      packages: locked.map(([key, info]) => ({
+        ecosystem: 'npm',
+        name: info.name || key.slice(key.lastIndexOf('node_modules/') + 'node_modules/'.length),
+        version: info.version,
+        declared: info.license || null,
+        license: normalizeLicense(info.license),
+        source: 'package-lock.json',
+        dev: info.dev === true,
+      })),
+    };
+  }
+  return { source: 'package.json', packages: [], reason: 'no node_modules or package-lock.json (install the dependencies first)' };
+}
+
+function readMetadata(file) {
+  const headers = {};
+  for (const line of fs.readFileSync(file, 'utf8').split(/\r?\n/)) {
+    if (!line.trim()) break;
+    const m = /^([\w-]+):\s?(.*)$/.exec(line);
+    if (m) (headers[m[1].toLowerCase()] = headers[m[1].toLowerCase()] || []).push(m[2]);
+    else if (/^\s/.test(line)) {
+      const last = Object.keys(headers).pop();
+      if (last) headers[last][headers[last].length - 1] += '\n' + line.trim();
+    }
+  }
+  return headers;
+}
+
+function classifierLicenses(classifiers) {
+  const ids = classifiers
+    .map(c => c.split('::').pop().trim())
+    .filter(c => c !== 'OSI Approved')
+    .map(normalizeLicense)
+    .filter(Boolean);
+  return ids.length > 0 ? [...new Set(ids)].join(' OR ') : null;
+}
+
+// PEP 639 License-Expression, then a short License field, then classifiers.
+function pythonLicense({ expression, license, classifiers }) {
+  if (expression) return { declared: expression, license: normalizeLicense(expression) };
+  const fromField = license && !license.includes('\n') && license.length <= 100 ? normalizeLicense(license) : null;
+  const fromClassifiers = classifierLicenses(classifiers || []);
+  const fromText = license ? licenseFromText(license) : null;
+  return { declared: license || (classifiers || []).join(', ') || null, license: fromField || fromClassifiers || fromText };
+}
+
+function sitePackagesDirs(dir) {
+  const venvs = [process.env.VIRTUAL_ENV, ...['.venv', 'venv', 'env'].map(v => path.join(dir, v))].filter(Boolean);
+  return venvs.flatMap(venv => [
+    ...listDir(path.join(venv, 'lib')).filter(d => d.startsWith('python')).map(d => path.join(venv, 'lib', d, 'site-packages')),
+    path.join(venv, 'Lib', 'site-packages'),
+  ]).filter(d => fs.existsSync(d));
+}
+
+// Installed distributions of the project's virtualenv; packages of the
+// lockfile that aren't installed are looked up on PyPI unless offline.
+function pythonPackages(dir, { offline }) {
+  const deps = readPythonDependencies(dir);
+  if (!deps) return null;
+
+  const installed = new Map();
+  for (const site of sitePackagesDirs(dir)) {
+    for (const entry of listDir(site).filter(e => /\.(dist-info|egg-info)$/.test(e))) {
+      const file = ['METADATA', 'PKG-INFO'].map(f => path.join(site, entry, f)).find(f => fs.existsSync(f));
+      if (!file) continue;
+      const meta = readMetadata(file);
+      const name = normalizePypiName((meta.name || [''])[0]);
+      installed.set(name, {
+        version: (meta.version || [''])[0],
+        ...pythonLicense({
+          expression: (meta['license-expression'] || [])[0],
+          license: (meta.license || [])[0],
+          classifiers: (meta.classifier || []).filter(c => c.startsWith('License ::')),
+        }),
+      });
+    }
+  }
+
+  const missing = deps.packages.filter(p => !installed.has(p.name) && p.version);
+  const remote = offline ? {} : pypiLicenses(missing.map(p => `${p.name}@${p.version}`));
+  const packages = deps.packages.map(p => {
+    const local = installed.get(p.name);
+    const fetched = remote[`${p.name}@${p.version}`];
+    const info = local || (fetched ? pythonLicense(fetched) : { declared: null, license: null });
+    return {
+      ecosystem: 'PyPI',
+      name: p.name,
+      version: local?.version || p.version,
+      declared: info.declared,
+      license: info.license,
+      source: local ? 'site-packages' : fetched ? 'PyPI' : deps.source,
+      dev: p.dev,
+    };
+  });
+  const unresolved = packages.filter(p => p.source === deps.source).length;
+  return {
+    source: installed.size > 0 ? 'site-packages' : deps.source,
+    packages,
+    reason: unresolved > 0 ? `${unresolved} package(s) not installed${offline ? ' (offline, PyPI not queried)' : ' and not found on PyPI'}` : undefined,
+  };
+}
+
+// ─── Scan ───────────────────────────────────────────────────
+
+// Licenses of the dependencies of the root and each module, checked against
+// the allow/deny policy of the config (`licenses`).
+function scanLicenses({ cwd = process.cwd(), dev, offline, log = noop } = {}) {
+  const { config } = loadConfig(cwd);
+  const policy = resolvePolicy(config, dev === undefined ? {} : { dev });
+  offline = offline ?? config.dependencies?.offline === true;
+
+  const sources = [];
+  const packages = [];
+  for (const dir of dependencyDirs(cwd, getSonarModules(readSonarProperties(cwd)))) {
+    const location = path.normalize(dir);
+    for (const [ecosystem, read] of [['npm', nodePackages], ['PyPI', pythonPackages]]) {
+      const result = read(path.join(cwd, dir), { offline });
+      if (!result) continue;
+      log(`  [..] ${ecosystem} licenses in ${location} (${result.source})...`);
+      sources.push({ ecosystem, location, source: result.source, packages: result.packages.length, reason: result.reason });
+      for (const pkg of result.packages) {
+        if (pkg.dev && !policy.dev) continue;
+        packages.push({ ...pkg, location, ...evaluatePackage(pkg, policy) });
+      }
+    }
+  }
+  packages.sort((a, b) => a.name.localeCompare(b.name) || a.version.localeCompare(b.version));
+
+  const byLicense = {};
+  for (const pkg of packages) byLicense[pkg.license || 'unknown'] = (byLicense[pkg.license || 'unknown'] || 0) + 1;
+  const count = status => packages.filter(p => p.status === status).length;
+  const violations = packages.filter(p => p.status === 'denied' || (p.status === 'unknown' && policy.unknown === 'deny'));
+
+  return {
+    project: config.projectName || resolveProjectKey(cwd, config),
+    policy,
+    sources,
+    packages,
+    violations,
+    summary: {
+      total: packages.length,
+      allowed: count('allowed'),
+      denied: count('denied'),
+      unknown: count('unknown'),
+      excepted: count('excepted'),
+      licenses: Object.entries(byLicense).sort((a, b) => b[1] - a[1]).map(([license, packages]) => ({ license, packages })),
+    },
+    ok: violations.length === 0,
+  };
+}
+
+function renderMarkdown(result) {
+  const { summary, policy } = result;
+  const rows = list => list.map(p => `| ${p.name} | ${p.version} | ${p.license || p.declared || '-'} | ${p.reason || '-'} | ${p.location} |`).join('\n');
+  const unknown = result.packages.filter(p => p.status === 'unknown');
+
+  return `# License Compliance Report
+**Project**: ${result.project}
+**Policy**: ${policy.allow.length > 0 ? `allow ${policy.allow.join(', ')}` : 'allow all'}; deny ${policy.deny.join(', ') || 'none'}; unknown licenses ${policy.unknown === 'deny' ? 'fail' : 'warn'}${policy.dev ? '' : '; dev dependencies skipped'}
+
+${summary.total} packages: ${summary.allowed} allowed, **${summary.denied} denied**, ${summary.unknown} unknown, ${summary.excepted} excepted.
+
+## Violations
+
+${result.violations.length > 0 ? `| Package | Version | License | Reason | Location |
+|---|---|---|---|---|
+${rows(result.violations)}` : 'None.'}
+
+## Unknown licenses
+
+${unknown.length > 0 ? `| Package | Version | Declared | Reason | Location |
+|---|---|---|---|---|
+${rows(unknown)}` : 'None.'}
+
+## Licenses
+
+| License | Packages |
+|---|---|
+${summary.licenses.map(l => `| ${l.license} | ${l.packages} |`).join('\n')}
+
+---
+
+**Generated by**: @olympio/quality-config
+`;
+}
+
+// Writes the scan result as JSON and Markdown to reports/licenses/.
+function writeLicenseReport(cwd, result) {
+  const reportDir = path.join(cwd, 'reports', 'licenses');
+  ensureDir(reportDir);
+
+  const dateStr = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+  const file = path.join(reportDir, `licenses_${dateStr}.md`);
+  const jsonFile = file.replace(/\.md$/, '.json');
+  fs.writeFileSync(file, renderMarkdown(result), 'utf8');
+  fs.writeFileSync(jsonFile, JSON.stringify(result, null, 2) + '\n', 'utf8');
+  return { file, jsonFile };
+}
+
+module.exports = { DEFAULT_POLICY, normalizeLicense, scanLicenses, writeLicenseReport };
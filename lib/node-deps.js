@@ -0,0 +1,401 @@
+const { execSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const { normalizeSeverity, severityFromScore } = require('./osv');
+const { latestVersions } = require('./registry');
+
+// ─── Versions ───────────────────────────────────────────────
+
+function parseSemver(version) {
+  const m = /^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:-([\w.-]+))?(?:\+[\w.-]+)?$/.exec(String(version).trim());
+  if (!m) return null;
+  return { release: [m[1], m[2] || 0, m[3] || 0].map(Number), pre: m[4] ? m[4].split('.') : null };
+}
+
+// Semver ordering; null when either side isn't a valid version.
+function compareSemver(a, b) {
+  const va = parseSemver(a);
+  const vb = parseSemver(b);
+  if (!va || !vb) return null;
+  for (let i = 0; i < 3; i++) {
+    if (va.release[i] !== vb.release[i]) return va.release[i] < vb.release[i] ? -1 : 1;
+  }
+  if (!va.pre || !vb.pre) return va.pre ? -1 : vb.pre ? 1 : 0;
+  for (let i = 0; i < Math.max(va.pre.length, vb.pre.length); i++) {
+    const x = va.pre[i];
+    const y = vb.pre[i];
+    if (x === undefined || y === undefined) return x === undefined ? -1 : 1;
+    if (x === y) continue;
+    const numeric = [x, y].map(p => /^\d+$/.test(p));
+    if (numeric[0] && numeric[1]) return Number(x) < Number(y) ? -1 : 1;
+    if (numeric[0] !== numeric[1]) return numeric[0] ? -1 : 1;
+    return x < y ? -1 : 1;
+  }
+  return 0;
+}
+
+// Advisory ranges: comparators joined by spaces (and) or || (or), e.g.
+// ">=2.0.0 <2.3.1 || <1.4.2".
+function satisfies(version, range) {
+  return String(range).replace(/(<=|>=|<|>|=)\s+/g, '$1').split('||').some(part => part.trim().split(/\s+/).every(comparator => {
+    if (comparator === '*' || comparator === '') return true;
+    const [, op = '=', bound] = /^(<=|>=|<|>|=)?(.+)$/.exec(comparator);
+    const cmp = compareSemver(version, bound);
+    if (cmp === null) return false;
+    return { '<': cmp < 0, '<=': cmp <= 0, '>': cmp > 0, '>=': cmp >= 0, '=': cmp === 0 }[op];
+  }));
+}
+
+// First version out of the vulnerable range above the installed one: a lower
+// bound of the patched range or an upper bound of the vulnerable one.
+function fixedVersion({ patched, vulnerable }, version) {
+  const bounds = [
+    ...[...String(patched || '').matchAll(/>=\s*([\w.+-]+)/g)].map(m => m[1]),
+    ...[...String(vulnerable || '').matchAll(/<(?!=)\s*([\w.+-]+)/g)].map(m => m[1]),
+  ];
+  return bounds.filter(v => compareSemver(v, version) > 0).sort(compareSemver)[0] || null;
+}
+
+// ─── Lockfiles ──────────────────────────────────────────────
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function descriptorName(descriptor) {
+  return descriptor.slice(0, descriptor.indexOf('@', 1));
+}
+
+// yarn.lock, classic (`lodash@^4.17.0:` / `version "4.17.21"`) and berry
+// (`"lodash@npm:^4.17.0":` / `version: 4.17.21`): version by descriptor.
+function parseYarnLock(text) {
+  const resolved = {};
+  let descriptors = null;
+  for (const line of text.split(/\r?\n/)) {
+    if (/^[^\s#].*:$/.test(line)) {
+      descriptors = line.slice(0, -1).split(/,\s*/).map(d => d.trim().replace(/^"|"$/g, ''))
+        .filter(d => d.indexOf('@', 1) > 0 && !d.includes('@workspace:'));
+      continue;
+    }
+    const m = descriptors && /^\s+version:?\s+"?([^"\s]+)"?/.exec(line);
+    if (m) {
+      for (const d of descriptors) resolved[d] = m[1];
+      descriptors = null;
+    }
+  }
+  return resolved;
+}
+
+// bun.lock is JSON with trailing commas; bun.lockb is binary, but bun prints
+// it in the yarn.lock format.
+function parseBunLock(dir) {
+  const textLock = path.join(dir, 'bun.lock');
+  if (!fs.existsSync(textLock)) return parseYarnLock(run('bun ./bun.lockb', dir));
+
+  const lock = JSON.parse(fs.readFileSync(textLock, 'utf8').replace(/,(\s*[}\]])/g, '$1'));
+  const resolved = {};
+  for (const [key, entry] of Object.entries(lock.packages || {})) {
+    const spec = Array.isArray(entry) ? entry[0] : '';
+    if (!spec || spec.includes('@workspace:')) continue;
+    // Hoisted packages are keyed by name, nested copies by their path
+    const name = descriptorName(spec);
+    resolved[key === name ? `${name}@direct` : spec] = spec.slice(name.length + 1);
+  }
+  return resolved;
+}
+
+function lockedVersions(resolved) {
+  const versions = new Map();
+  for (const [descriptor, version] of Object.entries(resolved)) {
+    const name = descriptorName(descriptor);
+    versions.set(name, [...new Set([...(versions.get(name) || []), version])]);
+  }
+  return {
+    versions,
+    // Version a package.json range resolved to
+    current(name, range) {
+      return resolved[`${name}@${range}`] || resolved[`${name}@npm:${range}`] || resolved[`${name}@direct`]
+        || [...(versions.get(name) || [])].sort(compareSemver).pop() || null;
+    },
+  };
+}
+
+// ─── Audit output ───────────────────────────────────────────
+
+function run(command, cwd) {
+  try {
+    return execSync(command, {
+      cwd, encoding: 'utf8', stdio: ['pipe', 'pipe', 'ignore'], maxBuffer: 256 * 1024 * 1024, timeout: 300000,
+    });
+  } catch (err) {
+    // Audit commands exit non-zero when they find vulnerabilities
+    if (typeof err.stdout === 'string' && err.stdout.trim()) return err.stdout;
+    throw new Error(`"${command}" failed`);
+  }
+}
+
+function ndjson(output) {
+  return output.split(/\r?\n/).flatMap(line => {
+    try {
+      return line.trim() ? [JSON.parse(line)] : [];
+    } catch {
+      return [];
+    }
+  });
+}
+
+function failIfError(data) {
+  if (data?.error) throw new Error(data.error.summary || data.error.message || data.message || 'unknown error');
+  return data;
+}
+
+// The npm v6 advisory format, also used by pnpm and yarn.
+function fromLegacyAdvisory(advisory) {
+  const versions = [...new Set((advisory.findings || []).map(f => f.version))];
+  return (versions.length > 0 ? versions : [null]).map(version => ({
+    name: advisory.module_name,
+    version,
+    dev: (advisory.findings || []).find(f => f.version === version)?.dev,
+    source: advisory.github_advisory_id || advisory.id,
+    url: advisory.url,
+    title: advisory.title,
+    severity: advisory.severity,
+    cves: advisory.cves || [],
+    patched: advisory.patched_versions,
+    vulnerable: advisory.vulnerable_versions,
+  }));
+}
+
+function parseLegacyAudit(output) {
+  return Object.values(failIfError(JSON.parse(output)).advisories || {}).flatMap(fromLegacyAdvisory);
+}
+
+// npm 7+ lists vulnerable packages with the advisories they carry (`via`
+// objects; strings point at dependencies) and the lockfile nodes installed.
+function parseNpmAudit(output, dir) {
+  const data = failIfError(JSON.parse(output));
+  if (data.advisories) return parseLegacyAudit(output);
+  const lock = readJson(path.join(dir, 'package-lock.json')) || readJson(path.join(dir, 'npm-shrinkwrap.json')) || {};
+
+  return Object.entries(data.vulnerabilities || {}).flatMap(([name, vuln]) => {
+    const nodes = (vuln.nodes || []).map(node => lock.packages?.[node]).filter(Boolean);
+    const installed = nodes.length > 0 ? nodes : [lock.dependencies?.[name] || {}];
+    return vuln.via.filter(via => typeof via === 'object').flatMap(via => installed
+      .filter(node => !node.version || satisfies(node.version, via.range))
+      .map(node => ({
+        name,
+        version: node.version || null,
+        dev: node.dev,
+        source: via.source,
+        url: via.url,
+        title: via.title,
+        severity: via.severity,
+        cves: [],
+        vulnerable: via.range,
+      })));
+  });
+}
+
+function parseYarnClassicAudit(output) {
+  const lines = ndjson(output);
+  const error = lines.find(l => l.type === 'error');
+  if (error && !lines.some(l => l.type === 'auditSummary')) throw new Error(error.data);
+  return lines.filter(l => l.type === 'auditAdvisory').flatMap(l => fromLegacyAdvisory(l.data.advisory));
+}
+
+// Yarn 4 prints one line per vulnerable package; yarn 2-3 the npm v6 format.
+function parseYarnBerryAudit(output) {
+  const lines = ndjson(output);
+  if (lines.length === 0 && output.trim() && !/no audit suggestions/i.test(output)) {
+    throw new Error(output.trim().split('\n')[0]);
+  }
+  return lines.flatMap(line => {
+    if (line.advisories) return Object.values(line.advisories).flatMap(fromLegacyAdvisory);
+    if (!line.value || !line.children) return [];
+    const c = line.children;
+    return (c['Tree Versions'] || [null]).map(version => ({
+      name: line.value,
+      version,
+      source: c.ID,
+      url: c.URL,
+      title: c.Issue,
+      severity: c.Severity,
+      cves: [],
+      vulnerable: c['Vulnerable Versions'],
+    }));
+  });
+}
+
+// bun prints the registry's bulk advisory response: advisories by package
+// name, matched here against the locked versions.
+function parseBunAudit(output, dir) {
+  if (/no vulnerabilities found/i.test(output)) return [];
+  const data = failIfError(JSON.parse(output || '{}'));
+  const { versions } = lockedVersions(parseBunLock(dir));
+
+  return Object.entries(data).flatMap(([name, advisories]) => (Array.isArray(advisories) ? advisories : []).flatMap(a => {
+    const installed = (versions.get(name) || [null]).filter(v => !v || satisfies(v, a.vulnerable_versions));
+    return installed.map(version => ({
+      name,
+      version,
+      source: a.id,
+      url: a.url,
+      title: a.title,
+      severity: a.severity || (a.cvss?.score ? severityFromScore(a.cvss.score) : null),
+      cves: [],
+      vulnerable: a.vulnerable_versions,
+    }));
+  }));
+}
+
+// ─── Outdated output ────────────────────────────────────────
+
+function parseOutdatedObject(output) {
+  const data = JSON.parse(output || '{}');
+  const entries = Array.isArray(data) ? data.map(d => [d.packageName || d.name, d]) : Object.entries(data);
+  return entries.map(([name, info]) => ({ name, current: info.current, wanted: info.wanted, latest: info.latest }));
+}
+
+function parseYarnOutdated(output) {
+  return ndjson(output)
+    .filter(l => l.type === 'table')
+    .flatMap(l => l.data.body.map(([name, current, wanted, latest]) => ({ name, current, wanted, latest })));
+}
+
+// Package managers without a JSON outdated command: the locked versions of the
+// direct dependencies against the npm registry.
+function registryOutdated(lock, pkg) {
+  const ranges = { ...pkg.devDependencies, ...pkg.dependencies };
+  const names = Object.keys(ranges).filter(name => !/^(workspace|file|link|git\+?\w*|https?):/.test(ranges[name]));
+  const latest = latestVersions('npm', names);
+  return names
+    .map(name => ({ name, current: lock.current(name, ranges[name]), wanted: null, latest: latest[name] }))
+    .filter(p => p.current && p.latest && compareSemver(p.latest, p.current) > 0);
+}
+
+// ─── Package managers ───────────────────────────────────────
+
+const isBerry = dir => /^__metadata:/m.test(fs.readFileSync(path.join(dir, 'yarn.lock'), 'utf8'));
+
+const PACKAGE_MANAGERS = [
+  {
+    id: 'npm', bin: 'npm', lockfiles: ['package-lock.json', 'npm-shrinkwrap.json'],
+    audit: 'npm audit --json', parseAudit: parseNpmAudit,
+    outdated: dir => parseOutdatedObject(run('npm outdated --json', dir)),
+  },
+  {
+    id: 'pnpm', bin: 'pnpm', lockfiles: ['pnpm-lock.yaml'],
+    audit: 'pnpm audit --json', parseAudit: parseLegacyAudit,
+    outdated: dir => parseOutdatedObject(run('pnpm outdated --format json', dir)),
+  },
+  {
+    id: 'yarn', bin: 'yarn', lockfiles: ['yarn.lock'], applies: dir => !isBerry(dir),
+    audit: 'yarn audit --json', parseAudit: parseYarnClassicAudit,
+    outdated: dir => parseYarnOutdated(run('yarn outdated --json', dir)),
+  },
+  {
+    id: 'yarn-berry', bin: 'yarn', lockfiles: ['yarn.lock'],
+    audit: 'yarn npm audit --all --recursive --json', parseAudit: parseYarnBerryAudit,
+    outdated: (dir, pkg) => registryOutdated(lockedVersions(parseYarnLock(fs.readFileSync(path.join(dir, 'yarn.lock'), 'utf8'))), pkg),
+  },
+  {
+    id: 'bun', bin: 'bun', lockfiles: ['bun.lock', 'bun.lockb'],
+    audit: 'bun audit --json', parseAudit: parseBunAudit,
+    outdated: (dir, pkg) => registryOutdated(lockedVersions(parseBunLock(dir)), pkg),
+  },
+];
+
+// Package manager of a directory, from its lockfile.
+function detectPackageManager(dir) {
+  for (const manager of PACKAGE_MANAGERS) {
+    const lockfile = manager.lockfiles.find(f => fs.existsSync(path.join(dir, f)));
+    if (lockfile && (!manager.applies || manager.applies(dir))) return { ...manager, lockfile };
+  }
+  return null;
+}
+
+function installed(bin, cwd) {
+  try {
+    execSync(`${bin} --version`, { cwd, stdio: 'ignore', timeout: 30000 });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function toFinding(raw, location) {
+  const ghsa = /GHSA(-[a-z0-9]{4}){3}/i.exec(raw.url || '');
+  const id = ghsa ? ghsa[0] : String(raw.source);
+  return {
+    ecosystem: 'npm',
+    name: raw.name,
+    version: raw.version,
+    dev: Boolean(raw.dev),
+    id,
+    aliases: raw.cves.filter(alias => alias !== id),
+    summary: raw.title || '',
+    severity: normalizeSeverity(raw.severity) || 'moderate',
+    fixed: raw.version ? fixedVersion(raw, raw.version) : null,
+    url: raw.url || null,
+    location,
+  };
+}
+
+// Audits a package.json project with the package manager its lockfile
+// belongs to, one finding per vulnerable package version and advisory.
+// Directories inside a workspace whose lockfile lives at `root` are counted
+// but not audited again.
+function auditNode(dir, { offline = false, location = '.', root = dir } = {}) {
+  const pkg = readJson(path.join(dir, 'package.json'));
+  if (!pkg) return null;
+
+  const counts = {
+    dependencies: Object.keys(pkg.dependencies || {}).length,
+    devDependencies: Object.keys(pkg.devDependencies || {}).length,
+  };
+  const result = { audit: null, findings: [], outdated: [], counts };
+  const manager = detectPackageManager(dir);
+  if (!manager) {
+    if (path.resolve(dir) === path.resolve(root) || !detectPackageManager(root)) {
+      result.audit = {
+        ecosystem: 'npm', location, source: 'package.json', audited: false,
+        reason: 'no lockfile (package-lock.json, pnpm-lock.yaml, yarn.lock or bun.lock)',
+      };
+    }
+    return result;
+  }
+
+  const audit = result.audit = { ecosystem: 'npm', packageManager: manager.id, location, source: manager.lockfile, audited: false };
+  if (!installed(manager.bin, dir)) {
+    audit.reason = `${manager.bin} is not installed`;
+    return result;
+  }
+
+  try {
+    const seen = new Set();
+    for (const raw of manager.parseAudit(run(manager.audit, dir), dir)) {
+      const finding = toFinding({ ...raw, dev: raw.dev ?? (raw.name in (pkg.devDependencies || {}) && !(raw.name in (pkg.dependencies || {}))) }, location);
+      const key = `${finding.name}@${finding.version}:${finding.id}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      result.findings.push(finding);
+    }
+    audit.audited = true;
+  } catch (err) {
+    audit.reason = `${manager.audit.replace(/ --.*$/, '')} failed: ${err.message}`;
+  }
+
+  if (!offline) {
+    try {
+      result.outdated = manager.outdated(dir, pkg).map(p => ({ ...p, location }));
+    } catch {}
+  }
+  return result;
+}
+
+module.exports = { compareSemver, satisfies, detectPackageManager, auditNode };
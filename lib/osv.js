@@ -0,0 +1,283 @@
+const { execSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const { loadConfig } = require('./config');
+const { CACHE_DIR } = require('./constants');
+const { QualityConfigError } = require('./errors');
+const { noop } = require('./utils');
+
+// Advisory snapshots live in one directory per ecosystem, laid out like the
+// OSV bucket (gs://osv-vulnerabilities/<ecosystem>/all.zip, extracted).
+const OSV_CACHE_DIR = path.join(CACHE_DIR, 'osv');
+const OSV_BUCKET_URL = 'https://osv-vulnerabilities.storage.googleapis.com';
+const INDEX_FILE = 'index.json';
+
+function resolveAdvisoriesDir(cwd, config = {}) {
+  return config.dependencies?.advisories ? path.resolve(cwd, config.dependencies.advisories) : OSV_CACHE_DIR;
+}
+
+// ─── Versions ───────────────────────────────────────────────
+
+const PEP440 = /^v?(?:(\d+)!)?(\d+(?:\.\d+)*)(?:[-_.]?(a|b|c|rc|alpha|beta|pre|preview)[-_.]?(\d*))?(?:-(\d+)|[-_.]?(?:post|rev|r)[-_.]?(\d*))?(?:[-_.]?dev[-_.]?(\d*))?(?:\+[a-z0-9.]+)?$/i;
+const PRE_RANK = { a: 0, alpha: 0, b: 1, beta: 1, c: 2, rc: 2, pre: 2, preview: 2 };
+
+function parsePep440(version) {
+  const m = PEP440.exec(String(version).trim());
+  if (!m) return null;
+  const [, epoch, release, preLabel, preNum, postImplicit, postNum, devNum] = m;
+  const hasPost = postImplicit !== undefined || postNum !== undefined;
+  const hasDev = devNum !== undefined;
+  return {
+    epoch: Number(epoch || 0),
+    release: release.split('.').map(Number),
+    // A dev release of a final version sorts before its pre-releases
+    pre: preLabel ? [PRE_RANK[preLabel.toLowerCase()], Number(preNum || 0)] : hasDev && !hasPost ? [-Infinity] : [Infinity],
+    post: hasPost ? Number(postImplicit || postNum || 0) : -Infinity,
+    dev: hasDev ? Number(devNum || 0) : Infinity,
+  };
+}
+
+function compareArrays(a, b) {
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    const x = a[i] ?? 0;
+    const y = b[i] ?? 0;
+    if (x !== y) return x < y ? -1 : 1;
+  }
+  return 0;
+}
+
+// PEP 440 ordering; null when either side isn't a valid version.
+function comparePep440(a, b) {
+  const va = parsePep440(a);
+  const vb = parsePep440(b);
+  if (!va || !vb) return null;
+  return compareArrays([va.epoch], [vb.epoch])
+    || compareArrays(va.release, vb.release)
+    || compareArrays(va.pre, vb.pre)
+    || compareArrays([va.post], [vb.post])
+    || compareArrays([va.dev], [vb.dev]);
+}
+
+function normalizePypiName(name) {
+  return String(name).toLowerCase().replace(/[-_.]+/g, '-');
+}
+
+const ECOSYSTEMS = {
+  PyPI: { compare: comparePep440, normalize: normalizePypiName },
+};
+
+// ─── Severity ───────────────────────────────────────────────
+
+const CVSS3_WEIGHTS = {
+  AV: { N: 0.85, A: 0.62, L: 0.55, P: 0.2 },
+  AC: { L: 0.77, H: 0.44 },
+  UI: { N: 0.85, R: 0.62 },
+  CIA: { H: 0.56, L: 0.22, N: 0 },
+};
+
+// CVSS v3 base score from its vector string (CVSS:3.1/AV:N/AC:L/...).
+function cvss3Score(vector) {
+  const m = Object.fromEntries(String(vector).split('/').slice(1).map(part => part.split(':')));
+  if (!m.AV || !m.AC || !m.PR || !m.UI || !m.S || !m.C || !m.I || !m.A) return null;
+  const changed = m.S === 'C';
+  const pr = { N: 0.85, L: changed ? 0.68 : 0.62, H: changed ? 0.5 : 0.27 }[m.PR];
+  const iss = 1 - (1 - CVSS3_WEIGHTS.CIA[m.C]) * (1 - CVSS3_WEIGHTS.CIA[m.I]) * (1 - CVSS3_WEIGHTS.CIA[m.A]);
+  const impact = changed ? 7.52 * (iss - 0.029) - 3.25 * Math.pow(iss - 0.02, 15) : 6.42 * iss;
+  const exploitability = 8.22 * CVSS3_WEIGHTS.AV[m.AV] * CVSS3_WEIGHTS.AC[m.AC] * pr * CVSS3_WEIGHTS.UI[m.UI];
+  if ([impact, exploitability].some(Number.isNaN)) return null;
+  if (impact <= 0) return 0;
+  const roundUp = x => Math.ceil(x * 10 - 1e-9) / 10;
+  return roundUp(Math.min(changed ? 1.08 * (impact + exploitability) : impact + exploitability, 10));
+}
+
+// One severity scale for every source: npm's (critical, high, moderate, low,
+// info), which GitHub's "medium" and CVSS scores are mapped onto.
+const SEVERITIES = ['critical', 'high', 'moderate', 'low', 'info'];
+
+function normalizeSeverity(label) {
+  const value = String(label || '').toLowerCase();
+  if (value === 'medium') return 'moderate';
+  if (value === 'none') return 'info';
+  return SEVERITIES.includes(value) ? value : null;
+}
+
+function severityFromScore(score) {
+  if (score >= 9) return 'critical';
+  if (score >= 7) return 'high';
+  if (score >= 4) return 'moderate';
+  return score > 0 ? 'low' : 'info';
+}
+
+// GitHub advisories carry a severity label; otherwise it comes from the CVSS
+// v3 vector. Advisories without either count as moderate.
+function advisorySeverity(record) {
+  const label = normalizeSeverity(record.database_specific?.severity);
+  if (label) return label;
+  for (const entry of record.severity || []) {
+    if (entry.type !== 'CVSS_V3') continue;
+    const score = cvss3Score(entry.score);
+    if (score !== null) return severityFromScore(score);
+  }
+  return 'moderate';
+}
+
+// ─── Matching ───────────────────────────────────────────────
+
+function inRange(version, events, compare) {
+  const key = e => e.introduced ?? e.fixed ?? e.last_affected;
+  const sorted = [...events].sort((a, b) => (key(a) === '0' ? -1 : key(b) === '0' ? 1 : compare(key(a), key(b)) || 0));
+  let affected = false;
+  for (const e of sorted) {
+    if (e.introduced !== undefined && (e.introduced === '0' || compare(version, e.introduced) >= 0)) affected = true;
+    else if (e.fixed !== undefined && compare(version, e.fixed) >= 0) affected = false;
+    else if (e.last_affected !== undefined && compare(version, e.last_affected) > 0) affected = false;
+  }
+  return affected;
+}
+
+function affects(entry, version, { compare }) {
+  if ((entry.versions || []).includes(version)) return true;
+  return (entry.ranges || []).some(range => {
+    if (range.type !== 'ECOSYSTEM') return false;
+    const values = range.events.flatMap(e => Object.values(e)).filter(v => v !== '0');
+    if (compare(version, version) === null || values.some(v => compare(v, v) === null)) return false;
+    return inRange(version, range.events, compare);
+  });
+}
+
+function fixedVersions(entry) {
+  return (entry.ranges || []).flatMap(r => r.events.filter(e => e.fixed).map(e => e.fixed));
+}
+
+// ─── Snapshot ───────────────────────────────────────────────
+
+function readRecords(file) {
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return Array.isArray(data) ? data : [data];
+  } catch {
+    return [];
+  }
+}
+
+// Maps package names to the files that mention them, so an audit only parses
+// the advisories it needs. Rebuilt when the snapshot is newer than the index.
+function loadIndex(dir, ecosystem) {
+  const indexFile = path.join(dir, INDEX_FILE);
+  const dirTime = fs.statSync(dir).mtimeMs;
+  if (fs.existsSync(indexFile) && fs.statSync(indexFile).mtimeMs >= dirTime) {
+    try {
+      return JSON.parse(fs.readFileSync(indexFile, 'utf8'));
+    } catch {}
+  }
+
+  const { normalize } = ECOSYSTEMS[ecosystem];
+  const index = {};
+  for (const name of fs.readdirSync(dir).filter(f => f.endsWith('.json') && f !== INDEX_FILE)) {
+    for (const record of readRecords(path.join(dir, name))) {
+      for (const affected of record.affected || []) {
+        if (affected.package?.ecosystem !== ecosystem) continue;
+        const pkg = normalize(affected.package.name);
+        index[pkg] = [...new Set([...(index[pkg] || []), name])];
+      }
+    }
+  }
+  try {
+    fs.writeFileSync(indexFile, JSON.stringify(index), 'utf8');
+  } catch {}
+  return index;
+}
+
+// Opens the snapshot of one ecosystem, or returns null when there is none.
+function openAdvisories(baseDir, ecosystem) {
+  const dir = path.join(baseDir, ecosystem);
+  if (!fs.existsSync(dir)) return null;
+  const index = loadIndex(dir, ecosystem);
+  const { mtime } = fs.statSync(dir);
+
+  return {
+    dir,
+    updatedAt: mtime.toISOString(),
+    // Advisories affecting `name@version`. OSV lists the same issue under
+    // several ids (GHSA, PYSEC…): aliases are folded into the first one.
+    match(name, version) {
+      const eco = ECOSYSTEMS[ecosystem];
+      const pkg = eco.normalize(name);
+      const records = (index[pkg] || []).flatMap(file => readRecords(path.join(dir, file)))
+        .filter(r => !r.withdrawn)
+        .sort((a, b) => Number(b.id.startsWith('GHSA-')) - Number(a.id.startsWith('GHSA-')) || a.id.localeCompare(b.id));
+
+      const found = [];
+      const seen = new Set();
+      for (const record of records) {
+        if (seen.has(record.id)) continue;
+        const entries = (record.affected || []).filter(a => a.package?.ecosystem === ecosystem && eco.normalize(a.package.name) === pkg);
+        const entry = entries.find(a => affects(a, version, eco));
+        if (!entry) continue;
+        for (const id of [record.id, ...(record.aliases || [])]) seen.add(id);
+        found.push({
+          id: record.id,
+          aliases: record.aliases || [],
+          summary: record.summary || (record.details || '').split('\n')[0].slice(0, 200),
+          severity: advisorySeverity(record),
+          fixed: fixedVersions(entry).filter(v => eco.compare(v, version) > 0).sort(eco.compare)[0] || null,
+          url: `https://osv.dev/vulnerability/${record.id}`,
+        });
+      }
+      return found;
+    },
+  };
+}
+
+// Downloads the OSV snapshot of each ecosystem into the advisories directory
+// of the project (needs curl and unzip).
+async function updateAdvisories({ cwd = process.cwd(), dir, ecosystems = Object.keys(ECOSYSTEMS), log = noop } = {}) {
+  const unknown = ecosystems.filter(e => !ECOSYSTEMS[e]);
+  if (unknown.length > 0) {
+    throw new QualityConfigError(`Unknown ecosystem "${unknown.join(', ')}". Supported: ${Object.keys(ECOSYSTEMS).join(', ')}`, {
+      code: 'QC_UNKNOWN_ECOSYSTEM',
+    });
+  }
+  dir = dir || resolveAdvisoriesDir(cwd, loadConfig(cwd).config);
+  const updated = [];
+  for (const ecosystem of ecosystems) {
+    const target = path.join(dir, ecosystem);
+    const archive = path.join(dir, `${ecosystem}.zip`);
+    fs.mkdirSync(target, { recursive: true });
+    log(`  [..] Downloading ${ecosystem} advisories...`);
+    try {
+      execSync(`curl -sfL --max-time 600 -o "${archive}" "${OSV_BUCKET_URL}/${encodeURIComponent(ecosystem)}/all.zip"`, { stdio: 'ignore' });
+      execSync(`unzip -oq "${archive}" -d "${target}"`, { stdio: 'ignore' });
+    } catch (err) {
+      // An empty directory would pass for a snapshot without advisories
+      if (fs.readdirSync(target).length === 0) fs.rmdirSync(target);
+      throw new QualityConfigError(`Could not download the ${ecosystem} advisory snapshot.`, {
+        code: 'QC_ADVISORIES_DOWNLOAD_FAILED',
+        hint: `Check the network connection (curl and unzip are required), or extract ${OSV_BUCKET_URL}/${ecosystem}/all.zip into ${target} by hand.`,
+        cause: err,
+      });
+    } finally {
+      fs.rmSync(archive, { force: true });
+    }
+    fs.utimesSync(target, new Date(), new Date());
+    const index = loadIndex(target, ecosystem);
+    updated.push({ ecosystem, dir: target, packages: Object.keys(index).length });
+  }
+  return { dir, updated };
+}
+
+module.exports = {
+  OSV_CACHE_DIR,
+  ECOSYSTEMS,
+  resolveAdvisoriesDir,
+  comparePep440,
+  normalizePypiName,
+  SEVERITIES,
+  normalizeSeverity,
+  severityFromScore,
+  cvss3Score,
+  advisorySeverity,
+  openAdvisories,
+  updateAdvisories,
+};
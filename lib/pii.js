@@ -0,0 +1,332 @@
+const fs = require('fs');
+const path = require('path');
+
+const { loadConfig, resolveProjectKey } = require('./config');
+const { noop, ensureDir, globToRegex, listSourceFiles } = require('./utils');
+
+// Categories of personal data (LGPD Art. 5 I) and sensitive personal data
+// (Art. 5 II). `terms` are word sequences matched against the words of an
+// identifier (camelCase and snake_case are split), in English and Portuguese.
+// Order matters: an identifier gets the first category that matches, unless
+// it also contains one of the category's `except` sequences.
+const PII_CATEGORIES = [
+  { id: 'cpf', label: 'CPF', sensitivity: 'personal', terms: ['cpf'] },
+  { id: 'cnpj', label: 'CNPJ', sensitivity: 'personal', terms: ['cnpj'] },
+  { id: 'identity-document', label: 'Identity document (RG, passport, CNH)', sensitivity: 'personal', terms: ['rg', 'identity number', 'national id', 'passport', 'passaporte', 'cnh', 'drivers license', 'driver license'] },
+  { id: 'email', label: 'Email', sensitivity: 'personal', terms: ['email', 'e mail'] },
+  { id: 'phone', label: 'Phone number', sensitivity: 'personal', terms: ['phone', 'telefone', 'celular', 'mobile number', 'whatsapp'] },
+  { id: 'birth-date', label: 'Birth date', sensitivity: 'personal', terms: ['birth date', 'birthdate', 'birthday', 'date of birth', 'dob', 'data nascimento', 'nascimento'] },
+  { id: 'ip-address', label: 'IP address', sensitivity: 'personal', terms: ['ip address', 'ip', 'remote addr', 'client ip'] },
+  { id: 'address', label: 'Postal address', sensitivity: 'personal', terms: ['address', 'endereco', 'street', 'logradouro', 'cep', 'zip code', 'zipcode', 'postal code'] },
+  { id: 'name', label: 'Full name', sensitivity: 'personal', terms: ['full name', 'first name', 'last name', 'surname', 'given name', 'family name', 'nome completo', 'sobrenome'] },
+  { id: 'location', label: 'Geolocation', sensitivity: 'personal', terms: ['latitude', 'longitude', 'geolocation', 'geo location'] },
+  { id: 'financial', label: 'Financial data', sensitivity: 'personal', terms: ['credit card', 'card number', 'cvv', 'iban', 'bank account', 'conta bancaria', 'salary', 'salario'] },
+  { id: 'health', label: 'Health data', sensitivity: 'sensitive', terms: ['medical', 'diagnosis', 'diagnostico', 'disease', 'doenca', 'allergy', 'alergia', 'prescription', 'blood type', 'tipo sanguineo', 'health condition', 'health record', 'prontuario', 'medication', 'medicamento'] },
+  { id: 'biometric', label: 'Biometric data', sensitivity: 'sensitive', terms: ['biometric', 'biometria', 'fingerprint', 'face id', 'facial', 'iris scan'] },
+  { id: 'genetic', label: 'Genetic data', sensitivity: 'sensitive', terms: ['genetic', 'genetico', 'dna', 'genome'] },
+  { id: 'ethnicity', label: 'Racial or ethnic origin', sensitivity: 'sensitive', terms: ['ethnicity', 'ethnic', 'etnia', 'race', 'raca', 'skin color'], except: ['race condition'] },
+  { id: 'religion', label: 'Religious belief', sensitivity: 'sensitive', terms: ['religion', 'religious', 'religiao'] },
+  { id: 'political', label: 'Political opinion', sensitivity: 'sensitive', terms: ['political opinion', 'political party', 'opiniao politica', 'partido politico'] },
+  { id: 'union', label: 'Trade union membership', sensitivity: 'sensitive', terms: ['union membership', 'trade union', 'sindicato'] },
+  { id: 'sex-life', label: 'Sex life or sexual orientation', sensitivity: 'sensitive', terms: ['sexual orientation', 'orientacao sexual', 'sex life', 'gender identity'] },
+];
+
+const LEGAL_REFERENCES = { personal: 'Art. 5 I', sensitive: 'Art. 5 II / Art. 11' };
+
+const SOURCE_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.py', '.prisma'];
+
+const CATEGORY_TERMS = PII_CATEGORIES.map(c => ({
+  category: c,
+  terms: c.terms.map(t => t.split(' ')),
+  except: (c.except || []).map(t => t.split(' ')),
+}));
+
+function identifierWords(name) {
+  return name
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+function hasSequence(words, term) {
+  for (let i = 0; i + term.length <= words.length; i++) {
+    if (term.every((t, j) => words[i + j] === t)) return true;
+  }
+  return false;
+}
+
+const classified = new Map();
+
+function classifyIdentifier(name) {
+  if (!classified.has(name)) {
+    const words = identifierWords(name);
+    const match = CATEGORY_TERMS.find(({ terms, except }) =>
+      terms.some(term => hasSequence(words, term)) && !except.some(term => hasSequence(words, term)));
+    classified.set(name, match ? match.category : null);
+  }
+  return classified.get(name);
+}
+
+// ─── Literals ───
+
+function cpfIsValid(digits) {
+  if (/^(\d)\1{10}$/.test(digits)) return false;
+  for (const length of [9, 10]) {
+    let sum = 0;
+    for (let i = 0; i < length; i++) sum += Number(digits[i]) * (length + 1 - i);
+    if ((sum * 10) % 11 % 10 !== Number(digits[length])) return false;
+  }
+  return true;
+}
+
+function cnpjIsValid(digits) {
+  if (/^(\d)\1{13}$/.test(digits)) return false;
+  for (const length of [12, 13]) {
+    let sum = 0;
+    for (let i = 0; i < length; i++) sum += Number(digits[i]) * [6, 5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2].slice(13 - length)[i];
+    const check = sum % 11 < 2 ? 0 : 11 - (sum % 11);
+    if (check !== Number(digits[length])) return false;
+  }
+  return true;
+}
+
+// Only numbers whose check digits are valid count, so ids and timestamps
+// that happen to have 11 or 14 digits are not reported.
+const LITERALS = [
+  { category: 'cpf', pattern: /(?<![\d./-])\d{3}\.?\d{3}\.?\d{3}-?\d{2}(?![\d./-])/g, valid: cpfIsValid },
+  { category: 'cnpj', pattern: /(?<![\d./-])\d{2}\.?\d{3}\.?\d{3}\/?\d{4}-?\d{2}(?![\d./-])/g, valid: cnpjIsValid },
+];
+
+// The report never contains the number itself.
+function maskLiteral(value) {
+  return value.replace(/\d/g, (d, i) => (i < 3 || i >= value.length - 2 ? d : '*'));
+}
+
+// ─── Schemas ───
+
+function pythonSchemaKind(bases, source) {
+  if (/\bmodels\.Model\b/.test(bases) || (/\bModel\b/.test(bases) && /from django/.test(source))) return 'django';
+  if (/\b(BaseModel|SQLModel)\b/.test(bases)) return 'pydantic';
+  if (/\b(Base|DeclarativeBase|db\.Model)\b/.test(bases)) return 'sqlalchemy';
+  if (/Serializer|Schema\b/.test(bases)) return 'serializer';
+  return null;
+}
+
+// Fields of Django models, SQLAlchemy models, Pydantic models and DRF or
+// marshmallow serializers: assignments and annotations in the class body.
+function pythonSchemaFields(source) {
+  const fields = [];
+  let current = null;
+  source.split('\n').forEach((line, i) => {
+    const indent = line.match(/^\s*/)[0].length;
+    if (current && line.trim() && indent <= current.indent) current = null;
+
+    const cls = line.match(/^(\s*)class\s+(\w+)\s*\(([^)]*)\)\s*:/);
+    if (cls) {
+      const kind = pythonSchemaKind(cls[3], source);
+      if (kind) current = { indent: cls[1].length, model: cls[2], kind };
+      return;
+    }
+    if (!current) return;
+
+    const field = line.match(/^\s+([A-Za-z]\w*)\s*(?::\s*[^=]+?)?\s*=\s*[\w.]*(Field|Column|column|ForeignKey|relationship)\b/)
+      || line.match(/^\s+([A-Za-z]\w*)\s*:\s*[\w[]/);
+    if (field && !/^\s+(def|class|return)\b/.test(line)) {
+      fields.push({ line: i + 1, name: field[1], model: current.model, schema: current.kind });
+    }
+  });
+  return fields;
+}
+
+function prismaSchemaFields(source) {
+  const fields = [];
+  let model = null;
+  source.split('\n').forEach((line, i) => {
+    const open = line.match(/^\s*model\s+(\w+)\s*\{/);
+    if (open) {
+      model = open[1];
+    } else if (model && /^\s*\}/.test(line)) {
+      model = null;
+    } else if (model) {
+      const field = line.match(/^\s*([A-Za-z]\w*)\s+\w/);
+      if (field) fields.push({ line: i + 1, name: field[1], model, schema: 'prisma' });
+    }
+  });
+  return fields;
+}
+
+// Properties of TypeORM entities (@Entity) and DTO classes (*Dto, *Input,
+// *Request): declarations at the top level of the class body.
+function typescriptSchemaFields(source) {
+  const fields = [];
+  let entity = false;
+  let current = null;
+  let depth = 0;
+  source.split('\n').forEach((line, i) => {
+    if (/^\s*@Entity\s*\(/.test(line)) entity = true;
+
+    const cls = line.match(/\bclass\s+(\w+)/);
+    if (cls && !current) {
+      const kind = entity ? 'typeorm' : /(Dto|DTO|Input|Request)$/.test(cls[1]) ? 'dto' : null;
+      entity = false;
+      if (kind) {
+        current = { model: cls[1], kind, depth };
+      }
+    } else if (current && depth === current.depth + 1) {
+      const field = line.match(/^\s*(?:@\w+\([^)]*\)\s*)*(?:(?:public|private|protected|readonly|declare)\s+)*([A-Za-z_]\w*)[?!]?\s*:\s*[^(]/);
+      if (field) fields.push({ line: i + 1, name: field[1], model: current.model, schema: current.kind });
+    }
+
+    depth += (line.match(/\{/g) || []).length - (line.match(/\}/g) || []).length;
+    if (current && depth <= current.depth && line.includes('}')) current = null;
+  });
+  return fields;
+}
+
+function schemaFields(file, source) {
+  const ext = path.extname(file);
+  if (ext === '.prisma') return prismaSchemaFields(source);
+  if (ext === '.py') return pythonSchemaFields(source);
+  if (['.ts', '.tsx', '.js', '.mjs'].includes(ext)) return typescriptSchemaFields(source);
+  return [];
+}
+
+// ─── Scan ───
+
+function isComment(line) {
+  return /^\s*(\/\/|\/\*|\*|#)/.test(line);
+}
+
+function scanFile(file, source) {
+  const findings = [];
+  const seen = new Set();
+
+  for (const field of schemaFields(file, source)) {
+    const category = classifyIdentifier(field.name);
+    if (!category) continue;
+    seen.add(field.name);
+    findings.push({ category: category.id, kind: 'schema', file, ...field });
+  }
+
+  const identifiers = new Map();
+  source.split('\n').forEach((line, i) => {
+    for (const literal of LITERALS) {
+      for (const match of line.matchAll(literal.pattern)) {
+        if (literal.valid(match[0].replace(/\D/g, ''))) {
+          findings.push({ category: literal.category, kind: 'literal', file, line: i + 1, name: maskLiteral(match[0]) });
+        }
+      }
+    }
+    if (isComment(line)) return;
+
+    for (const [name] of line.matchAll(/[A-Za-z_$][\w$]*/g)) {
+      if (seen.has(name) || !classifyIdentifier(name)) continue;
+      const found = identifiers.get(name);
+      if (found) found.occurrences++;
+      else identifiers.set(name, { line: i + 1, occurrences: 1 });
+    }
+  });
+
+  for (const [name, { line, occurrences }] of identifiers) {
+    findings.push({ category: classifyIdentifier(name).id, kind: 'identifier', file, line, name, occurrences });
+  }
+  return findings;
+}
+
+// Groups findings by category: which fields hold the data, in which models,
+// and where in the code it is handled.
+function buildInventory(findings) {
+  return PII_CATEGORIES
+    .map(category => {
+      const matches = findings.filter(f => f.category === category.id);
+      if (matches.length === 0) return null;
+      return {
+        id: category.id,
+        label: category.label,
+        sensitivity: category.sensitivity,
+        legalReference: LEGAL_REFERENCES[category.sensitivity],
+        fields: [...new Set(matches.filter(f => f.kind !== 'literal').map(f => f.name))].sort(),
+        models: [...new Set(matches.filter(f => f.model).map(f => `${f.model} (${f.schema})`))].sort(),
+        files: [...new Set(matches.map(f => f.file))].sort(),
+        literals: matches.filter(f => f.kind === 'literal').length,
+        locations: matches.map(({ file, line, kind, name, model }) => ({ file, line, kind, name, ...(model && { model }) })),
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => (a.sensitivity === b.sensitivity ? 0 : a.sensitivity === 'sensitive' ? -1 : 1));
+}
+
+// `files` limits the scan to the given paths (e.g. the staged ones).
+// `read` returns the content of a file (default: the working tree copy), so
+// the pre-commit hook can scan the staged content instead.
+function scanPii({ cwd = process.cwd(), exclude, files: only, read, log = noop } = {}) {
+  const { config } = loadConfig(cwd);
+  const excluded = exclude || config.pii?.exclude || [];
+  const files = only
+    ? only.filter(f => SOURCE_EXTENSIONS.includes(path.extname(f)) && !excluded.map(globToRegex).some(re => re.test(f)) && (read || fs.existsSync(path.join(cwd, f))))
+    : listSourceFiles(cwd, { extensions: SOURCE_EXTENSIONS, exclude: excluded });
+  const readFile = read || (file => fs.readFileSync(path.join(cwd, file), 'utf8'));
+
+  log(`  [..] Scanning ${files.length} source files for personal data...`);
+  const findings = [];
+  for (const file of files) {
+    findings.push(...scanFile(file, readFile(file)));
+  }
+
+  const inventory = buildInventory(findings);
+  return {
+    project: config.projectName || resolveProjectKey(cwd, config),
+    files: files.length,
+    findings,
+    inventory,
+    summary: {
+      personal: inventory.filter(c => c.sensitivity === 'personal').length,
+      sensitive: inventory.filter(c => c.sensitivity === 'sensitive').length,
+      findings: findings.length,
+    },
+  };
+}
+
+function renderMarkdown(result) {
+  const rows = result.inventory.map(c =>
+    `| ${c.label} | ${c.sensitivity} (${c.legalReference}) | ${c.fields.map(f => `\`${f}\``).join(', ') || '-'} | ${c.models.join(', ') || '-'} | ${c.files.length} |`);
+  const locations = result.inventory.map(c => `### ${c.label}
+
+${c.locations.map(l => `- \`${l.file}:${l.line}\` ${l.kind}: ${l.model ? `${l.model}.` : ''}${l.name}`).join('\n')}
+`);
+
+  return `# Personal Data Inventory
+**Project**: ${result.project}
+**Files scanned**: ${result.files}
+
+Categories found: ${result.summary.sensitive} sensitive (Art. 5 II), ${result.summary.personal} personal (Art. 5 I).
+
+| Category | Sensitivity | Fields | Models | Files |
+|---|---|---|---|---|
+${rows.join('\n')}
+
+## Locations
+
+${locations.join('\n')}
+---
+
+**Generated by**: @olympio/quality-config
+`;
+}
+
+// Writes the scan result as JSON and Markdown to reports/lgpd/.
+function writePiiReport(cwd, result) {
+  const reportDir = path.join(cwd, 'reports', 'lgpd');
+  ensureDir(reportDir);
+
+  const dateStr = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+  const file = path.join(reportDir, `pii_inventory_${dateStr}.md`);
+  const jsonFile = file.replace(/\.md$/, '.json');
+  fs.writeFileSync(file, renderMarkdown(result), 'utf8');
+  fs.writeFileSync(jsonFile, JSON.stringify(result, null, 2) + '\n', 'utf8');
+  return { file, jsonFile };
+}
+
+module.exports = { PII_CATEGORIES, classifyIdentifier, scanPii, writePiiReport };
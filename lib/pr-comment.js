@@ -0,0 +1,306 @@
+const { execSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { collectReport } = require('./collect');
+const { loadConfig, resolveHistoryFile } = require('./config');
+const { QualityConfigError } = require('./errors');
+const { formatCondition } = require('./gate');
+const { changedSince, onChangedLine } = require('./git');
+const { readHistory } = require('./history');
+const { noop } = require('./utils');
+
+// Hidden first line of the comment: how the next run finds it to update it.
+const COMMENT_MARKER = '<!-- quality-config:pr-comment -->';
+
+const GATE_LABELS = { OK: 'PASSED', ERROR: 'FAILED' };
+const MAX_ISSUES = 10;
+
+function escapeMd(str) {
+  return String(str ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+// ─── Summary ────────────────────────────────────────────────
+
+// LGPD checks whose result differs from `base` ({ id: passed }), or null
+// without a base to compare with.
+function lgpdChanges(report, base) {
+  if (!base) return null;
+  return report.lgpd.checks
+    .filter(c => base[c.id] !== c.check)
+    .map(c => ({ id: c.id, label: c.label, before: base[c.id] ?? null, now: c.check }));
+}
+
+// Open issues on the lines a pull request added, most severe first.
+function newIssues(report, changes) {
+  const projectKey = report.project.key;
+  return report.issues
+    .map(i => ({ ...i, file: (i.component || '').replace(`${projectKey}:`, '') }))
+    .filter(i => onChangedLine(changes, i.file, i.line));
+}
+
+// Compact Markdown for a pull request comment: gate, new issues, LGPD check
+// changes and dependency vulnerabilities. `changes` (from git) narrows the issues
+// to the changed lines; `base` is the LGPD check results to compare with.
+function renderPrComment(report, { changes, base } = {}) {
+  const m = report.metrics;
+  const vulns = report.dependencies.vulnerabilities;
+  const lines = [COMMENT_MARKER];
+
+  lines.push(`## Quality report: ${escapeMd(report.project.name)}`);
+  lines.push('');
+  lines.push(`**Quality gate:** ${GATE_LABELS[report.qualityGate.status] || report.qualityGate.status} · **Health score:** ${report.health.score}% · **LGPD:** ${report.lgpd.score}% (${report.lgpd.passed}/${report.lgpd.checks.length})`);
+  lines.push('');
+  for (const c of report.qualityGate.conditions.filter(c => c.status === 'ERROR')) {
+    lines.push(`- ${formatCondition(c)}`);
+  }
+  if (report.qualityGate.conditions.some(c => c.status === 'ERROR')) lines.push('');
+
+  lines.push('### New code');
+  lines.push('');
+  if (m.new_violations !== undefined) {
+    lines.push(`Bugs: **${m.new_bugs || 0}** · Vulnerabilities: **${m.new_vulnerabilities || 0}** · Code smells: ${m.new_code_smells || 0} · Hotspots: ${m.new_security_hotspots || 0}`);
+    lines.push('');
+  }
+  if (changes) {
+    const issues = newIssues(report, changes);
+    if (issues.length > 0) {
+      lines.push(`${issues.length} issue(s) on the ${changes.files.length} changed file(s):`);
+      lines.push('');
+      lines.push('| Severity | Type | Description | File |');
+      lines.push('|---|---|---|---|');
+      for (const i of issues.slice(0, MAX_ISSUES)) {
+        lines.push(`| ${i.severity} | ${i.type} | ${escapeMd(i.message)} | \`${i.file}:${i.line || ''}\` |`);
+      }
+      if (issues.length > MAX_ISSUES) lines.push(`| | | …and ${issues.length - MAX_ISSUES} more | |`);
+    } else {
+      lines.push(`No issues on the ${changes.files.length} changed file(s).`);
+    }
+    lines.push('');
+  } else if (m.new_violations === undefined) {
+    lines.push('No new code data: the server reports no new code period for this analysis.');
+    lines.push('');
+  }
+
+  const changed = lgpdChanges(report, base);
+  lines.push('### LGPD checks');
+  lines.push('');
+  if (changed && changed.length > 0) {
+    lines.push('| Check | Before | Now |');
+    lines.push('|---|---|---|');
+    const label = passed => (passed === null ? '-' : passed ? 'pass' : '**fail**');
+    for (const c of changed) lines.push(`| ${escapeMd(c.label)} | ${label(c.before)} | ${label(c.now)} |`);
+  } else {
+    const failing = report.lgpd.checks.filter(c => !c.check);
+    lines.push(`${changed ? 'No changes. ' : ''}${failing.length > 0 ? `Failing: ${failing.map(c => escapeMd(c.label)).join(', ')}` : 'All checks pass.'}`);
+  }
+  lines.push('');
+
+  lines.push('### Dependencies');
+  lines.push('');
+  lines.push(`Critical: **${vulns.critical}** · High: **${vulns.high}** · Moderate: ${vulns.moderate} · Low: ${vulns.low}`);
+  const urgent = (report.dependencies.advisories || []).filter(a => a.severity === 'critical' || a.severity === 'high');
+  if (urgent.length > 0) {
+    lines.push('');
+    for (const a of urgent.slice(0, 5)) {
+      lines.push(`- ${a.severity}: ${a.name} ${a.version} (${a.url ? `[${a.id}](${a.url})` : a.id})${a.fixed ? `, fixed in ${a.fixed}` : ''}`);
+    }
+  }
+  lines.push('');
+
+  if (report.secrets?.summary.new > 0) {
+    lines.push(`**Secrets:** ${report.secrets.summary.new} committed secret(s) found, run \`quality-config secrets\` for details.`);
+    lines.push('');
+  }
+
+  const host = report.project.sonarUrl || '';
+  if (host && !/\/\/(localhost|127\.0\.0\.1)[:/]/.test(`${host}/`)) {
+    lines.push(`[Open in SonarQube](${host}/dashboard?id=${encodeURIComponent(report.project.key)})`);
+    lines.push('');
+  }
+  lines.push('<sub>Generated by @olympio/quality-config</sub>');
+  return lines.join('\n') + '\n';
+}
+
+// ─── Providers ──────────────────────────────────────────────
+
+// The token goes to curl through stdin, so it never shows in the process list.
+function apiRequest({ method = 'GET', url, headers, body }) {
+  const config = [
+    `url = "${url}"`,
+    `request = "${method}"`,
+    ...Object.entries(headers).map(([name, value]) => `header = "${name}: ${String(value).replace(/["\\]/g, '\\$&')}"`),
+  ];
+  let dir = null;
+  try {
+    if (body !== undefined) {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'quality-config-'));
+      fs.writeFileSync(path.join(dir, 'body.json'), JSON.stringify(body), 'utf8');
+      config.push('header = "Content-Type: application/json"', `data-binary = "@${path.join(dir, 'body.json')}"`);
+    }
+    const output = execSync('curl -sS --max-time 30 -K - -w "\\n%{http_code}"', { input: config.join('\n') + '\n', encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] });
+    const split = output.lastIndexOf('\n');
+    const status = Number(output.slice(split + 1));
+    let data = null;
+    try {
+      data = JSON.parse(output.slice(0, split));
+    } catch {}
+    return { status, data };
+  } catch (err) {
+    throw new QualityConfigError(`Could not reach ${new URL(url).origin}: ${String(err.stderr || err.message).trim()}`, { code: 'QC_PR_COMMENT_FAILED' });
+  } finally {
+    if (dir) fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+function githubPullNumber(env) {
+  const fromRef = /^refs\/pull\/(\d+)\//.exec(env.GITHUB_REF || '')?.[1];
+  if (fromRef) return fromRef;
+  try {
+    return String(JSON.parse(fs.readFileSync(env.GITHUB_EVENT_PATH, 'utf8')).pull_request.number);
+  } catch {
+    return null;
+  }
+}
+
+// `context` resolves the target from the options and the CI variables;
+// `comments`, `create` and `update` wrap the REST endpoints.
+const PROVIDERS = {
+  github: {
+    name: 'GitHub',
+    context: (opts, env) => ({
+      apiUrl: opts.apiUrl || env.GITHUB_API_URL || 'https://api.github.com',
+      repo: opts.repo || env.GITHUB_REPOSITORY,
+      number: opts.pr || githubPullNumber(env),
+      token: opts.token || env.GITHUB_TOKEN || env.GH_TOKEN,
+      baseRef: env.GITHUB_BASE_REF && `origin/${env.GITHUB_BASE_REF}`,
+    }),
+    missing: { repo: '--repo owner/name (GITHUB_REPOSITORY)', number: '--pr <number> (set in pull_request workflows)', token: 'GITHUB_TOKEN' },
+    headers: ctx => ({ Authorization: `Bearer ${ctx.token}`, Accept: 'application/vnd.github+json', 'X-GitHub-Api-Version': '2022-11-28' }),
+    comments: (ctx, page) => `${ctx.apiUrl}/repos/${ctx.repo}/issues/${ctx.number}/comments?per_page=100&page=${page}`,
+    create: ctx => `${ctx.apiUrl}/repos/${ctx.repo}/issues/${ctx.number}/comments`,
+    update: (ctx, id) => ({ method: 'PATCH', url: `${ctx.apiUrl}/repos/${ctx.repo}/issues/comments/${id}` }),
+    link: comment => comment.html_url,
+  },
+  gitlab: {
+    name: 'GitLab',
+    context: (opts, env) => ({
+      apiUrl: opts.apiUrl || env.CI_API_V4_URL || 'https://gitlab.com/api/v4',
+      repo: opts.repo || env.CI_PROJECT_ID,
+      number: opts.pr || env.CI_MERGE_REQUEST_IID,
+      token: opts.token || env.GITLAB_TOKEN,
+      baseRef: env.CI_MERGE_REQUEST_TARGET_BRANCH_NAME && `origin/${env.CI_MERGE_REQUEST_TARGET_BRANCH_NAME}`,
+    }),
+    missing: { repo: '--repo <project id or path> (CI_PROJECT_ID)', number: '--pr <merge request iid> (CI_MERGE_REQUEST_IID)', token: 'GITLAB_TOKEN (a token with the api scope; CI_JOB_TOKEN cannot write notes)' },
+    headers: ctx => ({ 'PRIVATE-TOKEN': ctx.token }),
+    comments: (ctx, page) => `${ctx.apiUrl}/projects/${encodeURIComponent(ctx.repo)}/merge_requests/${ctx.number}/notes?per_page=100&page=${page}&sort=asc`,
+    create: ctx => `${ctx.apiUrl}/projects/${encodeURIComponent(ctx.repo)}/merge_requests/${ctx.number}/notes`,
+    update: (ctx, id) => ({ method: 'PUT', url: `${ctx.apiUrl}/projects/${encodeURIComponent(ctx.repo)}/merge_requests/${ctx.number}/notes/${id}` }),
+    link: () => null,
+  },
+};
+
+const PR_PROVIDERS = Object.keys(PROVIDERS);
+
+function resolveContext({ provider, repo, pr, token, apiUrl, env }, { required = true } = {}) {
+  const id = provider || (env.GITLAB_CI ? 'gitlab' : 'github');
+  if (!PROVIDERS[id]) {
+    throw new QualityConfigError(`Unknown provider "${id}". Supported: ${PR_PROVIDERS.join(', ')}`, { code: 'QC_UNKNOWN_PROVIDER' });
+  }
+  const ctx = { provider: id, ...PROVIDERS[id].context({ repo, pr, token, apiUrl }, env) };
+  const missing = Object.keys(PROVIDERS[id].missing).filter(key => !ctx[key]);
+  if (required && missing.length > 0) {
+    throw new QualityConfigError(`Missing ${PROVIDERS[id].name} pull request details: ${missing.join(', ')}.`, {
+      code: 'QC_PR_CONTEXT_MISSING',
+      hint: `Provide ${missing.map(key => PROVIDERS[id].missing[key]).join(', ')}`,
+    });
+  }
+  return ctx;
+}
+
+function checkResponse(provider, response) {
+  if (response.status >= 200 && response.status < 300) return response.data;
+  throw new QualityConfigError(`${provider.name} API returned ${response.status}: ${response.data?.message || 'no details'}.`, {
+    code: 'QC_PR_COMMENT_FAILED',
+    hint: response.status === 401 || response.status === 403 || response.status === 404
+      ? 'Check that the token can write comments on the repository (pull-requests: write on GitHub, api scope on GitLab).'
+      : undefined,
+  });
+}
+
+// The first comment carrying the marker, following the pages of comments.
+function findComment(provider, ctx) {
+  const headers = provider.headers(ctx);
+  for (let page = 1; page <= 50; page++) {
+    const comments = checkResponse(provider, apiRequest({ url: provider.comments(ctx, page), headers })) || [];
+    const found = comments.find(c => (c.body || '').startsWith(COMMENT_MARKER));
+    if (found || comments.length < 100) return found || null;
+  }
+  return null;
+}
+
+// ─── Command ────────────────────────────────────────────────
+
+function readJson(file, what) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new QualityConfigError(`Could not read the ${what} ${file}: ${err.message}`, { code: 'QC_INVALID_REPORT' });
+  }
+}
+
+// Builds the summary (from a JSON export, or from SonarQube like export) and
+// posts it as the sticky comment of the pull / merge request, updating the
+// previous one. `dryRun` only renders it.
+async function postPrComment({
+  cwd = process.cwd(), report: reportFile, base: baseFile, changedSince: ref, provider, repo, pr, token, apiUrl,
+  dryRun = false, env = process.env, log = noop,
+} = {}) {
+  const ctx = resolveContext({ provider, repo, pr, token, apiUrl, env }, { required: !dryRun });
+
+  let report;
+  if (reportFile) {
+    log(`  [..] Reading ${reportFile}...`);
+    report = readJson(path.resolve(cwd, reportFile), 'report');
+  } else {
+    report = await collectReport({ cwd, log });
+  }
+
+  let base = null;
+  if (baseFile) {
+    base = Object.fromEntries(readJson(path.resolve(cwd, baseFile), 'base report').lgpd.checks.map(c => [c.id, c.check]));
+  } else {
+    const { config } = loadConfig(cwd);
+    base = readHistory(resolveHistoryFile(cwd, config)).filter(s => s.lgpdChecks).pop()?.lgpdChecks || null;
+  }
+
+  // The diff of the pull request: the base branch from CI, unless given
+  let changes = null;
+  const baseRef = ref === true || ref === undefined ? ctx.baseRef : ref;
+  if (baseRef) {
+    try {
+      changes = changedSince(cwd, baseRef);
+    } catch (err) {
+      if (ref && ref !== true) throw err;
+      log(`  [warn] Skipping the issues on changed lines: ${err.message} (actions/checkout needs fetch-depth: 0)`);
+    }
+  }
+
+  const body = renderPrComment(report, { changes, base });
+  if (dryRun) return { provider: null, action: 'rendered', body };
+
+  const api = PROVIDERS[ctx.provider];
+  log(`  [..] Looking for the previous comment on ${ctx.repo}#${ctx.number}...`);
+  const existing = findComment(api, ctx);
+  let comment;
+  if (existing) {
+    const { method, url } = api.update(ctx, existing.id);
+    comment = checkResponse(api, apiRequest({ method, url, headers: api.headers(ctx), body: { body } }));
+  } else {
+    comment = checkResponse(api, apiRequest({ method: 'POST', url: api.create(ctx), headers: api.headers(ctx), body: { body } }));
+  }
+  return { provider: ctx.provider, action: existing ? 'updated' : 'created', id: comment?.id, url: api.link(comment || {}), body };
+}
+
+module.exports = { PR_PROVIDERS, COMMENT_MARKER, renderPrComment, postPrComment };
@@ -0,0 +1,35 @@
+const fs = require('fs');
+const path = require('path');
+
+function readSonarProperties(cwd) {
+  const props = {};
+  const propsPath = path.join(cwd, 'sonar-project.properties');
+  if (!fs.existsSync(propsPath)) return props;
+
+  for (const line of fs.readFileSync(propsPath, 'utf8').split('\n')) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#') || trimmed.startsWith('!')) continue;
+    const match = trimmed.match(/^([^=:\s]+)\s*[=:]\s*(.*)$/);
+    if (match) props[match[1]] = match[2].trim();
+  }
+  return props;
+}
+
+// Modules declared through `sonar.modules`, with their base directory
+// relative to the project root.
+function getSonarModules(props) {
+  if (!props['sonar.modules']) return [];
+  return props['sonar.modules'].split(',').map(s => s.trim()).filter(Boolean).map(name => ({
+    name,
+    path: props[`${name}.sonar.projectBaseDir`] || name,
+  }));
+}
+
+// Directories whose dependencies are audited: the root and each Sonar module,
+// or the legacy frontend/backend layout when no modules are declared.
+function dependencyDirs(cwd, modules) {
+  const dirs = modules.length > 0 ? ['.', ...modules.map(m => m.path)] : ['.', 'frontend', 'backend'];
+  return dirs.filter(d => fs.existsSync(path.join(cwd, d)));
+}
+
+module.exports = { readSonarProperties, getSonarModules, dependencyDirs };
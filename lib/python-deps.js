@@ -0,0 +1,307 @@
+const fs = require('fs');
+const path = require('path');
+
+const { comparePep440, normalizePypiName } = require('./osv');
+const { latestVersions } = require('./registry');
+
+const DEV_GROUP = /dev|test|lint|doc|type/i;
+
+// ─── Manifests ──────────────────────────────────────────────
+
+function balanced(value) {
+  let depth = 0;
+  let quote = null;
+  for (const c of value) {
+    if (quote) {
+      if (c === quote) quote = null;
+    } else if (c === '"' || c === "'") {
+      quote = c;
+    } else if (c === '[' || c === '{') {
+      depth++;
+    } else if (c === ']' || c === '}') {
+      depth--;
+    }
+  }
+  return depth <= 0;
+}
+
+// Just enough TOML for lockfiles and dependency tables: tables, arrays of
+// tables and key = value pairs, with values kept as raw text.
+function parseToml(text) {
+  const tables = { '': {} };
+  const arrays = {};
+  let current = tables[''];
+  let pending = null;
+
+  for (const raw of text.split(/\r?\n/)) {
+    if (pending) {
+      pending.value += ' ' + raw.trim();
+      if (balanced(pending.value)) {
+        current[pending.key] = pending.value;
+        pending = null;
+      }
+      continue;
+    }
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) continue;
+
+    let m;
+    if ((m = /^\[\[\s*([^\]]+?)\s*\]\]$/.exec(line))) {
+      current = {};
+      (arrays[m[1]] = arrays[m[1]] || []).push(current);
+    } else if ((m = /^\[\s*([^\]]+?)\s*\]$/.exec(line))) {
+      // [package.dependencies] after [[package]] belongs to that package
+      const parent = Object.keys(arrays).find(name => m[1].startsWith(`${name}.`));
+      if (parent) {
+        const item = arrays[parent][arrays[parent].length - 1];
+        current = item[m[1].slice(parent.length + 1)] = {};
+      } else {
+        current = tables[m[1]] = tables[m[1]] || {};
+      }
+    } else if ((m = /^("[^"]+"|'[^']+'|[\w.-]+)\s*=\s*(.*)$/.exec(line))) {
+      const key = m[1].replace(/^["']|["']$/g, '');
+      if (balanced(m[2])) current[key] = m[2];
+      else pending = { key, value: m[2] };
+    }
+  }
+  return { tables, arrays };
+}
+
+function tomlString(value = '') {
+  const m = /^\s*(?:"((?:[^"\\]|\\.)*)"|'([^']*)')/.exec(value);
+  return m ? (m[1] ?? m[2]) : null;
+}
+
+function tomlStrings(value = '') {
+  return [...value.matchAll(/"((?:[^"\\]|\\.)*)"|'([^']*)'/g)].map(m => m[1] ?? m[2]);
+}
+
+// PEP 508 requirement: the name and, for exact pins, the version.
+function parseRequirement(spec) {
+  const m = /^\s*([A-Za-z0-9][A-Za-z0-9._-]*)\s*(?:\[[^\]]*\])?\s*(.*)$/.exec(spec);
+  if (!m) return null;
+  const constraint = m[2].split(';')[0].trim();
+  const pin = /^===?\s*([^\s,*]+)$/.exec(constraint);
+  return { name: normalizePypiName(m[1]), version: pin ? pin[1] : null };
+}
+
+function parseRequirementsFile(file, seen = new Set()) {
+  if (seen.has(file) || !fs.existsSync(file)) return [];
+  seen.add(file);
+  const dev = DEV_GROUP.test(path.basename(file));
+  const packages = [];
+
+  let last = null;
+  for (const raw of fs.readFileSync(file, 'utf8').split(/\r?\n/)) {
+    // pip-compile --generate-hashes puts the hashes on continuation lines
+    const hashes = [...raw.matchAll(/--hash[=\s]+(\S+)/g)].map(m => m[1]);
+    const line = raw.replace(/(^|\s)#.*$/, '').replace(/\\$/, '').replace(/--hash[=\s]+\S+/g, '').trim();
+    if (!line) {
+      if (last) last.hashes.push(...hashes);
+      continue;
+    }
+    const include = /^(?:-r|--requirement)[\s=]+(\S+)/.exec(line);
+    if (include) {
+      packages.push(...parseRequirementsFile(path.resolve(path.dirname(file), include[1]), seen));
+      last = null;
+    } else if (!line.startsWith('-') && !/^\w+:\/\//.test(line)) {
+      const req = parseRequirement(line);
+      last = req && { ...req, dev, hashes };
+      if (last) packages.push(last);
+    }
+  }
+  return packages;
+}
+
+function requirementsFiles(dir) {
+  const files = [];
+  const list = d => (fs.existsSync(d) ? fs.readdirSync(d).sort() : []);
+  for (const name of list(dir)) {
+    if (/^requirements.*\.(txt|in)$/.test(name)) files.push(path.join(dir, name));
+  }
+  for (const name of list(path.join(dir, 'requirements'))) {
+    if (/\.(txt|in)$/.test(name)) files.push(path.join(dir, 'requirements', name));
+  }
+  // Compiled .txt files carry the pins, their .in sources only the names
+  return files.filter(f => !f.endsWith('.in') || !files.includes(f.replace(/\.in$/, '.txt')));
+}
+
+// Names declared directly by the project (pyproject.toml, Pipfile or
+// requirements files), split into runtime and development dependencies.
+function directDependencies(dir) {
+  const prod = new Set();
+  const dev = new Set();
+  const add = (set, specs) => {
+    for (const spec of specs) {
+      const req = parseRequirement(spec);
+      if (req) set.add(req.name);
+    }
+  };
+  const addKeys = (set, table = {}) => {
+    for (const name of Object.keys(table)) {
+      if (name !== 'python') set.add(normalizePypiName(name));
+    }
+  };
+
+  const pyproject = path.join(dir, 'pyproject.toml');
+  if (fs.existsSync(pyproject)) {
+    const { tables } = parseToml(fs.readFileSync(pyproject, 'utf8'));
+    add(prod, tomlStrings(tables.project?.dependencies));
+    for (const [group, specs] of Object.entries(tables['project.optional-dependencies'] || {})) {
+      add(DEV_GROUP.test(group) ? dev : prod, tomlStrings(specs));
+    }
+    for (const specs of Object.values(tables['dependency-groups'] || {})) add(dev, tomlStrings(specs));
+    addKeys(prod, tables['tool.poetry.dependencies']);
+    addKeys(dev, tables['tool.poetry.dev-dependencies']);
+    for (const [name, table] of Object.entries(tables)) {
+      const group = /^tool\.poetry\.group\.([^.]+)\.dependencies$/.exec(name);
+      if (group) addKeys(group[1] === 'main' ? prod : dev, table);
+    }
+  }
+
+  const pipfile = path.join(dir, 'Pipfile');
+  if (fs.existsSync(pipfile)) {
+    const { tables } = parseToml(fs.readFileSync(pipfile, 'utf8'));
+    addKeys(prod, tables.packages);
+    addKeys(dev, tables['dev-packages']);
+  }
+
+  for (const file of requirementsFiles(dir)) {
+    for (const pkg of parseRequirementsFile(file)) (pkg.dev ? dev : prod).add(pkg.name);
+  }
+  for (const name of prod) dev.delete(name);
+  return { prod, dev };
+}
+
+// ─── Lockfiles ──────────────────────────────────────────────
+
+// Hashes of the artifacts a lock entry accepts: uv's sdist and wheels,
+// poetry's files.
+function artifactHashes(p) {
+  return [p.sdist, p.wheels, p.files]
+    .flatMap(value => [...String(value || '').matchAll(/\bhash\s*=\s*"([^"]+)"/g)].map(m => m[1]));
+}
+
+function lockedPackages(arrays) {
+  return (arrays.package || [])
+    .filter(p => !/\b(editable|virtual)\s*=/.test(p.source || ''))
+    .map(p => {
+      const groups = tomlStrings(p.groups);
+      // uv lists dependencies as inline tables, poetry as a [package.dependencies] table
+      const dependencies = typeof p.dependencies === 'object'
+        ? Object.keys(p.dependencies)
+        : [...String(p.dependencies || '').matchAll(/\bname\s*=\s*"([^"]+)"/g)].map(m => m[1]);
+      return {
+        name: normalizePypiName(tomlString(p.name)),
+        version: tomlString(p.version),
+        dev: tomlString(p.category) === 'dev' || (groups.length > 0 && !groups.includes('main')) ? true : undefined,
+        hashes: artifactHashes(p),
+        dependencies: dependencies.map(normalizePypiName),
+      };
+    });
+}
+
+const LOCKFILES = [
+  { file: 'uv.lock', parse: text => lockedPackages(parseToml(text).arrays) },
+  { file: 'poetry.lock', parse: text => lockedPackages(parseToml(text).arrays) },
+  {
+    file: 'Pipfile.lock',
+    parse: text => {
+      const lock = JSON.parse(text);
+      return [['default', false], ['develop', true]].flatMap(([section, dev]) => Object.entries(lock[section] || {})
+        .map(([name, info]) => ({
+          name: normalizePypiName(name),
+          version: (info.version || '').replace(/^===?/, '') || null,
+          dev,
+          hashes: info.hashes || [],
+        })));
+    },
+  },
+];
+
+// Resolved Python dependencies of a directory, from its lockfile or, without
+// one, its requirements files. Null when the directory has no Python project.
+function readPythonDependencies(dir) {
+  const direct = directDependencies(dir);
+  const isDirect = name => direct.prod.has(name) || direct.dev.has(name);
+  const withFlags = (source, packages) => ({
+    source,
+    packages: packages.map(p => ({
+      ...p,
+      dev: p.dev ?? (direct.dev.has(p.name) && !direct.prod.has(p.name)),
+      direct: direct.prod.size + direct.dev.size === 0 || isDirect(p.name),
+    })),
+    direct,
+  });
+
+  for (const lockfile of LOCKFILES) {
+    const file = path.join(dir, lockfile.file);
+    if (!fs.existsSync(file)) continue;
+    try {
+      return withFlags(lockfile.file, lockfile.parse(fs.readFileSync(file, 'utf8')));
+    } catch {}
+  }
+
+  const files = requirementsFiles(dir);
+  if (files.length > 0) {
+    const byName = new Map();
+    for (const pkg of files.flatMap(f => parseRequirementsFile(f))) {
+      const known = byName.get(pkg.name);
+      if (!known || (!known.version && pkg.version)) byName.set(pkg.name, pkg);
+    }
+    return withFlags(files.map(f => path.relative(dir, f)).join(', '), [...byName.values()]);
+  }
+
+  if (direct.prod.size + direct.dev.size > 0) {
+    const unpinned = [...direct.prod, ...direct.dev].map(name => ({ name, version: null, dev: direct.dev.has(name) }));
+    return withFlags(fs.existsSync(path.join(dir, 'pyproject.toml')) ? 'pyproject.toml' : 'Pipfile', unpinned);
+  }
+  return null;
+}
+
+// ─── Audit ──────────────────────────────────────────────────
+
+// Checks the pinned versions of a Python project against the OSV snapshot
+// and, unless offline, looks up newer releases of the direct dependencies.
+function auditPython(dir, { advisories, offline = false, location = '.' } = {}) {
+  const deps = readPythonDependencies(dir);
+  if (!deps) return null;
+
+  const pinned = deps.packages.filter(p => p.version);
+  const audit = {
+    ecosystem: 'PyPI',
+    location,
+    source: deps.source,
+    packages: deps.packages.length,
+    unpinned: deps.packages.length - pinned.length,
+    audited: Boolean(advisories) && pinned.length > 0,
+  };
+  if (!advisories) audit.reason = 'no PyPI advisory snapshot (run "quality-config advisories update")';
+  else if (pinned.length === 0) audit.reason = 'no pinned versions (add a lockfile or pin with ==)';
+
+  const findings = !audit.audited ? [] : pinned.flatMap(pkg => advisories.match(pkg.name, pkg.version).map(advisory => ({
+    ecosystem: 'PyPI',
+    name: pkg.name,
+    version: pkg.version,
+    dev: pkg.dev,
+    ...advisory,
+    location,
+  })));
+
+  let outdated = [];
+  if (!offline) {
+    const direct = pinned.filter(p => p.direct);
+    const latest = latestVersions('pypi', direct.map(p => p.name));
+    outdated = direct
+      .filter(p => latest[p.name] && comparePep440(latest[p.name], p.version) > 0)
+      .map(p => ({ name: p.name, current: p.version, wanted: null, latest: latest[p.name], location }));
+  }
+
+  const counts = deps.direct.prod.size + deps.direct.dev.size > 0
+    ? { dependencies: deps.direct.prod.size, devDependencies: deps.direct.dev.size }
+    : { dependencies: deps.packages.filter(p => !p.dev).length, devDependencies: deps.packages.filter(p => p.dev).length };
+
+  return { audit, findings, outdated, counts };
+}
+
+module.exports = { parseToml, parseRequirement, readPythonDependencies, auditPython };
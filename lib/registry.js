@@ -0,0 +1,81 @@
+const { execSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const { CACHE_DIR } = require('./constants');
+
+const LATEST_TTL = 24 * 60 * 60 * 1000;
+
+const REGISTRIES = {
+  pypi: {
+    cacheFile: path.join(CACHE_DIR, 'pypi-latest.json'),
+    url: name => `https://pypi.org/pypi/${encodeURIComponent(name)}/json`,
+    version: data => data.info.version,
+  },
+  npm: {
+    cacheFile: path.join(CACHE_DIR, 'npm-latest.json'),
+    url: name => `https://registry.npmjs.org/${name.replace('/', '%2f')}/latest`,
+    version: data => data.version,
+  },
+};
+
+function readCache(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+// Fetches `url(key)` for each key missing from the cache file (or older than
+// `ttl`) and keeps `pick(json)`. Keys the registry doesn't answer for are left out.
+function cachedLookup({ cacheFile, ttl = Infinity, keys, url, pick }) {
+  const cache = readCache(cacheFile);
+  const now = Date.now();
+  let changed = false;
+
+  for (const key of keys) {
+    if (cache[key] && now - cache[key].fetchedAt < ttl) continue;
+    try {
+      const result = execSync(`curl -sf --max-time 10 "${url(key)}"`, {
+        encoding: 'utf8', stdio: ['pipe', 'pipe', 'ignore'], maxBuffer: 64 * 1024 * 1024,
+      });
+      cache[key] = { value: pick(JSON.parse(result)), fetchedAt: now };
+      changed = true;
+    } catch {}
+  }
+
+  if (changed) {
+    try {
+      fs.mkdirSync(path.dirname(cacheFile), { recursive: true });
+      fs.writeFileSync(cacheFile, JSON.stringify(cache), 'utf8');
+    } catch {}
+  }
+  return Object.fromEntries(keys.filter(k => cache[k]).map(k => [k, cache[k].value]));
+}
+
+// Latest release of each package on a public registry, cached for a day.
+function latestVersions(registry, names) {
+  const { cacheFile, url, version } = REGISTRIES[registry];
+  return cachedLookup({ cacheFile, ttl: LATEST_TTL, keys: names, url, pick: version });
+}
+
+// License metadata of PyPI releases (`name@version`), cached for good since
+// releases don't change.
+function pypiLicenses(releases) {
+  return cachedLookup({
+    cacheFile: path.join(CACHE_DIR, 'pypi-licenses.json'),
+    keys: releases,
+    url: release => {
+      const [name, version] = release.split('@');
+      return `https://pypi.org/pypi/${encodeURIComponent(name)}/${encodeURIComponent(version)}/json`;
+    },
+    pick: data => ({
+      expression: data.info.license_expression || null,
+      license: data.info.license || null,
+      classifiers: (data.info.classifiers || []).filter(c => c.startsWith('License ::')),
+    }),
+  });
+}
+
+module.exports = { latestVersions, pypiLicenses };
@@ -0,0 +1,644 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const { loadConfig, resolveProjectKey } = require('./config');
+const { QualityConfigError } = require('./errors');
+const { normalizeLicense, scanLicenses } = require('./licenses');
+const { readSonarProperties, getSonarModules, dependencyDirs } = require('./properties');
+const { readPythonDependencies } = require('./python-deps');
+const { noop, ensureDir } = require('./utils');
+const { version: TOOL_VERSION } = require('../package.json');
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// ─── npm lockfiles ──────────────────────────────────────────
+//
+// Each reader returns the locked packages as graph nodes by id, with the ids
+// the project depends on directly: { source, nodes, direct: { prod, dev } }.
+
+function manifestRanges(pkg, fields) {
+  return Object.assign({}, ...fields.map(f => pkg[f] || {}));
+}
+
+// package-lock.json v2/v3 `packages`, keyed by install path. v1 nested
+// `dependencies` are flattened into the same shape.
+function flattenLockV1(dependencies, prefix = '', entries = {}) {
+  for (const [name, info] of Object.entries(dependencies || {})) {
+    const key = `${prefix}node_modules/${name}`;
+    entries[key] = { ...info, dependencies: info.requires };
+    flattenLockV1(info.dependencies, `${key}/`, entries);
+  }
+  return entries;
+}
+
+function readPackageLock(dir, pkg) {
+  const lockfile = ['package-lock.json', 'npm-shrinkwrap.json'].find(f => fs.existsSync(path.join(dir, f)));
+  const lock = lockfile && readJson(path.join(dir, lockfile));
+  if (!lock) return null;
+  const entries = lock.packages || flattenLockV1(lock.dependencies);
+
+  // Node resolution: the closest node_modules up from the dependent
+  const resolve = (from, name) => {
+    let base = from;
+    for (;;) {
+      const key = `${base ? `${base}/` : ''}node_modules/${name}`;
+      if (entries[key] && !entries[key].link) return key;
+      if (!base) return null;
+      const i = base.lastIndexOf('/node_modules/');
+      base = i === -1 ? '' : base.slice(0, i);
+    }
+  };
+
+  const nodes = {};
+  for (const [key, info] of Object.entries(entries)) {
+    if (!key.includes('node_modules/') || info.link || !info.version) continue;
+    nodes[key] = {
+      name: info.name || key.slice(key.lastIndexOf('node_modules/') + 'node_modules/'.length),
+      version: info.version,
+      resolved: info.resolved,
+      integrity: info.integrity,
+      license: info.license,
+      deps: Object.keys(manifestRanges(info, ['dependencies', 'optionalDependencies'])).map(name => resolve(key, name)).filter(Boolean),
+    };
+  }
+  const direct = fields => Object.keys(manifestRanges(pkg, fields)).map(name => resolve('', name)).filter(Boolean);
+  return { source: lockfile, nodes, direct: { prod: direct(['dependencies', 'optionalDependencies']), dev: direct(['devDependencies']) } };
+}
+
+// yarn.lock, classic and berry. Entries are keyed by descriptor
+// (`lodash@^4.17.0`, `lodash@npm:^4.17.0`); berry checksums hash yarn's own
+// archives, so only classic integrity hashes are kept.
+function readYarnLock(dir, pkg) {
+  const file = path.join(dir, 'yarn.lock');
+  if (!fs.existsSync(file)) return null;
+
+  const entries = [];
+  let entry = null;
+  let section = null;
+  for (const line of fs.readFileSync(file, 'utf8').split(/\r?\n/)) {
+    if (!line.trim() || line.trim().startsWith('#')) continue;
+    const unquote = s => s.trim().replace(/^"|"$/g, '');
+    if (/^\S.*:$/.test(line)) {
+      const descriptors = line.slice(0, -1).split(/,\s*/).map(unquote);
+      entry = descriptors.some(d => d.indexOf('@', 1) > 0 && !d.includes('@workspace:') && d !== '__metadata')
+        ? { descriptors, deps: {} }
+        : null;
+      if (entry) entries.push(entry);
+      continue;
+    }
+    if (!entry) continue;
+    const m = /^(\s+)("[^"]+"|[^\s:]+):?(?:\s+(.*))?$/.exec(line);
+    if (!m) continue;
+    const key = unquote(m[2]);
+    if (m[1].length <= 2) {
+      section = m[3] === undefined ? key : null;
+      if (m[3] !== undefined) entry[key] = unquote(m[3]);
+    } else if (section === 'dependencies' || section === 'optionalDependencies') {
+      entry.deps[key] = unquote(m[3] || '');
+    }
+  }
+
+  const idOf = new Map();
+  const nodes = {};
+  for (const e of entries) {
+    const name = e.descriptors[0].slice(0, e.descriptors[0].indexOf('@', 1));
+    const id = `${name}@${e.version}`;
+    for (const d of e.descriptors) idOf.set(d, id);
+    const sha1 = /#([a-f0-9]{40})$/.exec(e.resolved || '');
+    nodes[id] = {
+      name,
+      version: e.version,
+      resolved: e.resolved && e.resolved.replace(/#.*$/, ''),
+      integrity: e.integrity || (sha1 ? `sha1:${sha1[1]}` : undefined),
+      rawDeps: { ...(nodes[id]?.rawDeps || {}), ...e.deps },
+    };
+  }
+  const lookup = (name, range) => idOf.get(`${name}@${range}`) || idOf.get(`${name}@npm:${range}`);
+  for (const node of Object.values(nodes)) {
+    node.deps = Object.entries(node.rawDeps).map(([name, range]) => lookup(name, range)).filter(Boolean);
+    delete node.rawDeps;
+  }
+  const direct = fields => Object.entries(manifestRanges(pkg, fields)).map(([name, range]) => lookup(name, range)).filter(Boolean);
+  return { source: 'yarn.lock', nodes, direct: { prod: direct(['dependencies', 'optionalDependencies']), dev: direct(['devDependencies']) } };
+}
+
+// Block-style YAML as pnpm writes it: nested maps, scalars and one-line flow
+// maps (`resolution: {integrity: ...}`). Sequences are skipped.
+function parseYaml(text) {
+  const root = {};
+  const stack = [{ indent: -1, value: root }];
+  const unquote = s => s.trim().replace(/^'(.*)'$|^"(.*)"$/, (_, a, b) => a ?? b);
+  const scalar = value => {
+    if (!/^\{.*\}$/.test(value)) return unquote(value);
+    return Object.fromEntries(value.slice(1, -1).split(/,\s*/).map(pair => {
+      const i = pair.indexOf(':');
+      return [unquote(pair.slice(0, i)), unquote(pair.slice(i + 1))];
+    }));
+  };
+
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line || line.startsWith('#') || line.startsWith('- ')) continue;
+    const m = /^('[^']*'|"[^"]*"|[^\s'"][^:]*?):(?:\s+(.*))?$/.exec(line);
+    if (!m) continue;
+    const indent = raw.search(/\S/);
+    while (stack[stack.length - 1].indent >= indent) stack.pop();
+    const parent = stack[stack.length - 1].value;
+    const key = unquote(m[1]);
+    if (m[2] === undefined || m[2] === '') {
+      parent[key] = {};
+      stack.push({ indent, value: parent[key] });
+    } else {
+      parent[key] = scalar(m[2]);
+    }
+  }
+  return root;
+}
+
+// pnpm-lock.yaml v5 (`/name/1.0.0_peer`), v6 (`/name@1.0.0(peer)`) and v9
+// (`name@1.0.0`, with the dependencies under `snapshots`).
+function readPnpmLock(dir) {
+  const file = path.join(dir, 'pnpm-lock.yaml');
+  if (!fs.existsSync(file)) return null;
+  const lock = parseYaml(fs.readFileSync(file, 'utf8'));
+  const v5 = parseFloat(lock.lockfileVersion) < 6;
+
+  const idOfKey = key => {
+    const bare = key.replace(/^\//, '').replace(/\(.*$/, '');
+    if (v5) {
+      const i = bare.lastIndexOf('/');
+      return i > 0 ? `${bare.slice(0, i)}@${bare.slice(i + 1).replace(/_.*$/, '')}` : bare;
+    }
+    return bare;
+  };
+  const idOfDep = (name, version) => {
+    let value = String((typeof version === 'object' ? version.version : version) || '').replace(/\(.*$/, '');
+    if (v5 && !value.startsWith('/')) value = value.replace(/_.*$/, '');
+    if (!value || value.startsWith('link:')) return null;
+    // Aliases point at another package: `/string-width/4.2.3`, `string-width@4.2.3`
+    if (value.startsWith('/') || value.indexOf('@', 1) > 0) return idOfKey(value);
+    return `${name}@${value}`;
+  };
+
+  const nodes = {};
+  for (const [key, info] of Object.entries(lock.packages || {})) {
+    const id = idOfKey(key);
+    const at = id.indexOf('@', 1);
+    if (at === -1) continue;
+    const deps = { ...info.dependencies, ...info.optionalDependencies };
+    nodes[id] = {
+      name: info.name || id.slice(0, at),
+      version: info.version || id.slice(at + 1),
+      resolved: info.resolution?.tarball,
+      integrity: info.resolution?.integrity,
+      deps: [...new Set([...(nodes[id]?.deps || []), ...Object.entries(deps).map(([n, v]) => idOfDep(n, v)).filter(Boolean)])],
+    };
+  }
+  // v9 keeps one snapshot per peer variant of a package
+  for (const [key, snapshot] of Object.entries(lock.snapshots || {})) {
+    const id = idOfKey(key);
+    if (!nodes[id]) continue;
+    const deps = Object.entries({ ...snapshot.dependencies, ...snapshot.optionalDependencies }).map(([n, v]) => idOfDep(n, v));
+    nodes[id].deps = [...new Set([...nodes[id].deps, ...deps.filter(Boolean)])];
+  }
+
+  const importer = lock.importers?.['.'] || lock;
+  const direct = fields => fields.flatMap(f => Object.entries(importer[f] || {}).map(([n, v]) => idOfDep(n, v))).filter(id => nodes[id]);
+  return { source: 'pnpm-lock.yaml', nodes, direct: { prod: direct(['dependencies', 'optionalDependencies']), dev: direct(['devDependencies']) } };
+}
+
+// bun.lock: `[spec, registry, info, integrity]` by install path, nested
+// copies keyed as `parent/name`. bun.lockb is binary and isn't read.
+function readBunLock(dir, pkg) {
+  const file = path.join(dir, 'bun.lock');
+  if (!fs.existsSync(file)) return null;
+  let lock;
+  try {
+    lock = JSON.parse(fs.readFileSync(file, 'utf8').replace(/,(\s*[}\]])/g, '$1'));
+  } catch {
+    return null;
+  }
+  const packages = lock.packages || {};
+  const resolve = (from, name) => {
+    let base = from;
+    for (;;) {
+      const key = base ? `${base}/${name}` : name;
+      if (packages[key]) return key;
+      if (!base) return null;
+      const spec = packages[base][0];
+      base = base.slice(0, Math.max(0, base.length - spec.slice(0, spec.indexOf('@', 1)).length - 1));
+    }
+  };
+
+  const nodes = {};
+  for (const [key, entry] of Object.entries(packages)) {
+    const spec = Array.isArray(entry) ? entry[0] : '';
+    if (!spec || spec.includes('@workspace:')) continue;
+    const at = spec.indexOf('@', 1);
+    const info = entry.find((e, i) => i > 0 && e && typeof e === 'object') || {};
+    nodes[key] = {
+      name: spec.slice(0, at),
+      version: spec.slice(at + 1),
+      resolved: entry[1] || undefined,
+      integrity: entry.find((e, i) => i > 0 && typeof e === 'string' && /^sha\d+-/.test(e)),
+      deps: Object.keys({ ...info.dependencies, ...info.optionalDependencies }).map(name => resolve(key, name)).filter(Boolean),
+    };
+  }
+  const direct = fields => Object.keys(manifestRanges(pkg, fields)).map(name => resolve('', name)).filter(Boolean);
+  return { source: 'bun.lock', nodes, direct: { prod: direct(['dependencies', 'optionalDependencies']), dev: direct(['devDependencies']) } };
+}
+
+const NODE_LOCKFILES = [readPackageLock, readPnpmLock, readYarnLock, readBunLock];
+
+// ─── Python lockfiles ───────────────────────────────────────
+
+function readPythonGraph(dir) {
+  const deps = readPythonDependencies(dir);
+  if (!deps) return null;
+  const nodes = {};
+  for (const p of deps.packages) {
+    nodes[p.name] = { name: p.name, version: p.version, hashes: p.hashes || [], deps: p.dependencies || [], dev: p.dev };
+  }
+  for (const node of Object.values(nodes)) node.deps = node.deps.filter(name => nodes[name]);
+
+  // Without a dependency graph (requirements files, Pipfile.lock) the flags
+  // of the lockfile are all there is
+  const hasGraph = Object.values(nodes).some(n => n.deps.length > 0);
+  const declared = deps.direct.prod.size + deps.direct.dev.size > 0;
+  const prod = hasGraph && declared ? [...deps.direct.prod] : deps.packages.filter(p => !p.dev).map(p => p.name);
+  const dev = hasGraph && declared ? [...deps.direct.dev] : deps.packages.filter(p => p.dev).map(p => p.name);
+  return { source: deps.source, nodes, direct: { prod: prod.filter(n => nodes[n]), dev: dev.filter(n => nodes[n]) } };
+}
+
+// ─── Components ─────────────────────────────────────────────
+
+const HASH_ALGORITHMS = { sha1: 'SHA-1', sha256: 'SHA-256', sha384: 'SHA-384', sha512: 'SHA-512' };
+
+// SRI (`sha512-<base64>`) and pip (`sha256:<hex>`) hashes as { alg, content }.
+function parseHashes(values) {
+  return values.flatMap(value => String(value).split(/\s+/)).flatMap(value => {
+    const sri = /^(sha\d+)-([A-Za-z0-9+/=]+)$/.exec(value);
+    if (sri && HASH_ALGORITHMS[sri[1]]) return [{ alg: HASH_ALGORITHMS[sri[1]], content: Buffer.from(sri[2], 'base64').toString('hex') }];
+    const hex = /^(sha\d+):([a-f0-9]+)$/i.exec(value);
+    if (hex && HASH_ALGORITHMS[hex[1].toLowerCase()]) return [{ alg: HASH_ALGORITHMS[hex[1].toLowerCase()], content: hex[2].toLowerCase() }];
+    return [];
+  });
+}
+
+function purl(ecosystem, name, version) {
+  if (ecosystem === 'npm') {
+    const encoded = name.startsWith('@') ? `%40${name.slice(1)}` : name;
+    return `pkg:npm/${encoded}@${encodeURIComponent(version)}`;
+  }
+  return `pkg:pypi/${name}@${encodeURIComponent(version)}`;
+}
+
+// Production packages are the ones reachable from the production direct
+// dependencies; everything else in the lockfile is development-only.
+function markDev(graph) {
+  const prod = new Set();
+  const queue = [...graph.direct.prod];
+  while (queue.length > 0) {
+    const id = queue.pop();
+    if (prod.has(id) || !graph.nodes[id]) continue;
+    prod.add(id);
+    queue.push(...graph.nodes[id].deps);
+  }
+  for (const [id, node] of Object.entries(graph.nodes)) node.dev = !prod.has(id);
+}
+
+function projectInfo(cwd, config) {
+  const pkg = readJson(path.join(cwd, 'package.json')) || {};
+  let version = pkg.version;
+  const pyproject = path.join(cwd, 'pyproject.toml');
+  if (!version && fs.existsSync(pyproject)) {
+    version = (/^version\s*=\s*["']([^"']+)["']/m.exec(fs.readFileSync(pyproject, 'utf8')) || [])[1];
+  }
+  const key = resolveProjectKey(cwd, config);
+  return { key, name: config.projectName || pkg.name || key, version: version || null };
+}
+
+// Components of the root and each module, from their lockfiles (transitive
+// dependencies, hashes and the graph) or, without one, from what is installed.
+// Licenses come from the license scan.
+function generateSbom({ cwd = process.cwd(), dev = false, offline, log = noop } = {}) {
+  const { config } = loadConfig(cwd);
+  const licenses = scanLicenses({ cwd, dev: true, offline });
+  const licenseOf = new Map(licenses.packages.map(p => [`${p.ecosystem}:${p.name}@${p.version}`, p]));
+
+  const components = new Map();
+  const direct = new Set();
+  const sources = [];
+  const addComponent = (ecosystem, node, location, dependsOn) => {
+    const ref = purl(ecosystem, node.name, node.version);
+    const scanned = licenseOf.get(`${ecosystem}:${node.name}@${node.version}`);
+    const known = components.get(ref);
+    if (known) {
+      known.dependsOn = [...new Set([...known.dependsOn, ...dependsOn])];
+      known.dev = known.dev && node.dev;
+      return ref;
+    }
+    components.set(ref, {
+      ref,
+      ecosystem,
+      name: node.name,
+      version: node.version,
+      purl: ref,
+      hashes: parseHashes([node.integrity, ...(node.hashes || [])].filter(Boolean)),
+      license: scanned ? scanned.license : normalizeLicense(node.license),
+      declared: scanned ? scanned.declared : node.license || null,
+      dev: node.dev === true,
+      resolved: node.resolved || null,
+      location,
+      dependsOn,
+    });
+    return ref;
+  };
+
+  for (const dir of dependencyDirs(cwd, getSonarModules(readSonarProperties(cwd)))) {
+    const location = path.normalize(dir);
+    const abs = path.join(cwd, dir);
+    const pkg = readJson(path.join(abs, 'package.json'));
+    const graphs = [];
+    if (pkg) {
+      const graph = NODE_LOCKFILES.map(read => read(abs, pkg)).find(Boolean);
+      graphs.push(['npm', graph]);
+    }
+    const python = readPythonGraph(abs);
+    if (python) graphs.push(['PyPI', python]);
+
+    for (const [ecosystem, graph] of graphs) {
+      if (!graph) {
+        // No lockfile: installed packages only, without hashes or graph
+        const installed = licenses.packages.filter(p => p.ecosystem === ecosystem && p.location === location);
+        log(`  [..] ${ecosystem} components in ${location} (installed packages)...`);
+        sources.push({ ecosystem, location, source: installed.length > 0 ? 'node_modules' : 'package.json', components: installed.length, reason: 'no lockfile: no hashes or dependency graph' });
+        for (const p of installed) {
+          if (p.dev && !dev) continue;
+          direct.add(addComponent(ecosystem, { name: p.name, version: p.version, dev: p.dev }, location, []));
+        }
+        continue;
+      }
+
+      log(`  [..] ${ecosystem} components in ${location} (${graph.source})...`);
+      if (ecosystem === 'npm' || graph.direct.prod.length + graph.direct.dev.length > 0) markDev(graph);
+      const included = Object.entries(graph.nodes).filter(([, node]) => node.version && (dev || !node.dev));
+      const refOf = new Map(included.map(([id, node]) => [id, purl(ecosystem, node.name, node.version)]));
+      for (const [, node] of included) {
+        addComponent(ecosystem, node, location, node.deps.map(d => refOf.get(d)).filter(Boolean));
+      }
+      for (const id of [...graph.direct.prod, ...graph.direct.dev]) {
+        if (refOf.has(id)) direct.add(refOf.get(id));
+      }
+      const unpinned = Object.values(graph.nodes).filter(n => !n.version).length;
+      sources.push({
+        ecosystem,
+        location,
+        source: graph.source,
+        components: included.length,
+        reason: unpinned > 0 ? `${unpinned} package(s) without a pinned version left out` : undefined,
+      });
+    }
+  }
+
+  const list = [...components.values()].sort((a, b) => a.ecosystem.localeCompare(b.ecosystem) || a.name.localeCompare(b.name) || a.version.localeCompare(b.version));
+  return {
+    project: projectInfo(cwd, config),
+    generatedAt: new Date().toISOString(),
+    sources,
+    components: list,
+    direct: [...direct].filter(ref => components.has(ref)),
+    // Licenses were scanned with dev dependencies for the components; the
+    // violations follow the configured policy
+    violations: licenses.violations.filter(v => !v.dev || config.licenses?.dev === true),
+    summary: {
+      components: list.length,
+      npm: list.filter(c => c.ecosystem === 'npm').length,
+      pypi: list.filter(c => c.ecosystem === 'PyPI').length,
+      hashed: list.filter(c => c.hashes.length > 0).length,
+      licensed: list.filter(c => c.license).length,
+      dev: list.filter(c => c.dev).length,
+    },
+  };
+}
+
+// ─── CycloneDX ──────────────────────────────────────────────
+
+function renderCycloneDx(sbom) {
+  const root = {
+    type: 'application',
+    'bom-ref': sbom.project.key,
+    name: sbom.project.name,
+    ...(sbom.project.version && { version: sbom.project.version }),
+  };
+  const document = {
+    bomFormat: 'CycloneDX',
+    specVersion: '1.5',
+    serialNumber: `urn:uuid:${crypto.randomUUID()}`,
+    version: 1,
+    metadata: {
+      timestamp: sbom.generatedAt,
+      tools: { components: [{ type: 'application', name: '@olympio/quality-config', version: TOOL_VERSION }] },
+      component: root,
+    },
+    components: sbom.components.map(c => {
+      const scoped = c.ecosystem === 'npm' && c.name.startsWith('@');
+      return {
+        type: 'library',
+        'bom-ref': c.ref,
+        ...(scoped ? { group: c.name.slice(0, c.name.indexOf('/')), name: c.name.slice(c.name.indexOf('/') + 1) } : { name: c.name }),
+        version: c.version,
+        scope: c.dev ? 'optional' : 'required',
+        ...(c.hashes.length > 0 && { hashes: c.hashes }),
+        ...(c.license && { licenses: [{ expression: c.license }] }),
+        purl: c.purl,
+        ...(c.resolved && /^https?:/.test(c.resolved) && { externalReferences: [{ type: 'distribution', url: c.resolved }] }),
+      };
+    }),
+    dependencies: [
+      { ref: root['bom-ref'], dependsOn: sbom.direct },
+      ...sbom.components.map(c => ({ ref: c.ref, dependsOn: c.dependsOn })),
+    ],
+  };
+  return JSON.stringify(document, null, 2) + '\n';
+}
+
+// ─── SPDX ───────────────────────────────────────────────────
+
+const SPDX_ALGORITHMS = { 'SHA-1': 'SHA1', 'SHA-256': 'SHA256', 'SHA-384': 'SHA384', 'SHA-512': 'SHA512' };
+
+function renderSpdx(sbom) {
+  const rootId = 'SPDXRef-Package-root';
+  const ids = new Map(sbom.components.map((c, i) => [c.ref, `SPDXRef-Package-${i + 1}`]));
+  const licenseRefs = new Map();
+  for (const c of sbom.components) {
+    for (const ref of (c.license || '').match(/LicenseRef-[\w.-]+/g) || []) {
+      if (!licenseRefs.has(ref)) licenseRefs.set(ref, c.declared);
+    }
+  }
+
+  const document = {
+    spdxVersion: 'SPDX-2.3',
+    dataLicense: 'CC0-1.0',
+    SPDXID: 'SPDXRef-DOCUMENT',
+    name: `${sbom.project.name}${sbom.project.version ? `@${sbom.project.version}` : ''}`,
+    documentNamespace: `https://spdx.org/spdxdocs/${encodeURIComponent(sbom.project.key)}-${crypto.randomUUID()}`,
+    creationInfo: {
+      created: sbom.generatedAt.replace(/\.\d+Z$/, 'Z'),
+      creators: [`Tool: @olympio/quality-config-${TOOL_VERSION}`],
+    },
+    packages: [
+      {
+        SPDXID: rootId,
+        name: sbom.project.name,
+        ...(sbom.project.version && { versionInfo: sbom.project.version }),
+        downloadLocation: 'NOASSERTION',
+        filesAnalyzed: false,
+        primaryPackagePurpose: 'APPLICATION',
+      },
+      ...sbom.components.map(c => ({
+        SPDXID: ids.get(c.ref),
+        name: c.name,
+        versionInfo: c.version,
+        downloadLocation: c.resolved && /^https?:/.test(c.resolved) ? c.resolved : 'NOASSERTION',
+        filesAnalyzed: false,
+        ...(c.hashes.length > 0 && { checksums: c.hashes.map(h => ({ algorithm: SPDX_ALGORITHMS[h.alg], checksumValue: h.content })) }),
+        licenseConcluded: 'NOASSERTION',
+        licenseDeclared: c.license || 'NOASSERTION',
+        copyrightText: 'NOASSERTION',
+        externalRefs: [{ referenceCategory: 'PACKAGE-MANAGER', referenceType: 'purl', referenceLocator: c.purl }],
+        primaryPackagePurpose: 'LIBRARY',
+      })),
+    ],
+    relationships: [
+      { spdxElementId: 'SPDXRef-DOCUMENT', relationshipType: 'DESCRIBES', relatedSpdxElement: rootId },
+      // A DEV_DEPENDENCY_OF B: A is a development dependency of B
+      ...sbom.direct.map(ref => (sbom.components.find(c => c.ref === ref).dev
+        ? { spdxElementId: ids.get(ref), relationshipType: 'DEV_DEPENDENCY_OF', relatedSpdxElement: rootId }
+        : { spdxElementId: rootId, relationshipType: 'DEPENDS_ON', relatedSpdxElement: ids.get(ref) })),
+      ...sbom.components.flatMap(c => c.dependsOn.map(ref => ({ spdxElementId: ids.get(c.ref), relationshipType: 'DEPENDS_ON', relatedSpdxElement: ids.get(ref) }))),
+    ],
+  };
+  if (licenseRefs.size > 0) {
+    document.hasExtractedLicensingInfos = [...licenseRefs].map(([licenseId, declared]) => ({
+      licenseId,
+      name: licenseId.replace(/^LicenseRef-/, '').replace(/-/g, ' '),
+      extractedText: declared ? `Declared as "${declared}" in the package metadata` : 'See the package metadata',
+    }));
+  }
+  return JSON.stringify(document, null, 2) + '\n';
+}
+
+const RENDERERS = {
+  cyclonedx: { extension: 'cdx.json', render: renderCycloneDx },
+  spdx: { extension: 'spdx.json', render: renderSpdx },
+};
+
+const SBOM_FORMATS = Object.keys(RENDERERS);
+
+function parseSbomFormats(formats) {
+  const list = (Array.isArray(formats) ? formats : String(formats).split(','))
+    .map(f => f.trim().toLowerCase())
+    .filter(Boolean);
+  const unknown = list.filter(f => !RENDERERS[f]);
+  if (unknown.length > 0) {
+    throw new QualityConfigError(`Unknown SBOM format "${unknown.join(', ')}". Supported: ${SBOM_FORMATS.join(', ')}`, {
+      code: 'QC_UNKNOWN_FORMAT',
+    });
+  }
+  return [...new Set(list)];
+}
+
+// Writes the SBOM in each format to reports/sbom/ (or `dir`) as
+// `<basename>.cdx.json` / `<basename>.spdx.json`.
+function writeSbom(cwd, sbom, { formats = SBOM_FORMATS, dir, basename } = {}) {
+  const reportDir = dir || path.join(cwd, 'reports', 'sbom');
+  ensureDir(reportDir);
+  const name = basename || `sbom_${sbom.generatedAt.replace(/[:.]/g, '-').slice(0, 19)}`;
+  return parseSbomFormats(formats).map(format => {
+    const file = path.join(reportDir, `${name}.${RENDERERS[format].extension}`);
+    fs.writeFileSync(file, RENDERERS[format].render(sbom), 'utf8');
+    return { format, file };
+  });
+}
+
+// Generates the SBOM with the `sbom` settings of the config and writes it to
+// reports/sbom/.
+function exportSbom({ cwd = process.cwd(), formats, dev, offline, log = noop } = {}) {
+  const { config } = loadConfig(cwd);
+  const selected = parseSbomFormats(formats || config.sbom?.formats || SBOM_FORMATS);
+  const sbom = generateSbom({ cwd, dev: dev ?? config.sbom?.dev === true, offline, log });
+  return { sbom, files: writeSbom(cwd, sbom, { formats: selected }) };
+}
+
+// ─── SonarQube ──────────────────────────────────────────────
+
+// SonarQube has no SBOM import, so the license violations of the SBOM go in
+// as external issues (generic issue format), on the lockfile that pins each
+// package. Issues on files outside sonar.sources are dropped by the server.
+function renderSonarIssues(cwd, sbom) {
+  const byRef = new Map(sbom.components.map(c => [c.ref, c]));
+  const lines = new Map();
+  const lineOf = (file, name) => {
+    if (!lines.has(file)) {
+      try {
+        lines.set(file, fs.readFileSync(path.join(cwd, file), 'utf8').split(/\r?\n/));
+      } catch {
+        lines.set(file, []);
+      }
+    }
+    const index = lines.get(file).findIndex(l => l.includes(name));
+    return index === -1 ? 1 : index + 1;
+  };
+
+  const issues = sbom.violations.flatMap(v => {
+    const component = byRef.get(purl(v.ecosystem, v.name, v.version));
+    if (!component) return [];
+    const source = sbom.sources.find(s => s.ecosystem === v.ecosystem && s.location === component.location);
+    const file = path.posix.join(component.location.split(path.sep).join('/'), source && /\./.test(source.source) ? source.source.split(',')[0].trim() : 'package.json');
+    return [{
+      ruleId: v.status === 'denied' ? 'license-denied' : 'license-unknown',
+      primaryLocation: {
+        message: `${v.name}@${v.version}: ${v.license || v.declared || 'no license'} (${v.reason})`,
+        filePath: file,
+        textRange: { startLine: lineOf(file, v.name) },
+      },
+    }];
+  });
+
+  const rule = (id, name, severity) => ({
+    id,
+    name,
+    description: `${name}. See the "licenses" policy in .qualityconfigrc.json.`,
+    engineId: 'quality-config',
+    cleanCodeAttribute: 'LAWFUL',
+    impacts: [{ softwareQuality: 'MAINTAINABILITY', severity }],
+  });
+  return JSON.stringify({
+    rules: [
+      rule('license-denied', 'Dependency license denied by the license policy', 'HIGH'),
+      rule('license-unknown', 'Dependency license unknown', 'MEDIUM'),
+    ],
+    issues,
+  }, null, 2) + '\n';
+}
+
+// Path, relative to the project root, of the external issue report the
+// scanner picks up.
+const SONAR_ISSUES_FILE = 'reports/sbom/sonar-external-issues.json';
+
+function writeSonarIssues(cwd, sbom) {
+  const file = path.join(cwd, SONAR_ISSUES_FILE);
+  ensureDir(path.dirname(file));
+  fs.writeFileSync(file, renderSonarIssues(cwd, sbom), 'utf8');
+  return SONAR_ISSUES_FILE;
+}
+
+module.exports = { SBOM_FORMATS, generateSbom, renderCycloneDx, renderSpdx, writeSbom, exportSbom, writeSonarIssues };
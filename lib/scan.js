@@ -0,0 +1,352 @@
+const { execSync, spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const { loadConfig, resolveProjectKey, resolveSonarOrganization, resolveSonarUrl } = require('./config');
+const { checkCoverage, runCoverage } = require('./coverage');
+const {
+  DockerUnavailableError,
+  MissingConfigError,
+  QualityConfigError,
+  QualityGateError,
+  ScanFailedError,
+  SonarQubeError,
+} = require('./errors');
+const { dockerAvailable, sonarQubeRunning, startSonarQube, waitForSonarQube } = require('./docker');
+const { readReportTask, waitForAnalysis, fetchQualityGate } = require('./gate');
+const { branchName, changedSince: gitChangedSince, currentBranch, onChangedLine } = require('./git');
+const { fetchSnapshot, recordSnapshot } = require('./history');
+const { readSonarProperties, getSonarModules } = require('./properties');
+const { generateSbom, writeSonarIssues } = require('./sbom');
+const { isLocalSonarUrl, sonarServerStatus, getSonarToken, sonarApiFetch, sonarApiFetchPaged } = require('./sonar');
+const { noop } = require('./utils');
+
+// ─── Server and scanner ─────────────────────────────────────
+
+function commandAvailable(command) {
+  try {
+    execSync(`${command} --version`, { stdio: 'ignore', timeout: 60000 });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// `sonar.scanner`, or the first one available of the Docker image, a
+// sonar-scanner on the PATH and the npm scanner (@sonar/scan, run with npx).
+function resolveScanner(config) {
+  const wanted = config.sonar?.scanner || 'auto';
+  if (wanted === 'auto') {
+    if (dockerAvailable()) return 'docker';
+    return commandAvailable('sonar-scanner') ? 'cli' : 'npm';
+  }
+  if (wanted === 'docker' && !dockerAvailable()) throw new DockerUnavailableError();
+  return wanted;
+}
+
+// The token and server URL go through the environment, not the command line.
+function runScanner({ scanner, cwd, sonarUrl, token, args, stdio }) {
+  const [command, commandArgs] = {
+    docker: ['docker', [
+      'run', '--rm',
+      '--network', 'host',
+      '-e', 'SONAR_HOST_URL',
+      '-e', 'SONAR_TOKEN',
+      '-v', `${cwd}:/usr/src`,
+      '-w', '/usr/src',
+      'sonarsource/sonar-scanner-cli:latest',
+      ...args,
+    ]],
+    cli: ['sonar-scanner', [`-Dsonar.host.url=${sonarUrl}`, ...args]],
+    npm: ['npx', ['--yes', '@sonar/scan', ...args]],
+  }[scanner];
+
+  const result = spawnSync(command, commandArgs, { cwd, stdio, env: { ...process.env, SONAR_HOST_URL: sonarUrl, SONAR_TOKEN: token } });
+  if (result.error) {
+    throw new QualityConfigError(`Could not run ${command}: ${result.error.message}`, {
+      code: 'QC_SCANNER_UNAVAILABLE',
+      hint: 'Install Docker or sonar-scanner, or set sonar.scanner to "npm" in the config.',
+    });
+  }
+  if (result.status !== 0) {
+    throw new ScanFailedError(result.status);
+  }
+}
+
+// The branch to analyze: `branch`, or the current git branch when the server
+// keeps branches apart and the project's main branch is another one. null
+// analyzes the main branch.
+function analysisBranch({ cwd, branch, projectKey, token, sonarUrl, log }) {
+  const name = branch || currentBranch(cwd);
+  if (!name) return null;
+  if (!supportsBranches(token, sonarUrl)) {
+    if (branch) log(`  [warn] ${sonarUrl} has no branch analysis (Developer Edition or SonarCloud needed), analyzing the main branch`);
+    return null;
+  }
+  if (branch) return branch;
+  // A project's first analysis becomes its main branch
+  const main = sonarApiFetch(`/api/project_branches/list?project=${encodeURIComponent(projectKey)}`, token, sonarUrl)
+    ?.branches?.find(b => b.isMain)?.name;
+  return main && main !== name ? name : null;
+}
+
+// ─── Incremental analysis ───────────────────────────────────
+
+// Branch and pull request analysis need a commercial edition or SonarCloud; the
+// Community Build reports "community" (older servers report nothing).
+function supportsBranches(token, sonarUrl) {
+  if (/(^|\.)sonarcloud\.io$/.test(new URL(sonarUrl).hostname)) return true;
+  const edition = sonarApiFetch('/api/navigation/global', token, sonarUrl)?.edition;
+  return Boolean(edition) && edition !== 'community';
+}
+
+// A pull request when running in a GitHub Actions pull_request workflow.
+function pullRequestFromEnv(env = process.env) {
+  const number = /^refs\/pull\/(\d+)\//.exec(env.GITHUB_REF || '')?.[1];
+  if (env.GITHUB_EVENT_NAME !== 'pull_request' || !number) return null;
+  return { key: number, branch: env.GITHUB_HEAD_REF, base: env.GITHUB_BASE_REF };
+}
+
+// Whether `file` (relative to the base directory) is under one of the
+// comma-separated `sonar.sources`/`sonar.tests` directories.
+function inSonarDirs(file, dirs = '') {
+  return dirs.split(',').map(d => d.trim().replace(/^\.\/|\/$/g, '')).filter(Boolean)
+    .some(dir => dir === '.' || file === dir || file.startsWith(`${dir}/`));
+}
+
+// Scanner parameters of an incremental analysis, and how to query its issues.
+// Pull request and branch analyses keep the project intact and let the server
+// compute new code. Without them, only the changed files are analyzed, into a
+// separate "<key>-changes" project so the main one keeps its full analysis;
+// every run reuses that project and replaces its previous analysis.
+// `branches` tells whether the server supports branch analysis.
+function resolveScanMode({ cwd, config = {}, projectKey, changes, branches, env = process.env }) {
+  const pullRequest = branches && pullRequestFromEnv(env);
+  if (pullRequest) {
+    return {
+      mode: 'pull-request',
+      projectKey,
+      args: [`-Dsonar.pullrequest.key=${pullRequest.key}`, `-Dsonar.pullrequest.branch=${pullRequest.branch}`, `-Dsonar.pullrequest.base=${pullRequest.base}`],
+      query: `&pullRequest=${encodeURIComponent(pullRequest.key)}`,
+      dashboard: `&pullRequest=${encodeURIComponent(pullRequest.key)}`,
+    };
+  }
+  if (branches && changes.branch !== 'HEAD') {
+    // Without a reference branch (a tag or commit base), the server's own new
+    // code period applies
+    const reference = branchName(cwd, changes.ref);
+    const compared = Boolean(reference) && reference !== changes.branch;
+    const args = [`-Dsonar.branch.name=${changes.branch}`];
+    if (compared) args.push(`-Dsonar.newCode.referenceBranch=${reference}`);
+    return {
+      mode: 'branch',
+      projectKey,
+      args,
+      query: `&branch=${encodeURIComponent(changes.branch)}${compared ? '&inNewCodePeriod=true' : ''}`,
+      dashboard: `&branch=${encodeURIComponent(changes.branch)}`,
+    };
+  }
+
+  // Inclusions are matched against paths relative to each module's base
+  // directory. Only committed or staged files under the analyzed directories
+  // go in: untracked scratch files, docs and lockfiles are left out.
+  const props = readSonarProperties(cwd);
+  const modules = getSonarModules(props);
+  const inclusions = changes.files.filter(f => !f.untracked).flatMap(({ file }) => {
+    const inModules = modules
+      .filter(m => file.startsWith(`${m.path}/`))
+      .map(m => ({ module: m, relative: file.slice(m.path.length + 1) }))
+      .filter(({ module, relative }) => inSonarDirs(relative, props[`${module.name}.sonar.sources`] || '.') || inSonarDirs(relative, props[`${module.name}.sonar.tests`]))
+      .map(({ relative }) => relative);
+    const inRoot = modules.length === 0 && (inSonarDirs(file, props['sonar.sources'] || '.') || inSonarDirs(file, props['sonar.tests']));
+    return inModules.length > 0 ? [file, ...inModules] : inRoot ? [file] : [];
+  });
+  // Multi-value properties are comma-separated; quoted values may hold commas
+  const patterns = [...new Set(inclusions)].map(f => (/[,"]/.test(f) ? `"${f.replace(/"/g, '""')}"` : f));
+  return {
+    mode: 'files',
+    projectKey: `${projectKey}-changes`,
+    empty: patterns.length === 0,
+    args: [
+      `-Dsonar.projectKey=${projectKey}-changes`,
+      `-Dsonar.projectName=${config.projectName || projectKey} (changes)`,
+      `-Dsonar.inclusions=${patterns.join(',')}`,
+    ],
+    query: '',
+    dashboard: '',
+  };
+}
+
+// Open issues of the analysis that sit on lines the changes added.
+function changedLineIssues({ analysis, changes, token, sonarUrl }) {
+  const response = sonarApiFetchPaged({
+    endpoint: `/api/issues/search?componentKeys=${encodeURIComponent(analysis.projectKey)}${analysis.query}&resolved=false&s=SEVERITY&asc=false`,
+    token,
+    sonarUrl,
+    itemsKey: 'issues',
+  });
+  return (response?.issues || [])
+    .map(i => ({ key: i.key, rule: i.rule, severity: i.severity, type: i.type, message: i.message, file: (i.component || '').replace(`${analysis.projectKey}:`, ''), line: i.line }))
+    .filter(i => onChangedLine(changes, i.file, i.line));
+}
+
+// `changedSince` (a git ref, or true for the upstream of the current branch)
+// analyzes only what changed since its merge base and reports the issues on changed lines.
+async function scan({ cwd = process.cwd(), gate = true, gateTimeout = 300, changedSince, branch, withCoverage, log = noop, stdio = 'ignore' } = {}) {
+  const { config } = loadConfig(cwd);
+  withCoverage = withCoverage ?? config.coverage?.run === true;
+  const sonarUrl = resolveSonarUrl(config);
+  const organization = resolveSonarOrganization(config);
+  const projectKey = resolveProjectKey(cwd, config);
+  // The local server runs from docker-compose.sonar.yml; any other one is only used
+  const localServer = isLocalSonarUrl(sonarUrl) && config.sonar?.docker !== false;
+
+  if (!fs.existsSync(path.join(cwd, 'sonar-project.properties'))) {
+    throw new MissingConfigError('sonar-project.properties');
+  }
+
+  if (localServer && !fs.existsSync(path.join(cwd, 'docker-compose.sonar.yml'))) {
+    throw new MissingConfigError('docker-compose.sonar.yml');
+  }
+
+  let changes = null;
+  if (changedSince) {
+    changes = gitChangedSince(cwd, changedSince === true ? undefined : changedSince);
+    log(`  [ok] ${changes.files.length} file(s) changed since ${changes.ref} (${changes.base.slice(0, 12)})`);
+    if (changes.files.length === 0) {
+      return { projectKey, sonarUrl, serverStarted: false, dashboardUrl: `${sonarUrl}/dashboard?id=${encodeURIComponent(projectKey)}`, qualityGate: null, changes: { ...changes, issues: [] } };
+    }
+  }
+
+  let serverStarted = false;
+  if (!localServer) {
+    const status = sonarServerStatus(sonarUrl);
+    if (status !== 'UP') {
+      throw new SonarQubeError(`SonarQube at ${sonarUrl} is ${status ? `not ready (${status})` : 'not reachable'}.`, {
+        code: 'QC_SONARQUBE_UNREACHABLE',
+        hint: 'Check SONAR_HOST_URL (or sonar.hostUrl) and the network.',
+      });
+    }
+    log(`  [ok] SonarQube at ${sonarUrl}${organization ? ` (organization ${organization})` : ''}`);
+  } else if (!dockerAvailable()) {
+    throw new DockerUnavailableError();
+  } else if (sonarQubeRunning(cwd)) {
+    log('  [ok] SonarQube already running');
+  } else {
+    // Start SonarQube if not running
+    log('  [..] Starting SonarQube...');
+    startSonarQube(cwd, { stdio });
+
+    log('  [..] Waiting for SonarQube to be ready...');
+    if (!waitForSonarQube({ sonarUrl, log })) {
+      throw new SonarQubeError('SonarQube did not start.', {
+        code: 'QC_SONARQUBE_START_TIMEOUT',
+        hint: 'Check: docker compose -f docker-compose.sonar.yml logs',
+      });
+    }
+    serverStarted = true;
+    log('  [ok] SonarQube is ready');
+  }
+
+  // Get or generate token
+  const token = getSonarToken(cwd, sonarUrl);
+  if (!token) {
+    throw new SonarQubeError('Could not get SonarQube token.', {
+      code: 'QC_SONARQUBE_NO_TOKEN',
+      hint: localServer
+        ? `Open ${sonarUrl} (admin/admin), generate a token, and save to .sonar-token`
+        : `Generate a token in ${sonarUrl}/account/security and set SONAR_TOKEN (or save it to .sonar-token)`,
+    });
+  }
+
+  const scannerArgs = organization ? [`-Dsonar.organization=${organization}`] : [];
+  // SonarQube can't import an SBOM; its license violations go in as external issues
+  if (config.sbom?.sonar) {
+    log('  [..] Generating SBOM...');
+    const sbom = generateSbom({ cwd, dev: config.sbom.dev === true });
+    const file = writeSonarIssues(cwd, sbom);
+    const paths = [readSonarProperties(cwd)['sonar.externalIssuesReportPaths'], file].filter(Boolean);
+    scannerArgs.push(`-Dsonar.externalIssuesReportPaths=${paths.join(',')}`);
+    log(`  [ok] ${sbom.summary.components} components, ${sbom.violations.length} license violation(s) reported as external issues`);
+  }
+
+  // Without a current report Sonar silently shows 0% coverage
+  if (withCoverage) {
+    log('  [..] Running tests with coverage...');
+    runCoverage({ cwd, config, log, stdio });
+  }
+  const coverage = checkCoverage({ cwd });
+  for (const report of coverage.filter(r => !r.exists || r.stale)) {
+    log(report.exists
+      ? `  [warn] ${report.file} is older than ${report.newestSource}: coverage is reported for older code${withCoverage ? '' : ' (use --with-coverage)'}`
+      : `  [warn] ${report.file} not found: coverage will be 0%${withCoverage ? '' : ' (use --with-coverage)'}`);
+  }
+
+  const incremental = changes && resolveScanMode({ cwd, config, projectKey, changes, branches: supportsBranches(token, sonarUrl) });
+  // An empty sonar.inclusions would analyze everything
+  if (incremental?.empty) {
+    log('  [ok] No changed file under sonar.sources or sonar.tests: nothing to analyze');
+    return { projectKey, sonarUrl, serverStarted, dashboardUrl: `${sonarUrl}/dashboard?id=${encodeURIComponent(projectKey)}`, qualityGate: null, coverage, changes: { ...changes, mode: incremental.mode, issues: [] } };
+  }
+  if (incremental) {
+    scannerArgs.push(...incremental.args);
+    log(`  [ok] Incremental analysis: ${{ 'pull-request': 'pull request', branch: `branch ${changes.branch}`, files: `changed files only (project ${incremental.projectKey})` }[incremental.mode]}`);
+  }
+  // Incremental analyses pick their own branch
+  const branchName = incremental ? null : analysisBranch({ cwd, branch, projectKey, token, sonarUrl, log });
+  if (branchName) {
+    scannerArgs.push(`-Dsonar.branch.name=${branchName}`);
+    log(`  [ok] Branch analysis: ${branchName}`);
+  }
+
+  const scanner = resolveScanner(config);
+  log(`  [..] Running scan (${scanner === 'docker' ? 'Docker' : scanner === 'cli' ? 'sonar-scanner' : 'npm'} scanner)...\n`);
+  runScanner({ scanner, cwd, sonarUrl, token, args: scannerArgs, stdio });
+
+  const result = {
+    projectKey,
+    sonarUrl,
+    serverStarted,
+    scanner,
+    branch: branchName,
+    dashboardUrl: `${sonarUrl}/dashboard?id=${encodeURIComponent(incremental ? incremental.projectKey : projectKey)}${incremental ? incremental.dashboard : branchName ? `&branch=${encodeURIComponent(branchName)}` : ''}`,
+    qualityGate: null,
+    coverage,
+  };
+  // Incremental scans always wait for the server: the issues are the point
+  if (!gate && !incremental) return result;
+
+  // Wait for the server-side analysis, then check the quality gate of that analysis
+  const task = readReportTask(cwd);
+  if (!task?.ceTaskId) {
+    throw new SonarQubeError('Scanner did not produce .scannerwork/report-task.txt.', {
+      code: 'QC_REPORT_TASK_MISSING',
+      hint: 'Skip the quality gate check with --no-gate.',
+    });
+  }
+  log('\n  [..] Waiting for server-side analysis...');
+  const analysis = waitForAnalysis({ taskId: task.ceTaskId, token, sonarUrl, timeoutSeconds: gateTimeout, log });
+
+  if (incremental) {
+    const issues = changedLineIssues({ analysis: incremental, changes, token, sonarUrl });
+    result.changes = { ...changes, mode: incremental.mode, issues };
+    log(`  [${issues.length > 0 ? 'warn' : 'ok'}] ${issues.length} issue(s) on changed lines`);
+    for (const issue of issues) {
+      log(`    - ${issue.severity} ${issue.file}:${issue.line || ''} ${issue.message} (${issue.rule})`);
+    }
+    if (!gate) return result;
+    // The issues on changed lines inform; the server's gate decides
+    result.qualityGate = fetchQualityGate({ analysisId: analysis.analysisId, projectKey: incremental.projectKey, token, sonarUrl });
+  } else {
+    result.qualityGate = fetchQualityGate({ analysisId: analysis.analysisId, projectKey, token, sonarUrl });
+    // Only here are the measures final, so --no-gate scans don't record history;
+    // the history follows the main branch
+    if (!branchName) recordSnapshot(cwd, config, fetchSnapshot({ cwd, projectKey, token, sonarUrl, qualityGate: result.qualityGate }));
+  }
+  if (result.qualityGate.status === 'ERROR') {
+    throw new QualityGateError(result.qualityGate);
+  }
+  return result;
+}
+
+module.exports = { scan, resolveScanMode };
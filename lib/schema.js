@@ -0,0 +1,72 @@
+// Minimal JSON Schema validator covering the keywords used by the bundled
+// schemas (type, enum, required, properties, additionalProperties, items,
+// minItems, minimum, maximum, minLength, pattern). Returns a list of readable errors.
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+function validate(schema, value, at = '') {
+  const errors = [];
+  const where = at || '(root)';
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => matchesType(value, t))) {
+      errors.push(`${where}: must be ${types.join(' or ')}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${where}: must be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (typeof schema.minimum === 'number' && value < schema.minimum) errors.push(`${where}: must be >= ${schema.minimum}`);
+    if (typeof schema.maximum === 'number' && value > schema.maximum) errors.push(`${where}: must be <= ${schema.maximum}`);
+  }
+
+  if (typeof value === 'string') {
+    if (typeof schema.minLength === 'number' && value.length < schema.minLength) errors.push(`${where}: must not be empty`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${where}: must match ${schema.pattern}`);
+  }
+
+  if (Array.isArray(value) && typeof schema.minItems === 'number' && value.length < schema.minItems) {
+    errors.push(`${where}: must have at least ${schema.minItems} item(s)`);
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => errors.push(...validate(schema.items, item, `${at}[${i}]`)));
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${where}: missing required property "${key}"`);
+    }
+    const properties = schema.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      const childAt = at ? `${at}.${key}` : key;
+      if (properties[key]) {
+        errors.push(...validate(properties[key], child, childAt));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${childAt}: unknown property`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validate(schema.additionalProperties, child, childAt));
+      }
+    }
+  }
+
+  return errors;
+}
+
+module.exports = { validate };
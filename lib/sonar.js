@@ -0,0 +1,112 @@
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const { DEFAULT_SONAR_URL } = require('./constants');
+
+// Whether the server is the one docker-compose.sonar.yml runs on this machine.
+function isLocalSonarUrl(sonarUrl = DEFAULT_SONAR_URL) {
+  try {
+    return ['localhost', '127.0.0.1', '[::1]'].includes(new URL(sonarUrl).hostname);
+  } catch {
+    return false;
+  }
+}
+
+// Runs curl without a shell, so nothing in the URL is ever interpreted. Credentials
+// go in through a "-K -" config on stdin and stay out of the process list.
+function curl(args, credentials = null) {
+  const input = credentials ? `user = "${credentials.replace(/["\\]/g, '\\$&')}"\n` : '';
+  return execFileSync('curl', ['-sf', ...(credentials ? ['-K', '-'] : []), ...args], {
+    input,
+    encoding: 'utf8',
+    stdio: ['pipe', 'pipe', 'ignore'],
+  });
+}
+
+// The server's /api/system/status ("UP", "STARTING"…), or null when unreachable.
+function sonarServerStatus(sonarUrl = DEFAULT_SONAR_URL) {
+  try {
+    const result = curl(['--max-time', '15', `${sonarUrl}/api/system/status`]);
+    return JSON.parse(result).status || null;
+  } catch {
+    return null;
+  }
+}
+
+function getSonarToken(cwd, sonarUrl = DEFAULT_SONAR_URL) {
+  if (process.env.SONAR_TOKEN && String(process.env.SONAR_TOKEN).trim()) {
+    return String(process.env.SONAR_TOKEN).trim();
+  }
+
+  const tokenFile = path.join(cwd, '.sonar-token');
+  if (fs.existsSync(tokenFile)) {
+    return fs.readFileSync(tokenFile, 'utf8').trim();
+  }
+
+  // Try generating with default credentials (only a fresh local server has them)
+  if (!isLocalSonarUrl(sonarUrl)) return null;
+  try {
+    const tokenName = `quality-config-${Date.now()}`;
+    const result = curl(['-X', 'POST', `${sonarUrl}/api/user_tokens/generate`, '-d', `name=${tokenName}`], 'admin:admin');
+    const parsed = JSON.parse(result);
+    if (parsed.token) {
+      fs.writeFileSync(tokenFile, parsed.token, 'utf8');
+      return parsed.token;
+    }
+  } catch {}
+
+  return null;
+}
+
+function sonarApiFetch(endpoint, token, sonarUrl = DEFAULT_SONAR_URL) {
+  try {
+    // SonarQube tokens are typically used via Basic Auth: token as username, empty password.
+    // (Bearer is not consistently supported across SonarQube versions/setups.)
+    const result = curl([`${sonarUrl}${endpoint}`], `${token}:`);
+    return JSON.parse(result);
+  } catch {
+    return null;
+  }
+}
+
+function sonarApiFetchPaged({ endpoint, token, sonarUrl, itemsKey, pageSize = 500, maxItems = 5000 }) {
+  const allItems = [];
+  let page = 1;
+  let total = null;
+  let lastResponse = null;
+
+  while (allItems.length < maxItems) {
+    const sep = endpoint.includes('?') ? '&' : '?';
+    const response = sonarApiFetch(`${endpoint}${sep}p=${page}&ps=${pageSize}`, token, sonarUrl);
+    if (!response) break;
+
+    lastResponse = response;
+    const items = Array.isArray(response[itemsKey]) ? response[itemsKey] : [];
+    allItems.push(...items);
+
+    total = typeof response.paging?.total === 'number' ? response.paging.total : total;
+    if (items.length === 0) break;
+    if (typeof total === 'number' && allItems.length >= total) break;
+
+    page += 1;
+  }
+
+  if (!lastResponse) return null;
+  return {
+    ...lastResponse,
+    [itemsKey]: allItems.slice(0, maxItems),
+    paging: {
+      ...lastResponse.paging,
+      total: typeof total === 'number' ? total : allItems.length,
+    },
+  };
+}
+
+module.exports = {
+  isLocalSonarUrl,
+  sonarServerStatus,
+  getSonarToken,
+  sonarApiFetch,
+  sonarApiFetchPaged,
+};
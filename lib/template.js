@@ -0,0 +1,95 @@
+const { TemplateError } = require('./errors');
+const { escapeHtml } = require('./utils');
+
+// Small Mustache-compatible engine used by the HTML report, so report
+// templates can be overridden per project without adding a dependency.
+// Supports {{name}}, {{{raw}}}, {{#section}}, {{^inverted}}, {{> partial}}
+// and {{! comments}}. Dotted names and {{.}} work as in Mustache.
+
+const TAG = /\{\{(\{)?\s*([#^/>!&])?\s*([\s\S]*?)\s*\}?\}\}/g;
+
+function parse(source, name = 'template') {
+  const root = { children: [] };
+  const stack = [root];
+  let last = 0;
+  let match;
+
+  TAG.lastIndex = 0;
+  while ((match = TAG.exec(source))) {
+    const [tag, triple, sigil, key] = match;
+    const { children } = stack[stack.length - 1];
+    if (match.index > last) children.push({ type: 'text', value: source.slice(last, match.index) });
+    last = match.index + tag.length;
+
+    if (sigil === '!') continue;
+    if (sigil === '#' || sigil === '^') {
+      const node = { type: sigil === '#' ? 'section' : 'inverted', name: key, children: [] };
+      children.push(node);
+      stack.push(node);
+    } else if (sigil === '/') {
+      const open = stack.pop();
+      if (open === root || open.name !== key) {
+        throw new TemplateError(`Unexpected {{/${key}}}`, name);
+      }
+    } else if (sigil === '>') {
+      children.push({ type: 'partial', name: key });
+    } else {
+      children.push({ type: 'var', name: key, raw: Boolean(triple) || sigil === '&' });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new TemplateError(`Unclosed {{#${stack[stack.length - 1].name}}}`, name);
+  }
+  if (last < source.length) root.children.push({ type: 'text', value: source.slice(last) });
+  return root.children;
+}
+
+function lookup(contexts, name) {
+  if (name === '.') return contexts[contexts.length - 1];
+
+  const [head, ...rest] = name.split('.');
+  for (let i = contexts.length - 1; i >= 0; i--) {
+    const ctx = contexts[i];
+    if (ctx !== null && typeof ctx === 'object' && head in ctx) {
+      return rest.reduce((value, key) => (value == null ? undefined : value[key]), ctx[head]);
+    }
+  }
+  return undefined;
+}
+
+function renderNodes(nodes, contexts, partial) {
+  let out = '';
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      out += node.value;
+    } else if (node.type === 'var') {
+      const value = lookup(contexts, node.name);
+      if (value != null) out += node.raw ? String(value) : escapeHtml(value);
+    } else if (node.type === 'section') {
+      const value = lookup(contexts, node.name);
+      if (Array.isArray(value)) {
+        for (const item of value) out += renderNodes(node.children, [...contexts, item], partial);
+      } else if (value) {
+        out += renderNodes(node.children, [...contexts, value], partial);
+      }
+    } else if (node.type === 'inverted') {
+      const value = lookup(contexts, node.name);
+      if (!value || (Array.isArray(value) && value.length === 0)) {
+        out += renderNodes(node.children, contexts, partial);
+      }
+    } else if (node.type === 'partial') {
+      out += renderNodes(partial(node.name), contexts, partial);
+    }
+  }
+  return out;
+}
+
+// `template` is either a source string or the result of parse(); `partial`
+// maps a partial name to its parsed template.
+function render(template, view, partial = name => { throw new TemplateError(`Unknown partial "${name}"`, name); }) {
+  const nodes = typeof template === 'string' ? parse(template) : template;
+  return renderNodes(nodes, [view], partial);
+}
+
+module.exports = { parse, render };
@@ -0,0 +1,23 @@
+const fs = require('fs');
+const path = require('path');
+
+const { CONFIGS_DIR } = require('./constants');
+const { MissingConfigError } = require('./errors');
+
+async function update({ cwd = process.cwd() } = {}) {
+  if (!fs.existsSync(path.join(cwd, 'sonar-project.properties'))) {
+    throw new MissingConfigError('sonar-project.properties', 'No quality-config found in this project. Run "quality-config init" first.');
+  }
+
+  const files = [];
+  const dockerSrc = path.join(CONFIGS_DIR, 'docker-compose.sonar.yml');
+  const dockerDest = path.join(cwd, 'docker-compose.sonar.yml');
+  if (fs.existsSync(dockerDest)) {
+    fs.copyFileSync(dockerSrc, dockerDest);
+    files.push({ path: 'docker-compose.sonar.yml', action: 'updated' });
+  }
+
+  return { files };
+}
+
+module.exports = { update };
@@ -0,0 +1,100 @@
+const fs = require('fs');
+const path = require('path');
+
+const { CONFIGS_DIR, TEMPLATES_DIR, STACKS, SUPPORTED_STACKS } = require('./constants');
+const { UnknownStackError } = require('./errors');
+
+function noop() {}
+
+function ensureDir(dir) {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+}
+
+function renderTemplate(templateName, replacements = {}) {
+  let content = fs.readFileSync(path.join(TEMPLATES_DIR, templateName), 'utf8');
+  for (const [key, value] of Object.entries(replacements)) {
+    content = content.replace(new RegExp(`\\{\\{${key}\\}\\}`, 'g'), value);
+  }
+  return content;
+}
+
+function copyTemplate(templateName, destPath, replacements = {}) {
+  fs.writeFileSync(destPath, renderTemplate(templateName, replacements), 'utf8');
+}
+
+function loadStackConfig(stack) {
+  const configPath = path.join(CONFIGS_DIR, 'stacks', `${stack}.json`);
+  if (!STACKS[stack] || !fs.existsSync(configPath)) {
+    throw new UnknownStackError(stack, SUPPORTED_STACKS);
+  }
+  return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+}
+
+// Directories never worth scanning for source files.
+const SKIPPED_DIRS = new Set(['node_modules', '.git', 'venv', '.venv', 'env', '__pycache__', 'dist', 'build', 'coverage', 'reports', '.next', '.scannerwork', '.quality-config']);
+
+// Converts a path glob ("**/fixtures/**", "src/*.test.js") into a RegExp
+// matched against posix paths relative to the project root.
+function globToRegex(glob) {
+  let re = '';
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === '*' && glob[i + 1] === '*') {
+      re += glob[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += glob[i + 2] === '/' ? 2 : 1;
+    } else if (c === '*') {
+      re += '[^/]*';
+    } else if (c === '?') {
+      re += '[^/]';
+    } else {
+      re += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${re}$`);
+}
+
+// Lists files below `cwd` (posix paths relative to it) with one of the given
+// extensions, skipping dependency/build directories and `exclude` globs.
+function listSourceFiles(cwd, { extensions, exclude = [], maxSize = 1024 * 1024 } = {}) {
+  const excluded = exclude.map(globToRegex);
+  const files = [];
+
+  function walk(rel) {
+    let entries;
+    try {
+      entries = fs.readdirSync(path.join(cwd, rel), { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+      const child = rel ? `${rel}/${entry.name}` : entry.name;
+      if (excluded.some(re => re.test(child))) continue;
+      if (entry.isDirectory()) {
+        if (!SKIPPED_DIRS.has(entry.name)) walk(child);
+      } else if (entry.isFile() && (!extensions || extensions.includes(path.extname(entry.name)))) {
+        if (fs.statSync(path.join(cwd, child)).size <= maxSize) files.push(child);
+      }
+    }
+  }
+
+  walk('');
+  return files;
+}
+
+function escapeHtml(str) {
+  return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+module.exports = {
+  noop,
+  ensureDir,
+  renderTemplate,
+  copyTemplate,
+  loadStackConfig,
+  SKIPPED_DIRS,
+  globToRegex,
+  listSourceFiles,
+  escapeHtml,
+};
@@ -0,0 +1,147 @@
+const fs = require('fs');
+const path = require('path');
+
+const { detectStack } = require('./detect');
+
+const IGNORED_DIRS = new Set(['node_modules', 'venv', 'env', '__pycache__', 'dist', 'build', 'coverage', 'reports']);
+const PY_MARKERS = ['pyproject.toml', 'requirements.txt', 'setup.py', 'Pipfile', 'manage.py'];
+const MAX_DEPTH = 4;
+
+function isIgnored(name) {
+  return name.startsWith('.') || IGNORED_DIRS.has(name);
+}
+
+function listDirs(dir) {
+  try {
+    return fs.readdirSync(dir, { withFileTypes: true })
+      .filter(e => e.isDirectory() && !isIgnored(e.name))
+      .map(e => e.name);
+  } catch {
+    return [];
+  }
+}
+
+function segmentRegex(segment) {
+  const escaped = segment.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`);
+}
+
+// Expands a workspace glob ("packages/*", "apps/**", "services/api") into the
+// matching directories, relative to `cwd`.
+function expandPattern(cwd, pattern) {
+  const segments = pattern.replace(/^\.\//, '').replace(/\/+$/, '').split('/').filter(Boolean);
+  const results = new Set();
+
+  function walk(rel, index, depth) {
+    if (index === segments.length) {
+      results.add(rel);
+      return;
+    }
+    if (depth > MAX_DEPTH) return;
+
+    const segment = segments[index];
+    const abs = path.join(cwd, rel);
+    if (segment === '**') {
+      walk(rel, index + 1, depth);
+      for (const name of listDirs(abs)) walk(path.posix.join(rel, name), index, depth + 1);
+    } else if (/[*?]/.test(segment)) {
+      const re = segmentRegex(segment);
+      for (const name of listDirs(abs)) {
+        if (re.test(name)) walk(path.posix.join(rel, name), index + 1, depth + 1);
+      }
+    } else if (fs.existsSync(path.join(abs, segment))) {
+      walk(path.posix.join(rel, segment), index + 1, depth + 1);
+    }
+  }
+
+  walk('', 0, 0);
+  return [...results].filter(Boolean);
+}
+
+function readWorkspacePatterns(cwd) {
+  const patterns = [];
+  const sources = [];
+
+  // npm / yarn / bun: "workspaces" in package.json (array or { packages })
+  try {
+    const pkg = JSON.parse(fs.readFileSync(path.join(cwd, 'package.json'), 'utf8'));
+    const ws = Array.isArray(pkg.workspaces) ? pkg.workspaces : pkg.workspaces?.packages;
+    if (Array.isArray(ws) && ws.length > 0) {
+      patterns.push(...ws);
+      sources.push('package.json');
+    }
+  } catch {}
+
+  // pnpm: "packages:" list in pnpm-workspace.yaml
+  const pnpmFile = path.join(cwd, 'pnpm-workspace.yaml');
+  if (fs.existsSync(pnpmFile)) {
+    let inPackages = false;
+    for (const line of fs.readFileSync(pnpmFile, 'utf8').split('\n')) {
+      if (/^packages\s*:/.test(line)) {
+        inPackages = true;
+      } else if (inPackages && /^\s*-\s*/.test(line)) {
+        patterns.push(line.replace(/^\s*-\s*/, '').replace(/\s+#.*$/, '').replace(/^['"]|['"]$/g, '').trim());
+      } else if (inPackages && /^\S/.test(line)) {
+        inPackages = false;
+      }
+    }
+    sources.push('pnpm-workspace.yaml');
+  }
+
+  return { patterns, sources };
+}
+
+function findPythonProjects(cwd, rel = '', depth = 0) {
+  const found = [];
+  if (depth > 2) return found;
+  for (const name of listDirs(path.join(cwd, rel))) {
+    const child = path.posix.join(rel, name);
+    if (PY_MARKERS.some(m => fs.existsSync(path.join(cwd, child, m)))) {
+      found.push(child);
+    } else {
+      found.push(...findPythonProjects(cwd, child, depth + 1));
+    }
+  }
+  return found;
+}
+
+function moduleName(rel) {
+  return rel.replace(/[^A-Za-z0-9_-]+/g, '-');
+}
+
+// Discovers npm/yarn/pnpm workspaces and Python subprojects below `cwd` and
+// detects a stack for each. Directories whose stack cannot be decided fall
+// back to `fallbackStack` when given, otherwise they end up in `skipped`.
+function discoverWorkspaces(cwd = process.cwd(), { fallbackStack } = {}) {
+  const { patterns, sources } = readWorkspacePatterns(cwd);
+
+  const included = patterns.filter(p => !p.startsWith('!'));
+  const excluded = new Set(patterns.filter(p => p.startsWith('!')).flatMap(p => expandPattern(cwd, p.slice(1))));
+
+  const jsDirs = included
+    .flatMap(p => expandPattern(cwd, p))
+    .filter(rel => !excluded.has(rel) && fs.existsSync(path.join(cwd, rel, 'package.json')));
+  const pyDirs = findPythonProjects(cwd).filter(rel => !jsDirs.includes(rel));
+
+  const modules = [];
+  const skipped = [];
+  for (const rel of [...new Set([...jsDirs, ...pyDirs])].sort()) {
+    const detection = detectStack(path.join(cwd, rel));
+    const stack = detection.stack || fallbackStack;
+    if (!stack) {
+      skipped.push({
+        path: rel,
+        reason: detection.ambiguous
+          ? `ambiguous stack (${detection.candidates.map(c => c.stack).join(', ')})`
+          : 'no stack detected',
+      });
+      continue;
+    }
+    modules.push({ name: moduleName(rel), path: rel, stack, detection: detection.stack ? detection : null });
+  }
+
+  if (pyDirs.length > 0) sources.push('Python subprojects');
+  return { sources, modules, skipped };
+}
+
+module.exports = { discoverWorkspaces, expandPattern };
@@ -0,0 +1,31 @@
+# SonarQube analysis. Set SONAR_TOKEN (secret) and SONAR_HOST_URL in the
+# pipeline variables.
+
+trigger:
+  branches:
+    include:
+      - main
+      - develop
+
+pr:
+  branches:
+    include:
+      - '*'
+
+pool:
+  vmImage: ubuntu-latest
+
+steps:
+  - checkout: self
+    fetchDepth: 0
+{{STEPS}}
+  - script: |
+      docker run --rm \
+        -e SONAR_HOST_URL -e SONAR_TOKEN \
+        -v "$(Build.SourcesDirectory):/usr/src" \
+        sonarsource/sonar-scanner-cli:latest \
+        -Dsonar.qualitygate.wait=true -Dsonar.qualitygate.timeout=300
+    displayName: SonarQube Scan
+    env:
+      SONAR_HOST_URL: $(SONAR_HOST_URL)
+      SONAR_TOKEN: $(SONAR_TOKEN)
@@ -0,0 +1,20 @@
+# SonarQube analysis. Set SONAR_TOKEN and SONAR_HOST_URL in
+# Repository settings > Repository variables.
+
+clone:
+  depth: full
+
+definitions:
+  steps:{{STEPS}}
+    - step: &sonarqube
+        name: SonarQube Scan
+        image: sonarsource/sonar-scanner-cli:latest
+        script:
+          - sonar-scanner -Dsonar.qualitygate.wait=true -Dsonar.qualitygate.timeout=300
+
+pipelines:
+  branches:
+    main:{{PIPELINE}}
+    develop:{{PIPELINE}}
+  pull-requests:
+    '**':{{PIPELINE}}
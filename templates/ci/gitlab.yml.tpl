@@ -0,0 +1,39 @@
+# SonarQube analysis. Set SONAR_TOKEN and SONAR_HOST_URL (and GITLAB_TOKEN, a
+# token with the api scope, for the merge request summary) in
+# Settings > CI/CD > Variables.
+
+workflow:
+  rules:
+    - if: $CI_PIPELINE_SOURCE == "merge_request_event"
+    - if: $CI_COMMIT_BRANCH == "main" || $CI_COMMIT_BRANCH == "develop"
+
+stages:
+  - test
+  - analysis
+
+variables:
+  GIT_DEPTH: "0"
+{{JOBS}}
+sonarqube:
+  stage: analysis
+  image:
+    name: sonarsource/sonar-scanner-cli:latest
+    entrypoint: [""]
+  variables:
+    SONAR_USER_HOME: "${CI_PROJECT_DIR}/.sonar"
+  cache:
+    key: sonar
+    paths:
+      - .sonar/cache
+  script:
+    - sonar-scanner -Dsonar.qualitygate.wait=true -Dsonar.qualitygate.timeout=300
+
+pr-comment:
+  stage: analysis
+  image: node:{{NODE_VERSION}}
+  needs: [sonarqube]
+  script:
+    - npx @olympio/quality-config pr-comment
+  rules:
+    - if: $CI_PIPELINE_SOURCE == "merge_request_event" && $GITLAB_TOKEN
+      when: always
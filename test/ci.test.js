@@ -0,0 +1,96 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { test } = require('node:test');
+
+const { CI_PROVIDERS, ciPlan, projectToolchain, writeCiConfig } = require('../lib/ci');
+const { init } = require('../lib/init');
+const { tempProject } = require('./helpers');
+
+const MODULES = [{ path: 'packages/api', stack: 'node' }, { path: 'services/ml', stack: 'python-fastapi' }];
+
+test('picks the install and coverage commands from the lockfile and the test runner', t => {
+  const cwd = tempProject(t, {
+    'yarn/package.json': { devDependencies: { jest: '29.0.0' } },
+    'yarn/yarn.lock': '# yarn lockfile v1\n',
+    'npm/package.json': { scripts: { test: 'mocha' } },
+    'npm/package-lock.json': {},
+    'bare/package.json': { scripts: { test: 'echo "Error: no test specified" && exit 1' } },
+    'poetry/poetry.lock': '',
+    'pip/requirements.txt': 'django\n',
+  });
+
+  assert.deepEqual(projectToolchain(cwd, 'yarn', 'js', 'coverage/lcov.info'), {
+    dir: 'yarn',
+    packageManager: 'yarn',
+    install: { dir: 'yarn', commands: ['yarn install --frozen-lockfile'] },
+    runner: 'jest',
+    test: 'yarn jest --ci --coverage --coverageReporters=lcov --coverageDirectory=coverage',
+    note: false,
+  });
+  const npm = projectToolchain(cwd, 'npm', 'js', 'coverage/lcov.info');
+  assert.equal(npm.test, 'npm test');
+  assert.equal(npm.note, 'npm: no Jest or Vitest dependency, make "npm test" write coverage/lcov.info');
+  const bare = projectToolchain(cwd, 'bare', 'js', 'coverage/lcov.info');
+  assert.deepEqual(bare.install.commands, ['npm install']);
+  assert.equal(bare.test, null);
+  assert.match(bare.note, /no test runner found/);
+
+  assert.equal(projectToolchain(cwd, 'poetry', 'py', 'coverage.xml').test, 'poetry run pytest --cov=. --cov-report=xml:coverage.xml');
+  assert.deepEqual(projectToolchain(cwd, 'pip', 'py', 'coverage.xml').install.commands, ['pip install -r requirements.txt', 'pip install pytest pytest-cov']);
+});
+
+test('plans one job per language, installing workspaces from the root lockfile', t => {
+  const cwd = tempProject(t, {
+    'package.json': { workspaces: ['packages/*'] },
+    'pnpm-lock.yaml': "lockfileVersion: '9.0'\n",
+    'packages/api/package.json': { devDependencies: { vitest: '1.0.0' } },
+    'services/ml/requirements.txt': 'fastapi\n',
+  });
+  const plan = ciPlan(cwd, { modules: MODULES });
+
+  assert.equal(plan.node, '18');
+  assert.equal(plan.python, '3.11');
+  assert.deepEqual(plan.jobs, [
+    {
+      lang: 'js',
+      install: ['corepack enable', 'pnpm install --frozen-lockfile'],
+      test: ['(cd packages/api && pnpm exec vitest run --coverage.enabled --coverage.reporter=lcov --coverage.reportsDirectory=coverage)'],
+      coverage: ['packages/api/coverage/lcov.info'],
+    },
+    {
+      lang: 'py',
+      install: ['(cd services/ml && pip install -r requirements.txt)', '(cd services/ml && pip install pytest pytest-cov)'],
+      test: ['(cd services/ml && pytest --cov=. --cov-report=xml:coverage.xml)'],
+      coverage: ['services/ml/coverage.xml'],
+    },
+  ]);
+  assert.deepEqual(plan.notes, []);
+
+  const { file } = writeCiConfig(cwd, 'gitlab', { modules: MODULES });
+  const pipeline = fs.readFileSync(path.join(cwd, file), 'utf8');
+  assert.match(pipeline, /\ntest:js:\n {2}stage: test\n {2}image: node:18\n/);
+  assert.match(pipeline, /\ntest:py:\n {2}stage: test\n {2}image: python:3\.11\n/);
+  assert.match(pipeline, / {4}paths:\n {6}- services\/ml\/coverage\.xml\n/);
+});
+
+test('init --ci writes the pipeline of each provider', async t => {
+  for (const provider of Object.keys(CI_PROVIDERS)) {
+    const cwd = tempProject(t, { 'package.json': { devDependencies: { jest: '29.0.0' } }, 'package-lock.json': {} });
+    const result = await init({ cwd, stack: 'node', ci: provider, skipDocker: true });
+    assert.equal(result.ci.file, CI_PROVIDERS[provider].file);
+    assert.deepEqual(result.ci.projects, [{ dir: '.', lang: 'js', packageManager: 'npm', runner: 'jest', coverage: 'coverage/lcov.info' }]);
+
+    const pipeline = fs.readFileSync(path.join(cwd, result.ci.file), 'utf8');
+    assert.ok(pipeline.includes('npx jest --ci --coverage --coverageReporters=lcov --coverageDirectory=coverage'), provider);
+    assert.doesNotMatch(pipeline, /\{\{[A-Z_]+\}\}/, provider);
+  }
+});
+
+test('init rejects unknown CI providers', async t => {
+  await assert.rejects(init({ cwd: tempProject(t, { 'package.json': {} }), stack: 'node', ci: 'jenkins', skipDocker: true }), err => {
+    assert.equal(err.code, 'QC_UNKNOWN_CI');
+    assert.equal(err.hint, 'Supported: github, gitlab, bitbucket, azure, none');
+    return true;
+  });
+});
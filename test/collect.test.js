@@ -0,0 +1,39 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { collectSonarData } = require('../lib/collect');
+const { mockApi } = require('./helpers');
+
+const PROJECT_KEY = 'acme:my app&co';
+
+test('collects the gate, measures, issues and hotspots of the project', async t => {
+  const api = await mockApi(t, 'mock-sonar-api', {
+    '/api/qualitygates/project_status': { projectStatus: { status: 'OK', conditions: [] } },
+    '/api/measures/component': {
+      component: {
+        name: 'My App',
+        measures: [{ metric: 'bugs', value: '3' }, { metric: 'new_bugs', period: { value: '1' } }, { metric: 'new_violations', periods: [{ value: '2' }] }],
+      },
+    },
+    '/api/issues/search': { issues: [{ key: 'I1' }], paging: { total: 1 } },
+    '/api/hotspots/search': { hotspots: [], paging: { total: 0 } },
+  });
+
+  const data = collectSonarData({ projectKey: PROJECT_KEY, token: 'tok', sonarUrl: api.url });
+  assert.equal(data.projectName, 'My App');
+  assert.deepEqual(data.qualityGate, { status: 'OK', conditions: [] });
+  assert.deepEqual(data.metrics, { bugs: '3', new_bugs: '1', new_violations: '2' });
+  assert.deepEqual(data.issues, [{ key: 'I1' }]);
+
+  // The key goes into every URL encoded
+  const urls = (await api.requests()).map(r => r.url);
+  assert.equal(urls.length, 4);
+  for (const url of urls) {
+    assert.ok(url.includes('=acme%3Amy%20app%26co'), url);
+  }
+});
+
+test('fails when the project measures are unavailable', async t => {
+  const api = await mockApi(t, 'mock-sonar-api', {});
+  assert.throws(() => collectSonarData({ projectKey: 'app', token: 'tok', sonarUrl: api.url }), err => err.code === 'QC_SONARQUBE_UNREACHABLE');
+});
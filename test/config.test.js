@@ -0,0 +1,46 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { resolveSonarUrl } = require('../lib/config');
+const { ConfigError } = require('../lib/errors');
+const { setEnv } = require('./helpers');
+
+const NO_ENV = { SONAR_HOST_URL: undefined, SONAR_ORGANIZATION: undefined };
+
+test('defaults to the local server, or SonarCloud when an organization is set', t => {
+  setEnv(t, NO_ENV);
+  assert.equal(resolveSonarUrl({}), 'http://localhost:9000');
+  assert.equal(resolveSonarUrl({ sonar: { organization: 'acme' } }), 'https://sonarcloud.io');
+});
+
+test('prefers SONAR_HOST_URL over sonar.hostUrl', t => {
+  setEnv(t, { ...NO_ENV, SONAR_HOST_URL: 'https://env.example.com' });
+  assert.equal(resolveSonarUrl({ sonar: { hostUrl: 'https://config.example.com' } }), 'https://env.example.com');
+});
+
+test('returns the normalized origin and path without the trailing slash', t => {
+  setEnv(t, NO_ENV);
+  assert.equal(resolveSonarUrl({ sonar: { hostUrl: 'https://Sonar.Example.com:443/sonar/' } }), 'https://sonar.example.com/sonar');
+  assert.equal(resolveSonarUrl({ sonar: { hostUrl: 'http://localhost:9000/?x=1#top' } }), 'http://localhost:9000');
+});
+
+test('percent-encodes characters a shell would interpret', t => {
+  setEnv(t, NO_ENV);
+  assert.equal(
+    resolveSonarUrl({ sonar: { hostUrl: 'http://127.0.0.1:1/"$(id)"' } }),
+    'http://127.0.0.1:1/%22$(id)%22'
+  );
+});
+
+test('rejects values that are not absolute http(s) URLs', t => {
+  setEnv(t, NO_ENV);
+  for (const hostUrl of ['sonar.example.com', 'ftp://sonar.example.com', 'file:///etc/passwd']) {
+    assert.throws(() => resolveSonarUrl({ sonar: { hostUrl } }), err => {
+      assert.ok(err instanceof ConfigError);
+      assert.match(err.message, /in sonar\.hostUrl$/);
+      return true;
+    });
+  }
+  setEnv(t, { SONAR_HOST_URL: 'localhost:9000' });
+  assert.throws(() => resolveSonarUrl({}), /in SONAR_HOST_URL$/);
+});
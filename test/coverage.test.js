@@ -0,0 +1,94 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { test } = require('node:test');
+
+const { checkCoverage, coverageTargets, runCoverage } = require('../lib/coverage');
+const { tempProject } = require('./helpers');
+
+// A coverage command that writes `reports` ({ path: content }) in `cwd` when run.
+function writer(cwd, reports) {
+  fs.writeFileSync(path.join(cwd, 'reports.json'), JSON.stringify(reports));
+  fs.writeFileSync(path.join(cwd, 'write-reports.js'), `const fs = require('fs');
+const path = require('path');
+for (const [file, content] of Object.entries(require('./reports.json'))) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+}
+`);
+  return 'node write-reports.js';
+}
+
+test('reads the report paths of each module', t => {
+  const cwd = tempProject(t, {
+    'sonar-project.properties': [
+      'sonar.modules=web,api',
+      'sonar.javascript.lcov.reportPaths=coverage/lcov.info',
+      'web.sonar.sources=src',
+      'api.sonar.projectBaseDir=services/api',
+      'api.sonar.python.coverage.reportPaths=coverage.xml',
+    ].join('\n'),
+  });
+  assert.deepEqual(coverageTargets(cwd).map(c => [c.dir, c.lang, c.file, c.sources.join(',')]), [
+    ['web', 'js', 'web/coverage/lcov.info', 'src'],
+    ['services/api', 'js', 'services/api/coverage/lcov.info', '.'],
+    ['services/api', 'py', 'services/api/coverage.xml', '.'],
+  ]);
+});
+
+test('merges the lcov reports of each package with paths relative to the module', t => {
+  const cwd = tempProject(t, {
+    'sonar-project.properties': 'sonar.sources=packages\nsonar.javascript.lcov.reportPaths=coverage/lcov.info\n',
+    'packages/a/src/index.js': '',
+    'packages/b/src/index.js': '',
+  });
+  const command = writer(cwd, {
+    'packages/a/coverage/lcov.info': 'TN:\nSF:src/index.js\nDA:1,1\nend_of_record\n',
+    'packages/b/coverage/lcov.info': `TN:\nSF:${path.join(cwd, 'packages/b/src/index.js')}\nDA:1,0\nend_of_record\n`,
+  });
+
+  const result = runCoverage({ cwd, config: { coverage: { command } } });
+  assert.deepEqual(result.runs.map(r => r.ok), [true]);
+  assert.deepEqual(result.reports, [{ file: 'coverage/lcov.info', merged: ['packages/a/coverage/lcov.info', 'packages/b/coverage/lcov.info'] }]);
+  const merged = fs.readFileSync(path.join(cwd, 'coverage/lcov.info'), 'utf8');
+  assert.deepEqual(merged.match(/^SF:.*$/gm), ['SF:packages/a/src/index.js', 'SF:packages/b/src/index.js']);
+});
+
+test('merges Cobertura reports and their line totals', t => {
+  const cwd = tempProject(t, {
+    'sonar-project.properties': 'sonar.python.coverage.reportPaths=coverage.xml\n',
+    'app/models.py': '',
+    'worker/tasks.py': '',
+  });
+  const report = (source, file, valid, covered) => `<?xml version="1.0" ?>
+<coverage lines-valid="${valid}" lines-covered="${covered}">
+  <sources><source>${source}</source></sources>
+  <packages>
+    <package name="p"><classes><class name="c" filename="${file}"></class></classes></package>
+  </packages>
+</coverage>`;
+  const command = writer(cwd, {
+    'app/coverage.xml': report(path.join(cwd, 'app'), 'models.py', 10, 5),
+    'worker/coverage.xml': report(path.join(cwd, 'worker'), 'tasks.py', 30, 15),
+  });
+
+  runCoverage({ cwd, config: { coverage: { command } } });
+  const merged = fs.readFileSync(path.join(cwd, 'coverage.xml'), 'utf8');
+  assert.match(merged, /lines-valid="40" lines-covered="20" line-rate="0\.5000"/);
+  assert.deepEqual([...merged.matchAll(/filename="([^"]*)"/g)].map(m => m[1]), ['app/models.py', 'worker/tasks.py']);
+});
+
+test('reports missing and stale coverage reports', t => {
+  const cwd = tempProject(t, {
+    'sonar-project.properties': 'sonar.sources=src\nsonar.javascript.lcov.reportPaths=coverage/lcov.info\nsonar.python.coverage.reportPaths=coverage.xml\n',
+    'coverage/lcov.info': 'TN:\n',
+    'src/index.js': '',
+  });
+  const old = new Date(Date.now() - 60000);
+  fs.utimesSync(path.join(cwd, 'coverage/lcov.info'), old, old);
+
+  assert.deepEqual(checkCoverage({ cwd }).map(r => [r.file, r.exists, r.stale, r.newestSource]), [
+    ['coverage/lcov.info', true, true, 'src/index.js'],
+    ['coverage.xml', false, false, null],
+  ]);
+});
@@ -0,0 +1,48 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { detectStack } = require('../lib/detect');
+const { tempProject } = require('./helpers');
+
+test('detects JavaScript stacks from dependencies and config files', t => {
+  const next = detectStack(tempProject(t, { 'package.json': { dependencies: { next: '14.0.0', react: '18.0.0' } }, 'next.config.mjs': '' }));
+  assert.equal(next.stack, 'nextjs');
+  assert.equal(next.confidence, 'high');
+  assert.deepEqual(next.reasons, ['next.config.mjs found', '"next" in package.json']);
+
+  const vite = detectStack(tempProject(t, { 'package.json': { dependencies: { react: '18.0.0' } }, 'vite.config.ts': '' }));
+  assert.equal(vite.stack, 'react');
+  assert.equal(vite.confidence, 'medium');
+
+  const expo = detectStack(tempProject(t, { 'package.json': { dependencies: { 'react-native': '0.74.0', expo: '51.0.0', react: '18.0.0' } } }));
+  assert.equal(expo.stack, 'react-native');
+
+  const api = detectStack(tempProject(t, { 'package.json': { dependencies: { fastify: '4.0.0' } }, 'pnpm-lock.yaml': '' }));
+  assert.equal(api.stack, 'node');
+  assert.deepEqual(api.reasons, ['"fastify" in package.json', 'package.json and pnpm-lock.yaml without a frontend framework']);
+});
+
+test('detects Python stacks from manifests, manage.py and imports', t => {
+  const django = detectStack(tempProject(t, { 'manage.py': '', 'requirements.txt': 'Django==5.0\n' }));
+  assert.equal(django.stack, 'python-django');
+  assert.equal(django.confidence, 'high');
+
+  const fastapi = detectStack(tempProject(t, { 'pyproject.toml': '[project]\ndependencies = ["fastapi"]\n', 'app/main.py': 'from fastapi import FastAPI\n' }));
+  assert.equal(fastapi.stack, 'python-fastapi');
+  assert.deepEqual(fastapi.reasons, ['fastapi declared in pyproject.toml', 'fastapi imported in app/main.py']);
+});
+
+test('reports close candidates as ambiguous instead of guessing', t => {
+  const result = detectStack(tempProject(t, {
+    'package.json': { dependencies: { express: '4.0.0' } },
+    'requirements.txt': 'fastapi\n',
+    'main.py': 'import fastapi\n',
+  }));
+  assert.equal(result.ambiguous, true);
+  assert.equal(result.stack, null);
+  assert.deepEqual(result.candidates.map(c => c.stack).sort(), ['node', 'python-fastapi']);
+});
+
+test('finds nothing in an empty directory', t => {
+  assert.deepEqual(detectStack(tempProject(t)), { stack: null, confidence: null, reasons: [], ambiguous: false, candidates: [] });
+});
@@ -0,0 +1,43 @@
+// Mock of the GitHub and GitLab comment endpoints, run in a child process
+// because the CLI calls the API synchronously through curl. Started with the
+// existing comments as JSON ({ comments, status }); prints its port, answers
+// GET /__requests with the requests it received.
+const http = require('http');
+
+const { comments = [], status } = JSON.parse(process.argv[2] || '{}');
+const requests = [];
+let nextId = 1000;
+
+const server = http.createServer((req, res) => {
+  let raw = '';
+  req.on('data', chunk => (raw += chunk));
+  req.on('end', () => {
+    const send = (code, data) => {
+      res.writeHead(code, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(data));
+    };
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname === '/__requests') return send(200, requests);
+
+    const body = raw ? JSON.parse(raw).body : undefined;
+    requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+    if (status) return send(status, { message: 'Resource not accessible by integration' });
+
+    if (req.method === 'GET') {
+      const page = Number(url.searchParams.get('page') || 1);
+      const perPage = Number(url.searchParams.get('per_page') || 100);
+      return send(200, comments.slice((page - 1) * perPage, page * perPage));
+    }
+    if (req.method === 'POST') {
+      const comment = { id: nextId++, body, html_url: `http://localhost/comment/${nextId}` };
+      comments.push(comment);
+      return send(201, comment);
+    }
+    const comment = comments.find(c => String(c.id) === url.pathname.split('/').pop());
+    if (!comment) return send(404, { message: 'Not Found' });
+    comment.body = body;
+    return send(200, { ...comment, html_url: `http://localhost/comment/${comment.id}` });
+  });
+});
+
+server.listen(0, '127.0.0.1', () => console.log(server.address().port));
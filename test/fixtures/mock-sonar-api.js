@@ -0,0 +1,24 @@
+// Mock of the SonarQube web API, run in a child process because the CLI
+// calls it synchronously through curl. Started with JSON responses by path
+// ({ "/api/...": response }, a list answering successive calls); prints its
+// port, answers GET /__requests with the requests it received.
+const http = require('http');
+
+const routes = JSON.parse(process.argv[2] || '{}');
+const requests = [];
+
+const server = http.createServer((req, res) => {
+  const send = (code, data) => {
+    res.writeHead(code, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  };
+  const url = new URL(req.url, 'http://localhost');
+  if (url.pathname === '/__requests') return send(200, requests);
+
+  requests.push({ method: req.method, url: req.url, headers: req.headers });
+  const route = routes[url.pathname];
+  if (route === undefined) return send(404, { errors: [{ msg: 'Unknown url' }] });
+  return send(200, Array.isArray(route) ? (route.length > 1 ? route.shift() : route[0]) : route);
+});
+
+server.listen(0, '127.0.0.1', () => console.log(server.address().port));
@@ -0,0 +1,80 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { FORMATS, renderJsonReport, renderJunitReport, renderMarkdownReport, renderSarifReport } = require('../lib/formats');
+
+const REPORT = {
+  generatedAt: '2026-05-04T12:00:00.000Z',
+  project: { name: 'App | Web', key: 'app', sonarUrl: 'https://sonar.example.com' },
+  metrics: { bugs: '2', vulnerabilities: '0', code_smells: '7', coverage: '81.5' },
+  qualityGate: {
+    status: 'ERROR',
+    conditions: [
+      { metricKey: 'new_coverage', status: 'ERROR', comparator: 'LT', actualValue: '60', errorThreshold: '80' },
+      { metricKey: 'new_bugs', status: 'OK', comparator: 'GT', actualValue: '0', errorThreshold: '0' },
+    ],
+  },
+  health: { score: 72 },
+  lgpd: {
+    score: 50,
+    passed: 1,
+    checks: [{ id: 'privacy-policy', label: 'Privacy policy', check: true }, { id: 'encryption', label: 'Encryption at rest', check: false }],
+    issues: [{ rule: 'javascript:S2068', lgpdArticle: 'Art. 46' }],
+  },
+  dependencies: {
+    vulnerabilities: { critical: 1, high: 0, moderate: 2, low: 0 },
+    outdated: [],
+    advisories: [{ name: 'lodash', version: '4.17.15', id: 'GHSA-1', url: 'https://osv.dev/GHSA-1', severity: 'critical', fixed: '4.17.21' }],
+    audits: [{ ecosystem: 'PyPI', location: 'api', audited: false, reason: 'no advisory snapshot' }],
+  },
+  issues: [
+    { key: 'I1', rule: 'javascript:S2068', severity: 'BLOCKER', type: 'VULNERABILITY', message: 'Hard-coded <password>', component: 'app:src/db.js', line: 12, textRange: { startLine: 12, endLine: 12, startOffset: 4, endOffset: 20 } },
+    { key: 'I2', rule: 'javascript:S1481', severity: 'MINOR', type: 'CODE_SMELL', message: 'Unused variable', component: 'app:src/util.js', line: 3 },
+  ],
+  hotspots: [{ key: 'H1', securityCategory: 'weak-cryptography', vulnerabilityProbability: 'HIGH', message: 'Weak hash', component: 'app:src/hash.js', line: 8, status: 'TO_REVIEW' }],
+};
+
+test('registers one renderer and file extension per format', () => {
+  assert.deepEqual(Object.keys(FORMATS), ['html', 'json', 'sarif', 'junit', 'md']);
+  assert.equal(FORMATS.junit.extension, 'junit.xml');
+  assert.deepEqual(JSON.parse(renderJsonReport(REPORT)), REPORT);
+});
+
+test('renders issues and hotspots as SARIF results', () => {
+  const log = JSON.parse(renderSarifReport(REPORT));
+  assert.equal(log.version, '2.1.0');
+  const [run] = log.runs;
+  assert.deepEqual(run.results.map(r => [r.ruleId, r.level, r.locations[0].physicalLocation.artifactLocation.uri]), [
+    ['javascript:S2068', 'error', 'src/db.js'],
+    ['javascript:S1481', 'note', 'src/util.js'],
+    ['hotspot:weak-cryptography', 'error', 'src/hash.js'],
+  ]);
+  assert.deepEqual(run.results[0].locations[0].physicalLocation.region, { startLine: 12, endLine: 12, startColumn: 5, endColumn: 21 });
+  const rule = run.tool.driver.rules.find(r => r.id === 'javascript:S2068');
+  assert.equal(rule.properties.lgpdArticle, 'Art. 46');
+  assert.equal(rule.helpUri, 'https://sonar.example.com/coding_rules?open=javascript%3AS2068');
+});
+
+test('renders gate conditions, checks, dependencies and blocking issues as JUnit cases', () => {
+  const xml = renderJunitReport(REPORT);
+  assert.match(xml, /<testsuite name="Quality Gate" tests="2" failures="1">/);
+  assert.match(xml, /<failure message="new_coverage: 60 \(must not be &lt; 80\)"\/>/);
+  assert.match(xml, /<testsuite name="LGPD Compliance" tests="2" failures="1">/);
+  assert.match(xml, /<testsuite name="Dependencies" tests="2" failures="1">/);
+  assert.match(xml, /<testcase classname="SonarQube Issues" name="src\/db.js:12 javascript:S2068">\n\s+<failure message="BLOCKER: Hard-coded &lt;password&gt;"\/>/);
+  assert.doesNotMatch(xml, /S1481/);
+  assert.doesNotMatch(xml, /name="Secrets"/);
+});
+
+test('renders a compact Markdown summary', () => {
+  const md = renderMarkdownReport(REPORT);
+  assert.ok(md.startsWith('## Quality report: App \\| Web\n'));
+  assert.match(md, /\*\*Health score:\*\* 72% · \*\*Quality gate:\*\* FAILED · \*\*LGPD:\*\* 50% \(1\/2\)/);
+  assert.match(md, /- new_coverage: 60 \(must not be < 80\)\n/);
+  assert.doesNotMatch(md, /- new_bugs/);
+  assert.match(md, /\| 2 \| 0 \| 7 \| 0 \| 81.5% \| N\/A \|/);
+  assert.match(md, /> PyPI dependencies in `api` not audited: no advisory snapshot/);
+  assert.match(md, /\| lodash \| 4.17.15 \| \[GHSA-1\]\(https:\/\/osv.dev\/GHSA-1\) \| critical \| 4.17.21 \|/);
+  assert.match(md, /### Top issues \(2 of 2\)/);
+  assert.ok(md.endsWith('<sub>Generated by @olympio/quality-config · 2026-05-04T12:00:00.000Z</sub>\n'));
+});
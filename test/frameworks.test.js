@@ -0,0 +1,103 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { test } = require('node:test');
+
+const { generateComplianceReport } = require('../lib/compliance-report');
+const { QualityConfigError } = require('../lib/errors');
+const { evaluateThresholds } = require('../lib/export');
+const { evaluateFrameworks, parseFrameworks } = require('../lib/frameworks');
+const { setEnv, tempProject } = require('./helpers');
+
+const RULESET = {
+  articles: { 'Art. 16': 'Data deletion' },
+  controls: { gdpr: { 'Art. 32': 'Security of processing' } },
+  checks: [
+    { id: 'secrets', label: 'No secrets', weight: 3, frameworks: { gdpr: ['Art. 32'], 'pci-dss': ['8.6.2'] } },
+    { id: 'https', label: 'HTTPS', weight: 1, frameworks: { gdpr: ['Art. 32'], 'pci-dss': ['4.2.1'] } },
+    { id: 'logs', label: 'No PII in logs', weight: 1, frameworks: { gdpr: ['Art. 25', 'Art. 32'] } },
+    { id: 'retention', label: 'Retention', weight: 1, frameworks: { lgpd: ['Art. 16'] } },
+  ],
+};
+
+const LGPD = {
+  checks: [
+    { id: 'secrets', label: 'No secrets', check: false, evidence: [{ key: 'I1' }] },
+    { id: 'https', label: 'HTTPS', check: true, evidence: [] },
+    { id: 'logs', label: 'No PII in logs', check: true, evidence: [] },
+    { id: 'retention', label: 'Retention', check: true, evidence: [] },
+  ],
+};
+
+test('parses framework lists and rejects unknown ones', () => {
+  assert.deepEqual(parseFrameworks(' GDPR, pci-dss,gdpr '), ['gdpr', 'pci-dss']);
+  assert.deepEqual(parseFrameworks(['lgpd', 'asvs']), ['lgpd', 'asvs']);
+  assert.throws(() => parseFrameworks('gdpr,sox'), err => {
+    assert.ok(err instanceof QualityConfigError);
+    assert.equal(err.code, 'QC_UNKNOWN_FRAMEWORK');
+    assert.match(err.message, /Unknown framework "sox"/);
+    return true;
+  });
+});
+
+test('scores each framework on the weighted checks mapped to it, grouped by control', () => {
+  const [gdpr, pci, lgpd] = evaluateFrameworks({ ruleset: RULESET, lgpd: LGPD, frameworks: ['gdpr', 'pci-dss', 'lgpd'] });
+
+  assert.equal(gdpr.name, 'GDPR');
+  assert.equal(gdpr.score, 40);
+  assert.equal(gdpr.passed, 2);
+  assert.equal(gdpr.total, 3);
+  assert.deepEqual(gdpr.controls, [
+    { id: 'Art. 25', title: '', checks: ['logs'], status: 'pass' },
+    { id: 'Art. 32', title: 'Security of processing', checks: ['secrets', 'https', 'logs'], status: 'fail' },
+  ]);
+  assert.deepEqual(gdpr.checks[0].controls, ['Art. 32']);
+  assert.deepEqual(gdpr.checks[0].evidence, [{ key: 'I1' }]);
+
+  assert.equal(pci.score, 25);
+  assert.deepEqual(pci.controls.map(c => [c.id, c.status]), [['4.2.1', 'pass'], ['8.6.2', 'fail']]);
+
+  // LGPD control titles come from the ruleset articles
+  assert.equal(lgpd.score, 100);
+  assert.deepEqual(lgpd.controls, [{ id: 'Art. 16', title: 'Data deletion', checks: ['retention'], status: 'pass' }]);
+});
+
+test('leaves scores and controls unverified without LGPD results', () => {
+  const [gdpr] = evaluateFrameworks({ ruleset: RULESET, lgpd: null, frameworks: ['gdpr'] });
+  assert.equal(gdpr.score, null);
+  assert.equal(gdpr.passed, 0);
+  assert.deepEqual(gdpr.controls.map(c => c.status), ['unverified', 'unverified']);
+  assert.deepEqual(gdpr.checks[1], { id: 'https', label: 'HTTPS', weight: 1, controls: ['Art. 32'] });
+});
+
+test('applies minimum scores to the scored frameworks', () => {
+  const report = {
+    health: { score: 80 },
+    lgpd: { score: 60 },
+    frameworks: [{ id: 'lgpd', score: 60 }, { id: 'gdpr', score: 40 }, { id: 'hipaa', score: null }],
+  };
+  assert.deepEqual(evaluateThresholds(report, { health: 70, lgpd: 70, gdpr: 50, hipaa: 50, asvs: 10 }), [
+    { metric: 'lgpd', score: 60, threshold: 70 },
+    { metric: 'gdpr', score: 40, threshold: 50 },
+  ]);
+});
+
+test('writes one compliance report per framework without a server', async t => {
+  setEnv(t, { SONAR_HOST_URL: 'http://127.0.0.1:1', SONAR_TOKEN: 'token', SONAR_ORGANIZATION: undefined });
+  const cwd = tempProject(t, { 'sonar-project.properties': 'sonar.projectKey=shop\n' });
+
+  const { reports } = await generateComplianceReport({ cwd, frameworks: 'gdpr,hipaa' });
+  assert.deepEqual(reports.map(r => [r.framework, r.name]), [['gdpr', 'GDPR'], ['hipaa', 'HIPAA']]);
+
+  const [gdpr] = reports;
+  assert.equal(gdpr.summary.score, null);
+  assert.ok(gdpr.summary.controls.total > 0);
+  assert.equal(gdpr.summary.controls.unverified, gdpr.summary.controls.total);
+
+  const markdown = fs.readFileSync(gdpr.file, 'utf8');
+  assert.match(markdown, /^# GDPR Compliance Report/);
+  assert.match(markdown, /\*\*Score\*\*: not verified/);
+  assert.match(markdown, /Run "quality-config scan"/);
+  const json = JSON.parse(fs.readFileSync(gdpr.jsonFile, 'utf8'));
+  assert.deepEqual(json.framework, { id: 'gdpr', name: 'GDPR', title: 'General Data Protection Regulation (EU 2016/679)' });
+  assert.deepEqual(json.project, { key: 'shop', name: 'shop' });
+});
@@ -0,0 +1,70 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { fetchQualityGate, formatCondition, readReportTask, waitForAnalysis } = require('../lib/gate');
+const { mockApi, tempProject } = require('./helpers');
+
+const PROJECT_KEY = 'acme:my app&co';
+
+test('reads the task the scanner left in report-task.txt', t => {
+  const cwd = tempProject(t, {
+    '.scannerwork/report-task.txt': 'projectKey=app\nceTaskId=AY123\nceTaskUrl=http://localhost:9000/api/ce/task?id=AY123\n',
+  });
+  assert.deepEqual(readReportTask(cwd), { projectKey: 'app', ceTaskId: 'AY123', ceTaskUrl: 'http://localhost:9000/api/ce/task?id=AY123' });
+  assert.equal(readReportTask(tempProject(t)), null);
+});
+
+test('waits for the server-side analysis to succeed', async t => {
+  const api = await mockApi(t, 'mock-sonar-api', {
+    '/api/ce/task': [{ task: { status: 'PENDING' } }, { task: { status: 'IN_PROGRESS' } }, { task: { status: 'SUCCESS', analysisId: 'A1' } }],
+  });
+  const logs = [];
+  const task = waitForAnalysis({ taskId: 'AY 1', token: 'tok', sonarUrl: api.url, intervalSeconds: 0, log: line => logs.push(line) });
+
+  assert.equal(task.analysisId, 'A1');
+  assert.deepEqual(logs, ['  [..] Analysis pending...', '  [..] Analysis in progress...']);
+  const requests = await api.requests();
+  assert.equal(requests[0].url, '/api/ce/task?id=AY%201');
+  assert.equal(requests[0].headers.authorization, `Basic ${Buffer.from('tok:').toString('base64')}`);
+});
+
+test('fails when the server-side analysis fails or does not finish', async t => {
+  const api = await mockApi(t, 'mock-sonar-api', { '/api/ce/task': { task: { status: 'FAILED', componentKey: PROJECT_KEY } } });
+  assert.throws(() => waitForAnalysis({ taskId: 'AY1', token: 'tok', sonarUrl: api.url, intervalSeconds: 0 }), err => {
+    assert.equal(err.code, 'QC_ANALYSIS_FAILED');
+    assert.equal(err.hint, `See ${api.url}/project/background_tasks?id=acme%3Amy%20app%26co`);
+    return true;
+  });
+
+  const pending = await mockApi(t, 'mock-sonar-api', { '/api/ce/task': { task: { status: 'PENDING' } } });
+  assert.throws(
+    () => waitForAnalysis({ taskId: 'AY1', token: 'tok', sonarUrl: pending.url, timeoutSeconds: 0.5, intervalSeconds: 0 }),
+    err => err.code === 'QC_ANALYSIS_TIMEOUT'
+  );
+});
+
+test('fetches the gate of the analysis, or of the project', async t => {
+  const api = await mockApi(t, 'mock-sonar-api', {
+    '/api/qualitygates/project_status': { projectStatus: { status: 'ERROR', conditions: [{ metricKey: 'new_bugs', status: 'ERROR' }] } },
+  });
+  assert.deepEqual(fetchQualityGate({ analysisId: 'A1', token: 'tok', sonarUrl: api.url }), {
+    status: 'ERROR',
+    conditions: [{ metricKey: 'new_bugs', status: 'ERROR' }],
+  });
+  fetchQualityGate({ projectKey: PROJECT_KEY, token: 'tok', sonarUrl: api.url });
+  assert.deepEqual((await api.requests()).map(r => r.url), [
+    '/api/qualitygates/project_status?analysisId=A1',
+    '/api/qualitygates/project_status?projectKey=acme%3Amy%20app%26co',
+  ]);
+
+  const empty = await mockApi(t, 'mock-sonar-api', {});
+  assert.throws(() => fetchQualityGate({ projectKey: 'app', token: 'tok', sonarUrl: empty.url }), err => err.code === 'QC_QUALITY_GATE_UNAVAILABLE');
+});
+
+test('formats a failing condition', () => {
+  assert.equal(
+    formatCondition({ metricKey: 'new_coverage', comparator: 'LT', actualValue: '62.5', errorThreshold: '80' }),
+    'new_coverage: 62.5 (must not be < 80)'
+  );
+  assert.equal(formatCondition({ metricKey: 'new_bugs', comparator: 'GT', errorThreshold: '0' }), 'new_bugs: - (must not be > 0)');
+});
@@ -0,0 +1,95 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { test } = require('node:test');
+
+const { addedLines, branchName, changedSince, onChangedLine } = require('../lib/git');
+const { QualityConfigError } = require('../lib/errors');
+const { git, gitRepository, tempProject, writeFiles } = require('./helpers');
+
+const LINES = ['one', 'two', 'three', 'four', 'five'].join('\n') + '\n';
+
+test('lists the changes since the merge base with the added line ranges', t => {
+  const cwd = gitRepository(t, { 'src/a.js': LINES, 'src/b.js': LINES, 'README.md': '# app\n' });
+  git(cwd, 'checkout', '-q', '-b', 'feature');
+  writeFiles(cwd, { 'src/a.js': LINES.replace('two', 'TWO').replace('five', 'FIVE\nsix') });
+  git(cwd, 'commit', '-qam', 'change a');
+  writeFiles(cwd, { 'src/new.js': 'x\ny\n', 'notes.txt': 'scratch\n' });
+  git(cwd, 'add', 'src/new.js');
+  fs.unlinkSync(path.join(cwd, 'README.md'));
+
+  const changes = changedSince(cwd, 'main');
+  assert.equal(changes.ref, 'main');
+  assert.equal(changes.branch, 'feature');
+  assert.equal(changes.base, git(cwd, 'rev-parse', 'main').trim());
+  assert.deepEqual(changes.files, [
+    { file: 'notes.txt', added: true, untracked: true, lines: [] },
+    { file: 'src/a.js', added: false, lines: [[2, 2], [5, 6]] },
+    { file: 'src/new.js', added: true, lines: [[1, 2]] },
+  ]);
+});
+
+test('tells whether an issue sits on a changed line', () => {
+  const changes = {
+    files: [
+      { file: 'src/a.js', added: false, lines: [[2, 2], [5, 6]] },
+      { file: 'src/new.js', added: true, lines: [[1, 2]] },
+    ],
+  };
+  assert.equal(onChangedLine(changes, 'src/a.js', 2), true);
+  assert.equal(onChangedLine(changes, 'src/a.js', 6), true);
+  assert.equal(onChangedLine(changes, 'src/a.js', 3), false);
+  // File-level findings belong to new files only
+  assert.equal(onChangedLine(changes, 'src/a.js', undefined), false);
+  assert.equal(onChangedLine(changes, 'src/new.js', undefined), true);
+  assert.equal(onChangedLine(changes, 'src/new.js', 40), true);
+  assert.equal(onChangedLine(changes, 'src/other.js', 1), false);
+});
+
+test('rejects unknown revisions and branches without upstream', t => {
+  const cwd = gitRepository(t, { 'a.js': LINES });
+  assert.throws(() => changedSince(cwd, 'nope'), err => err instanceof QualityConfigError && err.code === 'QC_INVALID_REF');
+  assert.throws(() => changedSince(cwd, 'main; rm -rf /'), err => err.code === 'QC_INVALID_REF');
+  assert.throws(() => changedSince(cwd), err => err.code === 'QC_NO_UPSTREAM');
+});
+
+test('names the branch a ref points to, without a remote prefix', t => {
+  const cwd = gitRepository(t, { 'a.js': LINES });
+  git(cwd, 'branch', 'feature/foo');
+  git(cwd, 'tag', 'v1.0.0');
+  git(cwd, 'remote', 'add', 'upstream', 'https://example.com/repo.git');
+  git(cwd, 'update-ref', 'refs/remotes/upstream/release/2.x', 'HEAD');
+
+  assert.equal(branchName(cwd, 'main'), 'main');
+  assert.equal(branchName(cwd, 'feature/foo'), 'feature/foo');
+  assert.equal(branchName(cwd, 'upstream/release/2.x'), 'release/2.x');
+  assert.equal(branchName(cwd, 'v1.0.0'), null);
+  assert.equal(branchName(cwd, git(cwd, 'rev-parse', 'HEAD').trim()), null);
+  assert.equal(branchName(cwd, 'main~0'), null);
+  assert.equal(branchName(cwd, 'nope'), null);
+  assert.equal(branchName(cwd, 'main; touch pwned'), null);
+});
+
+test('requires a git repository', t => {
+  assert.throws(() => changedSince(tempProject(t), 'main'), err => err.code === 'QC_NOT_GIT_REPOSITORY');
+});
+
+test('extracts the added lines of a patch by file', () => {
+  const patch = [
+    'diff --git a/a.js b/a.js',
+    '--- a/a.js',
+    '+++ b/a.js',
+    '@@ -1,0 +2,2 @@',
+    '+const a = 1;',
+    '+const b = 2;',
+    'diff --git a/gone.js b/gone.js',
+    '--- a/gone.js',
+    '+++ /dev/null',
+    '@@ -1 +0,0 @@',
+    '-removed',
+  ].join('\n');
+  assert.deepEqual(addedLines(patch), [
+    { file: 'a.js', line: 2, text: 'const a = 1;' },
+    { file: 'a.js', line: 3, text: 'const b = 2;' },
+  ]);
+});
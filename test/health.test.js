@@ -0,0 +1,88 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { ConfigError } = require('../lib/errors');
+const { computeHealth, healthMetricKeys, resolveHealthModel } = require('../lib/health');
+
+const NO_VULNERABILITIES = { critical: 0, high: 0, moderate: 0, low: 0 };
+
+function data({ metrics = {}, lgpd = 100, vulnerabilities = NO_VULNERABILITIES, audits = [{ audited: true }], outdated = [], hotspots = [] } = {}) {
+  return { metrics, lgpd: { score: lgpd }, dependencies: { vulnerabilities, audits, outdated }, hotspots };
+}
+
+test('uses the default weights over ratings, LGPD and dependencies', () => {
+  const model = resolveHealthModel();
+  assert.deepEqual(model.components.map(c => [c.key, c.weight]), [
+    ['reliability', 20], ['security', 25], ['maintainability', 15], ['lgpd', 25], ['dependencies', 15],
+  ]);
+
+  const health = computeHealth(data({
+    metrics: { reliability_rating: '1.0', security_rating: '3.0', sqale_rating: '1.0' },
+    lgpd: 60,
+    vulnerabilities: { ...NO_VULNERABILITIES, high: 2, moderate: 1 },
+  }), model);
+  assert.deepEqual(health.components, { reliability: 100, security: 50, maintainability: 100, lgpd: 60, dependencies: 30 });
+  assert.equal(health.score, 67);
+  assert.deepEqual(health.breakdown.find(c => c.key === 'security'), {
+    key: 'security', label: 'Security', value: 'C', score: 50, weight: 25, missing: false, share: 25, points: 12.5,
+  });
+  assert.equal(health.breakdown.find(c => c.key === 'dependencies').value, '2 high');
+});
+
+test('merges configured weights, levels and custom SonarQube metrics', () => {
+  const model = resolveHealthModel({
+    health: {
+      metrics: {
+        lgpd: { weight: 0 },
+        coverage: { weight: 10 },
+        dependencies: { levels: { high: 10 } },
+        complexity: { label: 'Complexity', metric: 'cognitive_complexity', best: 0, worst: 200, weight: 5 },
+      },
+    },
+  });
+  assert.deepEqual(model.components.map(c => c.key), ['reliability', 'security', 'maintainability', 'dependencies', 'coverage', 'complexity']);
+  assert.deepEqual(model.components.find(c => c.key === 'dependencies').levels, { critical: 0, high: 10, moderate: 60 });
+  assert.deepEqual(healthMetricKeys(model), ['reliability_rating', 'security_rating', 'sqale_rating', 'coverage', 'cognitive_complexity']);
+
+  const health = computeHealth(data({ metrics: { coverage: '40', cognitive_complexity: '50' } }), model);
+  assert.equal(health.components.coverage, 50);
+  assert.equal(health.components.complexity, 75);
+  assert.equal(health.breakdown.find(c => c.key === 'coverage').value, '40%');
+});
+
+test('rejects custom metrics without a scale', () => {
+  assert.throws(
+    () => resolveHealthModel({ health: { metrics: { custom: { metric: 'ncloc', weight: 5 }, coverage: { best: 50, worst: 50 } } } }, '.qualityconfigrc.json'),
+    err => {
+      assert.ok(err instanceof ConfigError);
+      assert.equal(err.message, 'Invalid health score model in .qualityconfigrc.json.');
+      assert.deepEqual(err.errors, [
+        'health.metrics.coverage: "best" and "worst" must differ',
+        'health.metrics.custom: custom metrics need "metric", "best" and "worst"',
+      ]);
+      return true;
+    }
+  );
+});
+
+test('spreads the weight of missing inputs unless a fixed score is configured', () => {
+  const input = data({ metrics: { reliability_rating: '1.0' }, audits: [{ audited: false }] });
+
+  const skip = computeHealth(input, resolveHealthModel());
+  assert.deepEqual(skip.missing, ['security', 'maintainability', 'dependencies']);
+  assert.equal(skip.breakdown.find(c => c.key === 'dependencies').value, 'not audited');
+  assert.equal(skip.breakdown.find(c => c.key === 'reliability').share, 44.4);
+  assert.equal(skip.score, 100);
+
+  const neutral = computeHealth(input, resolveHealthModel({ health: { missing: 'neutral' } }));
+  assert.equal(neutral.components.security, 50);
+  assert.equal(neutral.score, 73);
+  assert.equal(computeHealth(input, resolveHealthModel({ health: { missing: 'zero' } })).score, 45);
+});
+
+test('derives the hotspot review rate from the hotspots when SonarQube has none', () => {
+  const model = resolveHealthModel({ health: { metrics: { hotspots: { weight: 10 } } } });
+  const reviewed = computeHealth(data({ hotspots: [{ status: 'REVIEWED' }, { status: 'TO_REVIEW' }, { status: 'TO_REVIEW' }] }), model);
+  assert.equal(reviewed.breakdown.find(c => c.key === 'hotspots').value, '33.3%');
+  assert.equal(computeHealth(data({ metrics: { security_hotspots: '0' } }), model).components.hotspots, 100);
+});
@@ -0,0 +1,75 @@
+const { spawn, spawnSync } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// A temporary project with the given files ({ relative path: content }),
+// removed when the test ends.
+function tempProject(t, files = {}) {
+  const dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'quality-config-')));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  writeFiles(dir, files);
+  return dir;
+}
+
+function writeFiles(dir, files) {
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+  }
+}
+
+// Runs git in `cwd` with a fixed identity, failing the test on errors.
+function git(cwd, ...args) {
+  const result = spawnSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', '-c', 'commit.gpgsign=false', ...args], { cwd, encoding: 'utf8' });
+  if (result.status !== 0) throw new Error(`git ${args.join(' ')}: ${result.stderr}`);
+  return result.stdout;
+}
+
+function gitRepository(t, files = {}) {
+  const dir = tempProject(t, files);
+  git(dir, 'init', '-q', '-b', 'main');
+  if (Object.keys(files).length > 0) {
+    git(dir, 'add', '-A');
+    git(dir, 'commit', '-q', '-m', 'initial');
+  }
+  return dir;
+}
+
+// Sets environment variables for one test (undefined unsets them) and
+// restores the previous values when it ends.
+function setEnv(t, vars) {
+  const saved = Object.fromEntries(Object.keys(vars).map(name => [name, process.env[name]]));
+  const apply = values => {
+    for (const [name, value] of Object.entries(values)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  };
+  t.after(() => apply(saved));
+  apply(vars);
+}
+
+// Starts a mock API from test/fixtures in a child process; resolves with its
+// URL and a function returning the requests it received.
+function mockApi(t, fixture, state) {
+  const child = spawn(process.execPath, [path.join(__dirname, 'fixtures', `${fixture}.js`), JSON.stringify(state)], { stdio: ['ignore', 'pipe', 'inherit'] });
+  t.after(() => child.kill());
+  return new Promise((resolve, reject) => {
+    child.on('error', reject);
+    child.stdout.once('data', chunk => {
+      const url = `http://127.0.0.1:${String(chunk).trim()}`;
+      const requests = () => new Promise((done, fail) => {
+        http.get(`${url}/__requests`, res => {
+          let raw = '';
+          res.on('data', c => (raw += c));
+          res.on('end', () => done(JSON.parse(raw)));
+        }).on('error', fail);
+      });
+      resolve({ url, requests });
+    });
+  });
+}
+
+module.exports = { tempProject, writeFiles, git, gitRepository, setEnv, mockApi };
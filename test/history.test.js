@@ -0,0 +1,107 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { test } = require('node:test');
+
+const { computeTrends, readHistory, recordSnapshot, resolveSince } = require('../lib/history');
+const { git, gitRepository, tempProject } = require('./helpers');
+
+function snapshot(date, metrics) {
+  return { date, source: 'export', metrics };
+}
+
+test('resolves --since to a label and a cutoff date', () => {
+  assert.deepEqual(resolveSince(undefined), { label: 'last snapshot', date: null });
+  assert.deepEqual(resolveSince('last'), { label: 'last snapshot', date: null });
+  assert.deepEqual(resolveSince('2026-01-15'), { label: '2026-01-15', date: new Date('2026-01-15') });
+
+  const days = resolveSince('30d');
+  assert.equal(days.label, '30 days');
+  assert.ok(Math.abs(days.date.getTime() - (Date.now() - 30 * 86400000)) < 5000);
+
+  assert.throws(() => resolveSince('last week'), err => err.code === 'QC_INVALID_SINCE');
+});
+
+test('resolves --since release to the date of the latest tag', t => {
+  const cwd = gitRepository(t, { 'a.js': 'a\n' });
+  assert.throws(() => resolveSince('release', cwd), err => err.code === 'QC_NO_RELEASE');
+
+  git(cwd, 'tag', 'v1.0.0');
+  const since = resolveSince('release', cwd);
+  assert.equal(since.label, 'release v1.0.0');
+  assert.deepEqual(since.date, new Date(git(cwd, 'log', '-1', '--format=%cI', 'v1.0.0').trim()));
+});
+
+test('never runs a tag name as shell code', t => {
+  const cwd = gitRepository(t, { 'a.js': 'a\n' });
+  const tag = 'v2$(touch${IFS}pwned)`touch${IFS}pwned`';
+  git(cwd, 'tag', tag);
+  assert.equal(resolveSince('release', cwd).label, `release ${tag}`);
+  assert.equal(fs.existsSync(path.join(cwd, 'pwned')), false);
+});
+
+test('reads snapshots in date order, skipping malformed lines', t => {
+  const cwd = tempProject(t, {
+    'history.jsonl': [
+      JSON.stringify(snapshot('2026-03-01T00:00:00.000Z', { bugs: 2 })),
+      '<<<<<<< HEAD',
+      JSON.stringify({ date: '2026-02-01T00:00:00.000Z' }),
+      JSON.stringify(snapshot('2026-01-01T00:00:00.000Z', { bugs: 5 })),
+      '',
+    ].join('\n'),
+  });
+  assert.deepEqual(readHistory(path.join(cwd, 'history.jsonl')).map(s => s.metrics.bugs), [5, 2]);
+  assert.deepEqual(readHistory(path.join(cwd, 'missing.jsonl')), []);
+});
+
+test('records snapshots in the configured file unless history is disabled', t => {
+  const cwd = tempProject(t);
+  const entry = snapshot('2026-01-01T00:00:00.000Z', { bugs: 1 });
+  assert.equal(recordSnapshot(cwd, { history: { enabled: false } }, entry), null);
+  assert.equal(fs.existsSync(path.join(cwd, 'quality/history.jsonl')), false);
+
+  recordSnapshot(cwd, { history: { file: 'quality/history.jsonl' } }, entry);
+  recordSnapshot(cwd, { history: { file: 'quality/history.jsonl' } }, entry);
+  assert.equal(readHistory(path.join(cwd, 'quality/history.jsonl')).length, 2);
+});
+
+test('compares the latest snapshot with the previous one by default', () => {
+  const history = [
+    snapshot('2026-01-01T00:00:00.000Z', { health: 70, bugs: 10, ncloc: 1000 }),
+    snapshot('2026-02-01T00:00:00.000Z', { health: 80, bugs: 4, ncloc: 1000 }),
+    snapshot('2026-03-01T00:00:00.000Z', { health: 75, bugs: 4, ncloc: 1200 }),
+  ];
+  assert.equal(computeTrends(history.slice(0, 1)), null);
+
+  const trends = computeTrends(history);
+  assert.equal(trends.since, 'last snapshot');
+  assert.equal(trends.snapshots, 2);
+  const byKey = Object.fromEntries(trends.metrics.map(m => [m.key, m]));
+  assert.deepEqual(Object.keys(byKey), ['health', 'bugs', 'ncloc']);
+  assert.equal(byKey.health.trend, 'worsened');
+  assert.equal(byKey.health.delta, -5);
+  assert.equal(byKey.bugs.trend, 'unchanged');
+  assert.equal(byKey.ncloc.trend, 'changed');
+});
+
+test('starts from the last snapshot before the --since cutoff', t => {
+  const cwd = gitRepository(t, { 'a.js': 'a\n' });
+  git(cwd, 'tag', 'v1.0.0');
+  const tagged = new Date(git(cwd, 'log', '-1', '--format=%cI', 'v1.0.0').trim()).getTime();
+  const at = offset => new Date(tagged + offset * 86400000).toISOString();
+  const history = [
+    snapshot(at(-20), { bugs: 10 }),
+    snapshot(at(-2), { bugs: 8 }),
+    snapshot(at(1), { bugs: 6 }),
+    snapshot(at(2), { bugs: 3 }),
+  ];
+
+  const release = computeTrends(history, { since: 'release', cwd });
+  assert.equal(release.since, 'release v1.0.0');
+  assert.equal(release.from, at(-2));
+  assert.deepEqual(release.metrics[0].series, [8, 6, 3]);
+  assert.equal(release.metrics[0].trend, 'improved');
+
+  // A cutoff before the first snapshot still compares two of them
+  assert.equal(computeTrends(history, { since: '2000-01-01', cwd }).from, at(-20));
+});
@@ -0,0 +1,81 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { test } = require('node:test');
+
+const { NotGitRepositoryError } = require('../lib/errors');
+const { installHook, runHook, uninstallHook } = require('../lib/hook');
+const { git, gitRepository, tempProject, writeFiles } = require('./helpers');
+
+// Assembled at runtime so this file holds no key the scanner would report
+const STRIPE_KEY = ['sk', 'live', 'abcdefexample1234567890XYZ'].join('_');
+
+function statuses(result) {
+  return result.actions.map(a => [a.action, a.skipped ? 'skip' : a.ok ? 'ok' : 'fail']);
+}
+
+test('installs the hooks with their actions and removes only its own', async t => {
+  const cwd = gitRepository(t, {
+    '.qualityconfigrc.json': { hook: { blocking: false, actions: { 'commit-msg': ['conventional'] } } },
+  });
+  const hooksDir = path.join(cwd, '.git', 'hooks');
+  fs.writeFileSync(path.join(hooksDir, 'pre-push'), '#!/bin/sh\necho other tool\n');
+
+  const installed = await installHook({ cwd, types: 'pre-commit,commit-msg' });
+  assert.deepEqual(installed.hooks.map(h => [h.hook, h.actions]), [['pre-commit', ['secrets', 'pii', 'lint']], ['commit-msg', ['conventional']]]);
+  assert.equal(installed.blocking, false);
+  const script = fs.readFileSync(path.join(hooksDir, 'commit-msg'), 'utf8');
+  assert.match(script, /npx quality-config hook run commit-msg "\$@"/);
+  assert.match(script, /hook is non-blocking/);
+  assert.equal(fs.statSync(path.join(hooksDir, 'pre-commit')).mode & 0o111, 0o111);
+
+  const removed = await uninstallHook({ cwd });
+  assert.deepEqual(removed.hooks.map(h => [h.hook, h.removed]), [['pre-commit', true], ['pre-push', false], ['commit-msg', true]]);
+  assert.ok(fs.existsSync(path.join(hooksDir, 'pre-push')));
+});
+
+test('rejects hooks without actions, misplaced actions and non-git directories', async t => {
+  const cwd = gitRepository(t);
+  await assert.rejects(installHook({ cwd, types: ['commit-msg'] }), { code: 'QC_NO_HOOK_ACTIONS' });
+  await assert.rejects(installHook({ cwd, types: ['post-merge'] }), { code: 'QC_UNKNOWN_HOOK' });
+
+  writeFiles(cwd, { '.qualityconfigrc.json': { hook: { actions: { 'commit-msg': ['scan'] } } } });
+  await assert.rejects(installHook({ cwd, types: ['commit-msg'] }), { code: 'QC_INVALID_CONFIG' });
+
+  await assert.rejects(installHook({ cwd: tempProject(t) }), NotGitRepositoryError);
+});
+
+test('checks what the commit will hold, not the working copy', async t => {
+  const cwd = gitRepository(t, { 'README.md': '# shop\n' });
+  writeFiles(cwd, { 'src/pay.js': `const key = "${STRIPE_KEY}";\n`, 'src/user.js': 'const cpf = "529.982.247-25";\n' });
+  git(cwd, 'add', 'src');
+  writeFiles(cwd, { 'src/user.js': 'const cpf = process.env.CPF;\n' });
+
+  const lines = [];
+  const result = await runHook({ cwd, type: 'pre-commit', log: line => lines.push(line) });
+  assert.equal(result.ok, false);
+  // No linter is installed in the project
+  assert.deepEqual(statuses(result), [['secrets', 'fail'], ['pii', 'fail'], ['lint', 'skip']]);
+  assert.ok(lines.includes('  [fail] src/user.js:1: CPF value 529.***.***-25'));
+
+  git(cwd, 'add', 'src/user.js');
+  git(cwd, 'rm', '-q', '--cached', 'src/pay.js');
+  assert.deepEqual(statuses(await runHook({ cwd, type: 'pre-commit' })), [['secrets', 'ok'], ['pii', 'ok'], ['lint', 'skip']]);
+});
+
+test('checks the commit message against the convention or the configured pattern', async t => {
+  const cwd = gitRepository(t, { '.qualityconfigrc.json': { hook: { actions: { 'commit-msg': ['conventional'] } } } });
+  const check = async message => {
+    fs.writeFileSync(path.join(cwd, '.git', 'COMMIT_EDITMSG'), message);
+    return statuses(await runHook({ cwd, type: 'commit-msg', args: ['.git/COMMIT_EDITMSG'] }))[0][1];
+  };
+
+  assert.equal(await check('# Please enter the commit message\nfeat(cart): add coupons\n'), 'ok');
+  assert.equal(await check('fix!: drop the legacy API\n'), 'ok');
+  assert.equal(await check('Added coupons\n'), 'fail');
+  assert.equal(await check('Merge branch \'main\' into feature\n'), 'skip');
+
+  writeFiles(cwd, { '.qualityconfigrc.json': { hook: { commitPattern: '^[A-Z]+-\\d+ ', actions: { 'commit-msg': ['conventional'] } } } });
+  assert.equal(await check('SHOP-12 Add coupons\n'), 'ok');
+  assert.equal(await check('feat: add coupons\n'), 'fail');
+});
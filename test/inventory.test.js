@@ -0,0 +1,77 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { test } = require('node:test');
+
+const { detectRoutes, generateInventory } = require('../lib/inventory');
+const { tempProject } = require('./helpers');
+
+const USERS_ROUTE = [
+  "const express = require('express');",
+  "const Stripe = require('stripe');",
+  'const router = express.Router();',
+  '',
+  "router.post('/users', async (req, res) => {",
+  "  await fetch('https://hooks.partner.io/users', { method: 'POST' });",
+  "  await fetch('http://localhost:3000/internal');",
+  '  res.json({ email: req.body.email, healthCondition: req.body.healthCondition });',
+  '});',
+].join('\n');
+
+function routes(file, lines) {
+  return detectRoutes(file, lines.join('\n')).map(r => `${r.method} ${r.path} :${r.line}`);
+}
+
+test('detects routes of Express, NestJS, FastAPI, Django and Next.js', () => {
+  assert.deepEqual(routes('src/app.js', ["app.get('/health', h);", "apiRouter.all('/proxy', p);"]), ['GET /health :1', 'ANY /proxy :2']);
+  assert.deepEqual(routes('src/users.controller.ts', ["@Controller('users')", 'export class Users {', '  @Get()', "  @Post(':id/consent')"]), [
+    'GET /users :3',
+    'POST /users/:id/consent :4',
+  ]);
+  assert.deepEqual(routes('app/main.py', ['@app.post("/patients")', '@router.api_route("/sync")']), ['POST /patients :1', 'ANY /sync :2']);
+  assert.deepEqual(routes('shop/urls.py', ["urlpatterns = [path('orders/', views.orders)]"]), ['ANY /orders :1']);
+  assert.deepEqual(routes('src/app/(shop)/api/orders/route.ts', ['export async function GET() {}', 'export const POST = handler;']), [
+    'GET /api/orders :1',
+    'POST /api/orders :1',
+  ]);
+  assert.deepEqual(routes('pages/api/users/index.js', ['export default handler;']), ['ANY /api/users :1']);
+});
+
+test('builds the record of processing activities from the code', async t => {
+  const cwd = tempProject(t, { 'src/users.js': USERS_ROUTE });
+  const result = await generateInventory({ cwd, formats: 'json,md' });
+
+  assert.deepEqual(result.added.sort(), ['email', 'health']);
+  const health = result.ropa.categories.find(c => c.id === 'health');
+  assert.equal(health.sensitivity, 'sensitive');
+  assert.deepEqual(health.collection, [{ method: 'POST', path: '/users', file: 'src/users.js', line: 5 }]);
+  assert.deepEqual(health.processors.map(p => p.id), ['stripe', 'hooks.partner.io']);
+  assert.deepEqual(result.ropa.processors.map(p => [p.id, p.via]), [
+    ['stripe', ['import stripe']],
+    ['hooks.partner.io', ['HTTP hooks.partner.io']],
+  ]);
+  assert.ok(result.ropa.warnings.includes('hooks.partner.io: unknown external recipient, review what it receives'));
+  assert.deepEqual(result.files.map(f => f.format), ['json', 'md']);
+  assert.match(fs.readFileSync(result.files[1].file, 'utf8'), /\| Health data \| sensitive \(Art\. 5 II \/ Art\. 11\) \|/);
+});
+
+test('keeps the answers of the details file and checks the legal bases', async t => {
+  const cwd = tempProject(t, { 'src/users.js': USERS_ROUTE });
+  const { detailsFile } = await generateInventory({ cwd, formats: 'json' });
+  const details = JSON.parse(fs.readFileSync(detailsFile, 'utf8'));
+  assert.deepEqual(Object.keys(details.categories).sort(), ['email', 'health']);
+
+  details.categories.email.legalBasis = 'contract';
+  details.categories.health.legalBasis = 'legitimate-interest';
+  fs.writeFileSync(detailsFile, JSON.stringify(details));
+  const { added, ropa } = await generateInventory({ cwd, formats: 'json' });
+
+  assert.deepEqual(added, []);
+  assert.equal(ropa.categories.find(c => c.id === 'email').legalBasis, 'contract');
+  assert.deepEqual(ropa.warnings.filter(w => !w.includes('unknown external recipient')), [
+    'Health data: "legitimate-interest" is not a legal basis for sensitive data (Art. 11)',
+  ]);
+});
+
+test('rejects unknown output formats', async t => {
+  await assert.rejects(generateInventory({ cwd: tempProject(t), formats: 'json,pdf' }), err => err.code === 'QC_UNKNOWN_FORMAT');
+});
@@ -0,0 +1,97 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { test } = require('node:test');
+
+const { buildChecklist, isAttested } = require('../lib/lgpd');
+const { generateLgpdReport, linkCheck } = require('../lib/lgpd-report');
+const { setEnv, tempProject } = require('./helpers');
+
+const RULESET = {
+  rules: [{ key: 'javascript:S2068', name: 'Hard-coded credentials' }],
+  custom_rules: [{ key: 'lgpd:cpf-in-log' }],
+  checks: [
+    { id: 'hardcoded-secrets', label: 'No hardcoded credentials', item: 'secrets' },
+    { id: 'pii-logs', label: 'No personal data in logs', item: 'logging' },
+    { id: 'team-rule', label: 'Team rule' },
+  ],
+  lgpd_compliance_checklist: { extra: ['Explicit consent', 'Vendor contracts reviewed'] },
+};
+
+function items(checklist) {
+  return Object.fromEntries(checklist.flatMap(s => s.items).map(i => [i.id, i]));
+}
+
+test('verifies items from the ruleset checks and takes the rest from the answers', () => {
+  const lgpd = {
+    checks: [
+      { id: 'hardcoded-secrets', label: 'No hardcoded credentials', check: true },
+      { id: 'pii-logs', label: 'No personal data in logs', check: false },
+      { id: 'team-rule', label: 'Team rule', check: true },
+    ],
+  };
+  const answers = { 'dpo-designated': { status: 'yes', answeredBy: 'Ana', evidence: 'docs/dpo.md' }, 'backups': { status: 'no' } };
+  const checklist = buildChecklist({ lgpd, ruleset: RULESET, answers });
+  const byId = items(checklist);
+
+  assert.equal(byId.secrets.status, 'pass');
+  assert.equal(byId.logging.status, 'fail');
+  assert.deepEqual(byId['dpo-designated'], {
+    id: 'dpo-designated', label: 'DPO designated', type: 'manual', status: 'yes', note: '', evidence: ['docs/dpo.md'], answeredBy: 'Ana', date: '',
+  });
+  assert.equal(isAttested(byId['dpo-designated']), true);
+  assert.equal(isAttested(byId.backups), false);
+  assert.equal(byId['privacy-policy'].status, 'pending');
+
+  // Checklist entries and checks no built-in item covers get sections of their own
+  assert.deepEqual(checklist.slice(-2).map(s => [s.title, s.items.map(i => i.id)]), [
+    ['Ruleset checklist', ['vendor-contracts-reviewed']],
+    ['Ruleset checks', ['team-rule']],
+  ]);
+  assert.equal(byId['team-rule'].status, 'pass');
+});
+
+test('marks automated items unverified without SonarQube data', () => {
+  const byId = items(buildChecklist({ ruleset: RULESET }));
+  assert.equal(byId.secrets.status, 'unverified');
+  assert.deepEqual(byId.secrets.checks, [{ id: 'hardcoded-secrets', label: 'No hardcoded credentials', item: 'secrets' }]);
+});
+
+test('links evidence to SonarQube issues, and custom rule matches to the file', () => {
+  const check = {
+    id: 'pii-logs',
+    label: 'No personal data in logs',
+    check: false,
+    rules: ['javascript:S2068', 'lgpd:cpf-in-log'],
+    evidence: [
+      { key: 'lgpd:cpf-in-log:src/b.js:4', rule: 'lgpd:cpf-in-log', component: 'my app:src/b.js', line: 4, custom: true },
+      { key: 'AX1', rule: 'javascript:S2068', component: 'my app:src/a.js', line: 9 },
+    ],
+  };
+  const linked = linkCheck(check, { sonarUrl: 'https://sonar.example.com', projectKey: 'my app', ruleset: RULESET });
+  assert.equal(linked.rulesUrl, 'https://sonar.example.com/project/issues?id=my%20app&resolved=false&rules=javascript%3AS2068');
+  assert.deepEqual(linked.evidence.map(e => [e.component, e.url]), [
+    ['src/a.js', 'https://sonar.example.com/project/issues?id=my%20app&open=AX1'],
+    ['src/b.js', '../../src/b.js#L4'],
+  ]);
+});
+
+test('writes the report and an answers template without a server', async t => {
+  setEnv(t, { SONAR_HOST_URL: 'http://127.0.0.1:1', SONAR_TOKEN: 'token', SONAR_ORGANIZATION: undefined });
+  const cwd = tempProject(t, { 'package.json': { name: 'shop' } });
+
+  const first = await generateLgpdReport({ cwd });
+  assert.equal(first.answersCreated, true);
+  assert.equal(first.summary.automated.unverified, first.summary.automated.total);
+  assert.equal(first.summary.manual.attested, 0);
+  const answers = JSON.parse(fs.readFileSync(first.answersFile, 'utf8'));
+  assert.deepEqual(answers['dpo-designated'], { question: 'DPO designated', status: 'pending', note: '', evidence: [], answeredBy: '', date: '' });
+  assert.match(fs.readFileSync(first.file, 'utf8'), /- not verified: /);
+
+  answers['dpo-designated'].status = 'yes';
+  answers['backups'].status = 'n/a';
+  fs.writeFileSync(first.answersFile, JSON.stringify(answers));
+  const second = await generateLgpdReport({ cwd });
+  assert.equal(second.answersCreated, false);
+  assert.equal(second.summary.manual.attested, 2);
+  assert.equal(JSON.parse(fs.readFileSync(second.jsonFile, 'utf8')).summary.manual.attested, 2);
+});
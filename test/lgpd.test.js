@@ -0,0 +1,119 @@
+const assert = require('node:assert/strict');
+const path = require('path');
+const { test } = require('node:test');
+
+const { ConfigError } = require('../lib/errors');
+const { evaluateLgpd, loadRuleset, runCustomRules } = require('../lib/lgpd');
+const { tempProject } = require('./helpers');
+
+const CPF_IN_LOGS = { key: 'custom:cpf-in-logs', name: 'CPF in logs', pattern: 'console\\.log\\(.*cpf', flags: 'i', check: 'logs-without-pii' };
+
+function checkIds(ruleset) {
+  return ruleset.checks.map(c => c.id);
+}
+
+test('loads the bundled base checks when the project has no ruleset', t => {
+  const ruleset = loadRuleset(path.join(tempProject(t), '.sonarqube-lgpd-rules.json'));
+  assert.ok(checkIds(ruleset).includes('no-hardcoded-secrets'));
+  assert.deepEqual(ruleset.rules, []);
+  const https = ruleset.checks.find(c => c.id === 'https');
+  assert.equal(https.weight, 1);
+  assert.ok(https.frameworks.lgpd.length > 0);
+});
+
+test('merges extended rulesets with the project rules, overrides and custom rules', t => {
+  const cwd = tempProject(t, {
+    'rules/team.json': {
+      extends: '@olympio/quality-config/lgpd-js',
+      articles: { 'Art. 99': 'Team policy' },
+      checks: [{ id: 'team-policy', label: 'Team policy', article: 'Art. 99', weight: 2, rules: ['S9999'] }],
+    },
+    '.sonarqube-lgpd-rules.json': {
+      extends: ['./rules/team.json'],
+      rules: [{ key: 'javascript:S9999', name: 'Team rule' }, { key: 'javascript:S1234', name: 'Loose rule', lgpd_article: 'Art. 6' }],
+      custom_rules: [CPF_IN_LOGS],
+      checks: [{ id: 'https', weight: 3 }, { id: 'safe-regex', enabled: false }],
+    },
+  });
+  const ruleset = loadRuleset(path.join(cwd, '.sonarqube-lgpd-rules.json'));
+  const byId = Object.fromEntries(ruleset.checks.map(c => [c.id, c]));
+
+  assert.equal(ruleset.articles['Art. 99'], 'Team policy');
+  assert.ok(ruleset.rules.some(r => r.key === 'typescript:S2068'));
+  assert.equal(byId.https.weight, 3);
+  assert.deepEqual(byId.https.rules, ['S5332']);
+  assert.equal(byId['safe-regex'], undefined);
+  assert.equal(byId['team-policy'].weight, 2);
+  assert.deepEqual(byId['team-policy'].frameworks.lgpd, ['Art. 99']);
+  assert.ok(byId['logs-without-pii'].rules.includes('custom:cpf-in-logs'));
+  // A rule no check covers becomes a check of its own
+  assert.deepEqual(byId['javascript:S1234'], {
+    id: 'javascript:S1234', label: 'Loose rule', article: 'Art. 6', frameworks: { lgpd: ['Art. 6'] }, weight: 1, rules: ['javascript:S1234'], repositories: [],
+  });
+});
+
+test('rejects broken rulesets with a config error', t => {
+  const load = files => {
+    const cwd = tempProject(t, files);
+    return () => loadRuleset(path.join(cwd, '.sonarqube-lgpd-rules.json'));
+  };
+  assert.throws(load({ '.sonarqube-lgpd-rules.json': { extends: './a.json' }, 'a.json': { extends: './.sonarqube-lgpd-rules.json' } }), /Circular "extends"/);
+  assert.throws(load({ '.sonarqube-lgpd-rules.json': { extends: 'lgpd-unknown' } }), /Cannot resolve "extends": "lgpd-unknown"/);
+  assert.throws(load({ '.sonarqube-lgpd-rules.json': { custom_rules: [{ key: 'custom:bad', pattern: '(' }] } }), /Invalid pattern in custom rule custom:bad/);
+  assert.throws(load({ '.sonarqube-lgpd-rules.json': { rules: [{ key: 'js:S1', check: 'nope' }] } }), err => {
+    assert.ok(err instanceof ConfigError);
+    assert.equal(err.message, 'Rule js:S1 refers to unknown check "nope"');
+    return true;
+  });
+});
+
+test('runs custom rules over the sources as local issues', t => {
+  const cwd = tempProject(t, {
+    'src/user.js': 'const a = 1;\nconsole.log("CPF", user.cpf);\n',
+    'src/user.test.js': 'console.log(cpf);\n',
+    'docs/notes.md': 'console.log(cpf)\n',
+  });
+  const issues = runCustomRules(cwd, { custom_rules: [{ ...CPF_IN_LOGS, exclude: ['**/*.test.js'], message: 'Remove the CPF' }] }, 'app');
+  assert.deepEqual(issues, [{
+    key: 'custom:cpf-in-logs:src/user.js:2',
+    rule: 'custom:cpf-in-logs',
+    severity: 'MAJOR',
+    type: 'VULNERABILITY',
+    component: 'app:src/user.js',
+    line: 2,
+    message: 'Remove the CPF',
+    custom: true,
+  }]);
+  assert.equal(runCustomRules(cwd, { custom_rules: [{ ...CPF_IN_LOGS, files: ['docs/**'] }] }, 'app').length, 1);
+});
+
+test('scores the weighted share of passing checks', t => {
+  const cwd = tempProject(t, {
+    '.sonarqube-lgpd-rules.json': {
+      articles: { 'Art. 46': 'Information security' },
+      rules: [{ key: 'javascript:S2068', name: 'Hard-coded credentials', lgpd_article: 'Art. 46' }],
+      checks: [
+        { id: 'secrets', label: 'No secrets', article: 'Art. 46', weight: 3, rules: ['S2068'], repositories: ['secrets'] },
+        { id: 'https', rules: ['S5332'] },
+        { id: 'deps-critical', dependencies: 'critical' },
+      ],
+    },
+  });
+  const ruleset = loadRuleset(path.join(cwd, '.sonarqube-lgpd-rules.json'));
+  const issues = [
+    { key: 'I1', rule: 'typescript:S2068', component: 'app:src/a.ts', line: 4, message: 'Password' },
+    { key: 'I2', rule: 'secrets:S6290', component: 'app:.env', line: 1 },
+    { key: 'I3', rule: 'javascript:S1481', component: 'app:src/b.js', line: 2 },
+  ];
+  const lgpd = evaluateLgpd({ ruleset, issues, vulnerabilities: { critical: 0, high: 2 } });
+
+  assert.deepEqual(lgpd.checks.map(c => [c.id, c.check]), [['secrets', false], ['https', true], ['deps-critical', true]]);
+  assert.equal(lgpd.checks[0].article, 'Art. 46 - Information security');
+  assert.deepEqual(lgpd.checks[0].evidence.map(e => e.key), ['I1', 'I2']);
+  assert.equal(lgpd.passed, 2);
+  assert.equal(lgpd.score, 40);
+  // Issues of LGPD rules match across languages by rule suffix
+  assert.deepEqual(lgpd.issues.map(i => [i.key, i.lgpdArticle, i.lgpdName]), [['I1', 'Art. 46 - Information security', 'Hard-coded credentials']]);
+
+  assert.equal(evaluateLgpd({ ruleset, issues: [], vulnerabilities: { critical: 1 } }).score, 80);
+});
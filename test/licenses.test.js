@@ -0,0 +1,69 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { normalizeLicense, scanLicenses } = require('../lib/licenses');
+const { tempProject } = require('./helpers');
+
+test('normalizes SPDX expressions', () => {
+  assert.equal(normalizeLicense('MIT'), 'MIT');
+  assert.equal(normalizeLicense('(MIT OR Apache-2.0)'), 'MIT OR Apache-2.0');
+  assert.equal(normalizeLicense('MIT AND (BSD-3-Clause OR ISC)'), 'MIT AND (BSD-3-Clause OR ISC)');
+  assert.equal(normalizeLicense('GPL-2.0 WITH Classpath-exception-2.0'), 'GPL-2.0-only WITH Classpath-exception-2.0');
+});
+
+test('spells out the deprecated GNU ids', () => {
+  assert.equal(normalizeLicense('GPL-2.0+'), 'GPL-2.0-or-later');
+  assert.equal(normalizeLicense('LGPL-3.0'), 'LGPL-3.0-only');
+  assert.equal(normalizeLicense('agpl-3.0'), 'AGPL-3.0-only');
+});
+
+test('maps common spellings and license texts to SPDX ids', () => {
+  assert.equal(normalizeLicense('Apache License, Version 2.0'), 'Apache-2.0');
+  assert.equal(normalizeLicense('The MIT License'), 'MIT');
+  assert.equal(normalizeLicense('GNU General Public License v3 (GPLv3)'), 'GPL-3.0-only');
+  assert.equal(normalizeLicense(`Copyright (c) 2024\n\n${'Permission is hereby granted, free of charge, to any person '.repeat(3)}`), 'MIT');
+});
+
+test('returns null for missing or unreadable licenses', () => {
+  for (const declared of [undefined, '', 'UNKNOWN', 'NOASSERTION', 'SEE LICENSE IN LICENSE.md', 'MIT OR', '(MIT', 'MIT AND AND ISC']) {
+    assert.equal(normalizeLicense(declared), null, String(declared));
+  }
+});
+
+function lockProject(t, licenses, config) {
+  const packages = { '': { name: 'app', version: '1.0.0' } };
+  for (const [name, license] of Object.entries(licenses)) {
+    packages[`node_modules/${name}`] = { version: '1.0.0', license };
+  }
+  return tempProject(t, {
+    'package.json': { name: 'app', version: '1.0.0', dependencies: Object.fromEntries(Object.keys(licenses).map(n => [n, '1.0.0'])) },
+    'package-lock.json': { name: 'app', lockfileVersion: 3, packages },
+    ...(config && { '.qualityconfigrc.json': config }),
+  });
+}
+
+function statuses(result) {
+  return Object.fromEntries(result.packages.map(p => [p.name, p.status]));
+}
+
+test('evaluates OR as any acceptable choice and AND as every part', t => {
+  const cwd = lockProject(t, {
+    dual: 'GPL-3.0 OR MIT',
+    both: 'MIT AND GPL-3.0',
+    plain: 'ISC',
+    custom: 'LicenseRef-Acme',
+    none: 'UNKNOWN',
+  });
+  const result = scanLicenses({ cwd, offline: true });
+  assert.deepEqual(statuses(result), { both: 'denied', custom: 'unknown', dual: 'allowed', none: 'unknown', plain: 'allowed' });
+  assert.deepEqual(result.violations.map(p => p.name), ['both']);
+});
+
+test('an allow list denies everything else, except listed packages', t => {
+  const cwd = lockProject(t, { a: 'MIT', b: 'Apache-2.0', c: 'GPL-2.0 WITH Classpath-exception-2.0', d: 'BSD-2-Clause' }, {
+    licenses: { allow: ['MIT', 'GPL-2.0-only WITH Classpath-exception-2.0'], exceptions: ['d@1.0.0'], unknown: 'deny' },
+  });
+  const result = scanLicenses({ cwd, offline: true });
+  assert.deepEqual(statuses(result), { a: 'allowed', b: 'denied', c: 'allowed', d: 'excepted' });
+  assert.equal(result.ok, false);
+});
@@ -0,0 +1,25 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { compareSemver, satisfies } = require('../lib/node-deps');
+
+test('orders versions by semver precedence', () => {
+  assert.equal(compareSemver('1.2.3', '1.10.0'), -1);
+  assert.equal(compareSemver('v2.0.0', '2.0'), 0);
+  assert.equal(compareSemver('1.0.0-alpha', '1.0.0'), -1);
+  assert.equal(compareSemver('1.0.0-alpha.2', '1.0.0-alpha.10'), -1);
+  assert.equal(compareSemver('1.0.0-alpha.beta', '1.0.0-alpha.1'), 1);
+  assert.equal(compareSemver('1.0.0+build.1', '1.0.0'), 0);
+  assert.equal(compareSemver('latest', '1.0.0'), null);
+});
+
+test('matches advisory ranges', () => {
+  const range = '>=2.0.0 <2.3.1 || <1.4.2';
+  assert.equal(satisfies('2.3.0', range), true);
+  assert.equal(satisfies('1.4.1', range), true);
+  assert.equal(satisfies('1.5.0', range), false);
+  assert.equal(satisfies('2.3.1', range), false);
+  assert.equal(satisfies('1.0.0', '>= 1.0.0'), true);
+  assert.equal(satisfies('1.0.0', '*'), true);
+  assert.equal(satisfies('not-a-version', '<2.0.0'), false);
+});
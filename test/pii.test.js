@@ -0,0 +1,46 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { classifyIdentifier, scanPii } = require('../lib/pii');
+const { tempProject } = require('./helpers');
+
+function literals(t, source) {
+  const cwd = tempProject(t, { 'src/data.js': source });
+  return scanPii({ cwd }).findings.filter(f => f.kind === 'literal');
+}
+
+test('reports CPFs with valid check digits, masked', t => {
+  const found = literals(t, 'const a = "529.982.247-25";\nconst b = "52998224725";\n');
+  assert.deepEqual(found.map(f => [f.category, f.line, f.name]), [
+    ['cpf', 1, '529.***.***-25'],
+    ['cpf', 2, '529******25'],
+  ]);
+});
+
+test('ignores CPFs with wrong check digits or repeated digits', t => {
+  assert.deepEqual(literals(t, 'const a = "529.982.247-26";\nconst b = "111.111.111-11";\nconst id = 52998224735;\n'), []);
+});
+
+test('reports CNPJs with valid check digits only', t => {
+  const found = literals(t, 'const a = "11.222.333/0001-81";\nconst b = "11.222.333/0001-82";\nconst c = "00000000000000";\n');
+  assert.deepEqual(found.map(f => [f.category, f.line]), [['cnpj', 1]]);
+});
+
+test('does not take digits inside longer numbers for documents', t => {
+  assert.deepEqual(literals(t, 'const ts = "1529.982.247-25";\nconst v = "529.982.247-25.1";\n'), []);
+});
+
+test('classifies identifiers by their words', () => {
+  assert.equal(classifyIdentifier('customerCpf').id, 'cpf');
+  assert.equal(classifyIdentifier('user_email_address').id, 'email');
+  assert.equal(classifyIdentifier('bloodType').id, 'health');
+  assert.equal(classifyIdentifier('raceCondition'), null);
+  assert.equal(classifyIdentifier('description'), null);
+});
+
+test('reads the content through `read` when given', t => {
+  const cwd = tempProject(t, { 'src/data.js': 'const ok = 1;\n' });
+  const result = scanPii({ cwd, files: ['src/data.js', 'src/gone.js'], read: () => 'const cpf = "529.982.247-25";\n' });
+  assert.equal(result.files, 2);
+  assert.equal(result.findings.filter(f => f.kind === 'literal').length, 2);
+});
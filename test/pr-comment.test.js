@@ -0,0 +1,102 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { QualityConfigError } = require('../lib/errors');
+const { COMMENT_MARKER, postPrComment } = require('../lib/pr-comment');
+const { mockApi, tempProject } = require('./helpers');
+
+const REPORT = {
+  project: { name: 'app', key: 'app', sonarUrl: 'http://localhost:9000' },
+  metrics: {},
+  qualityGate: { status: 'OK', conditions: [] },
+  health: { score: 90 },
+  lgpd: { score: 100, passed: 1, checks: [{ id: 'privacy-policy', label: 'Privacy policy', check: true }] },
+  dependencies: { vulnerabilities: { critical: 0, high: 0, moderate: 0, low: 0 }, advisories: [] },
+  issues: [],
+};
+
+function comment(t, options) {
+  const cwd = tempProject(t, { 'report.json': REPORT });
+  return postPrComment({ cwd, report: 'report.json', base: 'report.json', changedSince: false, env: {}, ...options });
+}
+
+const others = count => Array.from({ length: count }, (_, i) => ({ id: i + 1, body: `comment ${i + 1}` }));
+
+test('updates the GitHub comment carrying the marker, across pages', async t => {
+  const api = await mockApi(t, 'mock-comments-api', { comments: [...others(100), { id: 4242, body: `${COMMENT_MARKER}\nold summary` }] });
+  const result = await comment(t, { provider: 'github', repo: 'acme/app', pr: '7', token: 'gh-token', apiUrl: api.url });
+
+  assert.equal(result.action, 'updated');
+  assert.equal(result.id, 4242);
+  assert.equal(result.url, 'http://localhost/comment/4242');
+  const requests = await api.requests();
+  assert.deepEqual(requests.map(r => `${r.method} ${r.url}`), [
+    'GET /repos/acme/app/issues/7/comments?per_page=100&page=1',
+    'GET /repos/acme/app/issues/7/comments?per_page=100&page=2',
+    'PATCH /repos/acme/app/issues/comments/4242',
+  ]);
+  assert.equal(requests[2].headers.authorization, 'Bearer gh-token');
+  assert.ok(requests[2].body.startsWith(`${COMMENT_MARKER}\n## Quality report: app`));
+});
+
+test('updates the GitLab note carrying the marker', async t => {
+  const api = await mockApi(t, 'mock-comments-api', { comments: [{ id: 5, body: 'LGTM' }, { id: 99, body: `${COMMENT_MARKER}\nold summary` }] });
+  const result = await comment(t, { provider: 'gitlab', repo: 'group/app', pr: '12', token: 'gl-token', apiUrl: api.url });
+
+  assert.equal(result.action, 'updated');
+  assert.equal(result.url, null);
+  const requests = await api.requests();
+  assert.deepEqual(requests.map(r => `${r.method} ${r.url}`), [
+    'GET /projects/group%2Fapp/merge_requests/12/notes?per_page=100&page=1&sort=asc',
+    'PUT /projects/group%2Fapp/merge_requests/12/notes/99',
+  ]);
+  assert.equal(requests[1].headers['private-token'], 'gl-token');
+  assert.match(requests[1].body, /Quality gate:\*\* PASSED/);
+});
+
+test('creates the comment when there is none yet', async t => {
+  for (const [provider, repo, create] of [
+    ['github', 'acme/app', 'POST /repos/acme/app/issues/3/comments'],
+    ['gitlab', '42', 'POST /projects/42/merge_requests/3/notes'],
+  ]) {
+    const api = await mockApi(t, 'mock-comments-api', { comments: others(2) });
+    const result = await comment(t, { provider, repo, pr: '3', token: 'token', apiUrl: api.url });
+    assert.equal(result.action, 'created');
+    assert.equal(result.id, 1000);
+    const requests = await api.requests();
+    assert.equal(`${requests[1].method} ${requests[1].url}`, create);
+    assert.ok(requests[1].body.startsWith(COMMENT_MARKER));
+  }
+});
+
+test('reads the pull request from the GitHub Actions variables', async t => {
+  const api = await mockApi(t, 'mock-comments-api', { comments: [] });
+  const env = { GITHUB_API_URL: api.url, GITHUB_REPOSITORY: 'acme/app', GITHUB_REF: 'refs/pull/15/merge', GITHUB_TOKEN: 'ci-token' };
+  const result = await comment(t, { env });
+  assert.equal(result.provider, 'github');
+  assert.equal((await api.requests())[1].url, '/repos/acme/app/issues/15/comments');
+});
+
+test('fails with the API status and a permission hint', async t => {
+  const api = await mockApi(t, 'mock-comments-api', { status: 403 });
+  await assert.rejects(comment(t, { provider: 'github', repo: 'acme/app', pr: '7', token: 'read-only', apiUrl: api.url }), err => {
+    assert.ok(err instanceof QualityConfigError);
+    assert.equal(err.code, 'QC_PR_COMMENT_FAILED');
+    assert.equal(err.message, 'GitHub API returned 403: Resource not accessible by integration.');
+    assert.match(err.hint, /pull-requests: write/);
+    return true;
+  });
+});
+
+test('fails when the API is unreachable or the pull request is unknown', async t => {
+  await assert.rejects(comment(t, { provider: 'gitlab', repo: '42', pr: '3', token: 'token', apiUrl: 'http://127.0.0.1:9' }), err => {
+    assert.equal(err.code, 'QC_PR_COMMENT_FAILED');
+    assert.match(err.message, /^Could not reach http:\/\/127\.0\.0\.1:9/);
+    return true;
+  });
+  await assert.rejects(comment(t, { provider: 'github', token: 'token' }), err => {
+    assert.equal(err.code, 'QC_PR_CONTEXT_MISSING');
+    assert.match(err.message, /repo, number/);
+    return true;
+  });
+});
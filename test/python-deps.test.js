@@ -0,0 +1,124 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { parseRequirement, parseToml, readPythonDependencies } = require('../lib/python-deps');
+const { tempProject } = require('./helpers');
+
+function byName(result) {
+  return Object.fromEntries(result.packages.map(p => [p.name, { version: p.version, dev: p.dev, dependencies: p.dependencies }]));
+}
+
+test('parses PEP 508 requirements', () => {
+  assert.deepEqual(parseRequirement('Django[bcrypt]==4.2.1 ; python_version > "3.8"'), { name: 'django', version: '4.2.1' });
+  assert.deepEqual(parseRequirement('Flask_Login===0.6.3'), { name: 'flask-login', version: '0.6.3' });
+  assert.deepEqual(parseRequirement('requests>=2,<3'), { name: 'requests', version: null });
+  assert.deepEqual(parseRequirement('pkg==1.*'), { name: 'pkg', version: null });
+});
+
+test('parses TOML tables, arrays of tables and multi-line values', () => {
+  const { tables, arrays } = parseToml(`
+[project]
+name = "app"
+dependencies = [
+  "fastapi>=0.110",
+  "pydantic==2.6.0",
+]
+
+[[package]]
+name = "a"
+
+[package.dependencies]
+b = ">=1"
+
+[[package]]
+name = "b"
+`);
+  assert.equal(tables.project.name, '"app"');
+  assert.match(tables.project.dependencies, /"fastapi>=0\.110",\s+"pydantic==2\.6\.0"/);
+  assert.deepEqual(arrays.package.map(p => p.name), ['"a"', '"b"']);
+  assert.deepEqual(arrays.package[0].dependencies, { b: '">=1"' });
+});
+
+test('reads poetry.lock with groups from pyproject.toml', t => {
+  const cwd = tempProject(t, {
+    'pyproject.toml': '[tool.poetry.dependencies]\npython = "^3.11"\nrequests = "^2.31"\n\n[tool.poetry.group.dev.dependencies]\npytest = "^8.0"\n',
+    'poetry.lock': `[[package]]
+name = "requests"
+version = "2.31.0"
+files = [
+    {file = "requests-2.31.0.tar.gz", hash = "sha256:aaaa"},
+]
+
+[package.dependencies]
+urllib3 = ">=1.21.1,<3"
+
+[[package]]
+name = "urllib3"
+version = "2.2.1"
+
+[[package]]
+name = "pytest"
+version = "8.0.0"
+`,
+  });
+  const result = readPythonDependencies(cwd);
+  assert.equal(result.source, 'poetry.lock');
+  assert.deepEqual(byName(result), {
+    requests: { version: '2.31.0', dev: false, dependencies: ['urllib3'] },
+    urllib3: { version: '2.2.1', dev: false, dependencies: [] },
+    pytest: { version: '8.0.0', dev: true, dependencies: [] },
+  });
+  assert.deepEqual(result.packages[0].hashes, ['sha256:aaaa']);
+});
+
+test('reads uv.lock dependencies and groups', t => {
+  const cwd = tempProject(t, {
+    'pyproject.toml': '[project]\nname = "app"\ndependencies = ["httpx"]\n',
+    'uv.lock': `version = 1
+
+[[package]]
+name = "app"
+version = "0.1.0"
+source = { editable = "." }
+
+[[package]]
+name = "httpx"
+version = "0.27.0"
+dependencies = [
+    { name = "anyio" },
+]
+
+[[package]]
+name = "anyio"
+version = "4.3.0"
+`,
+  });
+  const result = readPythonDependencies(cwd);
+  assert.deepEqual(byName(result), {
+    httpx: { version: '0.27.0', dev: false, dependencies: ['anyio'] },
+    anyio: { version: '4.3.0', dev: false, dependencies: [] },
+  });
+});
+
+test('reads Pipfile.lock sections', t => {
+  const cwd = tempProject(t, {
+    'Pipfile.lock': { default: { Flask: { version: '==3.0.2', hashes: ['sha256:bbbb'] } }, develop: { black: { version: '==24.2.0' } } },
+  });
+  assert.deepEqual(byName(readPythonDependencies(cwd)), {
+    flask: { version: '3.0.2', dev: false, dependencies: undefined },
+    black: { version: '24.2.0', dev: true, dependencies: undefined },
+  });
+});
+
+test('follows -r includes in requirements files', t => {
+  const cwd = tempProject(t, {
+    'requirements.txt': '-r requirements/base.txt\ngunicorn==21.2.0\n',
+    'requirements/base.txt': 'Django==5.0.2\n',
+  });
+  const result = readPythonDependencies(cwd);
+  assert.deepEqual(result.packages.map(p => `${p.name}@${p.version}`).sort(), ['django@5.0.2', 'gunicorn@21.2.0']);
+});
+
+test('returns null outside Python projects', t => {
+  assert.equal(readPythonDependencies(tempProject(t, { 'package.json': '{}' })), null);
+});
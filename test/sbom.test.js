@@ -0,0 +1,161 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { generateSbom, renderCycloneDx, renderSpdx } = require('../lib/sbom');
+const { tempProject } = require('./helpers');
+
+const PACKAGE = {
+  name: 'app',
+  version: '1.0.0',
+  dependencies: { express: '^4.18.0' },
+  devDependencies: { jest: '^29.0.0' },
+};
+
+// express@4.18.2 -> debug@2.6.9 -> ms@2.0.0; jest@29.7.0 -> ms@2.1.3 (nested)
+const PACKAGE_LOCK = {
+  name: 'app',
+  lockfileVersion: 3,
+  packages: {
+    '': PACKAGE,
+    'node_modules/express': { version: '4.18.2', resolved: 'https://registry.npmjs.org/express/-/express-4.18.2.tgz', integrity: 'sha512-AAAA', license: 'MIT', dependencies: { debug: '2.6.9' } },
+    'node_modules/debug': { version: '2.6.9', license: 'MIT', dependencies: { ms: '2.0.0' } },
+    'node_modules/ms': { version: '2.0.0', license: 'MIT' },
+    'node_modules/jest': { version: '29.7.0', dev: true, license: 'MIT', dependencies: { ms: '^2.1.3' } },
+    'node_modules/jest/node_modules/ms': { version: '2.1.3', dev: true, license: 'MIT' },
+  },
+};
+
+const YARN_LOCK = `# yarn lockfile v1
+
+debug@2.6.9:
+  version "2.6.9"
+  resolved "https://registry.yarnpkg.com/debug/-/debug-2.6.9.tgz#5d128515df134ff327e90a4c93f4e077a536341f"
+  dependencies:
+    ms "2.0.0"
+
+express@^4.18.0:
+  version "4.18.2"
+  resolved "https://registry.yarnpkg.com/express/-/express-4.18.2.tgz"
+  integrity sha512-AAAA
+  dependencies:
+    debug "2.6.9"
+
+jest@^29.0.0:
+  version "29.7.0"
+  dependencies:
+    ms "^2.1.3"
+
+ms@2.0.0:
+  version "2.0.0"
+
+ms@^2.1.3:
+  version "2.1.3"
+`;
+
+const PNPM_LOCK = `lockfileVersion: '9.0'
+
+importers:
+
+  .:
+    dependencies:
+      express:
+        specifier: ^4.18.0
+        version: 4.18.2
+    devDependencies:
+      jest:
+        specifier: ^29.0.0
+        version: 29.7.0
+
+packages:
+
+  debug@2.6.9:
+    resolution: {integrity: sha512-BBBB}
+
+  express@4.18.2:
+    resolution: {integrity: sha512-AAAA}
+
+  jest@29.7.0:
+    resolution: {integrity: sha512-CCCC}
+
+  ms@2.0.0:
+    resolution: {integrity: sha512-DDDD}
+
+  ms@2.1.3:
+    resolution: {integrity: sha512-EEEE}
+
+snapshots:
+
+  debug@2.6.9:
+    dependencies:
+      ms: 2.0.0
+
+  express@4.18.2:
+    dependencies:
+      debug: 2.6.9
+
+  jest@29.7.0:
+    dependencies:
+      ms: 2.1.3
+
+  ms@2.0.0: {}
+
+  ms@2.1.3: {}
+`;
+
+function components(sbom) {
+  return sbom.components.map(c => `${c.name}@${c.version}${c.dev ? ' (dev)' : ''}`);
+}
+
+for (const [lockfile, content, source] of [
+  ['package-lock.json', PACKAGE_LOCK, 'package-lock.json'],
+  ['yarn.lock', YARN_LOCK, 'yarn.lock'],
+  ['pnpm-lock.yaml', PNPM_LOCK, 'pnpm-lock.yaml'],
+]) {
+  test(`reads the dependency graph of ${lockfile}`, t => {
+    const cwd = tempProject(t, { 'package.json': PACKAGE, [lockfile]: content });
+    const sbom = generateSbom({ cwd, dev: true, offline: true });
+
+    assert.equal(sbom.sources[0].source, source);
+    assert.deepEqual(components(sbom), ['debug@2.6.9', 'express@4.18.2', 'jest@29.7.0 (dev)', 'ms@2.0.0', 'ms@2.1.3 (dev)']);
+    assert.deepEqual(sbom.direct.sort(), ['pkg:npm/express@4.18.2', 'pkg:npm/jest@29.7.0']);
+    const express = sbom.components.find(c => c.name === 'express');
+    assert.deepEqual(express.dependsOn, ['pkg:npm/debug@2.6.9']);
+    assert.deepEqual(express.hashes, [{ alg: 'SHA-512', content: Buffer.from('AAAA', 'base64').toString('hex') }]);
+  });
+}
+
+test('leaves development-only packages out by default', t => {
+  const cwd = tempProject(t, { 'package.json': PACKAGE, 'package-lock.json': PACKAGE_LOCK });
+  assert.deepEqual(components(generateSbom({ cwd, offline: true })), ['debug@2.6.9', 'express@4.18.2', 'ms@2.0.0']);
+});
+
+test('keeps the sha1 of yarn classic resolved URLs', t => {
+  const cwd = tempProject(t, { 'package.json': PACKAGE, 'yarn.lock': YARN_LOCK });
+  const debug = generateSbom({ cwd, offline: true }).components.find(c => c.name === 'debug');
+  assert.deepEqual(debug.hashes, [{ alg: 'SHA-1', content: '5d128515df134ff327e90a4c93f4e077a536341f' }]);
+  assert.equal(debug.resolved, 'https://registry.yarnpkg.com/debug/-/debug-2.6.9.tgz');
+});
+
+test('reads pinned Python requirements with their hashes', t => {
+  const cwd = tempProject(t, {
+    'requirements.txt': 'Django==4.2.1 \\\n    --hash=sha256:ABCDEF\nrequests>=2.0  # unpinned\n',
+    'requirements-dev.txt': 'pytest==8.0.0\n',
+  });
+  const sbom = generateSbom({ cwd, dev: true, offline: true });
+  assert.deepEqual(components(sbom), ['django@4.2.1', 'pytest@8.0.0 (dev)']);
+  assert.deepEqual(sbom.components[0].hashes, [{ alg: 'SHA-256', content: 'abcdef' }]);
+  assert.match(sbom.sources[0].reason, /1 package\(s\) without a pinned version/);
+});
+
+test('renders CycloneDX and SPDX documents', t => {
+  const cwd = tempProject(t, { 'package.json': PACKAGE, 'package-lock.json': PACKAGE_LOCK });
+  const sbom = generateSbom({ cwd, offline: true });
+
+  const cyclonedx = JSON.parse(renderCycloneDx(sbom));
+  assert.equal(cyclonedx.bomFormat, 'CycloneDX');
+  assert.deepEqual(cyclonedx.components.map(c => c.purl), ['pkg:npm/debug@2.6.9', 'pkg:npm/express@4.18.2', 'pkg:npm/ms@2.0.0']);
+
+  const spdx = JSON.parse(renderSpdx(sbom));
+  assert.match(spdx.spdxVersion, /^SPDX-2\./);
+  assert.equal(spdx.packages.filter(p => p.name === 'express').length, 1);
+});
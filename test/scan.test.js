@@ -0,0 +1,142 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { test } = require('node:test');
+
+const { changedSince } = require('../lib/git');
+const { resolveScanMode, scan } = require('../lib/scan');
+const { git, gitRepository, mockApi, setEnv, tempProject, writeFiles } = require('./helpers');
+
+const PULL_REQUEST_ENV = {
+  GITHUB_EVENT_NAME: 'pull_request',
+  GITHUB_REF: 'refs/pull/42/merge',
+  GITHUB_HEAD_REF: 'feature/login',
+  GITHUB_BASE_REF: 'main',
+};
+
+// A repository on a "feature/login" branch with one committed change, one
+// untracked file and one change outside the analyzed directories.
+function featureBranch(t, files = {}) {
+  const cwd = gitRepository(t, { 'src/app.js': 'a\n', 'docs/guide.md': '# guide\n', ...files });
+  git(cwd, 'checkout', '-q', '-b', 'feature/login');
+  writeFiles(cwd, { 'src/app.js': 'a\nb\n', 'docs/guide.md': '# guide\nmore\n' });
+  git(cwd, 'commit', '-qam', 'change');
+  writeFiles(cwd, { 'src/scratch.js': 'x\n' });
+  return cwd;
+}
+
+test('analyzes the pull request when the server has branches and CI runs one', t => {
+  const cwd = featureBranch(t);
+  const mode = resolveScanMode({ cwd, projectKey: 'app', changes: changedSince(cwd, 'main'), branches: true, env: PULL_REQUEST_ENV });
+  assert.equal(mode.mode, 'pull-request');
+  assert.equal(mode.projectKey, 'app');
+  assert.deepEqual(mode.args, ['-Dsonar.pullrequest.key=42', '-Dsonar.pullrequest.branch=feature/login', '-Dsonar.pullrequest.base=main']);
+  assert.equal(mode.query, '&pullRequest=42');
+});
+
+test('analyzes the branch against its base branch', t => {
+  const cwd = featureBranch(t);
+  const mode = resolveScanMode({ cwd, projectKey: 'app', changes: changedSince(cwd, 'main'), branches: true, env: {} });
+  assert.equal(mode.mode, 'branch');
+  assert.deepEqual(mode.args, ['-Dsonar.branch.name=feature/login', '-Dsonar.newCode.referenceBranch=main']);
+  assert.equal(mode.query, '&branch=feature%2Flogin&inNewCodePeriod=true');
+});
+
+test('keeps the full name of a local base branch and strips only a real remote', t => {
+  const cwd = featureBranch(t);
+  git(cwd, 'branch', 'release/1.x', 'main');
+  git(cwd, 'remote', 'add', 'origin', 'https://example.com/repo.git');
+  git(cwd, 'update-ref', 'refs/remotes/origin/main', 'main');
+
+  const local = resolveScanMode({ cwd, projectKey: 'app', changes: changedSince(cwd, 'release/1.x'), branches: true, env: {} });
+  assert.ok(local.args.includes('-Dsonar.newCode.referenceBranch=release/1.x'));
+  const remote = resolveScanMode({ cwd, projectKey: 'app', changes: changedSince(cwd, 'origin/main'), branches: true, env: {} });
+  assert.ok(remote.args.includes('-Dsonar.newCode.referenceBranch=main'));
+});
+
+test('leaves out the reference branch when the base is a tag or a commit', t => {
+  const cwd = featureBranch(t);
+  git(cwd, 'tag', 'v1.0.0', 'main');
+  for (const ref of ['v1.0.0', git(cwd, 'rev-parse', 'main').trim()]) {
+    const mode = resolveScanMode({ cwd, projectKey: 'app', changes: changedSince(cwd, ref), branches: true, env: {} });
+    assert.deepEqual(mode.args, ['-Dsonar.branch.name=feature/login']);
+    assert.equal(mode.query, '&branch=feature%2Flogin');
+  }
+});
+
+test('analyzes only the tracked changed files under the sources without branch support', t => {
+  const cwd = featureBranch(t, { 'sonar-project.properties': 'sonar.sources=src\n' });
+  const mode = resolveScanMode({ cwd, config: { projectName: 'App' }, projectKey: 'app', changes: changedSince(cwd, 'main'), branches: false, env: PULL_REQUEST_ENV });
+  assert.equal(mode.mode, 'files');
+  assert.equal(mode.projectKey, 'app-changes');
+  assert.equal(mode.empty, false);
+  assert.deepEqual(mode.args, ['-Dsonar.projectKey=app-changes', '-Dsonar.projectName=App (changes)', '-Dsonar.inclusions=src/app.js']);
+});
+
+test('maps changed files into module-relative inclusions', t => {
+  const cwd = featureBranch(t, {
+    'sonar-project.properties': 'sonar.modules=web\nweb.sonar.projectBaseDir=packages/web\nweb.sonar.sources=src\n',
+    'packages/web/src/index.js': 'a\n',
+    'packages/web/README.md': '# web\n',
+  });
+  writeFiles(cwd, { 'packages/web/src/index.js': 'a\nb\n', 'packages/web/README.md': '# web\nmore\n' });
+  git(cwd, 'commit', '-qam', 'web change');
+
+  const mode = resolveScanMode({ cwd, projectKey: 'app', changes: changedSince(cwd, 'main'), branches: false, env: {} });
+  assert.ok(mode.args.includes('-Dsonar.inclusions=packages/web/src/index.js,src/index.js'));
+});
+
+test('flags an empty analysis when nothing analyzable changed', t => {
+  const cwd = gitRepository(t, { 'sonar-project.properties': 'sonar.sources=src\n', 'src/app.js': 'a\n', 'README.md': '# app\n' });
+  writeFiles(cwd, { 'README.md': '# app\nmore\n' });
+  const mode = resolveScanMode({ cwd, projectKey: 'app', changes: changedSince(cwd, 'main'), branches: false, env: {} });
+  assert.equal(mode.empty, true);
+});
+
+// A remote server project scanned by a sonar-scanner on the PATH that records
+// its arguments and leaves the report task behind.
+function remoteProject(t, { files = {}, env = {} } = {}) {
+  const bin = tempProject(t, {
+    'sonar-scanner': '#!/bin/sh\necho "$SONAR_HOST_URL $SONAR_TOKEN $*" > scanner-args.txt\nmkdir -p .scannerwork\necho ceTaskId=T1 > .scannerwork/report-task.txt\n',
+  });
+  fs.chmodSync(path.join(bin, 'sonar-scanner'), 0o755);
+  setEnv(t, { PATH: `${bin}${path.delimiter}${process.env.PATH}`, SONAR_TOKEN: undefined, SONAR_ORGANIZATION: undefined, ...env });
+  return gitRepository(t, {
+    '.qualityconfigrc.json': { projectKey: 'app', sonar: { docker: false, scanner: 'cli' } },
+    'sonar-project.properties': 'sonar.projectKey=app\nsonar.sources=src\n',
+    'src/app.js': 'a\n',
+    ...files,
+  });
+}
+
+test('scans against a remote server without docker-compose, passing the organization and branch', async t => {
+  const api = await mockApi(t, 'mock-sonar-api', {
+    '/api/system/status': { status: 'UP' },
+    '/api/navigation/global': { edition: 'developer' },
+    '/api/project_branches/list': { branches: [{ name: 'main', isMain: true }] },
+    '/api/ce/task': { task: { status: 'SUCCESS', analysisId: 'A1' } },
+    '/api/qualitygates/project_status': { projectStatus: { status: 'OK' } },
+  });
+  const cwd = remoteProject(t, { files: { '.sonar-token': 'tok\n' }, env: { SONAR_HOST_URL: `${api.url}/`, SONAR_ORGANIZATION: 'acme' } });
+  git(cwd, 'checkout', '-q', '-b', 'feature/login');
+
+  const result = await scan({ cwd });
+  assert.equal(result.serverStarted, false);
+  assert.equal(result.scanner, 'cli');
+  assert.equal(result.branch, 'feature/login');
+  assert.equal(result.dashboardUrl, `${api.url}/dashboard?id=app&branch=feature%2Flogin`);
+  assert.deepEqual(result.qualityGate, { status: 'OK', conditions: [] });
+  assert.equal(
+    fs.readFileSync(path.join(cwd, 'scanner-args.txt'), 'utf8').trim(),
+    `${api.url} tok -Dsonar.host.url=${api.url} -Dsonar.organization=acme -Dsonar.branch.name=feature/login`
+  );
+});
+
+test('fails on a remote server that is not up or gives no token instead of starting one', async t => {
+  const api = await mockApi(t, 'mock-sonar-api', { '/api/system/status': [{ status: 'STARTING' }, { status: 'UP' }] });
+  const cwd = remoteProject(t, { env: { SONAR_HOST_URL: api.url } });
+
+  await assert.rejects(scan({ cwd }), { code: 'QC_SONARQUBE_UNREACHABLE', message: `SonarQube at ${api.url} is not ready (STARTING).` });
+  await assert.rejects(scan({ cwd }), { code: 'QC_SONARQUBE_NO_TOKEN', hint: `Generate a token in ${api.url}/account/security and set SONAR_TOKEN (or save it to .sonar-token)` });
+  assert.equal(fs.existsSync(path.join(cwd, 'scanner-args.txt')), false);
+});
@@ -0,0 +1,76 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { test } = require('node:test');
+
+const { loadConfig } = require('../lib/config');
+const { ConfigError } = require('../lib/errors');
+const { validate } = require('../lib/schema');
+const { tempProject } = require('./helpers');
+
+const SCHEMA = {
+  type: 'object',
+  required: ['name'],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', minLength: 1, pattern: '^[a-z]' },
+    level: { type: 'integer', minimum: 1, maximum: 3 },
+    mode: { enum: ['fast', 'full'] },
+    tags: { type: 'array', items: { type: 'string' }, minItems: 1 },
+    weights: { type: 'object', additionalProperties: { type: 'number' } },
+    extra: { type: ['string', 'null'] },
+  },
+};
+
+test('accepts valid values', () => {
+  assert.deepEqual(validate(SCHEMA, { name: 'app', level: 2, mode: 'fast', tags: ['a'], weights: { a: 0.5, b: 1 }, extra: null }), []);
+});
+
+test('reports every error with its path', () => {
+  assert.deepEqual(validate(SCHEMA, { level: 1.5, mode: 'slow', tags: ['a', 2], weights: { a: 'x' }, other: true }), [
+    '(root): missing required property "name"',
+    'level: must be integer',
+    'mode: must be one of fast, full',
+    'tags[1]: must be string',
+    'weights.a: must be number',
+    'other: unknown property',
+  ]);
+});
+
+test('checks string and number bounds', () => {
+  assert.deepEqual(validate(SCHEMA, { name: '', level: 4 }), [
+    'name: must not be empty',
+    'name: must match ^[a-z]',
+    'level: must be <= 3',
+  ]);
+  assert.deepEqual(validate(SCHEMA, { name: 'app', tags: [] }), ['tags: must have at least 1 item(s)']);
+  assert.deepEqual(validate(SCHEMA, []), ['(root): must be object']);
+});
+
+test('validates the project config against the bundled schema', t => {
+  const cwd = tempProject(t, { '.qualityconfigrc.json': { hook: { actions: { 'commit-msg': ['lint'] }, gate: 'yes' } } });
+  assert.throws(() => loadConfig(cwd), err => {
+    assert.ok(err instanceof ConfigError);
+    assert.deepEqual(err.errors, ['hook.actions.commit-msg[0]: must be one of conventional', 'hook.gate: must be boolean']);
+    return true;
+  });
+});
+
+test('reads the config from package.json', t => {
+  const cwd = tempProject(t, { 'package.json': { name: 'app', 'quality-config': { projectKey: 'acme-app' } } });
+  assert.deepEqual(loadConfig(cwd), { file: path.join(cwd, 'package.json'), config: { projectKey: 'acme-app' } });
+});
+
+test('the bundled schemas only use supported keywords', () => {
+  const supported = new Set(['$schema', '$id', 'title', 'description', 'type', 'enum', 'required', 'properties', 'additionalProperties', 'items', 'minimum', 'maximum', 'minItems', 'minLength', 'pattern', 'default', 'examples']);
+  const check = (node, where) => {
+    if (!node || typeof node !== 'object' || Array.isArray(node)) return;
+    for (const [key, value] of Object.entries(node)) {
+      assert.ok(supported.has(key), `${where}: unsupported keyword "${key}"`);
+      if (key === 'properties') for (const [name, child] of Object.entries(value)) check(child, `${where}.${name}`);
+      if (key === 'items' || key === 'additionalProperties') check(value, `${where}.${key}`);
+    }
+  };
+  const dir = path.join(__dirname, '..', 'schema');
+  for (const file of fs.readdirSync(dir)) check(JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')), file);
+});
@@ -0,0 +1,24 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { test } = require('node:test');
+
+const { isLocalSonarUrl, sonarApiFetch, sonarServerStatus } = require('../lib/sonar');
+const { tempProject } = require('./helpers');
+
+test('recognizes the servers docker-compose runs on this machine', () => {
+  assert.equal(isLocalSonarUrl('http://localhost:9000'), true);
+  assert.equal(isLocalSonarUrl('http://127.0.0.1:9000/sonar'), true);
+  assert.equal(isLocalSonarUrl('https://sonarcloud.io'), false);
+  assert.equal(isLocalSonarUrl('not a url'), false);
+});
+
+test('never hands the server URL or token to a shell', t => {
+  const dir = tempProject(t);
+  const marker = path.join(dir, 'pwned');
+  const payload = `"$(touch ${marker})"\`touch ${marker}\``;
+
+  assert.equal(sonarServerStatus(`http://127.0.0.1:1/${payload}`), null);
+  assert.equal(sonarApiFetch('/api/system/status', payload, `http://127.0.0.1:1/${payload}`), null);
+  assert.equal(fs.existsSync(marker), false);
+});
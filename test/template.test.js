@@ -0,0 +1,52 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { TemplateError } = require('../lib/errors');
+const { renderHtmlReport } = require('../lib/formats');
+const { parse, render } = require('../lib/template');
+const { tempProject } = require('./helpers');
+const REPORT = require('./fixtures/report.json');
+
+test('renders variables escaped unless triple-braced', () => {
+  const view = { name: '<b>App</b>', project: { key: 'a&b' } };
+  assert.equal(render('{{name}} {{{name}}} {{& name}} {{project.key}} {{missing}}{{! note }}', view), '&lt;b&gt;App&lt;/b&gt; <b>App</b> <b>App</b> a&amp;b ');
+});
+
+test('renders sections over lists, objects and inverted sections', () => {
+  const template = '{{#items}}[{{name}}]{{/items}}{{^items}}none{{/items}}{{#owner}}by {{name}}{{/owner}}{{#tags}}{{.}},{{/tags}}';
+  assert.equal(render(template, { items: [{ name: 'a' }], owner: { name: 'ana' }, tags: ['x', 'y'] }), '[a]by anax,y,');
+  assert.equal(render(template, { items: [], owner: null }), 'none');
+});
+
+test('renders partials in the current context', () => {
+  const partials = { row: parse('<td>{{name}}</td>') };
+  assert.equal(render('{{#rows}}{{> row}}{{/rows}}', { rows: [{ name: 'a' }, { name: 'b' }] }, name => partials[name]), '<td>a</td><td>b</td>');
+  assert.throws(() => render('{{> missing}}', {}), TemplateError);
+});
+
+test('rejects unbalanced sections', () => {
+  assert.throws(() => parse('{{#a}}text', 'report.html'), err => err instanceof TemplateError && /Unclosed \{\{#a\}\}/.test(err.message));
+  assert.throws(() => parse('{{#a}}{{/b}}'), /Unexpected \{\{\/b\}\}/);
+});
+
+test('renders only the selected report sections, in order', () => {
+  const html = renderHtmlReport(REPORT, { sections: ['git', 'health', 'compliance', 'licenses'] });
+  const ids = [...html.matchAll(/<div class="card" id="([\w-]+)">/g)].map(m => m[1]);
+  // Compliance and licenses have nothing to show without frameworks or dependencies
+  assert.deepEqual(ids, ['git', 'health']);
+  assert.match(html, /<h2>1\. Repository Activity<\/h2>/);
+  assert.match(html, /<title>[^<]* - App<\/title>/);
+});
+
+test('lets a project override single templates and brand the report', t => {
+  const templateDir = tempProject(t, {
+    'sections/git.html': '<div class="card" id="git">{{number}}. Custom git section on {{git.branch}}</div>\n',
+    'styles.css': '.custom-style {}\n',
+  });
+  const html = renderHtmlReport(REPORT, { sections: ['health', 'git'], templateDir, branding: { title: 'Acme Quality', footer: 'Acme & Co' } });
+  assert.match(html, /2\. Custom git section on main/);
+  assert.match(html, /id="health"/);
+  assert.match(html, /\.custom-style \{\}/);
+  assert.match(html, /<title>Acme Quality - App<\/title>/);
+  assert.match(html, /Acme &amp; Co/);
+});
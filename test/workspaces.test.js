@@ -0,0 +1,113 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { test } = require('node:test');
+
+const { init } = require('../lib/init');
+const { getSonarModules, readSonarProperties } = require('../lib/properties');
+const { discoverWorkspaces, expandPattern } = require('../lib/workspaces');
+const { tempProject } = require('./helpers');
+
+const NODE_API = { dependencies: { express: '4.0.0' } };
+const REACT_APP = { dependencies: { react: '18.0.0', 'react-scripts': '5.0.0' } };
+
+test('expands workspace globs into directories', t => {
+  const cwd = tempProject(t, {
+    'packages/a/package.json': {},
+    'packages/b/package.json': {},
+    'packages/node_modules/x/package.json': {},
+    'apps/web/client/package.json': {},
+  });
+  assert.deepEqual(expandPattern(cwd, 'packages/*').sort(), ['packages/a', 'packages/b']);
+  assert.deepEqual(expandPattern(cwd, './apps/**/').sort(), ['apps', 'apps/web', 'apps/web/client']);
+  assert.deepEqual(expandPattern(cwd, 'packages/?').sort(), ['packages/a', 'packages/b']);
+  assert.deepEqual(expandPattern(cwd, 'services/api'), []);
+});
+
+test('discovers npm workspaces and Python subprojects with their stacks', t => {
+  const cwd = tempProject(t, {
+    'package.json': { workspaces: ['packages/*', '!packages/legacy'] },
+    'packages/api/package.json': NODE_API,
+    'packages/web/package.json': REACT_APP,
+    'packages/legacy/package.json': NODE_API,
+    'packages/docs/README.md': '# docs\n',
+    'services/ml/requirements.txt': 'fastapi\n',
+    'services/ml/main.py': 'from fastapi import FastAPI\n',
+  });
+  const { sources, modules, skipped } = discoverWorkspaces(cwd);
+
+  assert.deepEqual(sources, ['package.json', 'Python subprojects']);
+  assert.deepEqual(modules.map(m => [m.name, m.path, m.stack]), [
+    ['packages-api', 'packages/api', 'node'],
+    ['packages-web', 'packages/web', 'react'],
+    ['services-ml', 'services/ml', 'python-fastapi'],
+  ]);
+  assert.deepEqual(skipped, []);
+});
+
+test('reads pnpm-workspace.yaml and falls back to the given stack', t => {
+  const cwd = tempProject(t, {
+    'pnpm-workspace.yaml': "packages:\n  - 'apps/*' # apps\n  - \"libs/*\"\ncatalog:\n  - ignored/*\n",
+    'apps/site/package.json': REACT_APP,
+    'libs/shared/package.json': {},
+    'ignored/x/package.json': NODE_API,
+  });
+  const strict = discoverWorkspaces(cwd);
+  assert.deepEqual(strict.sources, ['pnpm-workspace.yaml']);
+  assert.deepEqual(strict.modules.map(m => m.path), ['apps/site', 'libs/shared']);
+  assert.equal(strict.modules[1].stack, 'node');
+
+  const undecided = tempProject(t, {
+    'package.json': { workspaces: { packages: ['tools/*'] } },
+    'tools/mixed/package.json': NODE_API,
+    'tools/mixed/requirements.txt': 'fastapi\n',
+    'tools/mixed/main.py': 'import fastapi\n',
+  });
+  assert.deepEqual(discoverWorkspaces(undecided).skipped, [{ path: 'tools/mixed', reason: 'ambiguous stack (python-fastapi, node)' }]);
+  const fallback = discoverWorkspaces(undecided, { fallbackStack: 'node' });
+  assert.equal(fallback.modules[0].stack, 'node');
+  assert.equal(fallback.modules[0].detection, null);
+});
+
+test('reads the modules of sonar-project.properties', t => {
+  const cwd = tempProject(t, {
+    'sonar-project.properties': [
+      '# modules',
+      'sonar.modules=api, web',
+      'api.sonar.projectBaseDir=packages/api',
+      'web.sonar.sources : src',
+    ].join('\n'),
+  });
+  const props = readSonarProperties(cwd);
+  assert.equal(props['web.sonar.sources'], 'src');
+  assert.deepEqual(getSonarModules(props), [{ name: 'api', path: 'packages/api' }, { name: 'web', path: 'web' }]);
+  assert.deepEqual(getSonarModules({}), []);
+});
+
+test('init --workspaces writes one sonar module per workspace', async t => {
+  const cwd = tempProject(t, {
+    'package.json': { workspaces: ['packages/*'] },
+    'packages/api/package.json': NODE_API,
+    'packages/api/src/index.js': '',
+    'packages/api/tests/index.test.js': '',
+    'services/ml/requirements.txt': 'fastapi\n',
+  });
+  const result = await init({ cwd, workspaces: true, ci: 'none', skipDocker: true });
+  assert.deepEqual(result.modules.map(m => m.stack), ['node', 'python-fastapi']);
+
+  const props = readSonarProperties(cwd);
+  assert.equal(props['sonar.modules'], 'packages-api,services-ml');
+  assert.equal(props['packages-api.sonar.projectBaseDir'], 'packages/api');
+  // Missing source or test folders would abort the scanner
+  assert.equal(props['packages-api.sonar.sources'], 'src');
+  assert.equal(props['packages-api.sonar.tests'], 'src,tests');
+  assert.equal(props['services-ml.sonar.sources'], '.');
+  assert.equal(props['services-ml.sonar.tests'], undefined);
+
+  const ruleset = JSON.parse(fs.readFileSync(path.join(cwd, '.sonarqube-lgpd-rules.json'), 'utf8'));
+  assert.deepEqual(ruleset.extends, ['@olympio/quality-config/lgpd-js', '@olympio/quality-config/lgpd-python']);
+});
+
+test('init --workspaces fails when there is nothing to split', async t => {
+  await assert.rejects(init({ cwd: tempProject(t, { 'package.json': {} }), workspaces: true, ci: 'none' }), err => err.code === 'QC_NO_WORKSPACES');
+});